@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusVisita" AS ENUM ('aberta', 'finalizada');
+
+-- CreateTable
+CREATE TABLE "public"."visitas" (
+    "id" SERIAL NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "data_entrada" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "data_saida" TIMESTAMP(3),
+    "status" "public"."StatusVisita" NOT NULL DEFAULT 'aberta',
+    "compraId" INTEGER,
+
+    CONSTRAINT "visitas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "visitas_compraId_key" ON "public"."visitas"("compraId");
+
+-- CreateIndex
+CREATE INDEX "visitas_clienteId_status_idx" ON "public"."visitas"("clienteId", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."visitas" ADD CONSTRAINT "visitas_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."visitas" ADD CONSTRAINT "visitas_compraId_fkey" FOREIGN KEY ("compraId") REFERENCES "public"."compras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
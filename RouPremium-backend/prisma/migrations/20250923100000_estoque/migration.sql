@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."produtos" ADD COLUMN     "estoque" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "estoque_reservado" INTEGER NOT NULL DEFAULT 0;
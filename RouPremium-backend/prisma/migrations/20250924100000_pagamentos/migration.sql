@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusPagamento" AS ENUM ('pendente', 'aprovada', 'recusada');
+
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "motivo_recusa" TEXT,
+ADD COLUMN     "status_pagamento" "public"."StatusPagamento" NOT NULL DEFAULT 'pendente',
+ADD COLUMN     "transacao_pagamento" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."visitas" ADD COLUMN     "autorizacao_pagamento" TEXT;
+
+-- Compras anteriores ao provedor de pagamento já foram cobradas
+UPDATE "public"."compras" SET "status_pagamento" = 'aprovada';
@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "public"."FormaPagamento" AS ENUM ('cartao', 'pix');
+
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "forma_pagamento" "public"."FormaPagamento" NOT NULL DEFAULT 'cartao',
+ADD COLUMN     "pix_copia_e_cola" TEXT,
+ADD COLUMN     "pix_txid" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "compras_pix_txid_key" ON "public"."compras"("pix_txid");
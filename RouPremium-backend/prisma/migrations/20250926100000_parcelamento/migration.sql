@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "parcelas" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "plano_parcelamento" JSONB;
@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusDevolucao" AS ENUM ('nenhuma', 'parcial', 'total');
+
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "status_devolucao" "public"."StatusDevolucao" NOT NULL DEFAULT 'nenhuma',
+ADD COLUMN     "valor_reembolsado" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."devolucoes" (
+    "id" SERIAL NOT NULL,
+    "compraId" INTEGER NOT NULL,
+    "data" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "valor_reembolsado" DECIMAL(10,2) NOT NULL,
+    "itens_devolvidos" JSONB NOT NULL,
+    "motivo" TEXT,
+    "reembolso_id" TEXT,
+
+    CONSTRAINT "devolucoes_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."devolucoes" ADD CONSTRAINT "devolucoes_compraId_fkey" FOREIGN KEY ("compraId") REFERENCES "public"."compras"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
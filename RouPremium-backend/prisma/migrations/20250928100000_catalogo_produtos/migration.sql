@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "public"."produtos" ADD COLUMN     "arquivado" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "categoria" TEXT,
+ADD COLUMN     "descricao" TEXT,
+ADD COLUMN     "imagem_url" TEXT,
+ADD COLUMN     "sku" TEXT;
+
+-- Produtos já cadastrados recebem um SKU provisório a partir do id
+UPDATE "public"."produtos" SET "sku" = 'SKU-' || LPAD("id"::TEXT, 5, '0') WHERE "sku" IS NULL;
+
+ALTER TABLE "public"."produtos" ALTER COLUMN "sku" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "produtos_sku_key" ON "public"."produtos"("sku");
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "public"."variantes" (
+    "id" SERIAL NOT NULL,
+    "produtoId" INTEGER NOT NULL,
+    "tamanho" TEXT NOT NULL,
+    "cor" TEXT NOT NULL,
+    "preco" DECIMAL(10,2),
+    "estoque" INTEGER NOT NULL DEFAULT 0,
+    "estoque_reservado" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "variantes_pkey" PRIMARY KEY ("id")
+);
+
+-- Cada produto existente vira uma variante única, levando o estoque e as reservas
+INSERT INTO "public"."variantes" ("produtoId", "tamanho", "cor", "estoque", "estoque_reservado")
+SELECT "id", 'Único', 'Única', "estoque", "estoque_reservado" FROM "public"."produtos";
+
+-- AlterTable
+ALTER TABLE "public"."carrinhos" ADD COLUMN     "varianteId" INTEGER;
+
+UPDATE "public"."carrinhos" AS c SET "varianteId" = v."id"
+FROM "public"."variantes" AS v
+WHERE v."produtoId" = c."produtoId";
+
+ALTER TABLE "public"."carrinhos" ALTER COLUMN "varianteId" SET NOT NULL,
+DROP CONSTRAINT "carrinhos_pkey",
+ADD CONSTRAINT "carrinhos_pkey" PRIMARY KEY ("clienteId", "varianteId");
+
+-- AlterTable
+ALTER TABLE "public"."produtos" DROP COLUMN "estoque",
+DROP COLUMN "estoque_reservado";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "variantes_produtoId_tamanho_cor_key" ON "public"."variantes"("produtoId", "tamanho", "cor");
+
+-- AddForeignKey
+ALTER TABLE "public"."variantes" ADD CONSTRAINT "variantes_produtoId_fkey" FOREIGN KEY ("produtoId") REFERENCES "public"."produtos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."carrinhos" ADD CONSTRAINT "carrinhos_varianteId_fkey" FOREIGN KEY ("varianteId") REFERENCES "public"."variantes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
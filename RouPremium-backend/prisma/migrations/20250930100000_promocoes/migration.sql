@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoPromocao" AS ENUM ('percentual', 'valor_fixo', 'leve_pague');
+
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "valor_desconto" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."promocoes" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "tipo" "public"."TipoPromocao" NOT NULL,
+    "valor" DECIMAL(10,2),
+    "leve_quantidade" INTEGER,
+    "pague_quantidade" INTEGER,
+    "produtoId" INTEGER,
+    "categoria" TEXT,
+    "inicio" TIMESTAMP(3),
+    "fim" TIMESTAMP(3),
+    "ativa" BOOLEAN NOT NULL DEFAULT true,
+    "criada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promocoes_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."promocoes" ADD CONSTRAINT "promocoes_produtoId_fkey" FOREIGN KEY ("produtoId") REFERENCES "public"."produtos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
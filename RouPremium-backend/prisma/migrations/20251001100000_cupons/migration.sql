@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoCupom" AS ENUM ('percentual', 'valor_fixo');
+
+-- AlterTable
+ALTER TABLE "public"."visitas" ADD COLUMN     "cupomId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."cupons" (
+    "id" SERIAL NOT NULL,
+    "codigo" TEXT NOT NULL,
+    "descricao" TEXT,
+    "tipo" "public"."TipoCupom" NOT NULL,
+    "valor" DECIMAL(10,2) NOT NULL,
+    "valor_minimo" DECIMAL(10,2),
+    "limite_usos" INTEGER,
+    "limite_por_cliente" INTEGER,
+    "usos" INTEGER NOT NULL DEFAULT 0,
+    "valido_ate" TIMESTAMP(3),
+    "ativo" BOOLEAN NOT NULL DEFAULT true,
+    "criado_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cupons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."resgates_cupom" (
+    "id" SERIAL NOT NULL,
+    "cupomId" INTEGER NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "compraId" INTEGER NOT NULL,
+    "desconto" DECIMAL(10,2) NOT NULL,
+    "data" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "resgates_cupom_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cupons_codigo_key" ON "public"."cupons"("codigo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "resgates_cupom_compraId_key" ON "public"."resgates_cupom"("compraId");
+
+-- CreateIndex
+CREATE INDEX "resgates_cupom_cupomId_clienteId_idx" ON "public"."resgates_cupom"("cupomId", "clienteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."visitas" ADD CONSTRAINT "visitas_cupomId_fkey" FOREIGN KEY ("cupomId") REFERENCES "public"."cupons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."resgates_cupom" ADD CONSTRAINT "resgates_cupom_cupomId_fkey" FOREIGN KEY ("cupomId") REFERENCES "public"."cupons"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."resgates_cupom" ADD CONSTRAINT "resgates_cupom_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."resgates_cupom" ADD CONSTRAINT "resgates_cupom_compraId_fkey" FOREIGN KEY ("compraId") REFERENCES "public"."compras"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoMovimentoPontos" AS ENUM ('credito', 'resgate', 'estorno_credito', 'estorno_resgate');
+
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "pontos_ganhos" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "pontos_resgatados" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."movimentos_pontos" (
+    "id" SERIAL NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "compraId" INTEGER,
+    "tipo" "public"."TipoMovimentoPontos" NOT NULL,
+    "pontos" INTEGER NOT NULL,
+    "descricao" TEXT NOT NULL,
+    "data" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "movimentos_pontos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "movimentos_pontos_clienteId_idx" ON "public"."movimentos_pontos"("clienteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."movimentos_pontos" ADD CONSTRAINT "movimentos_pontos_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."movimentos_pontos" ADD CONSTRAINT "movimentos_pontos_compraId_fkey" FOREIGN KEY ("compraId") REFERENCES "public"."compras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
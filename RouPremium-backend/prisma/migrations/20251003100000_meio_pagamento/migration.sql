@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."compras" ADD COLUMN     "meio_pagamento" TEXT;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."clientes" ADD COLUMN     "email" TEXT,
+ADD COLUMN     "senha_hash" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."sessoes_clientes" (
+    "id" SERIAL NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "criada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sessoes_clientes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "clientes_email_key" ON "public"."clientes"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sessoes_clientes_token_hash_key" ON "public"."sessoes_clientes"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "sessoes_clientes_clienteId_idx" ON "public"."sessoes_clientes"("clienteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."sessoes_clientes" ADD CONSTRAINT "sessoes_clientes_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "public"."PapelFuncionario" AS ENUM ('gerente', 'estoquista', 'caixa');
+
+-- CreateTable
+CREATE TABLE "public"."funcionarios" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "senha_hash" TEXT NOT NULL,
+    "papel" "public"."PapelFuncionario" NOT NULL,
+    "ativo" BOOLEAN NOT NULL DEFAULT true,
+    "criado_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "funcionarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."sessoes_funcionarios" (
+    "id" SERIAL NOT NULL,
+    "funcionarioId" INTEGER NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "criada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sessoes_funcionarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."auditoria" (
+    "id" SERIAL NOT NULL,
+    "funcionarioId" INTEGER NOT NULL,
+    "acao" TEXT NOT NULL,
+    "entidade" TEXT NOT NULL,
+    "entidade_id" INTEGER,
+    "detalhes" JSONB,
+    "data" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auditoria_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "funcionarios_email_key" ON "public"."funcionarios"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sessoes_funcionarios_token_hash_key" ON "public"."sessoes_funcionarios"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "sessoes_funcionarios_funcionarioId_idx" ON "public"."sessoes_funcionarios"("funcionarioId");
+
+-- CreateIndex
+CREATE INDEX "auditoria_funcionarioId_idx" ON "public"."auditoria"("funcionarioId");
+
+-- CreateIndex
+CREATE INDEX "auditoria_entidade_entidade_id_idx" ON "public"."auditoria"("entidade", "entidade_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."sessoes_funcionarios" ADD CONSTRAINT "sessoes_funcionarios_funcionarioId_fkey" FOREIGN KEY ("funcionarioId") REFERENCES "public"."funcionarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."auditoria" ADD CONSTRAINT "auditoria_funcionarioId_fkey" FOREIGN KEY ("funcionarioId") REFERENCES "public"."funcionarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoMetodoPagamento" AS ENUM ('credito', 'debito', 'pix');
+
+-- AlterTable
+ALTER TABLE "public"."visitas" ADD COLUMN     "metodoPagamentoId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."metodos_pagamento" (
+    "id" SERIAL NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "tipo" "public"."TipoMetodoPagamento" NOT NULL,
+    "final_cartao" TEXT,
+    "chave_pix" TEXT,
+    "apelido" TEXT,
+    "padrao" BOOLEAN NOT NULL DEFAULT false,
+    "criado_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "metodos_pagamento_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "metodos_pagamento_clienteId_idx" ON "public"."metodos_pagamento"("clienteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."metodos_pagamento" ADD CONSTRAINT "metodos_pagamento_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."visitas" ADD CONSTRAINT "visitas_metodoPagamentoId_fkey" FOREIGN KEY ("metodoPagamentoId") REFERENCES "public"."metodos_pagamento"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- O cartão de cada cliente ("credito_final_4242") vira o seu método de pagamento padrão
+INSERT INTO "public"."metodos_pagamento" ("clienteId", "tipo", "final_cartao", "padrao")
+SELECT "id",
+       CASE WHEN split_part("metodo_pagamento", '_', 1) = 'debito'
+            THEN 'debito'::"public"."TipoMetodoPagamento"
+            ELSE 'credito'::"public"."TipoMetodoPagamento" END,
+       NULLIF(right(regexp_replace("metodo_pagamento", '\D', '', 'g'), 4), ''),
+       true
+FROM "public"."clientes";
+
+-- AlterTable
+ALTER TABLE "public"."clientes" DROP COLUMN "metodo_pagamento";
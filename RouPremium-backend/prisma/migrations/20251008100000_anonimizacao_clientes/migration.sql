@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."clientes" ADD COLUMN     "anonimizado_em" TIMESTAMP(3);
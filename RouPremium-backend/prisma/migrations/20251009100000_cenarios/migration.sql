@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusExecucaoCenario" AS ENUM ('em_andamento', 'concluida', 'falhou');
+
+-- CreateEnum
+CREATE TYPE "public"."StatusPassoExecucao" AS ENUM ('pendente', 'executando', 'concluido', 'falhou', 'ignorado');
+
+-- CreateTable
+CREATE TABLE "public"."cenarios" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "descricao" TEXT,
+    "passos" JSONB NOT NULL,
+    "criado_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cenarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."execucoes_cenarios" (
+    "id" SERIAL NOT NULL,
+    "cenarioId" INTEGER NOT NULL,
+    "status" "public"."StatusExecucaoCenario" NOT NULL DEFAULT 'em_andamento',
+    "iniciada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finalizada_em" TIMESTAMP(3),
+
+    CONSTRAINT "execucoes_cenarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."passos_execucoes" (
+    "id" SERIAL NOT NULL,
+    "execucaoId" INTEGER NOT NULL,
+    "ordem" INTEGER NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "acao" TEXT NOT NULL,
+    "passo" JSONB NOT NULL,
+    "status" "public"."StatusPassoExecucao" NOT NULL DEFAULT 'pendente',
+    "mensagem" TEXT,
+    "iniciado_em" TIMESTAMP(3),
+    "concluido_em" TIMESTAMP(3),
+
+    CONSTRAINT "passos_execucoes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cenarios_nome_key" ON "public"."cenarios"("nome");
+
+-- CreateIndex
+CREATE INDEX "execucoes_cenarios_cenarioId_idx" ON "public"."execucoes_cenarios"("cenarioId");
+
+-- CreateIndex
+CREATE INDEX "passos_execucoes_clienteId_idx" ON "public"."passos_execucoes"("clienteId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "passos_execucoes_execucaoId_ordem_key" ON "public"."passos_execucoes"("execucaoId", "ordem");
+
+-- AddForeignKey
+ALTER TABLE "public"."execucoes_cenarios" ADD CONSTRAINT "execucoes_cenarios_cenarioId_fkey" FOREIGN KEY ("cenarioId") REFERENCES "public"."cenarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."passos_execucoes" ADD CONSTRAINT "passos_execucoes_execucaoId_fkey" FOREIGN KEY ("execucaoId") REFERENCES "public"."execucoes_cenarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."passos_execucoes" ADD CONSTRAINT "passos_execucoes_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoZona" AS ENUM ('entrada', 'saida', 'vendas', 'provador', 'caixa');
+
+-- AlterTable
+ALTER TABLE "public"."produtos" ADD COLUMN     "araraId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."zonas" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "tipo" "public"."TipoZona" NOT NULL,
+    "x" INTEGER NOT NULL,
+    "y" INTEGER NOT NULL,
+    "largura" INTEGER NOT NULL,
+    "altura" INTEGER NOT NULL,
+
+    CONSTRAINT "zonas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."araras" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "x" INTEGER NOT NULL,
+    "y" INTEGER NOT NULL,
+    "largura" INTEGER NOT NULL,
+    "altura" INTEGER NOT NULL,
+
+    CONSTRAINT "araras_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "araras_nome_key" ON "public"."araras"("nome");
+
+-- AddForeignKey
+ALTER TABLE "public"."produtos" ADD CONSTRAINT "produtos_araraId_fkey" FOREIGN KEY ("araraId") REFERENCES "public"."araras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Planta inicial igual ao mapa que o simulador desenhava: entrada à esquerda, saída à direita
+-- e uma arara no meio com todos os produtos
+INSERT INTO "public"."zonas" ("nome", "tipo", "x", "y", "largura", "altura") VALUES
+    ('Entrada', 'entrada', 0, 0, 15, 30),
+    ('Salão', 'vendas', 15, 0, 70, 100),
+    ('Saída', 'saida', 85, 0, 15, 30);
+
+INSERT INTO "public"."araras" ("nome", "x", "y", "largura", "altura") VALUES
+    ('Arara de produtos', 40, 40, 20, 20);
+
+UPDATE "public"."produtos" SET "araraId" = (SELECT "id" FROM "public"."araras" WHERE "nome" = 'Arara de produtos');
@@ -0,0 +1,91 @@
+-- CreateEnum
+CREATE TYPE "public"."TipoSensor" AS ENUM ('peso', 'rfid', 'camera');
+
+-- CreateEnum
+CREATE TYPE "public"."AcaoDeteccao" AS ENUM ('adicionar', 'remover');
+
+-- CreateEnum
+CREATE TYPE "public"."StatusDeteccao" AS ENUM ('aplicada', 'em_revisao', 'confirmada', 'rejeitada');
+
+-- AlterTable
+ALTER TABLE "public"."produtos" ADD COLUMN     "peso_gramas" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."eventos_sensores" (
+    "id" SERIAL NOT NULL,
+    "tipo" "public"."TipoSensor" NOT NULL,
+    "sensor" TEXT,
+    "araraId" INTEGER,
+    "clienteId" INTEGER,
+    "varianteId" INTEGER,
+    "variacao_gramas" INTEGER,
+    "presente" BOOLEAN,
+    "confianca" DOUBLE PRECISION,
+    "ocorrido_em" TIMESTAMP(3) NOT NULL,
+    "recebido_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deteccaoId" INTEGER,
+
+    CONSTRAINT "eventos_sensores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."deteccoes_carrinho" (
+    "id" SERIAL NOT NULL,
+    "acao" "public"."AcaoDeteccao" NOT NULL,
+    "status" "public"."StatusDeteccao" NOT NULL,
+    "araraId" INTEGER,
+    "produtoId" INTEGER,
+    "varianteId" INTEGER,
+    "clienteId" INTEGER,
+    "confianca" DOUBLE PRECISION NOT NULL,
+    "candidatos" JSONB NOT NULL,
+    "motivo" TEXT,
+    "ocorrida_em" TIMESTAMP(3) NOT NULL,
+    "criada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revisada_em" TIMESTAMP(3),
+    "revisadaPorId" INTEGER,
+
+    CONSTRAINT "deteccoes_carrinho_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "eventos_sensores_araraId_tipo_ocorrido_em_idx" ON "public"."eventos_sensores"("araraId", "tipo", "ocorrido_em");
+
+-- CreateIndex
+CREATE INDEX "eventos_sensores_deteccaoId_idx" ON "public"."eventos_sensores"("deteccaoId");
+
+-- CreateIndex
+CREATE INDEX "deteccoes_carrinho_status_idx" ON "public"."deteccoes_carrinho"("status");
+
+-- CreateIndex
+CREATE INDEX "deteccoes_carrinho_araraId_acao_ocorrida_em_idx" ON "public"."deteccoes_carrinho"("araraId", "acao", "ocorrida_em");
+
+-- CreateIndex
+CREATE INDEX "deteccoes_carrinho_clienteId_idx" ON "public"."deteccoes_carrinho"("clienteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."eventos_sensores" ADD CONSTRAINT "eventos_sensores_araraId_fkey" FOREIGN KEY ("araraId") REFERENCES "public"."araras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."eventos_sensores" ADD CONSTRAINT "eventos_sensores_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."eventos_sensores" ADD CONSTRAINT "eventos_sensores_varianteId_fkey" FOREIGN KEY ("varianteId") REFERENCES "public"."variantes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."eventos_sensores" ADD CONSTRAINT "eventos_sensores_deteccaoId_fkey" FOREIGN KEY ("deteccaoId") REFERENCES "public"."deteccoes_carrinho"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deteccoes_carrinho" ADD CONSTRAINT "deteccoes_carrinho_araraId_fkey" FOREIGN KEY ("araraId") REFERENCES "public"."araras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deteccoes_carrinho" ADD CONSTRAINT "deteccoes_carrinho_produtoId_fkey" FOREIGN KEY ("produtoId") REFERENCES "public"."produtos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deteccoes_carrinho" ADD CONSTRAINT "deteccoes_carrinho_varianteId_fkey" FOREIGN KEY ("varianteId") REFERENCES "public"."variantes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deteccoes_carrinho" ADD CONSTRAINT "deteccoes_carrinho_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deteccoes_carrinho" ADD CONSTRAINT "deteccoes_carrinho_revisadaPorId_fkey" FOREIGN KEY ("revisadaPorId") REFERENCES "public"."funcionarios"("id") ON DELETE SET NULL ON UPDATE CASCADE;
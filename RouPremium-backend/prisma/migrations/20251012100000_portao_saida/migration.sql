@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."AcaoPortao" AS ENUM ('abrir', 'segurar', 'chamar_equipe');
+
+-- CreateTable
+CREATE TABLE "public"."decisoes_portao" (
+    "id" SERIAL NOT NULL,
+    "clienteId" INTEGER NOT NULL,
+    "visitaId" INTEGER,
+    "compraId" INTEGER,
+    "acao" "public"."AcaoPortao" NOT NULL,
+    "codigo" TEXT NOT NULL,
+    "motivo" TEXT NOT NULL,
+    "entradas" JSONB NOT NULL,
+    "funcionarioId" INTEGER,
+    "criada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "decisoes_portao_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "decisoes_portao_clienteId_idx" ON "public"."decisoes_portao"("clienteId");
+
+-- CreateIndex
+CREATE INDEX "decisoes_portao_visitaId_idx" ON "public"."decisoes_portao"("visitaId");
+
+-- AddForeignKey
+ALTER TABLE "public"."decisoes_portao" ADD CONSTRAINT "decisoes_portao_clienteId_fkey" FOREIGN KEY ("clienteId") REFERENCES "public"."clientes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."decisoes_portao" ADD CONSTRAINT "decisoes_portao_visitaId_fkey" FOREIGN KEY ("visitaId") REFERENCES "public"."visitas"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."decisoes_portao" ADD CONSTRAINT "decisoes_portao_compraId_fkey" FOREIGN KEY ("compraId") REFERENCES "public"."compras"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."decisoes_portao" ADD CONSTRAINT "decisoes_portao_funcionarioId_fkey" FOREIGN KEY ("funcionarioId") REFERENCES "public"."funcionarios"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."sessoes_funcionarios" ADD COLUMN     "sistema_loja" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusReembolso" AS ENUM ('pendente', 'concluido', 'recusado');
+
+-- AlterTable
+ALTER TABLE "public"."devolucoes" ADD COLUMN     "status_reembolso" "public"."StatusReembolso" NOT NULL DEFAULT 'concluido';
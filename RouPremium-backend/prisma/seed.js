@@ -1,6 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
+const { gerarHashSenha } = require('../src/services/autenticacao');
 const prisma = new PrismaClient();
 
+// Senha de todas as contas de teste (o e-mail é o nome em minúsculas, sem acento, @roupremium.com.br)
+const SENHA_TESTE = 'roupremium';
+
 async function main() {
   console.log('Iniciando o seeding...');
 
@@ -8,46 +12,206 @@ async function main() {
   const cliente1 = await prisma.cliente.create({
     data: {
       nome: 'Moisés',
-      metodoPagamento: 'credito_final_4242',
+      email: 'moises@roupremium.com.br',
+      senhaHash: await gerarHashSenha(SENHA_TESTE),
+      // Além do cartão padrão, um débito que o provedor simulado recusa por saldo e uma chave PIX
+      metodosPagamento: {
+        create: [
+          { tipo: 'credito', finalCartao: '4242', padrao: true },
+          { tipo: 'debito', finalCartao: '9995', apelido: 'Débito sem saldo' },
+          { tipo: 'pix', chavePix: 'moises@roupremium.com.br' },
+        ],
+      },
     },
   });
 
   const cliente2 = await prisma.cliente.create({
     data: {
       nome: 'Gabrielle',
-      metodoPagamento: 'credito_final_5151',
+      email: 'gabrielle@roupremium.com.br',
+      senhaHash: await gerarHashSenha(SENHA_TESTE),
+      metodosPagamento: { create: { tipo: 'credito', finalCartao: '5151', padrao: true } },
     },
   });
 
     const cliente3 = await prisma.cliente.create({
     data: {
       nome: 'Liliana',
-      metodoPagamento: 'credito_final_8987',
+      email: 'liliana@roupremium.com.br',
+      senhaHash: await gerarHashSenha(SENHA_TESTE),
+      metodosPagamento: { create: { tipo: 'credito', finalCartao: '8987', padrao: true } },
     },
   });
 
       const cliente4 = await prisma.cliente.create({
     data: {
       nome: 'Luis',
-      metodoPagamento: 'credito_final_3654',
+      email: 'luis@roupremium.com.br',
+      senhaHash: await gerarHashSenha(SENHA_TESTE),
+      metodosPagamento: { create: { tipo: 'credito', finalCartao: '3654', padrao: true } },
     },
   });
 
       const cliente5 = await prisma.cliente.create({
     data: {
       nome: 'Pedro',
-      metodoPagamento: 'credito_final_7435',
+      email: 'pedro@roupremium.com.br',
+      senhaHash: await gerarHashSenha(SENHA_TESTE),
+      metodosPagamento: { create: { tipo: 'credito', finalCartao: '7435', padrao: true } },
+    },
+  });
+
+  // Criar Produtos de teste, cada um com suas variantes de tamanho e cor
+  // (pesoGramas é o peso de uma peça, usado pela balança das prateleiras)
+  const produtos = [
+    {
+      nome: 'Camisa de Seda', sku: 'CAM-SEDA-001', categoria: 'Camisas', preco: 799.90, pesoGramas: 180,
+      variantes: [
+        { tamanho: 'P', cor: 'Branca', estoque: 3 },
+        { tamanho: 'M', cor: 'Branca', estoque: 4 },
+        { tamanho: 'M', cor: 'Preta', estoque: 3 },
+      ],
+    },
+    {
+      nome: 'Calça Jeans', sku: 'CAL-JEANS-001', categoria: 'Calças', preco: 499.90, pesoGramas: 650,
+      variantes: [
+        { tamanho: '40', cor: 'Azul', estoque: 5 },
+        { tamanho: '42', cor: 'Azul', estoque: 6 },
+        { tamanho: '44', cor: 'Preta', preco: 529.90, estoque: 4 },
+      ],
+    },
+    {
+      nome: 'Bermuda Cargo', sku: 'BER-CARGO-001', categoria: 'Bermudas', preco: 350.00, pesoGramas: 420,
+      variantes: [
+        { tamanho: 'M', cor: 'Cáqui', estoque: 6 },
+        { tamanho: 'G', cor: 'Verde', estoque: 6 },
+      ],
+    },
+    {
+      nome: 'Camisa Polo', sku: 'CAM-POLO-001', categoria: 'Camisas', preco: 299.50, pesoGramas: 230,
+      variantes: [
+        { tamanho: 'M', cor: 'Azul Marinho', estoque: 10 },
+        { tamanho: 'G', cor: 'Vermelha', estoque: 10 },
+      ],
     },
+    {
+      nome: 'Jaqueta de Couro', sku: 'JAQ-COURO-001', categoria: 'Jaquetas', preco: 1250.00, pesoGramas: 1800,
+      variantes: [
+        { tamanho: 'G', cor: 'Preta', estoque: 3 },
+      ],
+    },
+  ];
+
+  // Um a um para manter os ids na ordem da lista
+  for (const { variantes, ...produto } of produtos) {
+    await prisma.produto.create({
+      data: { ...produto, variantes: { create: variantes } },
+    });
+  }
+
+  // Planta da loja: a migração cria uma arara única; o seed monta uma arara por seção
+  await prisma.arara.deleteMany();
+  await prisma.zona.deleteMany();
+  await prisma.zona.createMany({
+    data: [
+      { nome: 'Entrada', tipo: 'entrada', x: 0, y: 0, largura: 12, altura: 25 },
+      { nome: 'Salão', tipo: 'vendas', x: 12, y: 0, largura: 76, altura: 100 },
+      { nome: 'Provadores', tipo: 'provador', x: 30, y: 85, largura: 40, altura: 15 },
+      { nome: 'Saída', tipo: 'saida', x: 88, y: 0, largura: 12, altura: 25 },
+    ],
+  });
+  const araras = [
+    { nome: 'Camisas', x: 20, y: 15, largura: 18, altura: 14, skus: ['CAM-SEDA-001', 'CAM-POLO-001'] },
+    { nome: 'Calças e Bermudas', x: 45, y: 45, largura: 18, altura: 14, skus: ['CAL-JEANS-001', 'BER-CARGO-001'] },
+    { nome: 'Jaquetas', x: 65, y: 15, largura: 16, altura: 14, skus: ['JAQ-COURO-001'] },
+  ];
+  for (const { skus, ...arara } of araras) {
+    await prisma.arara.create({
+      data: { ...arara, produtos: { connect: skus.map(sku => ({ sku })) } },
+    });
+  }
+
+  // Criar Promoções de teste
+  const daquiATrintaDias = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  await prisma.promocao.createMany({
+    data: [
+      { nome: 'Leve 3, pague 2 em Camisas', tipo: 'leve_pague', leveQuantidade: 3, pagueQuantidade: 2, categoria: 'Camisas' },
+      { nome: 'Jaqueta de Couro 10% off', tipo: 'percentual', valor: 10, produtoId: 5 },
+      { nome: 'Queima de Bermudas', tipo: 'valor_fixo', valor: 50, categoria: 'Bermudas', inicio: new Date(), fim: daquiATrintaDias },
+    ],
+  });
+
+  // Criar Cupons de teste
+  await prisma.cupom.createMany({
+    data: [
+      { codigo: 'BEMVINDO10', descricao: 'Primeira compra', tipo: 'percentual', valor: 10, limitePorCliente: 1 },
+      { codigo: 'ROU50', descricao: 'R$ 50 em compras acima de R$ 500', tipo: 'valor_fixo', valor: 50, valorMinimo: 500, limiteUsos: 100 },
+    ],
+  });
+
+  // Clientes frequentes já começam com pontos do programa de fidelidade
+  await prisma.movimentoPontos.createMany({
+    data: [
+      { clienteId: cliente1.id, tipo: 'credito', pontos: 2500, descricao: 'Saldo inicial' },
+      { clienteId: cliente5.id, tipo: 'credito', pontos: 1200, descricao: 'Saldo inicial' },
+    ],
+  });
+
+  // Equipe da loja, um funcionário de cada papel (mesma senha das contas de teste)
+  const senhaEquipe = await gerarHashSenha(SENHA_TESTE);
+  await prisma.funcionario.createMany({
+    data: [
+      { nome: 'Helena Gerente', email: 'gerente@roupremium.com.br', senhaHash: senhaEquipe, papel: 'gerente' },
+      { nome: 'Otávio Estoque', email: 'estoque@roupremium.com.br', senhaHash: senhaEquipe, papel: 'estoquista' },
+      { nome: 'Lúcia Caixa', email: 'caixa@roupremium.com.br', senhaHash: senhaEquipe, papel: 'caixa' },
+    ],
   });
 
-  // Criar Produtos de teste
-  await prisma.produto.createMany({
+  // Cenários do simulador (telaWeb). Clientes pelo e-mail e produtos pelo SKU, que não mudam de um seed para outro
+  const passosDoCarrinho = (cliente, skus) => [
+    { cliente, acao: 'entrar' },
+    ...skus.map(sku => ({ cliente, acao: 'pegar', sku })),
+    { cliente, acao: 'sair' },
+  ];
+  await prisma.cenario.createMany({
     data: [
-      { nome: 'Camisa de Seda', preco: 799.90 },
-      { nome: 'Calça Jeans', preco: 499.90 },
-      { nome: 'Bermuda Cargo', preco: 350.00 },
-      { nome: 'Camisa Polo', preco: 299.50 },
-      { nome: 'Jaqueta de Couro', preco: 1250.00 },
+      {
+        nome: 'Loja cheia',
+        descricao: 'Os cinco clientes entram, pegam os seus produtos e saem ao mesmo tempo.',
+        passos: [
+          ...passosDoCarrinho('moises@roupremium.com.br', ['CAL-JEANS-001', 'CAL-JEANS-001', 'JAQ-COURO-001']),
+          ...passosDoCarrinho('gabrielle@roupremium.com.br', ['BER-CARGO-001', 'JAQ-COURO-001']),
+          ...passosDoCarrinho('liliana@roupremium.com.br', ['CAM-SEDA-001', 'CAL-JEANS-001']),
+          ...passosDoCarrinho('luis@roupremium.com.br', ['CAL-JEANS-001', 'CAM-POLO-001']),
+          ...passosDoCarrinho('pedro@roupremium.com.br', ['CAM-SEDA-001', 'CAM-SEDA-001', 'BER-CARGO-001']),
+        ],
+      },
+      {
+        nome: 'Cliente indeciso',
+        descricao: 'Liliana pega uma jaqueta, pensa, devolve e sai com uma camisa polo pagando no PIX.',
+        passos: [
+          { cliente: 'liliana@roupremium.com.br', acao: 'entrar' },
+          { cliente: 'liliana@roupremium.com.br', acao: 'pegar', sku: 'JAQ-COURO-001' },
+          { cliente: 'liliana@roupremium.com.br', acao: 'esperar', segundos: 3 },
+          { cliente: 'liliana@roupremium.com.br', acao: 'devolver', sku: 'JAQ-COURO-001' },
+          { cliente: 'liliana@roupremium.com.br', acao: 'pegar', sku: 'CAM-POLO-001' },
+          { cliente: 'liliana@roupremium.com.br', acao: 'sair', formaPagamento: 'pix' },
+        ],
+      },
+      {
+        nome: 'Mesma arara, mesmo instante',
+        descricao: 'Moisés e Gabrielle pegam a jaqueta de couro ao mesmo tempo e saem juntos.',
+        passos: [
+          { cliente: 'moises@roupremium.com.br', acao: 'entrar' },
+          { cliente: 'gabrielle@roupremium.com.br', acao: 'entrar' },
+          { cliente: 'moises@roupremium.com.br', acao: 'pegar', sku: 'JAQ-COURO-001' },
+          { cliente: 'gabrielle@roupremium.com.br', acao: 'pegar', sku: 'JAQ-COURO-001' },
+          { cliente: 'moises@roupremium.com.br', acao: 'esperar', segundos: 2 },
+          { cliente: 'gabrielle@roupremium.com.br', acao: 'esperar', segundos: 2 },
+          { cliente: 'moises@roupremium.com.br', acao: 'sair' },
+          { cliente: 'gabrielle@roupremium.com.br', acao: 'sair' },
+        ],
+      },
     ],
   });
 
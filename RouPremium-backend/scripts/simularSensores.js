@@ -0,0 +1,194 @@
+// Gerador local de leituras de sensores, para testar a fusão e a fila de revisão sem balanças,
+// leitores RFID nem câmeras. Monta situações de compra na planta e nos produtos do banco e manda as
+// leituras para POST /api/sensores/eventos, como os sensores da loja fariam.
+//
+// Uso (com o servidor rodando): npm run sensores:simular [-- situação ...]
+// Sem situações, roda todas na ordem. API_URL e CHAVE_SISTEMA_LOJA (a mesma do servidor) vêm do ambiente.
+
+const API_URL = process.env.API_URL || 'http://localhost:3000/api';
+const CHAVE_SISTEMA_LOJA = process.env.CHAVE_SISTEMA_LOJA;
+
+// Maior que a janela das câmeras na fusão somada ao atraso das trilhas, para uma situação não
+// enxergar as trilhas da anterior
+const PAUSA_ENTRE_SITUACOES = 8000;
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function chamar(metodo, caminho, corpo) {
+    const resposta = await fetch(`${API_URL}${caminho}`, {
+        method: metodo,
+        headers: { 'Content-Type': 'application/json', 'X-Chave-Loja': CHAVE_SISTEMA_LOJA },
+        body: corpo === undefined ? undefined : JSON.stringify(corpo),
+    });
+    const dados = await resposta.json().catch(() => null);
+    if (!resposta.ok) {
+        const erro = new Error(dados?.error || `Erro ${resposta.status} em ${metodo} ${caminho}`);
+        erro.status = resposta.status;
+        throw erro;
+    }
+    return dados;
+}
+
+// Balança com um pequeno ruído, como a de verdade
+const variacaoDePeso = (produto, sinal) => sinal * Math.round(produto.pesoGramas * (0.97 + Math.random() * 0.06));
+
+// Leituras a partir de um instante base, com os deslocamentos em ms
+const aPartirDe = (base) => (deslocamento, leitura) => ({ ...leitura, ocorridoEm: new Date(base + deslocamento).toISOString() });
+
+// Põe dois compradores na loja (quem já está dentro continua) e escolhe uma arara com produto pesado e em estoque
+async function prepararLoja() {
+    const [planta, clientes, produtos] = await Promise.all([
+        chamar('GET', '/planta'),
+        chamar('GET', '/clientes'),
+        chamar('GET', '/produtos'),
+    ]);
+
+    const compradores = [];
+    for (const cliente of clientes) {
+        if (compradores.length === 2) break;
+        try {
+            await chamar('POST', '/simulacao/entrar', { clienteId: cliente.id });
+            compradores.push(cliente);
+        } catch (error) {
+            if (error.status === 409) {
+                compradores.push(cliente); // Já estava na loja
+            } else {
+                console.log(`  ${cliente.nome} não entrou: ${error.message}`);
+            }
+        }
+    }
+    if (compradores.length < 2) {
+        throw new Error('São necessários dois clientes que consigam entrar na loja.');
+    }
+
+    const comEstoque = (produto) => produto.araraId && produto.pesoGramas && produto.variantes.some(v => v.disponivel > 0);
+    const produto = produtos.find(p => comEstoque(p) && p.variantes.length > 1) ?? produtos.find(comEstoque);
+    if (!produto) {
+        throw new Error('Nenhum produto com arara, peso e estoque. Rode o seed ou cadastre o peso das peças.');
+    }
+    const arara = planta.araras.find(a => a.id === produto.araraId);
+    const variante = produto.variantes.find(v => v.disponivel > 0);
+
+    return { compradores, arara, produto, variante };
+}
+
+// Cada situação devolve a descrição e as leituras; `loja` vem de prepararLoja
+const SITUACOES = {
+    retirada: ({ compradores: [ana], arara, produto, variante }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${ana.nome} tira ${produto.nome} da arara ${arara.nome} (câmera, RFID e balança)`,
+            esperado: 'aplicada',
+            eventos: [
+                em(-1500, { tipo: 'camera', araraId: arara.id, clienteId: ana.id, confianca: 0.95 }),
+                em(0, { tipo: 'rfid', araraId: arara.id, varianteId: variante.id, presente: false }),
+                em(400, { tipo: 'peso', araraId: arara.id, variacaoGramas: variacaoDePeso(produto, -1) }),
+            ],
+        };
+    },
+    'camera-depois': ({ compradores: [ana], arara, produto, variante }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${produto.nome} sai da arara ${arara.nome} e a câmera só manda a trilha de ${ana.nome} depois`,
+            esperado: 'aplicada',
+            eventos: [
+                em(0, { tipo: 'rfid', araraId: arara.id, varianteId: variante.id, presente: false }),
+                em(300, { tipo: 'peso', araraId: arara.id, variacaoGramas: variacaoDePeso(produto, -1) }),
+                em(1200, { tipo: 'camera', araraId: arara.id, clienteId: ana.id, confianca: 0.95 }),
+            ],
+        };
+    },
+    devolucao: ({ compradores: [ana], arara, produto, variante }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${ana.nome} devolve ${produto.nome} à arara ${arara.nome}`,
+            esperado: 'aplicada',
+            eventos: [
+                em(-1000, { tipo: 'camera', araraId: arara.id, clienteId: ana.id, confianca: 0.95 }),
+                em(0, { tipo: 'peso', araraId: arara.id, variacaoGramas: variacaoDePeso(produto, 1) }),
+                em(300, { tipo: 'rfid', araraId: arara.id, varianteId: variante.id, presente: true }),
+            ],
+        };
+    },
+    disputa: ({ compradores: [ana, bia], arara, produto, variante }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${ana.nome} e ${bia.nome} na arara ${arara.nome} quando ${produto.nome} sai`,
+            esperado: 'em_revisao',
+            eventos: [
+                em(-1200, { tipo: 'camera', araraId: arara.id, clienteId: ana.id, confianca: 0.9 }),
+                em(-800, { tipo: 'camera', araraId: arara.id, clienteId: bia.id, confianca: 0.9 }),
+                em(0, { tipo: 'rfid', araraId: arara.id, varianteId: variante.id, presente: false }),
+                em(300, { tipo: 'peso', araraId: arara.id, variacaoGramas: variacaoDePeso(produto, -1) }),
+            ],
+        };
+    },
+    'sem-camera': ({ arara, variante, produto }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${produto.nome} sai da arara ${arara.nome} sem nenhuma câmera ver quem pegou`,
+            esperado: 'em_revisao',
+            eventos: [
+                em(0, { tipo: 'rfid', araraId: arara.id, varianteId: variante.id, presente: false }),
+            ],
+        };
+    },
+    'so-balanca': ({ compradores: [, bia], arara, produto }) => {
+        const em = aPartirDe(Date.now());
+        return {
+            descricao: `${bia.nome} tira ${produto.nome} de uma arara sem leitor RFID (só a balança)`,
+            esperado: produto.variantes.length > 1 ? 'em_revisao' : 'aplicada',
+            eventos: [
+                em(-1000, { tipo: 'camera', araraId: arara.id, clienteId: bia.id, confianca: 0.95 }),
+                em(0, { tipo: 'peso', araraId: arara.id, variacaoGramas: variacaoDePeso(produto, -1) }),
+            ],
+        };
+    },
+};
+
+function mostrarResultado({ resultados }, esperado) {
+    for (const { evento, deteccao } of resultados) {
+        if (!deteccao) continue;
+        const quem = deteccao.cliente ? deteccao.cliente.nome : 'ninguém';
+        const peca = deteccao.produto ? deteccao.produto.nome : 'peça desconhecida';
+        console.log(
+            `  ${evento.tipo.padEnd(4)} -> detecção ${deteccao.id}: ${deteccao.acao} ${peca} para ${quem}, `
+            + `confiança ${Math.round(deteccao.confianca * 100)}%, ${deteccao.status}`
+            + (deteccao.motivo ? ` (${deteccao.motivo})` : ''),
+        );
+    }
+    const final = resultados.filter(r => r.deteccao).at(-1)?.deteccao;
+    console.log(final?.status === esperado ? `  OK: ${esperado}` : `  ATENÇÃO: esperado ${esperado}, veio ${final?.status}`);
+}
+
+async function main() {
+    if (!CHAVE_SISTEMA_LOJA) {
+        console.error('Defina CHAVE_SISTEMA_LOJA com a chave do sistema da loja configurada no servidor.');
+        process.exit(1);
+    }
+    const pedidas = process.argv.slice(2);
+    const desconhecidas = pedidas.filter(nome => !SITUACOES[nome]);
+    if (desconhecidas.length > 0) {
+        console.error(`Situações desconhecidas: ${desconhecidas.join(', ')}. Use: ${Object.keys(SITUACOES).join(', ')}.`);
+        process.exit(1);
+    }
+
+    const loja = await prepararLoja();
+    const nomes = pedidas.length > 0 ? pedidas : Object.keys(SITUACOES);
+    for (const [indice, nome] of nomes.entries()) {
+        if (indice > 0) await esperar(PAUSA_ENTRE_SITUACOES);
+        const { descricao, esperado, eventos } = SITUACOES[nome](loja);
+        console.log(`\n[${nome}] ${descricao}`);
+        try {
+            mostrarResultado(await chamar('POST', '/sensores/eventos', { eventos }), esperado);
+        } catch (error) {
+            console.log(`  Erro: ${error.message}`);
+        }
+    }
+    console.log('\nDetecções em revisão: GET /api/sensores/revisao (gerente ou caixa).');
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
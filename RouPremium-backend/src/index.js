@@ -1,13 +1,34 @@
 const express = require('express');
 const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
+const { autenticar } = require('./middlewares/autenticacao');
+const { encerrarExecucoesInterrompidas } = require('./services/cenarios');
+const { chaveDoSistemaConfigurada } = require('./services/autenticacao');
+const { chaveDeAssinaturaConfigurada } = require('./services/assinaturas');
+
+// Sem a chave, qualquer um assinaria recibos que a loja aceitaria como autênticos
+if (!chaveDeAssinaturaConfigurada()) {
+  console.error('Defina RECIBO_CHAVE_ASSINATURA (veja .env.example) antes de subir o servidor.');
+  process.exit(1);
+}
 
 const prisma = new PrismaClient();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
+// O corpo bruto fica guardado para conferir assinaturas feitas sobre ele (webhook do PIX)
+app.use(express.json({
+  verify: (req, res, corpo) => {
+    req.corpoBruto = corpo;
+  },
+}));
+
+// Identifica o cliente ou funcionário logado (token) ou o sistema da loja (X-Chave-Loja) em toda a API
+app.use('/api', autenticar(prisma));
+if (!chaveDoSistemaConfigurada()) {
+  console.warn('CHAVE_SISTEMA_LOJA não configurada: as requisições com X-Chave-Loja (sensores e scripts) serão recusadas.');
+}
 
 // Rota de teste
 app.get('/', (req, res) => {
@@ -19,6 +40,20 @@ const clienteRoutes = require('./routes/cliente');
 const produtoRoutes = require('./routes/produto');
 const carrinhoRoutes = require('./routes/carrinho'); // Sugestão de nome
 const simulacaoRoutes = require('./routes/simulacao'); // Sugestão de nome
+const eventosRoutes = require('./routes/eventos');
+const estoqueRoutes = require('./routes/estoque');
+const pixRoutes = require('./routes/pix');
+const parcelamentoRoutes = require('./routes/parcelamento');
+const compraRoutes = require('./routes/compra');
+const promocaoRoutes = require('./routes/promocao');
+const cupomRoutes = require('./routes/cupom');
+const autenticacaoRoutes = require('./routes/autenticacao');
+const equipeRoutes = require('./routes/equipe');
+const auditoriaRoutes = require('./routes/auditoria');
+const cenarioRoutes = require('./routes/cenario');
+const plantaRoutes = require('./routes/planta');
+const sensoresRoutes = require('./routes/sensores');
+const portaoRoutes = require('./routes/portao');
 
 // Registrando as rotas
 // A API inteira responderá sob o prefixo /api
@@ -26,8 +61,27 @@ app.use('/api', clienteRoutes);
 app.use('/api', produtoRoutes);
 app.use('/api', carrinhoRoutes);
 app.use('/api', simulacaoRoutes);
+app.use('/api', eventosRoutes);
+app.use('/api', estoqueRoutes);
+app.use('/api', pixRoutes);
+app.use('/api', parcelamentoRoutes);
+app.use('/api', compraRoutes);
+app.use('/api', promocaoRoutes);
+app.use('/api', cupomRoutes);
+app.use('/api', autenticacaoRoutes);
+app.use('/api', equipeRoutes);
+app.use('/api', auditoriaRoutes);
+app.use('/api', cenarioRoutes);
+app.use('/api', plantaRoutes);
+app.use('/api', sensoresRoutes);
+app.use('/api', portaoRoutes);
 
 
+// Cenários do simulador que o servidor deixou pela metade ao parar não ficam presos como em andamento
+encerrarExecucoesInterrompidas(prisma).catch((error) => {
+  console.error('Erro ao encerrar execuções de cenários interrompidas:', error);
+});
+
 app.listen(PORT, () => {
   console.log(`Servidor rodando na porta ${PORT}`);
 });
\ No newline at end of file
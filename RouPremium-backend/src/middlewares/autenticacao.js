@@ -0,0 +1,110 @@
+const {
+    buscarClienteDaSessao,
+    ehTokenDaEquipe,
+    buscarSessaoFuncionario,
+    chaveDoSistemaValida,
+} = require('../services/autenticacao');
+
+// Token da requisição, só pelo cabeçalho "Authorization: Bearer <token>": na URL ele ficaria em logs e no histórico.
+// O stream de eventos usa um token próprio, de uso único (ver routes/eventos.js).
+function lerToken(req) {
+    const [tipo, token] = (req.get('Authorization') || '').split(' ');
+    return tipo === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Identifica quem faz a requisição, sem bloquear nada: preenche `req.cliente` (cliente logado),
+ * `req.funcionario` (equipe da loja) ou `req.sistemaLoja` (sensores, com a chave X-Chave-Loja, ou o
+ * simulador, com a sessão curta de um gerente aberta em POST /api/equipe/login-sistema).
+ * Quem exige login são as rotas, com exigirAcessoAoCliente e exigirPapel.
+ */
+const autenticar = (prisma) => async (req, res, next) => {
+    req.cliente = null;
+    req.funcionario = null;
+    req.sistemaLoja = chaveDoSistemaValida(req.get('X-Chave-Loja'));
+
+    const token = lerToken(req);
+    if (token) {
+        try {
+            if (ehTokenDaEquipe(token)) {
+                const sessao = await buscarSessaoFuncionario(prisma, token);
+                req.funcionario = sessao?.funcionario ?? null;
+                req.sistemaLoja = req.sistemaLoja || Boolean(sessao?.sistemaLoja);
+            } else {
+                req.cliente = await buscarClienteDaSessao(prisma, token);
+            }
+        } catch (error) {
+            return res.status(500).json({ error: 'Erro ao validar a sessão.' });
+        }
+    }
+    next();
+};
+
+// O sistema da loja age por qualquer cliente; um cliente logado, só por ele mesmo
+const podeAcessarCliente = (req, clienteId) => req.sistemaLoja || (req.cliente !== null && req.cliente.id === clienteId);
+
+// Responde 401/403 se a requisição não pode agir pelo cliente. Retorna true se já respondeu.
+function negarAcesso(req, res, clienteId) {
+    if (!req.sistemaLoja && !req.cliente) {
+        res.status(401).json({ error: 'Faça login para continuar.', codigo: 'NAO_AUTENTICADO' });
+        return true;
+    }
+    if (!podeAcessarCliente(req, clienteId)) {
+        res.status(403).json({ error: 'Você não tem acesso aos dados deste cliente.', codigo: 'ACESSO_NEGADO' });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Middleware das rotas de um cliente (carrinho, visita, compras): só passa o próprio cliente
+ * logado ou o sistema da loja. `obterClienteId(req)` diz de qual cliente é a requisição; o id,
+ * já convertido e validado, fica em `req.clienteId` (id que não é inteiro positivo: 400).
+ */
+const exigirAcessoAoCliente = (obterClienteId) => (req, res, next) => {
+    const clienteId = Number(obterClienteId(req));
+    if (negarAcesso(req, res, clienteId)) {
+        return;
+    }
+    if (!Number.isInteger(clienteId) || clienteId <= 0) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+    req.clienteId = clienteId;
+    next();
+};
+
+// Middleware das rotas só do sistema da loja (ex.: listar todos os clientes)
+function exigirSistemaLoja(req, res, next) {
+    if (!req.sistemaLoja) {
+        return res.status(403).json({ error: 'Acesso restrito ao sistema da loja.', codigo: 'ACESSO_NEGADO' });
+    }
+    next();
+}
+
+/**
+ * Middleware das rotas administrativas: só passa funcionário logado com um dos papéis informados.
+ * Ex.: router.post('/estoque/...', exigirPapel('gerente', 'estoquista'), ...)
+ */
+const exigirPapel = (...papeis) => (req, res, next) => {
+    if (!req.funcionario) {
+        return res.status(401).json({ error: 'Entre com uma conta da equipe para continuar.', codigo: 'NAO_AUTENTICADO' });
+    }
+    if (!papeis.includes(req.funcionario.papel)) {
+        return res.status(403).json({
+            error: 'Seu papel na equipe não permite esta ação.',
+            codigo: 'PAPEL_NAO_AUTORIZADO',
+            papeisPermitidos: papeis,
+        });
+    }
+    next();
+};
+
+module.exports = {
+    lerToken,
+    autenticar,
+    podeAcessarCliente,
+    negarAcesso,
+    exigirAcessoAoCliente,
+    exigirSistemaLoja,
+    exigirPapel,
+};
@@ -0,0 +1,57 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { exigirPapel } = require('../middlewares/autenticacao');
+const { lerData } = require('../utils/datas');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const POR_PAGINA_PADRAO = 20;
+const POR_PAGINA_MAXIMO = 100;
+
+// Id opcional vindo da query: undefined se ausente, NaN se inválido
+const lerId = (texto) => (texto === undefined ? undefined : parseInt(texto));
+
+// GET /api/auditoria - Ações privilegiadas da equipe, das mais recentes para as mais antigas
+// Filtros: ?funcionarioId=2&acao=produto.preco_alterado&entidade=produto&entidadeId=5&de=2025-09-01&ate=2025-09-30&pagina=1
+router.get('/auditoria', exigirPapel('gerente'), async (req, res) => {
+    const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+    const porPagina = Math.min(Math.max(parseInt(req.query.porPagina) || POR_PAGINA_PADRAO, 1), POR_PAGINA_MAXIMO);
+    const funcionarioId = lerId(req.query.funcionarioId);
+    const entidadeId = lerId(req.query.entidadeId);
+    const de = lerData(req.query.de);
+    const ate = lerData(req.query.ate, true);
+
+    if (Number.isNaN(funcionarioId) || Number.isNaN(entidadeId)) {
+        return res.status(400).json({ error: 'Funcionário ou registro inválido.' });
+    }
+    if (de === null || ate === null) {
+        return res.status(400).json({ error: 'Datas devem estar no formato AAAA-MM-DD.' });
+    }
+
+    const where = {
+        funcionarioId,
+        acao: req.query.acao || undefined,
+        entidade: req.query.entidade || undefined,
+        entidadeId,
+        data: { gte: de, lte: ate },
+    };
+
+    try {
+        const [registros, total] = await prisma.$transaction([
+            prisma.registroAuditoria.findMany({
+                where,
+                include: { funcionario: { select: { id: true, nome: true, papel: true } } },
+                orderBy: { data: 'desc' },
+                skip: (pagina - 1) * porPagina,
+                take: porPagina,
+            }),
+            prisma.registroAuditoria.count({ where }),
+        ]);
+        res.json({ registros, pagina, porPagina, total, totalPaginas: Math.ceil(total / porPagina) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a auditoria.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { criarSessao, encerrarSessao, autenticarCliente } = require('../services/autenticacao');
+const { lerToken } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// POST /api/auth/login - Entrar com e-mail e senha (a conta é criada em POST /api/clientes)
+// Corpo: { email, senha }. Retorna { token, expiraEm, cliente }; o token vai no cabeçalho Authorization: Bearer
+router.post('/auth/login', async (req, res) => {
+    try {
+        const cliente = await autenticarCliente(prisma, req.body ?? {});
+        const sessao = await criarSessao(prisma, cliente.id);
+        res.json({ ...sessao, cliente });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao entrar.');
+    }
+});
+
+// POST /api/auth/logout - Encerrar a sessão do token enviado
+router.post('/auth/logout', async (req, res) => {
+    const token = lerToken(req);
+    try {
+        if (token) {
+            await encerrarSessao(prisma, token);
+        }
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao sair.' });
+    }
+});
+
+// GET /api/auth/eu - Cliente da sessão atual
+router.get('/auth/eu', (req, res) => {
+    if (!req.cliente) {
+        return res.status(401).json({ error: 'Faça login para continuar.', codigo: 'NAO_AUTENTICADO' });
+    }
+    res.json(req.cliente);
+});
+
+module.exports = router;
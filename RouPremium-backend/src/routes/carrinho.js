@@ -1,72 +1,169 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { publicarEvento } = require('../services/eventos');
+const { buscarVisitaAberta, exigirCarrinhoEditavel } = require('../services/visitas');
+const { liberarReserva } = require('../services/estoque');
+const { incluirItem, comPreco, adicionarAoCarrinho, devolverItem, removerDoCarrinho } = require('../services/carrinho');
+const { calcularResumoDaVisita, aplicarCupomNaVisita, removerCupomDaVisita } = require('../services/cupons');
+const { exigirAcessoAoCliente } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Só o próprio cliente (ou o sistema da loja) mexe no carrinho dele; o id validado vem em req.clienteId
+const exigirClienteDoCorpo = exigirAcessoAoCliente(req => req.body?.clienteId);
+const exigirClienteDaRota = exigirAcessoAoCliente(req => req.params.clienteId);
+
 // POST /api/carrinho/adicionar - Adicionar um item ao carrinho
-router.post('/carrinho/adicionar', async (req, res) => {
-    const { clienteId, produtoId } = req.body;
+// Corpo: { clienteId, varianteId } (ou { clienteId, produtoId } para produtos de variante única)
+router.post('/carrinho/adicionar', exigirClienteDoCorpo, async (req, res) => {
+    const { clienteId } = req;
 
     try {
-        // Verifica se o item já existe no carrinho para esse cliente
-        const itemExistente = await prisma.carrinhoItem.findUnique({
-            where: {
-                clienteId_produtoId: {
-                    clienteId: clienteId,
-                    produtoId: produtoId,
-                },
-            },
-        });
+        const itemAtualizado = await adicionarAoCarrinho(prisma, clienteId, req.body);
+
+        // Avisa o app do cliente que o carrinho mudou
+        publicarEvento(clienteId, 'item-adicionado', itemAtualizado);
 
-        let itemAtualizado;
-        if (itemExistente) {
-            // Se existe, incrementa a quantidade
-            itemAtualizado = await prisma.carrinhoItem.update({
-                where: {
-                    clienteId_produtoId: {
-                        clienteId: clienteId,
-                        produtoId: produtoId,
-                    },
-                },
-                data: {
-                    quantidade: itemExistente.quantidade + 1,
-                },
-            });
-        } else {
-            // Se não existe, cria o item com quantidade 1
-            itemAtualizado = await prisma.carrinhoItem.create({
-                data: {
-                    clienteId: clienteId,
-                    produtoId: produtoId,
-                    quantidade: 1,
-                },
-            });
-        }
         res.status(201).json(itemAtualizado);
     } catch (error) {
+        if (error instanceof ErroNegocio) {
+            return res.status(error.status).json({ error: error.message, ...error.detalhes });
+        }
         res.status(500).json({ error: 'Erro ao adicionar item ao carrinho.' });
     }
 });
 
+// Resposta padrão de erro das rotas de devolução
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// POST /api/carrinho/remover - Devolver uma unidade de uma variante à arara
+// Corpo: { clienteId, varianteId }
+router.post('/carrinho/remover', exigirClienteDoCorpo, async (req, res) => {
+    const { clienteId } = req;
+    const { varianteId } = req.body;
+
+    try {
+        const item = await removerDoCarrinho(prisma, clienteId, varianteId);
+
+        publicarEvento(clienteId, 'item-removido', item);
+
+        res.json(item);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover item do carrinho.');
+    }
+});
+
+// POST /api/carrinho/:clienteId/cupom - Aplicar um cupom ao carrinho aberto
+// Corpo: { codigo }. Erros trazem `codigo` (CUPOM_NAO_ENCONTRADO, CUPOM_EXPIRADO, CUPOM_VALOR_MINIMO...)
+router.post('/carrinho/:clienteId/cupom', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
+    const { codigo } = req.body;
+    if (!codigo) {
+        return res.status(400).json({ error: 'Informe o código do cupom.' });
+    }
+
+    try {
+        res.json(await aplicarCupomNaVisita(prisma, clienteId, codigo));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao aplicar o cupom.');
+    }
+});
+
+// DELETE /api/carrinho/:clienteId/cupom - Tirar o cupom do carrinho (antes da rota de variante, que casaria com 'cupom')
+router.delete('/carrinho/:clienteId/cupom', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
+
+    try {
+        await removerCupomDaVisita(prisma, clienteId);
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover o cupom.');
+    }
+});
+
+// DELETE /api/carrinho/:clienteId/:varianteId - Devolver todas as unidades de uma variante
+router.delete('/carrinho/:clienteId/:varianteId', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
+    const varianteId = parseInt(req.params.varianteId);
+
+    try {
+        const item = await prisma.$transaction(async (tx) => {
+            await exigirCarrinhoEditavel(tx, clienteId);
+            return devolverItem(tx, clienteId, varianteId);
+        });
+
+        publicarEvento(clienteId, 'item-removido', item);
+
+        res.json(item);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover produto do carrinho.');
+    }
+});
+
+// DELETE /api/carrinho/:clienteId - Esvaziar o carrinho, devolvendo tudo à arara
+router.delete('/carrinho/:clienteId', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
+
+    try {
+        const itensDevolvidos = await prisma.$transaction(async (tx) => {
+            await exigirCarrinhoEditavel(tx, clienteId);
+
+            const itens = await tx.carrinhoItem.findMany({ where: { clienteId: clienteId } });
+            for (const item of itens) {
+                await liberarReserva(tx, item.varianteId, item.quantidade);
+            }
+            await tx.carrinhoItem.deleteMany({ where: { clienteId: clienteId } });
+
+            return itens;
+        });
+
+        publicarEvento(clienteId, 'carrinho-limpo', { clienteId });
+
+        res.json({ status: 'sucesso', itensDevolvidos });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao limpar o carrinho.');
+    }
+});
+
 // GET /api/carrinho/:clienteId - Consultar o carrinho de um cliente
-router.get('/carrinho/:clienteId', async (req, res) => {
-    const { clienteId } = req.params;
+router.get('/carrinho/:clienteId', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
 
     try {
         const carrinho = await prisma.carrinhoItem.findMany({
             where: {
-                clienteId: parseInt(clienteId),
-            },
-            // Inclui os dados do produto junto com o item do carrinho
-            include: {
-                produto: true,
+                clienteId: clienteId,
             },
+            // Inclui os dados do produto e da variante junto com o item do carrinho
+            include: incluirItem,
         });
-        res.json(carrinho);
+        res.json(carrinho.map(comPreco));
     } catch (error) {
         res.status(500).json({ error: 'Erro ao buscar o carrinho.' });
     }
 });
 
+// GET /api/carrinho/:clienteId/resumo - Prévia do checkout com as promoções vigentes e o cupom aplicado
+router.get('/carrinho/:clienteId/resumo', exigirClienteDaRota, async (req, res) => {
+    const { clienteId } = req;
+
+    try {
+        const visita = await buscarVisitaAberta(prisma, clienteId);
+        const itensCarrinho = await prisma.carrinhoItem.findMany({
+            where: { clienteId: clienteId },
+            include: incluirItem,
+        });
+        res.json(await calcularResumoDaVisita(prisma, visita, itensCarrinho));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao calcular o resumo do carrinho.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
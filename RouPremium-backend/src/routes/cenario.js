@@ -0,0 +1,149 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+    validarDadosCenario,
+    resolverReferencias,
+    incluirPassos,
+    iniciarExecucao,
+} = require('../services/cenarios');
+const { exigirSistemaLoja } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Cenários são coisa do simulador: todas as rotas são só do sistema da loja (X-Chave-Loja)
+
+// Execuções listadas por cenário
+const LIMITE_EXECUCOES = 20;
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ error: 'Já existe um cenário com este nome.', campos: { nome: 'Nome em uso.' } });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+function lerId(valor) {
+    const id = parseInt(valor);
+    return Number.isNaN(id) ? null : id;
+}
+
+async function exigirCenario(id) {
+    const cenario = id === null ? null : await prisma.cenario.findUnique({ where: { id } });
+    if (!cenario) {
+        throw new ErroNegocio('Cenário não encontrado.', 404);
+    }
+    return cenario;
+}
+
+// GET /api/cenarios - Listar os cenários do simulador
+router.get('/cenarios', exigirSistemaLoja, async (req, res) => {
+    try {
+        const cenarios = await prisma.cenario.findMany({ orderBy: { nome: 'asc' } });
+        res.json(cenarios);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar cenários.' });
+    }
+});
+
+// GET /api/cenarios/:id - Detalhar um cenário
+router.get('/cenarios/:id', exigirSistemaLoja, async (req, res) => {
+    try {
+        res.json(await exigirCenario(lerId(req.params.id)));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao buscar o cenário.');
+    }
+});
+
+// POST /api/cenarios - Cadastrar um cenário
+// Corpo: { nome, descricao?, passos: [{ cliente: e-mail, acao, sku?, tamanho?, cor?, segundos?, formaPagamento? }] }
+// (formato dos passos em services/cenarios)
+router.post('/cenarios', exigirSistemaLoja, async (req, res) => {
+    try {
+        const dados = validarDadosCenario(req.body);
+        await resolverReferencias(prisma, dados.passos);
+        const cenario = await prisma.cenario.create({ data: dados });
+        res.status(201).json(cenario);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar o cenário.');
+    }
+});
+
+// PATCH /api/cenarios/:id - Alterar nome, descrição ou passos (execuções já feitas não mudam)
+router.patch('/cenarios/:id', exigirSistemaLoja, async (req, res) => {
+    try {
+        const cenario = await exigirCenario(lerId(req.params.id));
+        const dados = validarDadosCenario(req.body, { parcial: true });
+        if (dados.passos) {
+            await resolverReferencias(prisma, dados.passos);
+        }
+        res.json(await prisma.cenario.update({ where: { id: cenario.id }, data: dados }));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o cenário.');
+    }
+});
+
+// DELETE /api/cenarios/:id - Remover um cenário e o histórico das suas execuções
+router.delete('/cenarios/:id', exigirSistemaLoja, async (req, res) => {
+    try {
+        const cenario = await exigirCenario(lerId(req.params.id));
+        const emAndamento = await prisma.execucaoCenario.count({ where: { cenarioId: cenario.id, status: 'em_andamento' } });
+        if (emAndamento > 0) {
+            return res.status(409).json({ error: 'O cenário está em execução. Aguarde terminar para remover.' });
+        }
+        await prisma.cenario.delete({ where: { id: cenario.id } });
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover o cenário.');
+    }
+});
+
+// POST /api/cenarios/:id/execucoes - Executar o cenário no servidor
+// Responde 202 logo, com os passos pendentes; o andamento vem de GET /api/cenarios/:id/execucoes/:execucaoId
+router.post('/cenarios/:id/execucoes', exigirSistemaLoja, async (req, res) => {
+    try {
+        const cenario = await exigirCenario(lerId(req.params.id));
+        res.status(202).json(await iniciarExecucao(prisma, cenario.id));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao executar o cenário.');
+    }
+});
+
+// GET /api/cenarios/:id/execucoes - Últimas execuções do cenário, sem os passos
+router.get('/cenarios/:id/execucoes', exigirSistemaLoja, async (req, res) => {
+    try {
+        const cenario = await exigirCenario(lerId(req.params.id));
+        const execucoes = await prisma.execucaoCenario.findMany({
+            where: { cenarioId: cenario.id },
+            orderBy: { iniciadaEm: 'desc' },
+            take: LIMITE_EXECUCOES,
+        });
+        res.json(execucoes);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao buscar as execuções do cenário.');
+    }
+});
+
+// GET /api/cenarios/:id/execucoes/:execucaoId - Andamento de uma execução, passo a passo
+router.get('/cenarios/:id/execucoes/:execucaoId', exigirSistemaLoja, async (req, res) => {
+    const cenarioId = lerId(req.params.id);
+    const execucaoId = lerId(req.params.execucaoId);
+
+    try {
+        const execucao = cenarioId === null || execucaoId === null
+            ? null
+            : await prisma.execucaoCenario.findFirst({ where: { id: execucaoId, cenarioId }, include: incluirPassos });
+        if (!execucao) {
+            return res.status(404).json({ error: 'Execução não encontrada.' });
+        }
+        res.json(execucao);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a execução.' });
+    }
+});
+
+module.exports = router;
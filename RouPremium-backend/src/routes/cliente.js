@@ -1,17 +1,298 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { REGRAS_PONTOS, saldoDePontos, calcularResgateMaximo } = require('../services/pontos');
+const {
+    validarDadosConta,
+    gerarHashSenha,
+    conferirSenha,
+    criarSessao,
+    encerrarOutrasSessoes,
+} = require('../services/autenticacao');
+const {
+    apresentarMetodoPagamento,
+    validarDadosMetodoPagamento,
+    validarEdicaoMetodoPagamento,
+    listarMetodosPagamento,
+    cadastrarMetodoPagamento,
+    atualizarMetodoPagamento,
+    removerMetodoPagamento,
+} = require('../services/metodosPagamento');
+const { exportarDadosCliente, anonimizarCliente } = require('../services/dadosPessoais');
+const { exigirAcessoAoCliente, exigirSistemaLoja, exigirPapel, lerToken } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// GET /api/clientes - Listar todos os clientes
-router.get('/clientes', async (req, res) => {
+const semSenha = { senhaHash: true };
+const doClienteDaRota = exigirAcessoAoCliente(req => req.params.id);
+
+const EMAIL_EM_USO = 'Já existe uma conta com este e-mail.';
+
+// Dados pessoais: o próprio cliente (portabilidade) ou o gerente que atende o pedido do titular.
+// O sistema da loja age pelos clientes, mas não exporta os dados deles.
+function exigirTitularOuGerente(req, res, next) {
+    if (req.funcionario?.papel === 'gerente' || (req.cliente && req.cliente.id === parseInt(req.params.id))) {
+        return next();
+    }
+    if (!req.cliente && !req.funcionario) {
+        return res.status(401).json({ error: 'Faça login para continuar.', codigo: 'NAO_AUTENTICADO' });
+    }
+    res.status(403).json({ error: 'Você não tem acesso aos dados deste cliente.', codigo: 'ACESSO_NEGADO' });
+}
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    // Dois cadastros simultâneos com o mesmo e-mail
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ error: EMAIL_EM_USO, campos: { email: EMAIL_EM_USO } });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// Id do cliente da rota, ou null depois de responder 400
+function lerClienteId(req, res) {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        res.status(400).json({ error: 'Cliente inválido.' });
+        return null;
+    }
+    return id;
+}
+
+async function exigirEmailLivre(email, clienteId) {
+    const existente = await prisma.cliente.findUnique({ where: { email: email } });
+    if (existente && existente.id !== clienteId) {
+        throw new ErroNegocio(EMAIL_EM_USO, 409, { campos: { email: EMAIL_EM_USO } });
+    }
+}
+
+async function perfilDoCliente(clienteId) {
+    const cliente = await prisma.cliente.findUnique({ where: { id: clienteId }, omit: semSenha });
+    if (!cliente) {
+        throw new ErroNegocio('Cliente não encontrado.', 404);
+    }
+    const metodos = await listarMetodosPagamento(prisma, clienteId);
+    return { ...cliente, metodosPagamento: metodos.map(apresentarMetodoPagamento) };
+}
+
+// GET /api/clientes - Listar todos os clientes (só para o sistema da loja, ex.: o simulador)
+router.get('/clientes', exigirSistemaLoja, async (req, res) => {
     try {
-        const clientes = await prisma.cliente.findMany();
+        const clientes = await prisma.cliente.findMany({ where: { anonimizadoEm: null }, omit: semSenha });
         res.json(clientes);
     } catch (error) {
         res.status(500).json({ error: 'Erro ao buscar clientes.' });
     }
 });
 
+// POST /api/clientes - Criar a conta do cliente e já entrar
+// Corpo: { nome, email, senha, metodoPagamento?: { tipo, finalCartao | chavePix, apelido? } }
+// O método de pagamento enviado vira o padrão. Retorna { token, expiraEm, cliente }.
+router.post('/clientes', async (req, res) => {
+    try {
+        const corpo = req.body ?? {};
+        const { senha, ...dados } = validarDadosConta(corpo);
+        const metodo = corpo.metodoPagamento !== undefined
+            ? validarDadosMetodoPagamento(corpo.metodoPagamento)
+            : null;
+        await exigirEmailLivre(dados.email);
+
+        const { id } = await prisma.cliente.create({
+            data: {
+                ...dados,
+                senhaHash: await gerarHashSenha(senha),
+                metodosPagamento: metodo ? { create: { ...metodo, padrao: true } } : undefined,
+            },
+        });
+        const sessao = await criarSessao(prisma, id);
+
+        res.status(201).json({ ...sessao, cliente: await perfilDoCliente(id) });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao criar a conta.');
+    }
+});
+
+// GET /api/clientes/:id - Perfil do cliente com os meios de pagamento salvos
+router.get('/clientes/:id', doClienteDaRota, async (req, res) => {
+    const id = lerClienteId(req, res);
+    if (id === null) return;
+
+    try {
+        res.json(await perfilDoCliente(id));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao buscar o cliente.');
+    }
+});
+
+// PATCH /api/clientes/:id - Editar o perfil (só os campos enviados)
+// Corpo: { nome?, email?, senha?, senhaAtual? } - e-mail e senha só mudam com a senha atual
+router.patch('/clientes/:id', doClienteDaRota, async (req, res) => {
+    const id = lerClienteId(req, res);
+    if (id === null) return;
+
+    try {
+        const { senha, ...dados } = validarDadosConta(req.body, { parcial: true });
+        if (Object.keys(dados).length === 0 && senha === undefined) {
+            throw new ErroNegocio('Informe ao menos um campo para alterar.', 400);
+        }
+
+        const cliente = await prisma.cliente.findUnique({ where: { id } });
+        if (!cliente) {
+            throw new ErroNegocio('Cliente não encontrado.', 404);
+        }
+        if (dados.email !== undefined || senha !== undefined) {
+            if (!cliente.senhaHash || !(await conferirSenha(req.body.senhaAtual, cliente.senhaHash))) {
+                throw new ErroNegocio('Senha atual incorreta.', 403, { campos: { senhaAtual: 'Senha atual incorreta.' } });
+            }
+        }
+        if (dados.email !== undefined) {
+            await exigirEmailLivre(dados.email, id);
+        }
+
+        await prisma.cliente.update({
+            where: { id },
+            data: { ...dados, senhaHash: senha !== undefined ? await gerarHashSenha(senha) : undefined },
+        });
+        if (senha !== undefined) {
+            await encerrarOutrasSessoes(prisma, id, lerToken(req));
+        }
+
+        res.json(await perfilDoCliente(id));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o perfil.');
+    }
+});
+
+// GET /api/clientes/:id/metodos-pagamento - Cartões e chaves PIX salvos (o padrão primeiro)
+router.get('/clientes/:id/metodos-pagamento', doClienteDaRota, async (req, res) => {
+    const clienteId = lerClienteId(req, res);
+    if (clienteId === null) return;
+
+    try {
+        const metodos = await listarMetodosPagamento(prisma, clienteId);
+        res.json(metodos.map(apresentarMetodoPagamento));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar os meios de pagamento.' });
+    }
+});
+
+// POST /api/clientes/:id/metodos-pagamento - Salvar um cartão ou chave PIX
+// Corpo: { tipo: 'credito' | 'debito', finalCartao } ou { tipo: 'pix', chavePix }, com apelido? e padrao?
+router.post('/clientes/:id/metodos-pagamento', doClienteDaRota, async (req, res) => {
+    const clienteId = lerClienteId(req, res);
+    if (clienteId === null) return;
+
+    try {
+        const dados = validarDadosMetodoPagamento(req.body);
+        const metodo = await cadastrarMetodoPagamento(prisma, clienteId, dados);
+        res.status(201).json(apresentarMetodoPagamento(metodo));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao salvar o meio de pagamento.');
+    }
+});
+
+// PATCH /api/clientes/:id/metodos-pagamento/:metodoId - Renomear ou tornar padrão ({ apelido?, padrao: true })
+router.patch('/clientes/:id/metodos-pagamento/:metodoId', doClienteDaRota, async (req, res) => {
+    const clienteId = lerClienteId(req, res);
+    if (clienteId === null) return;
+
+    try {
+        const dados = validarEdicaoMetodoPagamento(req.body);
+        const metodo = await atualizarMetodoPagamento(prisma, clienteId, parseInt(req.params.metodoId), dados);
+        res.json(apresentarMetodoPagamento(metodo));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o meio de pagamento.');
+    }
+});
+
+// DELETE /api/clientes/:id/metodos-pagamento/:metodoId - Remover um cartão ou chave PIX
+router.delete('/clientes/:id/metodos-pagamento/:metodoId', doClienteDaRota, async (req, res) => {
+    const clienteId = lerClienteId(req, res);
+    if (clienteId === null) return;
+
+    try {
+        await removerMetodoPagamento(prisma, clienteId, parseInt(req.params.metodoId));
+        res.status(204).end();
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover o meio de pagamento.');
+    }
+});
+
+// GET /api/clientes/:id/dados-pessoais - Exportação (LGPD) de tudo o que a loja guarda sobre o cliente, em JSON
+router.get('/clientes/:id/dados-pessoais', exigirTitularOuGerente, async (req, res) => {
+    const id = lerClienteId(req, res);
+    if (id === null) return;
+
+    try {
+        const dados = await exportarDadosCliente(prisma, id);
+        res.attachment(`roupremium-dados-cliente-${id}.json`);
+        res.json(dados);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao exportar os dados do cliente.');
+    }
+});
+
+// POST /api/clientes/:id/anonimizar - Eliminação (LGPD): apaga os dados pessoais e mantém as compras
+// Corpo: { motivo? } (ex.: número do protocolo do pedido do titular)
+router.post('/clientes/:id/anonimizar', exigirPapel('gerente'), async (req, res) => {
+    const id = lerClienteId(req, res);
+    if (id === null) return;
+    const { motivo } = req.body ?? {};
+    if (motivo !== undefined && typeof motivo !== 'string') {
+        return res.status(400).json({ error: 'Motivo inválido.' });
+    }
+
+    try {
+        const cliente = await anonimizarCliente(prisma, id, { funcionario: req.funcionario, motivo: motivo?.trim() || undefined });
+        res.json({ status: 'sucesso', cliente });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao eliminar os dados do cliente.');
+    }
+});
+
+// GET /api/clientes/:id/pontos - Saldo e últimos movimentos do programa de pontos
+// Com ?valorCompra=350.00, informa também quantos pontos podem ser usados numa compra desse valor
+router.get('/clientes/:id/pontos', doClienteDaRota, async (req, res) => {
+    const clienteId = parseInt(req.params.id);
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+
+    let valorCompra;
+    try {
+        valorCompra = req.query.valorCompra !== undefined ? new Prisma.Decimal(req.query.valorCompra) : undefined;
+    } catch {
+        return res.status(400).json({ error: 'Valor da compra inválido.' });
+    }
+
+    try {
+        const cliente = await prisma.cliente.findUnique({ where: { id: clienteId } });
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente não encontrado.' });
+        }
+
+        const [saldo, movimentos] = await Promise.all([
+            saldoDePontos(prisma, clienteId),
+            prisma.movimentoPontos.findMany({
+                where: { clienteId: clienteId },
+                orderBy: { data: 'desc' },
+                take: 20,
+            }),
+        ]);
+
+        res.json({
+            saldo,
+            valorEmReais: REGRAS_PONTOS.valorDoPonto.times(Math.max(saldo, 0)),
+            regras: REGRAS_PONTOS,
+            resgateMaximo: valorCompra && calcularResgateMaximo(saldo, valorCompra),
+            movimentos,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar os pontos do cliente.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,259 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { registrarDevolucao, tentarReembolsoDeNovo } = require('../services/devolucoes');
+const { montarRecibo, reciboEmTexto, reciboEmPdf } = require('../services/recibos');
+const { garantirAssinatura, verificarAssinatura } = require('../services/assinaturas');
+const { publicarEvento } = require('../services/eventos');
+const { exigirAcessoAoCliente, negarAcesso, exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+const { lerData } = require('../utils/datas');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const POR_PAGINA_PADRAO = 10;
+const POR_PAGINA_MAXIMO = 50;
+const STATUS_PAGAMENTO = ['pendente', 'aprovada', 'recusada'];
+const FORMATOS_RECIBO = ['json', 'texto', 'pdf'];
+
+// Valor em reais vindo da query; null se não for um número
+function lerValor(texto) {
+    try {
+        return new Prisma.Decimal(texto);
+    } catch {
+        return null;
+    }
+}
+
+// GET /api/clientes/:id/compras - Histórico de compras do cliente
+// Filtros: ?pagina=1&porPagina=10&de=2025-09-01&ate=2025-09-30&status=aprovada,pendente
+router.get('/clientes/:id/compras', exigirAcessoAoCliente(req => req.params.id), async (req, res) => {
+    const clienteId = parseInt(req.params.id);
+    const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+    const porPagina = Math.min(Math.max(parseInt(req.query.porPagina) || POR_PAGINA_PADRAO, 1), POR_PAGINA_MAXIMO);
+    const de = lerData(req.query.de);
+    const ate = lerData(req.query.ate, true);
+    // ?status=aprovada&status=pendente chega como lista: vale o mesmo que ?status=aprovada,pendente
+    const status = req.query.status ? [].concat(req.query.status).join(',').split(',') : undefined;
+
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+    if (de === null || ate === null) {
+        return res.status(400).json({ error: 'Datas devem estar no formato AAAA-MM-DD.' });
+    }
+    if (status && status.some(valor => !STATUS_PAGAMENTO.includes(valor))) {
+        return res.status(400).json({ error: `Status inválido. Use: ${STATUS_PAGAMENTO.join(', ')}.` });
+    }
+
+    const where = {
+        clienteId: clienteId,
+        data: { gte: de, lte: ate },
+        statusPagamento: status ? { in: status } : undefined,
+    };
+
+    try {
+        const [compras, total] = await prisma.$transaction([
+            prisma.compra.findMany({
+                where,
+                orderBy: { data: 'desc' },
+                skip: (pagina - 1) * porPagina,
+                take: porPagina,
+            }),
+            prisma.compra.count({ where }),
+        ]);
+        res.json({ compras, pagina, porPagina, total, totalPaginas: Math.ceil(total / porPagina) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar o histórico de compras.' });
+    }
+});
+
+// GET /api/compras/:id - Consultar uma compra
+router.get('/compras/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Compra inválida.' });
+    }
+
+    try {
+        const compra = await prisma.compra.findUnique({
+            where: { id },
+            include: { devolucoes: true },
+        });
+        if (!compra) {
+            return res.status(404).json({ error: 'Compra não encontrada.' });
+        }
+        if (negarAcesso(req, res, compra.clienteId)) return;
+        res.json(compra);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a compra.' });
+    }
+});
+
+// GET /api/compras/:id/recibo - Recibo da compra para baixar ou imprimir
+// ?formato=json (padrão), texto (impressora térmica, ?largura=32 para bobina de 58 mm) ou pdf
+router.get('/compras/:id/recibo', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const formato = req.query.formato || 'json';
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Compra inválida.' });
+    }
+    if (!FORMATOS_RECIBO.includes(formato)) {
+        return res.status(400).json({ error: `Formato inválido. Use: ${FORMATOS_RECIBO.join(', ')}.` });
+    }
+
+    try {
+        const registro = await prisma.compra.findUnique({
+            where: { id },
+            include: { cliente: true },
+        });
+        if (!registro) {
+            return res.status(404).json({ error: 'Compra não encontrada.' });
+        }
+        if (negarAcesso(req, res, registro.clienteId)) return;
+        // Tentativa recusada não gerou venda, então não tem recibo
+        if (registro.statusPagamento === 'recusada') {
+            return res.status(409).json({ error: 'O pagamento desta compra foi recusado.' });
+        }
+
+        const compra = await garantirAssinatura(prisma, registro);
+        const recibo = await montarRecibo(compra);
+        if (formato === 'json') {
+            return res.json(recibo);
+        }
+
+        if (formato === 'texto') {
+            // Larguras fora das bobinas existentes ficam com a configurada na loja
+            const largura = parseInt(req.query.largura);
+            res.attachment(`recibo-${compra.id}.txt`);
+            return res.type('text/plain; charset=utf-8')
+                .send(reciboEmTexto(recibo, largura >= 24 && largura <= 80 ? largura : undefined));
+        }
+
+        res.attachment(`recibo-${compra.id}.pdf`);
+        res.type('application/pdf').send(await reciboEmPdf(recibo));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao gerar o recibo.' });
+    }
+});
+
+// Por que um recibo não confere, em palavras para o atendente
+const MENSAGENS_VERIFICACAO = {
+    SEM_ASSINATURA: 'Esta compra ainda não teve recibo emitido.',
+    REGISTRO_ALTERADO: 'O registro desta compra foi alterado depois de assinado.',
+    ASSINATURA_DIVERGENTE: 'A assinatura apresentada não é a deste recibo.',
+    DADOS_DIVERGENTES: 'Os dados do recibo apresentado não batem com os da compra.',
+};
+
+// GET /api/compras/:id/verificar - Confere se um recibo apresentado foi emitido pela loja
+// ?assinatura= (a do QR code) e, opcionais, os dados impressos: &valorTotal=2714.80&data=2025-10-01T15:00:00.000Z
+router.get('/compras/:id/verificar', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { assinatura, valorTotal, data } = req.query;
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Compra inválida.' });
+    }
+    if (!assinatura) {
+        return res.status(400).json({ error: 'Informe a assinatura do recibo.' });
+    }
+
+    try {
+        const compra = await prisma.compra.findUnique({ where: { id } });
+        if (!compra) {
+            return res.status(404).json({ error: 'Compra não encontrada.' });
+        }
+
+        let { valido, motivo } = verificarAssinatura(compra, assinatura);
+
+        // Assinatura certa com valores trocados no papel também é recibo adulterado
+        const campos = {};
+        if (valido && valorTotal !== undefined && !lerValor(valorTotal)?.equals(compra.valorTotal)) {
+            campos.valorTotal = compra.valorTotal;
+        }
+        if (valido && data !== undefined && lerData(data)?.getTime() !== compra.data.getTime()) {
+            campos.data = compra.data;
+        }
+        if (Object.keys(campos).length > 0) {
+            valido = false;
+            motivo = 'DADOS_DIVERGENTES';
+        }
+
+        if (!valido) {
+            return res.json({
+                valido,
+                motivo,
+                mensagem: MENSAGENS_VERIFICACAO[motivo],
+                compraId: compra.id,
+                campos: motivo === 'DADOS_DIVERGENTES' ? campos : undefined, // Valores que constam no registro
+            });
+        }
+
+        // Recibo autêntico: devolve o registro para o atendente comparar com o papel
+        res.json({
+            valido,
+            mensagem: 'Recibo autêntico.',
+            compra: {
+                id: compra.id,
+                data: compra.data,
+                valorTotal: compra.valorTotal,
+                statusPagamento: compra.statusPagamento,
+                statusDevolucao: compra.statusDevolucao,
+                itensComprados: compra.itensComprados,
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao verificar o recibo.' });
+    }
+});
+
+// POST /api/compras/:id/devolucoes - Devolver itens de uma compra e reembolsar o cliente
+// Corpo: { itens: [{ varianteId, quantidade }], motivo } - sem `itens`, devolve tudo o que restar
+router.post('/compras/:id/devolucoes', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { itens, motivo } = req.body;
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Compra inválida.' });
+    }
+    if (itens !== undefined && (!Array.isArray(itens) || itens.length === 0)) {
+        return res.status(400).json({ error: 'Informe os itens a devolver ou omita o campo para devolução total.' });
+    }
+
+    try {
+        const { devolucao, compra } = await registrarDevolucao(prisma, id, { itens, motivo, funcionario: req.funcionario });
+
+        // O recibo no app do cliente passa a mostrar o reembolso
+        publicarEvento(compra.clienteId, 'compra-reembolsada', compra);
+
+        res.status(201).json({ devolucao, compra });
+    } catch (error) {
+        if (error instanceof ErroNegocio) {
+            return res.status(error.status).json({ error: error.message, ...error.detalhes });
+        }
+        res.status(500).json({ error: 'Erro ao registrar a devolução.' });
+    }
+});
+
+// POST /api/compras/:id/devolucoes/:devolucaoId/reembolsar - Tentar de novo o reembolso de uma devolução pendente
+// (o provedor não respondeu da primeira vez); o provedor não reembolsa a mesma devolução duas vezes
+router.post('/compras/:id/devolucoes/:devolucaoId/reembolsar', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const devolucaoId = parseInt(req.params.devolucaoId);
+    if (Number.isNaN(id) || Number.isNaN(devolucaoId)) {
+        return res.status(400).json({ error: 'Devolução inválida.' });
+    }
+
+    try {
+        const { devolucao, compra } = await tentarReembolsoDeNovo(prisma, id, devolucaoId, req.funcionario);
+
+        publicarEvento(compra.clienteId, 'compra-reembolsada', compra);
+
+        res.json({ devolucao, compra });
+    } catch (error) {
+        if (error instanceof ErroNegocio) {
+            return res.status(error.status).json({ error: error.message, ...error.detalhes });
+        }
+        res.status(500).json({ error: 'Erro ao reembolsar a devolução.' });
+    }
+});
+
+module.exports = router;
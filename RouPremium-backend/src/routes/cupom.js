@@ -0,0 +1,107 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { validarDadosCupom, descreverCupom } = require('../services/cupons');
+const { diferencas, registrarAuditoria } = require('../services/auditoria');
+const { exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const comDescricao = (cupom) => ({ ...cupom, descricaoDesconto: descreverCupom(cupom) });
+
+const CAMPOS_AUDITADOS = ['codigo', 'descricao', 'tipo', 'valor', 'valorMinimo', 'limiteUsos', 'limitePorCliente', 'validoAte', 'ativo'];
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ error: 'Já existe um cupom com este código.', campos: { codigo: 'Código em uso.' } });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// GET /api/cupons - Listar cupons com quantas vezes cada um foi usado
+router.get('/cupons', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const cupons = await prisma.cupom.findMany({ orderBy: { id: 'asc' } });
+        res.json(cupons.map(comDescricao));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar cupons.' });
+    }
+});
+
+// GET /api/cupons/:id/resgates - Compras em que o cupom foi usado
+router.get('/cupons/:id/resgates', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Cupom inválido.' });
+    }
+
+    try {
+        const resgates = await prisma.resgateCupom.findMany({
+            where: { cupomId: id },
+            orderBy: { data: 'desc' },
+        });
+        res.json(resgates);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar os resgates do cupom.' });
+    }
+});
+
+// POST /api/cupons - Cadastrar um cupom
+// Corpo: { codigo, tipo, valor, descricao?, valorMinimo?, limiteUsos?, limitePorCliente?, validoAte?, ativo? }
+router.post('/cupons', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const dados = validarDadosCupom(req.body);
+        const cupom = await prisma.$transaction(async (tx) => {
+            const criado = await tx.cupom.create({ data: dados });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'cupom.criado',
+                entidade: 'cupom',
+                entidadeId: criado.id,
+                detalhes: { codigo: criado.codigo, desconto: descreverCupom(criado) },
+            });
+            return criado;
+        });
+        res.status(201).json(comDescricao(cupom));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar o cupom.');
+    }
+});
+
+// PATCH /api/cupons/:id - Editar um cupom (ativo: false suspende o cupom)
+router.patch('/cupons/:id', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Cupom inválido.' });
+    }
+
+    try {
+        const existente = await prisma.cupom.findUnique({ where: { id } });
+        if (!existente) {
+            return res.status(404).json({ error: 'Cupom não encontrado.' });
+        }
+
+        const dados = validarDadosCupom(req.body, existente);
+        const cupom = await prisma.$transaction(async (tx) => {
+            const atualizado = await tx.cupom.update({ where: { id }, data: dados });
+            const alterados = diferencas(existente, atualizado, CAMPOS_AUDITADOS);
+            if (Object.keys(alterados).length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: 'cupom.atualizado',
+                    entidade: 'cupom',
+                    entidadeId: id,
+                    detalhes: { alterados },
+                });
+            }
+            return atualizado;
+        });
+        res.json(comDescricao(cupom));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o cupom.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+    gerarHashSenha,
+    criarSessaoFuncionario,
+    encerrarSessaoFuncionario,
+    autenticarFuncionario,
+    ehTokenDaEquipe,
+} = require('../services/autenticacao');
+const { PAPEIS_FUNCIONARIO, validarDadosFuncionario, impedirAutoRebaixamento } = require('../services/equipe');
+const { diferencas, registrarAuditoria } = require('../services/auditoria');
+const { lerToken, exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const semSenha = { senhaHash: true };
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ error: 'Já existe um funcionário com este e-mail.', campos: { email: 'E-mail em uso.' } });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// POST /api/equipe/login - Entrar com a conta da equipe
+// Corpo: { email, senha }. Retorna { token, expiraEm, funcionario }; o token vai no cabeçalho Authorization: Bearer
+router.post('/equipe/login', async (req, res) => {
+    try {
+        const funcionario = await autenticarFuncionario(prisma, req.body ?? {});
+        const sessao = await criarSessaoFuncionario(prisma, funcionario.id);
+        res.json({ ...sessao, funcionario });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao entrar.');
+    }
+});
+
+// POST /api/equipe/login-sistema - Entrar no simulador (telaWeb), só gerentes
+// Corpo: { email, senha }. A sessão age por qualquer cliente, como o sistema da loja, e expira em
+// SESSAO_SISTEMA_DURACAO_MINUTOS. Retorna { token, expiraEm, funcionario }, como o login da equipe
+router.post('/equipe/login-sistema', async (req, res) => {
+    try {
+        const funcionario = await autenticarFuncionario(prisma, req.body ?? {});
+        if (funcionario.papel !== 'gerente') {
+            throw new ErroNegocio('Só gerentes podem abrir o simulador da loja.', 403, { codigo: 'PAPEL_NAO_AUTORIZADO' });
+        }
+        const sessao = await criarSessaoFuncionario(prisma, funcionario.id, { sistemaLoja: true });
+        res.json({ ...sessao, funcionario });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao entrar no simulador.');
+    }
+});
+
+// POST /api/equipe/logout - Encerrar a sessão do token enviado
+router.post('/equipe/logout', async (req, res) => {
+    const token = lerToken(req);
+    try {
+        if (token && ehTokenDaEquipe(token)) {
+            await encerrarSessaoFuncionario(prisma, token);
+        }
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao sair.' });
+    }
+});
+
+// GET /api/equipe/eu - Funcionário da sessão atual
+router.get('/equipe/eu', (req, res) => {
+    if (!req.funcionario) {
+        return res.status(401).json({ error: 'Entre com uma conta da equipe para continuar.', codigo: 'NAO_AUTENTICADO' });
+    }
+    res.json(req.funcionario);
+});
+
+// GET /api/equipe - Listar os funcionários (?papel=caixa, ?ativos=true)
+router.get('/equipe', exigirPapel('gerente'), async (req, res) => {
+    if (req.query.papel && !PAPEIS_FUNCIONARIO.includes(req.query.papel)) {
+        return res.status(400).json({ error: `Papel inválido. Use: ${PAPEIS_FUNCIONARIO.join(', ')}.` });
+    }
+
+    try {
+        const funcionarios = await prisma.funcionario.findMany({
+            where: {
+                papel: req.query.papel || undefined,
+                ativo: req.query.ativos === 'true' ? true : undefined,
+            },
+            omit: semSenha,
+            orderBy: { id: 'asc' },
+        });
+        res.json(funcionarios);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a equipe.' });
+    }
+});
+
+// POST /api/equipe - Cadastrar um funcionário
+// Corpo: { nome, email, senha, papel, ativo? }
+router.post('/equipe', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const { senha, ...dados } = validarDadosFuncionario(req.body);
+        const senhaHash = await gerarHashSenha(senha);
+
+        const funcionario = await prisma.$transaction(async (tx) => {
+            const criado = await tx.funcionario.create({ data: { ...dados, senhaHash }, omit: semSenha });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'funcionario.criado',
+                entidade: 'funcionario',
+                entidadeId: criado.id,
+                detalhes: { nome: criado.nome, email: criado.email, papel: criado.papel },
+            });
+            return criado;
+        });
+        res.status(201).json(funcionario);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar o funcionário.');
+    }
+});
+
+// PATCH /api/equipe/:id - Editar nome, e-mail, senha, papel ou desligar (ativo: false) um funcionário
+router.patch('/equipe/:id', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Funcionário inválido.' });
+    }
+
+    try {
+        const { senha, ...dados } = validarDadosFuncionario(req.body, { parcial: true });
+        impedirAutoRebaixamento(req.funcionario, id, dados);
+        if (senha !== undefined) {
+            dados.senhaHash = await gerarHashSenha(senha);
+        }
+
+        const funcionario = await prisma.$transaction(async (tx) => {
+            const existente = await tx.funcionario.findUnique({ where: { id } });
+            if (!existente) {
+                throw new ErroNegocio('Funcionário não encontrado.', 404);
+            }
+            const atualizado = await tx.funcionario.update({ where: { id }, data: dados, omit: semSenha });
+
+            // Desligado ou com senha nova: as sessões abertas deixam de valer
+            if (dados.ativo === false || senha !== undefined) {
+                await tx.sessaoFuncionario.deleteMany({ where: { funcionarioId: id } });
+            }
+
+            const alterados = diferencas(existente, atualizado, ['nome', 'email', 'papel', 'ativo']);
+            if (Object.keys(alterados).length > 0 || senha !== undefined) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: 'funcionario.atualizado',
+                    entidade: 'funcionario',
+                    entidadeId: id,
+                    detalhes: { alterados, senhaAlterada: senha !== undefined },
+                });
+            }
+            return atualizado;
+        });
+        res.json(funcionario);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o funcionário.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { apresentarVariante } = require('../services/produtos');
+const { registrarAuditoria } = require('../services/auditoria');
+const { exigirPapel } = require('../middlewares/autenticacao');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Abaixo (ou igual) deste disponível a variante entra na lista de estoque baixo
+const LIMITE_ESTOQUE_BAIXO = parseInt(process.env.LIMITE_ESTOQUE_BAIXO) || 5;
+
+// POST /api/estoque/variantes/:varianteId/reabastecer - Repor unidades de um tamanho/cor
+router.post('/estoque/variantes/:varianteId/reabastecer', exigirPapel('gerente', 'estoquista'), async (req, res) => {
+    const varianteId = parseInt(req.params.varianteId);
+    const { quantidade } = req.body;
+
+    if (!Number.isInteger(quantidade) || quantidade <= 0) {
+        return res.status(400).json({ error: 'Informe uma quantidade inteira maior que zero.' });
+    }
+
+    try {
+        const variante = await prisma.variante.findUnique({ where: { id: varianteId } });
+        if (!variante) {
+            return res.status(404).json({ error: 'Variante não encontrada.' });
+        }
+
+        const varianteAtualizada = await prisma.$transaction(async (tx) => {
+            const atualizada = await tx.variante.update({
+                where: { id: varianteId },
+                data: { estoque: { increment: quantidade } },
+                include: { produto: true },
+            });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'estoque.reabastecido',
+                entidade: 'variante',
+                entidadeId: varianteId,
+                detalhes: {
+                    produtoId: atualizada.produtoId,
+                    quantidade,
+                    estoque: { de: atualizada.estoque - quantidade, para: atualizada.estoque },
+                },
+            });
+            return atualizada;
+        });
+        res.json(apresentarVariante(varianteAtualizada, varianteAtualizada.produto));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao reabastecer o produto.' });
+    }
+});
+
+// GET /api/estoque/baixo - Listar variantes com estoque disponível baixo (?limite=N)
+router.get('/estoque/baixo', exigirPapel('gerente', 'estoquista'), async (req, res) => {
+    const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_ESTOQUE_BAIXO;
+    if (Number.isNaN(limite)) {
+        return res.status(400).json({ error: 'Limite inválido.' });
+    }
+
+    try {
+        const variantes = await prisma.variante.findMany({
+            where: { produto: { arquivado: false } },
+            include: { produto: true },
+            orderBy: [{ produto: { nome: 'asc' } }, { id: 'asc' }],
+        });
+        const estoqueBaixo = variantes
+            .map(variante => apresentarVariante(variante, variante.produto))
+            .filter(variante => variante.disponivel <= limite)
+            .sort((a, b) => a.disponivel - b.disponivel);
+        res.json({ limite, variantes: estoqueBaixo });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar produtos com estoque baixo.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const { inscreverEventos, criarTokenDoStream, consumirTokenDoStream } = require('../services/eventos');
+const { exigirAcessoAoCliente } = require('../middlewares/autenticacao');
+
+const router = express.Router();
+
+// Intervalo do comentário de keep-alive, evita que proxies fechem a conexão ociosa
+const INTERVALO_KEEP_ALIVE = 25000;
+
+const exigirAcessoAoStream = exigirAcessoAoCliente(req => req.params.clienteId);
+
+// POST /api/eventos/:clienteId/token - Token de uso único (60 s) para abrir o stream do cliente
+router.post('/eventos/:clienteId/token', exigirAcessoAoStream, (req, res) => {
+    const clienteId = parseInt(req.params.clienteId);
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+    res.status(201).json(criarTokenDoStream(clienteId));
+});
+
+// GET /api/eventos/:clienteId - Stream (Server-Sent Events) com os eventos da loja de um cliente
+// O EventSource não manda cabeçalhos, então o app abre o stream com ?token= do POST acima
+router.get('/eventos/:clienteId', (req, res, next) => {
+    if (req.query.token !== undefined) {
+        if (!consumirTokenDoStream(req.query.token, parseInt(req.params.clienteId))) {
+            return res.status(401).json({ error: 'Token do stream inválido ou expirado.', codigo: 'NAO_AUTENTICADO' });
+        }
+        return next();
+    }
+    exigirAcessoAoStream(req, res, next);
+}, (req, res) => {
+    const clienteId = parseInt(req.params.clienteId);
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write(': conectado\n\n');
+
+    // Cada evento é enviado com o seu tipo, para o app usar addEventListener(tipo)
+    const cancelarInscricao = inscreverEventos(clienteId, ({ tipo, dados }) => {
+        res.write(`event: ${tipo}\ndata: ${JSON.stringify(dados)}\n\n`);
+    });
+
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), INTERVALO_KEEP_ALIVE);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        cancelarInscricao();
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { calcularPlanos } = require('../services/parcelamento');
+const { validarDecimalPositivo } = require('../utils/validacao');
+
+const router = express.Router();
+
+// GET /api/parcelamento?valor=1250.00 - Listar os planos de parcelamento disponíveis para um valor
+router.get('/parcelamento', (req, res) => {
+    const { valor, erro } = validarDecimalPositivo(req.query.valor);
+    if (erro) {
+        return res.status(400).json({ error: erro });
+    }
+
+    res.json(calcularPlanos(valor));
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { publicarEvento } = require('../services/eventos');
+const { creditarPontos } = require('../services/pontos');
+const { abrirAposPix } = require('../services/portao');
+const { assinaturaWebhookValida } = require('../services/pagamentos/pix');
+const { validarDecimalPositivo } = require('../utils/validacao');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Só o banco, com o corpo assinado (X-Assinatura-Pix), ou o simulador da loja, que faz o papel do banco,
+// confirmam um PIX
+function exigirBancoOuSimulador(req, res, next) {
+    if (!req.sistemaLoja && !assinaturaWebhookValida(req.corpoBruto, req.get('X-Assinatura-Pix'))) {
+        return res.status(401).json({ error: 'Assinatura do webhook inválida.', codigo: 'ASSINATURA_INVALIDA' });
+    }
+    next();
+}
+
+// POST /api/pix/webhook - Notificação do banco de que um PIX foi pago
+// Corpo no formato do webhook do PIX: { pix: [{ txid, valor, endToEndId, horario }] }
+router.post('/pix/webhook', exigirBancoOuSimulador, async (req, res) => {
+    const { pix } = req.body;
+    if (!Array.isArray(pix) || pix.length === 0) {
+        return res.status(400).json({ error: 'Informe a lista "pix" com os pagamentos recebidos.' });
+    }
+
+    try {
+        const resultados = [];
+        for (const { txid, valor, endToEndId } of pix) {
+            const compra = txid && await prisma.compra.findUnique({ where: { pixTxid: txid } });
+            if (!compra) {
+                resultados.push({ txid, status: 'nao_encontrado' });
+                continue;
+            }
+            const { valor: valorPago, erro } = validarDecimalPositivo(valor);
+            if (erro) {
+                resultados.push({ txid, status: 'valor_invalido', compraId: compra.id });
+                continue;
+            }
+            if (!compra.valorTotal.equals(valorPago)) {
+                resultados.push({ txid, status: 'valor_divergente', compraId: compra.id });
+                continue;
+            }
+
+            // A condição de status evita confirmar (e creditar pontos) duas vezes se o banco reenviar o webhook
+            const compraPaga = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.compra.updateMany({
+                    where: { id: compra.id, statusPagamento: 'pendente' },
+                    data: { statusPagamento: 'aprovada', transacaoPagamento: endToEndId || txid },
+                });
+                if (count === 0) return null;
+                return creditarPontos(tx, await tx.compra.findUnique({ where: { id: compra.id } }));
+            });
+            if (!compraPaga) {
+                resultados.push({ txid, status: 'ja_confirmado', compraId: compra.id });
+                continue;
+            }
+
+            publicarEvento(compra.clienteId, 'cliente-pagou', compraPaga);
+
+            // Se o portão segurava o cliente esperando este PIX, agora abre
+            const portao = await abrirAposPix(prisma, compraPaga);
+            if (portao) {
+                publicarEvento(compra.clienteId, 'portao-decidido', portao);
+            }
+            resultados.push({ txid, status: 'confirmado', compraId: compra.id });
+        }
+        res.json({ resultados });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao processar a confirmação do PIX.' });
+    }
+});
+
+module.exports = router;
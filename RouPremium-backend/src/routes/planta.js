@@ -0,0 +1,197 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+    validarDadosZona,
+    validarDadosArara,
+    incluirProdutos,
+    carregarPlanta,
+    definirProdutosDaArara,
+} = require('../services/planta');
+const { diferencas, registrarAuditoria } = require('../services/auditoria');
+const { exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// A planta é lida por qualquer tela; só o gerente a altera (a fusão dos sensores depende dela),
+// e toda alteração fica na auditoria
+
+// Campos de zonas e araras registrados na auditoria das edições
+const CAMPOS_AUDITADOS_PLANTA = ['nome', 'tipo', 'x', 'y', 'largura', 'altura'];
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    // O índice único do nome da arara barra duplicados; qualquer outro conflito fica com a mensagem genérica
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        if (error.meta?.modelName === 'Arara' && String(error.meta?.target).includes('nome')) {
+            return res.status(409).json({ error: 'Já existe uma arara com este nome.', campos: { nome: 'Nome em uso.' } });
+        }
+        return res.status(409).json({ error: 'Já existe um cadastro com estes dados.', campos: error.meta?.target });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+async function exigirRegistro(tx, modelo, valor, mensagem) {
+    const id = parseInt(valor);
+    const registro = Number.isNaN(id) ? null : await tx[modelo].findUnique({ where: { id } });
+    if (!registro) {
+        throw new ErroNegocio(mensagem, 404);
+    }
+    return registro;
+}
+
+const exigirZona = (tx, valor) => exigirRegistro(tx, 'zona', valor, 'Zona não encontrada.');
+const exigirArara = (tx, valor) => exigirRegistro(tx, 'arara', valor, 'Arara não encontrada.');
+
+// GET /api/planta - Zonas e araras da loja, cada arara com os seus produtos
+router.get('/planta', async (req, res) => {
+    try {
+        res.json(await carregarPlanta(prisma));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a planta da loja.' });
+    }
+});
+
+// POST /api/planta/zonas - Cadastrar uma zona
+// Corpo: { nome, tipo: 'entrada' | 'saida' | 'vendas' | 'provador' | 'caixa', x, y, largura, altura } (em % da planta)
+router.post('/planta/zonas', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const dados = validarDadosZona(req.body);
+        const zona = await prisma.$transaction(async (tx) => {
+            const criada = await tx.zona.create({ data: dados });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'zona.criada',
+                entidade: 'zona',
+                entidadeId: criada.id,
+                detalhes: dados,
+            });
+            return criada;
+        });
+        res.status(201).json(zona);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar a zona.');
+    }
+});
+
+// PATCH /api/planta/zonas/:id - Mover, redimensionar ou renomear uma zona
+router.patch('/planta/zonas/:id', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const zona = await prisma.$transaction(async (tx) => {
+            const existente = await exigirZona(tx, req.params.id);
+            const dados = validarDadosZona(req.body, existente);
+            const atualizada = await tx.zona.update({ where: { id: existente.id }, data: dados });
+
+            const alterados = diferencas(existente, atualizada, CAMPOS_AUDITADOS_PLANTA);
+            if (Object.keys(alterados).length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: 'zona.atualizada',
+                    entidade: 'zona',
+                    entidadeId: existente.id,
+                    detalhes: { alterados },
+                });
+            }
+            return atualizada;
+        });
+        res.json(zona);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar a zona.');
+    }
+});
+
+// DELETE /api/planta/zonas/:id - Remover uma zona
+router.delete('/planta/zonas/:id', exigirPapel('gerente'), async (req, res) => {
+    try {
+        await prisma.$transaction(async (tx) => {
+            const zona = await exigirZona(tx, req.params.id);
+            await tx.zona.delete({ where: { id: zona.id } });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'zona.removida',
+                entidade: 'zona',
+                entidadeId: zona.id,
+                detalhes: { nome: zona.nome, tipo: zona.tipo },
+            });
+        });
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover a zona.');
+    }
+});
+
+// POST /api/planta/araras - Cadastrar uma arara
+// Corpo: { nome, x, y, largura, altura, produtoIds? }. Os produtos listados mudam para esta arara.
+router.post('/planta/araras', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const dados = validarDadosArara(req.body);
+        const arara = await prisma.$transaction(async (tx) => {
+            const criada = await tx.arara.create({ data: dados });
+            const produtos = req.body.produtoIds !== undefined
+                ? await definirProdutosDaArara(tx, criada.id, req.body.produtoIds)
+                : undefined;
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'arara.criada',
+                entidade: 'arara',
+                entidadeId: criada.id,
+                detalhes: { ...dados, produtos },
+            });
+            return tx.arara.findUnique({ where: { id: criada.id }, include: incluirProdutos });
+        });
+        res.status(201).json(arara);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar a arara.');
+    }
+});
+
+// PATCH /api/planta/araras/:id - Mover, redimensionar ou renomear uma arara
+// Com `produtoIds`, a arara passa a ter exatamente esses produtos (os que saíram ficam sem arara)
+router.patch('/planta/araras/:id', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const araraAtualizada = await prisma.$transaction(async (tx) => {
+            const existente = await exigirArara(tx, req.params.id);
+            const { produtoIds, ...campos } = req.body ?? {};
+            const dados = validarDadosArara(campos, existente);
+            const produtos = produtoIds !== undefined
+                ? await definirProdutosDaArara(tx, existente.id, produtoIds)
+                : { entraram: [], sairam: [] };
+            const atualizada = await tx.arara.update({ where: { id: existente.id }, data: dados, include: incluirProdutos });
+
+            const alterados = diferencas(existente, atualizada, CAMPOS_AUDITADOS_PLANTA);
+            if (Object.keys(alterados).length > 0 || produtos.entraram.length > 0 || produtos.sairam.length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: 'arara.atualizada',
+                    entidade: 'arara',
+                    entidadeId: existente.id,
+                    detalhes: { alterados, produtos },
+                });
+            }
+            return atualizada;
+        });
+        res.json(araraAtualizada);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar a arara.');
+    }
+});
+
+// DELETE /api/planta/araras/:id - Remover uma arara; os produtos dela ficam sem arara
+router.delete('/planta/araras/:id', exigirPapel('gerente'), async (req, res) => {
+    try {
+        await prisma.$transaction(async (tx) => {
+            const arara = await exigirArara(tx, req.params.id);
+            const produtos = await tx.produto.findMany({ where: { araraId: arara.id }, select: { id: true } });
+            await tx.arara.delete({ where: { id: arara.id } });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'arara.removida',
+                entidade: 'arara',
+                entidadeId: arara.id,
+                detalhes: { nome: arara.nome, produtosSemArara: produtos.map(p => p.id) },
+            });
+        });
+        res.json({ status: 'sucesso' });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao remover a arara.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { publicarEvento } = require('../services/eventos');
+const { liberarComprador, buscarUltimaDecisao, listarDecisoes } = require('../services/portao');
+const { exigirAcessoAoCliente, exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const ACOES_PORTAO = ['abrir', 'segurar', 'chamar_equipe'];
+const LIMITE_PADRAO = 50;
+
+// GET /api/portao/decisoes - Histórico das decisões do portão de saída
+// Filtros: ?clienteId=&acao=abrir|segurar|chamar_equipe&limite= (padrão 50, no máximo 200)
+router.get('/portao/decisoes', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    const clienteId = req.query.clienteId !== undefined ? parseInt(req.query.clienteId) : undefined;
+    const { acao } = req.query;
+    const limite = Math.min(parseInt(req.query.limite) || LIMITE_PADRAO, 200);
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+    if (acao !== undefined && !ACOES_PORTAO.includes(acao)) {
+        return res.status(400).json({ error: `Ação inválida. Use: ${ACOES_PORTAO.join(', ')}.` });
+    }
+
+    try {
+        res.json(await listarDecisoes(prisma, { clienteId, acao, limite }));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar as decisões do portão.' });
+    }
+});
+
+// GET /api/portao/:clienteId - Última decisão do portão para o cliente (o simulador mostra no mapa)
+router.get('/portao/:clienteId', exigirAcessoAoCliente(req => req.params.clienteId), async (req, res) => {
+    try {
+        const decisao = await buscarUltimaDecisao(prisma, parseInt(req.params.clienteId));
+        if (!decisao) {
+            return res.status(404).json({ error: 'O cliente ainda não passou pelo portão.' });
+        }
+        res.json(decisao);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a decisão do portão.' });
+    }
+});
+
+// POST /api/portao/:clienteId/liberar - A equipe libera o cliente segurado ou barrado pelo portão
+// Corpo: { motivo? }
+router.post('/portao/:clienteId/liberar', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    const clienteId = parseInt(req.params.clienteId);
+    if (Number.isNaN(clienteId)) {
+        return res.status(400).json({ error: 'Cliente inválido.' });
+    }
+
+    try {
+        const decisao = await liberarComprador(prisma, clienteId, req.body?.motivo, req.funcionario);
+
+        publicarEvento(clienteId, 'portao-decidido', decisao);
+
+        res.status(201).json(decisao);
+    } catch (error) {
+        if (error instanceof ErroNegocio) {
+            return res.status(error.status).json({ error: error.message, ...error.detalhes });
+        }
+        res.status(500).json({ error: 'Erro ao liberar o cliente.' });
+    }
+});
+
+module.exports = router;
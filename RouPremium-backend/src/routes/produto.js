@@ -1,17 +1,244 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+    validarDadosProduto,
+    validarDadosVariante,
+    validarVariantesIniciais,
+    verificarDuplicados,
+    apresentarVariante,
+    apresentarProduto,
+} = require('../services/produtos');
+const { diferencas, registrarAuditoria } = require('../services/auditoria');
+const { exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// GET /api/produtos - Listar todos os produtos
+// Variantes sempre na mesma ordem em que foram cadastradas
+const incluirVariantes = { variantes: { orderBy: { id: 'asc' } } };
+
+// Campos comparados no registro de auditoria das edições
+const CAMPOS_AUDITADOS_PRODUTO = ['nome', 'sku', 'preco', 'categoria', 'descricao', 'imagemUrl', 'pesoGramas'];
+const CAMPOS_AUDITADOS_VARIANTE = ['tamanho', 'cor', 'preco'];
+
+// Edição que mexe no preço ganha uma ação própria, para ser achada fácil na auditoria
+const acaoDeEdicao = (entidade, alterados) => (alterados.preco ? `${entidade}.preco_alterado` : `${entidade}.atualizado`);
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    // Corrida entre a verificação e a gravação: o índice único do banco também barra duplicados
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ error: 'Já existe um cadastro com estes dados.', campos: error.meta?.target });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// GET /api/produtos - Listar os produtos da arara (?incluirArquivados=true para o catálogo completo)
 router.get('/produtos', async (req, res) => {
+    const incluirArquivados = req.query.incluirArquivados === 'true';
+    const { categoria } = req.query;
+
     try {
-        const produtos = await prisma.produto.findMany();
-        res.json(produtos);
+        const produtos = await prisma.produto.findMany({
+            where: {
+                arquivado: incluirArquivados ? undefined : false,
+                categoria: categoria || undefined,
+            },
+            include: incluirVariantes,
+            orderBy: { id: 'asc' },
+        });
+        res.json(produtos.map(apresentarProduto));
     } catch (error) {
         res.status(500).json({ error: 'Erro ao buscar produtos.' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/produtos/:id - Consultar um produto, inclusive arquivado (itens de compras antigas)
+router.get('/produtos/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Produto inválido.' });
+    }
+
+    try {
+        const produto = await prisma.produto.findUnique({ where: { id }, include: incluirVariantes });
+        if (!produto) {
+            return res.status(404).json({ error: 'Produto não encontrado.' });
+        }
+        res.json(apresentarProduto(produto));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar o produto.' });
+    }
+});
+
+// POST /api/produtos - Cadastrar um produto
+// Corpo: { nome, sku, preco, categoria?, descricao?, imagemUrl?, pesoGramas?, variantes?: [{ tamanho, cor, preco?, estoque? }] }
+// Sem `variantes`, o produto ganha uma variante única com o `estoque` informado
+router.post('/produtos', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const dados = validarDadosProduto(req.body);
+        const variantes = validarVariantesIniciais(req.body);
+        const produto = await prisma.$transaction(async (tx) => {
+            await verificarDuplicados(tx, dados);
+            const criado = await tx.produto.create({
+                data: { ...dados, variantes: { create: variantes } },
+                include: incluirVariantes,
+            });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'produto.criado',
+                entidade: 'produto',
+                entidadeId: criado.id,
+                detalhes: { nome: criado.nome, sku: criado.sku, preco: criado.preco, variantes: variantes.length },
+            });
+            return criado;
+        });
+        res.status(201).json(apresentarProduto(produto));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar o produto.');
+    }
+});
+
+// PATCH /api/produtos/:id - Editar os dados de um produto (só os campos enviados)
+router.patch('/produtos/:id', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Produto inválido.' });
+    }
+    if (req.body.estoque !== undefined || req.body.variantes !== undefined) {
+        return res.status(400).json({ error: 'Variantes e estoque são alterados pelas rotas de variantes.' });
+    }
+
+    try {
+        const dados = validarDadosProduto(req.body, { parcial: true });
+        const produto = await prisma.$transaction(async (tx) => {
+            const existente = await tx.produto.findUnique({ where: { id } });
+            if (!existente) {
+                throw new ErroNegocio('Produto não encontrado.', 404);
+            }
+            await verificarDuplicados(tx, dados, id);
+            const atualizado = await tx.produto.update({ where: { id }, data: dados, include: incluirVariantes });
+
+            const alterados = diferencas(existente, atualizado, CAMPOS_AUDITADOS_PRODUTO);
+            if (Object.keys(alterados).length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: acaoDeEdicao('produto', alterados),
+                    entidade: 'produto',
+                    entidadeId: id,
+                    detalhes: { alterados },
+                });
+            }
+            return atualizado;
+        });
+        res.json(apresentarProduto(produto));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar o produto.');
+    }
+});
+
+// Arquivar tira o produto da arara sem apagá-lo: compras antigas continuam apontando para ele
+async function alterarArquivamento(req, res, arquivado) {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Produto inválido.' });
+    }
+
+    try {
+        const produto = await prisma.$transaction(async (tx) => {
+            const existente = await tx.produto.findUnique({ where: { id } });
+            if (!existente) {
+                throw new ErroNegocio('Produto não encontrado.', 404);
+            }
+            const atualizado = await tx.produto.update({ where: { id }, data: { arquivado }, include: incluirVariantes });
+            if (existente.arquivado !== arquivado) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: arquivado ? 'produto.arquivado' : 'produto.reativado',
+                    entidade: 'produto',
+                    entidadeId: id,
+                });
+            }
+            return atualizado;
+        });
+        res.json(apresentarProduto(produto));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao alterar o arquivamento do produto.');
+    }
+}
+
+// POST /api/produtos/:id/arquivar - Retirar o produto do catálogo
+router.post('/produtos/:id/arquivar', exigirPapel('gerente'), (req, res) => alterarArquivamento(req, res, true));
+
+// POST /api/produtos/:id/reativar - Voltar o produto arquivado para o catálogo
+router.post('/produtos/:id/reativar', exigirPapel('gerente'), (req, res) => alterarArquivamento(req, res, false));
+
+// POST /api/produtos/:id/variantes - Cadastrar um novo tamanho/cor do produto
+// Corpo: { tamanho, cor, preco?, estoque? }
+router.post('/produtos/:id/variantes', exigirPapel('gerente'), async (req, res) => {
+    const produtoId = parseInt(req.params.id);
+    if (Number.isNaN(produtoId)) {
+        return res.status(400).json({ error: 'Produto inválido.' });
+    }
+
+    try {
+        const dados = validarDadosVariante(req.body);
+        const produto = await prisma.produto.findUnique({ where: { id: produtoId } });
+        if (!produto) {
+            return res.status(404).json({ error: 'Produto não encontrado.' });
+        }
+
+        const variante = await prisma.$transaction(async (tx) => {
+            const criada = await tx.variante.create({ data: { ...dados, produtoId } });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'variante.criada',
+                entidade: 'variante',
+                entidadeId: criada.id,
+                detalhes: { produtoId, tamanho: criada.tamanho, cor: criada.cor, preco: criada.preco, estoque: criada.estoque },
+            });
+            return criada;
+        });
+        res.status(201).json(apresentarVariante(variante, produto));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar a variante.');
+    }
+});
+
+// PATCH /api/variantes/:id - Editar tamanho, cor ou preço próprio de uma variante (preco: null volta ao do produto)
+router.patch('/variantes/:id', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Variante inválida.' });
+    }
+    // Estoque muda por reabastecimento, compras e devoluções, nunca por edição direta
+    if (req.body.estoque !== undefined) {
+        return res.status(400).json({ error: 'Use POST /api/estoque/variantes/:varianteId/reabastecer para alterar o estoque.' });
+    }
+
+    try {
+        const dados = validarDadosVariante(req.body, { parcial: true });
+        const variante = await prisma.$transaction(async (tx) => {
+            const existente = await tx.variante.findUnique({ where: { id } });
+            if (!existente) {
+                throw new ErroNegocio('Variante não encontrada.', 404);
+            }
+            const atualizada = await tx.variante.update({ where: { id }, data: dados, include: { produto: true } });
+
+            const alterados = diferencas(existente, atualizada, CAMPOS_AUDITADOS_VARIANTE);
+            if (Object.keys(alterados).length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: acaoDeEdicao('variante', alterados),
+                    entidade: 'variante',
+                    entidadeId: id,
+                    detalhes: { produtoId: existente.produtoId, alterados },
+                });
+            }
+            return atualizada;
+        });
+        res.json(apresentarVariante(variante, variante.produto));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar a variante.');
+    }
+});
+
+module.exports = router;
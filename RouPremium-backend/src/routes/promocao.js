@@ -0,0 +1,101 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { validarDadosPromocao, buscarPromocoesVigentes, descreverPromocao } = require('../services/promocoes');
+const { diferencas, registrarAuditoria } = require('../services/auditoria');
+const { exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const comDescricao = (promocao) => ({ ...promocao, descricao: descreverPromocao(promocao) });
+
+const CAMPOS_AUDITADOS = ['nome', 'tipo', 'valor', 'leveQuantidade', 'pagueQuantidade', 'produtoId', 'categoria', 'inicio', 'fim', 'ativa'];
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// A promoção por produto precisa apontar para um produto cadastrado
+async function exigirProduto(produtoId) {
+    if (produtoId == null) return;
+    const produto = await prisma.produto.findUnique({ where: { id: produtoId } });
+    if (!produto) {
+        throw new ErroNegocio('Dados da promoção inválidos.', 400, { campos: { produtoId: 'Produto não encontrado.' } });
+    }
+}
+
+// GET /api/promocoes - Listar promoções (?vigentes=true para só as que valem agora)
+router.get('/promocoes', async (req, res) => {
+    try {
+        const promocoes = req.query.vigentes === 'true'
+            ? await buscarPromocoesVigentes(prisma)
+            : await prisma.promocao.findMany({ orderBy: { id: 'asc' } });
+        res.json(promocoes.map(comDescricao));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar promoções.' });
+    }
+});
+
+// POST /api/promocoes - Cadastrar uma promoção
+// Corpo: { nome, tipo, valor?, leveQuantidade?, pagueQuantidade?, produtoId | categoria, inicio?, fim?, ativa? }
+router.post('/promocoes', exigirPapel('gerente'), async (req, res) => {
+    try {
+        const dados = validarDadosPromocao(req.body);
+        await exigirProduto(dados.produtoId);
+
+        const promocao = await prisma.$transaction(async (tx) => {
+            const criada = await tx.promocao.create({ data: dados });
+            await registrarAuditoria(tx, req.funcionario, {
+                acao: 'promocao.criada',
+                entidade: 'promocao',
+                entidadeId: criada.id,
+                detalhes: { descricao: descreverPromocao(criada) },
+            });
+            return criada;
+        });
+        res.status(201).json(comDescricao(promocao));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao cadastrar a promoção.');
+    }
+});
+
+// PATCH /api/promocoes/:id - Editar uma promoção (ativa: false encerra a promoção)
+router.patch('/promocoes/:id', exigirPapel('gerente'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Promoção inválida.' });
+    }
+
+    try {
+        const existente = await prisma.promocao.findUnique({ where: { id } });
+        if (!existente) {
+            return res.status(404).json({ error: 'Promoção não encontrada.' });
+        }
+
+        const dados = validarDadosPromocao(req.body, existente);
+        await exigirProduto(dados.produtoId);
+
+        const promocao = await prisma.$transaction(async (tx) => {
+            const atualizada = await tx.promocao.update({ where: { id }, data: dados });
+            const alterados = diferencas(existente, atualizada, CAMPOS_AUDITADOS);
+            if (Object.keys(alterados).length > 0) {
+                await registrarAuditoria(tx, req.funcionario, {
+                    acao: 'promocao.atualizada',
+                    entidade: 'promocao',
+                    entidadeId: id,
+                    detalhes: { alterados },
+                });
+            }
+            return atualizada;
+        });
+        res.json(comDescricao(promocao));
+    } catch (error) {
+        responderErro(res, error, 'Erro ao atualizar a promoção.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { publicarEvento } = require('../services/eventos');
+const {
+    registrarLeituras,
+    listarRevisao,
+    confirmarDeteccao,
+    rejeitarDeteccao,
+} = require('../services/sensores');
+const { exigirSistemaLoja, exigirPapel } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
+// Avisa o app do cliente que o carrinho mudou, com os mesmos eventos das rotas do carrinho
+function avisarCarrinho(deteccao, item) {
+    publicarEvento(deteccao.clienteId, deteccao.acao === 'adicionar' ? 'item-adicionado' : 'item-removido', item);
+}
+
+// POST /api/sensores/eventos - Ingestão das leituras dos sensores da loja
+// Corpo: uma leitura ou { eventos: [...] }, cada uma com { tipo, araraId, ocorridoEm?, sensor? } e mais:
+//   peso:   { variacaoGramas }          (negativa quando tiram peças da prateleira)
+//   rfid:   { varianteId, presente }    (presente: false quando a etiqueta sai do alcance do leitor)
+//   camera: { clienteId, confianca? }   (trilha do comprador perto da arara)
+// Retorna { resultados: [{ evento, deteccao }] } na ordem em que as leituras aconteceram; uma trilha de câmera
+// aparece uma vez por detecção em revisão que ela reavaliou
+router.post('/sensores/eventos', exigirSistemaLoja, async (req, res) => {
+    try {
+        const resultados = await registrarLeituras(prisma, req.body);
+
+        for (const { deteccao, item } of resultados) {
+            if (item) {
+                avisarCarrinho(deteccao, item);
+            }
+        }
+
+        res.status(201).json({ resultados: resultados.map(({ evento, deteccao }) => ({ evento, deteccao })) });
+    } catch (error) {
+        responderErro(res, error, 'Erro ao registrar as leituras dos sensores.');
+    }
+});
+
+// GET /api/sensores/revisao - Fila de revisão: detecções que a fusão não teve confiança para aplicar
+router.get('/sensores/revisao', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    try {
+        res.json(await listarRevisao(prisma));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar a fila de revisão.' });
+    }
+});
+
+// POST /api/sensores/revisao/:id/confirmar - Aplicar uma detecção da fila ao carrinho
+// Corpo: { clienteId?, varianteId? } para corrigir ou completar o comprador e a peça sugeridos
+router.post('/sensores/revisao/:id/confirmar', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    const { clienteId, varianteId } = req.body ?? {};
+
+    try {
+        const { deteccao, item } = await confirmarDeteccao(
+            prisma,
+            parseInt(req.params.id),
+            { clienteId, varianteId },
+            req.funcionario,
+        );
+
+        avisarCarrinho(deteccao, item);
+
+        res.json(deteccao);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao confirmar a detecção.');
+    }
+});
+
+// POST /api/sensores/revisao/:id/rejeitar - Descartar uma detecção da fila sem mudar o carrinho
+// Corpo: { motivo? }
+router.post('/sensores/revisao/:id/rejeitar', exigirPapel('gerente', 'caixa'), async (req, res) => {
+    try {
+        const deteccao = await rejeitarDeteccao(prisma, parseInt(req.params.id), req.body?.motivo, req.funcionario);
+        res.json(deteccao);
+    } catch (error) {
+        responderErro(res, error, 'Erro ao rejeitar a detecção.');
+    }
+});
+
+module.exports = router;
@@ -1,75 +1,79 @@
 const express = require('express');
-const { PrismaClient, Prisma } = require('@prisma/client');
+const { PrismaClient } = require('@prisma/client');
+const { publicarEvento } = require('../services/eventos');
+const { registrarEntrada } = require('../services/entrada');
+const { passarPeloPortao } = require('../services/portao');
+const { exigirAcessoAoCliente } = require('../middlewares/autenticacao');
+const { ErroNegocio } = require('../utils/erros');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Entrada e saída valem para o cliente logado ou, no simulador, para quem o sistema da loja indicar
+// (o id validado vem em req.clienteId)
+const exigirClienteDoCorpo = exigirAcessoAoCliente(req => req.body?.clienteId);
+
+// Resposta padrão de erro das rotas do simulador: só erros de negócio chegam ao cliente com a mensagem
+function responderErro(res, error, mensagemPadrao) {
+    if (error instanceof ErroNegocio) {
+        return res.status(error.status).json({ error: error.message, ...error.detalhes });
+    }
+    res.status(500).json({ error: mensagemPadrao });
+}
+
 // POST /api/simulacao/entrar - Simular a entrada do cliente
-router.post('/simulacao/entrar', async (req, res) => {
-    const { clienteId } = req.body;
+router.post('/simulacao/entrar', exigirClienteDoCorpo, async (req, res) => {
+    const { clienteId } = req;
     try {
-        const cliente = await prisma.cliente.findUnique({ where: { id: clienteId } });
-        if (!cliente) {
-            return res.status(404).json({ error: 'Cliente não encontrado.' });
-        }
-        res.json({ status: 'sucesso', mensagem: `Cliente ${cliente.nome} entrou na loja.` });
+        const { cliente, visita } = await registrarEntrada(prisma, clienteId);
+
+        publicarEvento(cliente.id, 'cliente-entrou-loja', cliente);
+
+        res.json({ status: 'sucesso', mensagem: `Cliente ${cliente.nome} entrou na loja.`, visita });
     } catch (error) {
-        res.status(500).json({ error: 'Erro ao processar a entrada do cliente.' });
+        responderErro(res, error, 'Erro ao processar a entrada do cliente.');
     }
 });
 
-// POST /api/simulacao/sair - Finalizar a compra
-router.post('/simulacao/sair', async (req, res) => {
-    const { clienteId } = req.body;
+// POST /api/simulacao/sair - Passar pelo portão de saída, finalizando a compra
+// Corpo: { clienteId, metodoPagamentoId?, formaPagamento?, parcelas?, cupom?, pontos? }
+// Sem metodoPagamentoId, cobra o meio de pagamento padrão do cliente.
+// Respostas e erros do portão trazem a decisão em `portao` (abrir, segurar ou chamar_equipe, com o motivo);
+// com a equipe chamada, responde 409 SAIDA_BLOQUEADA sem cobrar.
+router.post('/simulacao/sair', exigirClienteDoCorpo, async (req, res) => {
+    const { clienteId } = req;
+    const { metodoPagamentoId, formaPagamento, parcelas, cupom, pontos } = req.body;
 
     try {
-        // Usamos uma transação para garantir que todas as operações funcionem ou nenhuma delas
-        const compraRealizada = await prisma.$transaction(async (tx) => {
-            // 1. Encontrar todos os itens do carrinho do cliente
-            const itensCarrinho = await tx.carrinhoItem.findMany({
-                where: { clienteId: clienteId },
-                include: { produto: true },
-            });
-
-            if (itensCarrinho.length === 0) {
-                throw new Error('O carrinho está vazio. Nenhuma compra foi realizada.');
-            }
-
-            // 2. Calcular o valor total e criar o JSON de itens
-            let valorTotal = new Prisma.Decimal(0);
-            const itensComprados = itensCarrinho.map(item => {
-                const subtotal = item.produto.preco.times(item.quantidade);
-                valorTotal = valorTotal.plus(subtotal);
-                return {
-                    id: item.produto.id,
-                    nome: item.produto.nome,
-                    preco: item.produto.preco,
-                    quantidade: item.quantidade,
-                };
-            });
+        const { visita, compra, portao } = await passarPeloPortao(prisma, clienteId, {
+            formaPagamento,
+            metodoPagamentoId,
+            parcelas,
+            cupom,
+            pontos,
+        });
 
-            // 3. Criar o registro da compra
-            const novaCompra = await tx.compra.create({
-                data: {
-                    clienteId: clienteId,
-                    valorTotal: valorTotal,
-                    itensComprados: itensComprados, // Prisma lida com a conversão para JSON
-                },
-            });
+        publicarEvento(clienteId, 'portao-decidido', portao);
 
-            // 4. Limpar o carrinho do cliente
-            await tx.carrinhoItem.deleteMany({
-                where: { clienteId: clienteId },
-            });
+        if (!compra) {
+            return res.json({ status: 'sucesso', mensagem: 'Cliente saiu da loja sem realizar compras.', visita, portao });
+        }
 
-            return novaCompra;
-        });
+        // Compra no PIX só vira 'cliente-pagou' quando o banco confirmar
+        publicarEvento(clienteId, compra.statusPagamento === 'pendente' ? 'pix-gerado' : 'cliente-pagou', compra);
 
-        res.status(201).json(compraRealizada);
+        res.status(201).json({ ...compra, portao });
 
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        // Recusa de pagamento também vai para o app do cliente, mesmo quando a saída veio do simulador
+        if (error.detalhes?.codigo === 'PAGAMENTO_RECUSADO') {
+            publicarEvento(clienteId, 'pagamento-recusado', { error: error.message, ...error.detalhes });
+        }
+        if (error.detalhes?.portao) {
+            publicarEvento(clienteId, 'portao-decidido', error.detalhes.portao);
+        }
+        responderErro(res, error, 'Erro ao processar a saída do cliente.');
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
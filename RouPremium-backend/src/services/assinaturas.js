@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Chave HMAC da loja, só do ambiente: uma chave conhecida permitiria forjar recibos "autênticos".
+// Sem ela, o servidor não sobe (ver src/index.js). Trocar a chave invalida os recibos já emitidos.
+const CHAVE_ASSINATURA = process.env.RECIBO_CHAVE_ASSINATURA || null;
+
+// Endereço da API usado no QR code do recibo para conferir a assinatura
+const URL_VERIFICACAO = process.env.RECIBO_URL_VERIFICACAO || 'http://localhost:3000/api';
+
+// JSON com as chaves sempre na mesma ordem. O banco (jsonb) não preserva a ordem das chaves dos itens,
+// então a assinatura não pode depender dela.
+function serializarCanonico(valor) {
+    if (Array.isArray(valor)) {
+        return `[${valor.map(serializarCanonico).join(',')}]`;
+    }
+    if (valor && typeof valor === 'object') {
+        const chaves = Object.keys(valor).filter(chave => valor[chave] !== undefined).sort();
+        return `{${chaves.map(chave => `${JSON.stringify(chave)}:${serializarCanonico(valor[chave])}`).join(',')}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+// O que a assinatura cobre: id, data, total e itens (produtos e descontos) da compra
+function conteudoAssinado(compra) {
+    // Ida e volta pelo JSON para os Decimals virarem o mesmo texto que o banco devolve depois
+    const itens = JSON.parse(JSON.stringify(compra.itensComprados));
+    return serializarCanonico({
+        id: compra.id,
+        data: new Date(compra.data).toISOString(),
+        valorTotal: compra.valorTotal.toFixed(2),
+        itens,
+    });
+}
+
+const chaveDeAssinaturaConfigurada = () => CHAVE_ASSINATURA !== null;
+
+function assinarCompra(compra) {
+    if (!chaveDeAssinaturaConfigurada()) {
+        throw new Error('RECIBO_CHAVE_ASSINATURA não configurada: recibos não podem ser assinados nem verificados.');
+    }
+    return crypto
+        .createHmac('sha256', CHAVE_ASSINATURA)
+        .update(conteudoAssinado(compra))
+        .digest('base64url');
+}
+
+function assinaturasIguais(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Confere uma assinatura apresentada (a do QR code do recibo) contra a compra gravada.
+ * Retorna { valido, motivo } com motivo 'SEM_ASSINATURA', 'REGISTRO_ALTERADO' ou 'ASSINATURA_DIVERGENTE'.
+ */
+function verificarAssinatura(compra, assinaturaApresentada) {
+    if (!compra.assinatura) {
+        return { valido: false, motivo: 'SEM_ASSINATURA' };
+    }
+    // A compra gravada precisa continuar batendo com a própria assinatura
+    if (!assinaturasIguais(assinarCompra(compra), compra.assinatura)) {
+        return { valido: false, motivo: 'REGISTRO_ALTERADO' };
+    }
+    if (!assinaturasIguais(assinaturaApresentada, compra.assinatura)) {
+        return { valido: false, motivo: 'ASSINATURA_DIVERGENTE' };
+    }
+    return { valido: true };
+}
+
+// Compras anteriores à assinatura são assinadas na primeira vez que o recibo é emitido.
+// A assinatura é determinística, então duas emissões simultâneas gravam o mesmo valor.
+async function garantirAssinatura(prisma, compra) {
+    if (compra.assinatura) return compra;
+    const assinatura = assinarCompra(compra);
+    await prisma.compra.updateMany({
+        where: { id: compra.id, assinatura: null },
+        data: { assinatura: assinatura },
+    });
+    return { ...compra, assinatura };
+}
+
+const urlDeVerificacao = (compra) => `${URL_VERIFICACAO}/compras/${compra.id}/verificar?assinatura=${compra.assinatura}`;
+
+// QR code (data URL PNG) que leva à verificação do recibo
+const gerarQrCodeAssinatura = (compra) => QRCode.toDataURL(urlDeVerificacao(compra));
+
+module.exports = {
+    chaveDeAssinaturaConfigurada,
+    assinarCompra,
+    verificarAssinatura,
+    garantirAssinatura,
+    urlDeVerificacao,
+    gerarQrCodeAssinatura,
+};
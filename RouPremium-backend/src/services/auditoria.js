@@ -0,0 +1,41 @@
+// Decimals (todos valores em reais no esquema) e datas viram texto para caber no JSON e comparar pelo valor
+function normalizar(valor) {
+    if (valor instanceof Date) return valor.toISOString();
+    if (valor !== null && typeof valor === 'object' && typeof valor.toFixed === 'function') return valor.toFixed(2);
+    return valor ?? null;
+}
+
+/**
+ * Campos que mudaram entre o registro antes e depois da alteração: { campo: { de, para } }.
+ * Só entram os `campos` listados (nada de senha ou dados internos no registro).
+ */
+function diferencas(antes, depois, campos) {
+    const alterados = {};
+    for (const campo of campos) {
+        const de = normalizar(antes?.[campo]);
+        const para = normalizar(depois?.[campo]);
+        if (de !== para) {
+            alterados[campo] = { de, para };
+        }
+    }
+    return alterados;
+}
+
+/**
+ * Grava uma ação privilegiada feita por um funcionário. Deve ser chamada com o `tx` da mesma
+ * transação da alteração: se a gravação falhar, a alteração também é desfeita.
+ */
+function registrarAuditoria(tx, funcionario, { acao, entidade, entidadeId = null, detalhes }) {
+    return tx.registroAuditoria.create({
+        data: {
+            funcionarioId: funcionario.id,
+            acao,
+            entidade,
+            entidadeId,
+            // Ida e volta pelo JSON para os Decimals dos detalhes virarem texto
+            detalhes: detalhes === undefined ? undefined : JSON.parse(JSON.stringify(detalhes)),
+        },
+    });
+}
+
+module.exports = { diferencas, registrarAuditoria };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, validarCampos } = require('../utils/validacao');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Validade de uma sessão aberta no login
+const DURACAO_SESSAO_HORAS = parseInt(process.env.SESSAO_DURACAO_HORAS) || 720;
+// Validade da sessão do simulador, que age como o sistema da loja (ver criarSessaoFuncionario)
+const DURACAO_SESSAO_SISTEMA_MINUTOS = parseInt(process.env.SESSAO_SISTEMA_DURACAO_MINUTOS) || 60;
+
+// Chave dos sensores e scripts da loja, enviada no cabeçalho X-Chave-Loja. Com ela, a requisição
+// pode agir por qualquer cliente que está na loja. Sem CHAVE_SISTEMA_LOJA no ambiente, nenhuma chave vale.
+const CHAVE_SISTEMA_LOJA = process.env.CHAVE_SISTEMA_LOJA || null;
+
+// Tokens da equipe começam com este prefixo, para o middleware saber em qual tabela procurar a sessão
+const PREFIXO_TOKEN_EQUIPE = 'equipe.';
+
+const SENHA_TAMANHO_MINIMO = 8;
+const FORMATO_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validarEmail = (valor) => (typeof valor === 'string' && FORMATO_EMAIL.test(valor.trim())
+    ? { valor: valor.trim().toLowerCase() }
+    : { erro: 'Informe um e-mail válido.' });
+
+const validarSenha = (valor) => (typeof valor === 'string' && valor.length >= SENHA_TAMANHO_MINIMO
+    ? { valor }
+    : { erro: `A senha deve ter pelo menos ${SENHA_TAMANHO_MINIMO} caracteres.` });
+
+const VALIDADORES_CONTA = {
+    nome: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o seu nome.' }),
+    email: validarEmail,
+    senha: validarSenha,
+};
+
+// Mesmo contrato de validarDadosProduto: ErroNegocio 400 com { campos: { campo: mensagem } }.
+// Na edição do perfil (`parcial`), só os campos enviados são validados.
+function validarDadosConta(dados, { parcial = false } = {}) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES_CONTA, ['nome', 'email', 'senha'], parcial);
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados da conta inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// Hash no formato "scrypt$<sal>$<hash>", com sal aleatório por senha
+async function gerarHashSenha(senha) {
+    const sal = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(senha, sal, 64);
+    return `scrypt$${sal}$${hash.toString('hex')}`;
+}
+
+async function conferirSenha(senha, senhaHash) {
+    const [algoritmo, sal, hashEsperado] = String(senhaHash).split('$');
+    if (algoritmo !== 'scrypt' || !sal || !hashEsperado) return false;
+    const hash = await scrypt(String(senha), sal, 64);
+    const esperado = Buffer.from(hashEsperado, 'hex');
+    return esperado.length === hash.length && crypto.timingSafeEqual(hash, esperado);
+}
+
+const hashDoToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const novoToken = (prefixo = '', duracaoMinutos = DURACAO_SESSAO_HORAS * 60) => ({
+    token: prefixo + crypto.randomBytes(32).toString('base64url'),
+    expiraEm: new Date(Date.now() + duracaoMinutos * 60 * 1000),
+});
+
+// Abre uma sessão e devolve o token (só ele identifica a sessão; o banco guarda o hash)
+async function criarSessao(prisma, clienteId) {
+    const { token, expiraEm } = novoToken();
+    await prisma.sessaoCliente.create({
+        data: { clienteId, tokenHash: hashDoToken(token), expiraEm },
+    });
+    return { token, expiraEm };
+}
+
+// Cliente dono de um token ainda válido (sem a senha), ou null
+async function buscarClienteDaSessao(prisma, token) {
+    const sessao = await prisma.sessaoCliente.findUnique({
+        where: { tokenHash: hashDoToken(token) },
+        include: { cliente: { omit: { senhaHash: true } } },
+    });
+    if (!sessao || sessao.expiraEm <= new Date()) return null;
+    return sessao.cliente;
+}
+
+const encerrarSessao = (prisma, token) => prisma.sessaoCliente.deleteMany({ where: { tokenHash: hashDoToken(token) } });
+
+// Troca de senha: derruba as sessões do cliente em outros aparelhos, mantendo a do token atual
+const encerrarOutrasSessoes = (prisma, clienteId, tokenAtual) => prisma.sessaoCliente.deleteMany({
+    where: { clienteId: clienteId, tokenHash: tokenAtual ? { not: hashDoToken(tokenAtual) } : undefined },
+});
+
+/**
+ * Confere e-mail e senha. Lança ErroNegocio 401 sem dizer qual dos dois está errado.
+ */
+async function autenticarCliente(prisma, { email, senha }) {
+    const cliente = typeof email === 'string'
+        ? await prisma.cliente.findUnique({ where: { email: email.trim().toLowerCase() } })
+        : null;
+    if (!cliente?.senhaHash || !(await conferirSenha(senha, cliente.senhaHash))) {
+        throw new ErroNegocio('E-mail ou senha incorretos.', 401);
+    }
+    const { senhaHash, ...semSenha } = cliente;
+    return semSenha;
+}
+
+const ehTokenDaEquipe = (token) => token.startsWith(PREFIXO_TOKEN_EQUIPE);
+
+// Com `sistemaLoja`, a sessão é a do simulador: age por qualquer cliente, como a chave X-Chave-Loja,
+// e por isso expira em SESSAO_SISTEMA_DURACAO_MINUTOS
+async function criarSessaoFuncionario(prisma, funcionarioId, { sistemaLoja = false } = {}) {
+    const { token, expiraEm } = sistemaLoja
+        ? novoToken(PREFIXO_TOKEN_EQUIPE, DURACAO_SESSAO_SISTEMA_MINUTOS)
+        : novoToken(PREFIXO_TOKEN_EQUIPE);
+    await prisma.sessaoFuncionario.create({
+        data: { funcionarioId, tokenHash: hashDoToken(token), expiraEm, sistemaLoja },
+    });
+    return { token, expiraEm };
+}
+
+// Sessão ainda válida de um funcionário ativo, com o funcionário (sem a senha), ou null.
+// Desligar o funcionário derruba as sessões que ele ainda tinha abertas.
+async function buscarSessaoFuncionario(prisma, token) {
+    const sessao = await prisma.sessaoFuncionario.findUnique({
+        where: { tokenHash: hashDoToken(token) },
+        include: { funcionario: { omit: { senhaHash: true } } },
+    });
+    if (!sessao || sessao.expiraEm <= new Date() || !sessao.funcionario.ativo) return null;
+    return sessao;
+}
+
+const encerrarSessaoFuncionario = (prisma, token) => prisma.sessaoFuncionario.deleteMany({ where: { tokenHash: hashDoToken(token) } });
+
+// Mesmo contrato de autenticarCliente; funcionário desligado não entra
+async function autenticarFuncionario(prisma, { email, senha }) {
+    const funcionario = typeof email === 'string'
+        ? await prisma.funcionario.findUnique({ where: { email: email.trim().toLowerCase() } })
+        : null;
+    if (!funcionario?.ativo || !(await conferirSenha(senha, funcionario.senhaHash))) {
+        throw new ErroNegocio('E-mail ou senha incorretos.', 401);
+    }
+    const { senhaHash, ...semSenha } = funcionario;
+    return semSenha;
+}
+
+const chaveDoSistemaConfigurada = () => CHAVE_SISTEMA_LOJA !== null;
+
+function chaveDoSistemaValida(chave) {
+    if (!chaveDoSistemaConfigurada() || typeof chave !== 'string') return false;
+    const recebida = Buffer.from(chave);
+    const esperada = Buffer.from(CHAVE_SISTEMA_LOJA);
+    return recebida.length === esperada.length && crypto.timingSafeEqual(recebida, esperada);
+}
+
+module.exports = {
+    validarEmail,
+    validarSenha,
+    validarDadosConta,
+    gerarHashSenha,
+    conferirSenha,
+    criarSessao,
+    buscarClienteDaSessao,
+    encerrarSessao,
+    encerrarOutrasSessoes,
+    autenticarCliente,
+    ehTokenDaEquipe,
+    criarSessaoFuncionario,
+    buscarSessaoFuncionario,
+    encerrarSessaoFuncionario,
+    autenticarFuncionario,
+    chaveDoSistemaConfigurada,
+    chaveDoSistemaValida,
+};
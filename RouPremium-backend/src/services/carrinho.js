@@ -0,0 +1,128 @@
+const { exigirCarrinhoEditavel } = require('./visitas');
+const { reservarEstoque, liberarReserva } = require('./estoque');
+const { precoDaVariante } = require('./produtos');
+const { ErroNegocio } = require('../utils/erros');
+
+// Todo item do carrinho vem com o produto e o tamanho/cor escolhidos
+const incluirItem = { produto: true, variante: true };
+
+// Acrescenta o preço unitário cobrado pela variante, para as telas não precisarem decidir
+const comPreco = (item) => ({ ...item, precoUnitario: precoDaVariante(item.variante, item.produto) });
+
+// Identifica a variante pega na arara. Só com `produtoId`, vale apenas para produtos de variante única.
+async function resolverVariante(tx, { produtoId, varianteId }) {
+    if (varianteId !== undefined) {
+        const variante = await tx.variante.findUnique({ where: { id: varianteId } });
+        if (!variante) {
+            throw new ErroNegocio('Variante não encontrada.', 404);
+        }
+        return variante;
+    }
+
+    const variantes = await tx.variante.findMany({ where: { produtoId: produtoId }, orderBy: { id: 'asc' } });
+    if (variantes.length === 0) {
+        throw new ErroNegocio('Produto não encontrado.', 404);
+    }
+    if (variantes.length > 1) {
+        throw new ErroNegocio('Escolha o tamanho e a cor do produto.', 400, {
+            produtoId: produtoId,
+            variantes: variantes.map(({ id, tamanho, cor }) => ({ id, tamanho, cor })),
+        });
+    }
+    return variantes[0];
+}
+
+/**
+ * Põe uma unidade da variante pega na arara no carrinho do cliente, reservando-a no estoque, dentro da
+ * transação `tx`. Aceita { varianteId } ou { produtoId } (só para produtos de variante única).
+ * Retorna a linha do carrinho com o preço unitário. Lança ErroNegocio 409 sem visita aberta ou sem estoque.
+ */
+async function incluirNoCarrinho(tx, clienteId, { produtoId, varianteId }) {
+    // Só é possível pegar produtos durante uma visita à loja
+    await exigirCarrinhoEditavel(tx, clienteId);
+
+    const variante = await resolverVariante(tx, { produtoId, varianteId });
+
+    // Segura uma unidade na arara para este cliente (falha se esgotado)
+    await reservarEstoque(tx, variante.id, 1);
+
+    // Verifica se o item já existe no carrinho para esse cliente
+    const itemExistente = await tx.carrinhoItem.findUnique({
+        where: {
+            clienteId_varianteId: {
+                clienteId: clienteId,
+                varianteId: variante.id,
+            },
+        },
+    });
+
+    if (itemExistente) {
+        // Se existe, incrementa a quantidade
+        const item = await tx.carrinhoItem.update({
+            where: {
+                clienteId_varianteId: {
+                    clienteId: clienteId,
+                    varianteId: variante.id,
+                },
+            },
+            data: {
+                quantidade: itemExistente.quantidade + 1,
+            },
+            include: incluirItem,
+        });
+        return comPreco(item);
+    }
+
+    // Se não existe, cria o item com quantidade 1
+    const item = await tx.carrinhoItem.create({
+        data: {
+            clienteId: clienteId,
+            produtoId: variante.produtoId,
+            varianteId: variante.id,
+            quantidade: 1,
+        },
+        include: incluirItem,
+    });
+    return comPreco(item);
+}
+
+// Igual a incluirNoCarrinho, numa transação própria: reserva do estoque e item do carrinho mudam juntos ou nenhum muda
+function adicionarAoCarrinho(prisma, clienteId, dados) {
+    return prisma.$transaction((tx) => incluirNoCarrinho(tx, clienteId, dados));
+}
+
+// Devolve unidades de uma variante do carrinho à arara, liberando a reserva.
+// Sem `quantidade`, devolve a linha inteira. Retorna como a linha ficou (quantidade 0 se saiu do carrinho).
+async function devolverItem(tx, clienteId, varianteId, quantidade) {
+    const chave = { clienteId_varianteId: { clienteId: clienteId, varianteId: varianteId } };
+
+    const item = await tx.carrinhoItem.findUnique({ where: chave, include: incluirItem });
+    if (!item) {
+        throw new ErroNegocio('Este produto não está no carrinho do cliente.', 404);
+    }
+
+    const devolvidos = Math.min(quantidade ?? item.quantidade, item.quantidade);
+    await liberarReserva(tx, varianteId, devolvidos);
+
+    if (devolvidos === item.quantidade) {
+        await tx.carrinhoItem.delete({ where: chave });
+        return comPreco({ ...item, quantidade: 0 });
+    }
+
+    const itemAtualizado = await tx.carrinhoItem.update({
+        where: chave,
+        data: { quantidade: item.quantidade - devolvidos },
+        include: incluirItem,
+    });
+    return comPreco(itemAtualizado);
+}
+
+// Cliente devolve à arara uma unidade de uma variante do carrinho
+function removerDoCarrinho(prisma, clienteId, varianteId) {
+    return prisma.$transaction(async (tx) => {
+        await exigirCarrinhoEditavel(tx, clienteId);
+        return devolverItem(tx, clienteId, varianteId, 1);
+    });
+}
+
+module.exports = { incluirItem, comPreco, incluirNoCarrinho, adicionarAoCarrinho, devolverItem, removerDoCarrinho };
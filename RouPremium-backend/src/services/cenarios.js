@@ -0,0 +1,357 @@
+const { Prisma } = require('@prisma/client');
+const { publicarEvento } = require('./eventos');
+const { registrarEntrada } = require('./entrada');
+const { incluirItem, adicionarAoCarrinho, removerDoCarrinho } = require('./carrinho');
+const { passarPeloPortao } = require('./portao');
+const { quantidadeDisponivel } = require('./estoque');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, aceitaNulo, validarCampos } = require('../utils/validacao');
+
+// Um cenário é uma lista de passos; cada passo diz o comprador (pelo e-mail) e a ação:
+//   { cliente, acao: 'entrar' }
+//   { cliente, acao: 'pegar', sku, tamanho?, cor? }   sem tamanho/cor, pega o primeiro com estoque
+//   { cliente, acao: 'esperar', segundos }
+//   { cliente, acao: 'devolver', sku? }               sem sku, devolve o último item do carrinho
+//   { cliente, acao: 'sair', formaPagamento? }        sem forma, cobra o meio padrão do cliente
+// E-mail e SKU, e não ids, para o cenário continuar valendo depois de um novo seed.
+const ACOES_CENARIO = ['entrar', 'pegar', 'esperar', 'devolver', 'sair'];
+const FORMAS_PAGAMENTO_SAIDA = ['cartao', 'pix'];
+const MAXIMO_PASSOS = 100;
+const MAXIMO_ESPERA_SEGUNDOS = 60;
+
+const aguardar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Campos de texto opcionais de um passo (sku, tamanho, cor), copiados já aparados
+function copiarTextos(passo, valor, campos) {
+    for (const campo of campos) {
+        if (passo[campo] === undefined) continue;
+        if (!textoPreenchido(passo[campo])) {
+            return `O campo ${campo} deve ser um texto.`;
+        }
+        valor[campo] = passo[campo].trim();
+    }
+    return null;
+}
+
+function validarPasso(passo) {
+    if (!passo || typeof passo !== 'object' || Array.isArray(passo)) {
+        return { erro: 'Passo inválido.' };
+    }
+    if (!textoPreenchido(passo.cliente)) {
+        return { erro: 'Informe o e-mail do cliente.' };
+    }
+    if (!ACOES_CENARIO.includes(passo.acao)) {
+        return { erro: `Ação inválida. Use: ${ACOES_CENARIO.join(', ')}.` };
+    }
+
+    const valor = { cliente: passo.cliente.trim().toLowerCase(), acao: passo.acao };
+    let erro = null;
+    switch (passo.acao) {
+        case 'pegar':
+            erro = textoPreenchido(passo.sku) ? copiarTextos(passo, valor, ['sku', 'tamanho', 'cor']) : 'Informe o SKU do produto.';
+            break;
+        case 'devolver':
+            erro = copiarTextos(passo, valor, ['sku']);
+            break;
+        case 'esperar':
+            if (typeof passo.segundos !== 'number' || !(passo.segundos > 0) || passo.segundos > MAXIMO_ESPERA_SEGUNDOS) {
+                erro = `Informe quantos segundos esperar (até ${MAXIMO_ESPERA_SEGUNDOS}).`;
+            }
+            valor.segundos = passo.segundos;
+            break;
+        case 'sair':
+            if (passo.formaPagamento === undefined) break;
+            if (FORMAS_PAGAMENTO_SAIDA.includes(passo.formaPagamento)) {
+                valor.formaPagamento = passo.formaPagamento;
+            } else {
+                erro = `Forma de pagamento inválida. Use: ${FORMAS_PAGAMENTO_SAIDA.join(', ')}.`;
+            }
+            break;
+    }
+    return erro ? { erro } : { valor };
+}
+
+function validarPassos(passos) {
+    if (!Array.isArray(passos) || passos.length === 0) {
+        return { erro: 'Informe ao menos um passo.' };
+    }
+    if (passos.length > MAXIMO_PASSOS) {
+        return { erro: `Um cenário pode ter até ${MAXIMO_PASSOS} passos.` };
+    }
+    const validados = [];
+    for (const [indice, passo] of passos.entries()) {
+        const { valor, erro } = validarPasso(passo);
+        if (erro) {
+            return { erro: `Passo ${indice + 1}: ${erro}` };
+        }
+        validados.push(valor);
+    }
+    return { valor: validados };
+}
+
+const VALIDADORES = {
+    nome: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o nome do cenário.' }),
+    descricao: aceitaNulo((valor) => (typeof valor === 'string' ? { valor: valor.trim() } : { erro: 'Descrição inválida.' })),
+    passos: validarPassos,
+};
+
+/**
+ * Valida nome, descricao e passos de um cenário. Com `parcial`, só os campos enviados (edição).
+ * Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosCenario(dados, { parcial = false } = {}) {
+    if (!dados || typeof dados !== 'object') {
+        throw new ErroNegocio('Dados do cenário inválidos.', 400);
+    }
+    const { resultado, campos } = validarCampos(dados, VALIDADORES, ['nome', 'passos'], parcial);
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do cenário inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+/**
+ * Encontra os clientes (por e-mail) e produtos (por SKU) citados nos passos.
+ * Retorna { clientesPorEmail, produtosPorSku }. Lança ErroNegocio 400 listando o que não existe
+ * (clientes anonimizados também não valem).
+ */
+async function resolverReferencias(prisma, passos) {
+    const emails = [...new Set(passos.map(passo => passo.cliente))];
+    const skus = [...new Set(passos.filter(passo => passo.sku).map(passo => passo.sku))];
+
+    const [clientes, produtos] = await Promise.all([
+        prisma.cliente.findMany({
+            where: { email: { in: emails }, anonimizadoEm: null },
+            select: { id: true, nome: true, email: true },
+        }),
+        prisma.produto.findMany({ where: { sku: { in: skus } }, select: { id: true, nome: true, sku: true } }),
+    ]);
+    const clientesPorEmail = new Map(clientes.map(cliente => [cliente.email, cliente]));
+    const produtosPorSku = new Map(produtos.map(produto => [produto.sku, produto]));
+
+    const inexistentes = [
+        ...emails.filter(email => !clientesPorEmail.has(email)).map(email => `cliente ${email}`),
+        ...skus.filter(sku => !produtosPorSku.has(sku)).map(sku => `produto ${sku}`),
+    ];
+    if (inexistentes.length > 0) {
+        throw new ErroNegocio(`O cenário cita cadastros que não existem: ${inexistentes.join(', ')}.`, 400, {
+            campos: { passos: `Não encontrados: ${inexistentes.join(', ')}.` },
+        });
+    }
+    return { clientesPorEmail, produtosPorSku };
+}
+
+// O tamanho/cor pedido no passo; sem isso, o primeiro ainda disponível na arara
+async function escolherVariante(prisma, produto, passo) {
+    const variantes = await prisma.variante.findMany({
+        where: {
+            produtoId: produto.id,
+            ...(passo.tamanho ? { tamanho: passo.tamanho } : {}),
+            ...(passo.cor ? { cor: passo.cor } : {}),
+        },
+        orderBy: { id: 'asc' },
+    });
+    if (variantes.length === 0) {
+        throw new ErroNegocio(`${produto.nome} não tem ${[passo.tamanho, passo.cor].filter(Boolean).join(' ')}.`, 404);
+    }
+    // Sem estoque em nenhuma, a reserva falha com a mensagem de sempre
+    return variantes.find(variante => quantidadeDisponivel(variante) > 0) ?? variantes[0];
+}
+
+const descreverItem = (item) => `${item.produto.nome} ${item.variante.tamanho} ${item.variante.cor}`;
+
+// Cada ação usa a mesma lógica (e avisa o app do cliente com os mesmos eventos) das rotas de simulação e carrinho.
+// Retorna a mensagem que vai para o log do passo.
+const ACOES = {
+    async entrar(prisma, clienteId) {
+        const { cliente } = await registrarEntrada(prisma, clienteId);
+        publicarEvento(clienteId, 'cliente-entrou-loja', cliente);
+        return `Cliente ${cliente.nome} entrou na loja.`;
+    },
+
+    async pegar(prisma, clienteId, passo, produtosPorSku) {
+        const variante = await escolherVariante(prisma, produtosPorSku.get(passo.sku), passo);
+        const item = await adicionarAoCarrinho(prisma, clienteId, { varianteId: variante.id });
+        publicarEvento(clienteId, 'item-adicionado', item);
+        return `Pegou ${descreverItem(item)}.`;
+    },
+
+    async esperar(prisma, clienteId, passo) {
+        await aguardar(passo.segundos * 1000);
+        return `Esperou ${passo.segundos} s.`;
+    },
+
+    async devolver(prisma, clienteId, passo) {
+        const itens = await prisma.carrinhoItem.findMany({ where: { clienteId: clienteId }, include: incluirItem });
+        const candidatos = passo.sku ? itens.filter(item => item.produto.sku === passo.sku) : itens;
+        if (candidatos.length === 0) {
+            throw new ErroNegocio(passo.sku
+                ? `O produto ${passo.sku} não está no carrinho.`
+                : 'O carrinho está vazio, não há o que devolver.', 409);
+        }
+        const item = await removerDoCarrinho(prisma, clienteId, candidatos[candidatos.length - 1].varianteId);
+        publicarEvento(clienteId, 'item-removido', item);
+        return `${descreverItem(item)} devolvido(a) à arara.`;
+    },
+
+    async sair(prisma, clienteId, passo) {
+        let compra;
+        let portao;
+        try {
+            ({ compra, portao } = await passarPeloPortao(prisma, clienteId, { formaPagamento: passo.formaPagamento }));
+        } catch (error) {
+            if (error.detalhes?.codigo === 'PAGAMENTO_RECUSADO') {
+                publicarEvento(clienteId, 'pagamento-recusado', { error: error.message, ...error.detalhes });
+            }
+            if (error.detalhes?.portao) {
+                publicarEvento(clienteId, 'portao-decidido', error.detalhes.portao);
+            }
+            throw error;
+        }
+        publicarEvento(clienteId, 'portao-decidido', portao);
+        if (!compra) {
+            return 'Saiu da loja sem realizar compras.';
+        }
+
+        const pendente = compra.statusPagamento === 'pendente';
+        publicarEvento(clienteId, pendente ? 'pix-gerado' : 'cliente-pagou', compra);
+        return pendente
+            ? `PIX gerado para a compra ${compra.id} (R$ ${compra.valorTotal}). Aguardando pagamento.`
+            : `Compra finalizada! Valor total: R$ ${compra.valorTotal}. Recibo ID: ${compra.id}.`;
+    },
+};
+
+// Roda em ordem os passos de um comprador; no primeiro que falha, os seguintes ficam ignorados.
+// Retorna true se todos deram certo.
+async function executarPassosDoComprador(prisma, passos, produtosPorSku) {
+    for (const [indice, passoExecucao] of passos.entries()) {
+        await prisma.passoExecucao.update({
+            where: { id: passoExecucao.id },
+            data: { status: 'executando', iniciadoEm: new Date() },
+        });
+
+        try {
+            const { clienteId, passo } = passoExecucao;
+            const mensagem = await ACOES[passo.acao](prisma, clienteId, passo, produtosPorSku);
+            await prisma.passoExecucao.update({
+                where: { id: passoExecucao.id },
+                data: { status: 'concluido', mensagem, concluidoEm: new Date() },
+            });
+        } catch (error) {
+            if (!(error instanceof ErroNegocio)) {
+                console.error('Erro ao executar passo de cenário:', error);
+            }
+            await prisma.passoExecucao.update({
+                where: { id: passoExecucao.id },
+                data: {
+                    status: 'falhou',
+                    mensagem: error instanceof ErroNegocio ? error.message : 'Erro inesperado ao executar o passo.',
+                    concluidoEm: new Date(),
+                },
+            });
+            await prisma.passoExecucao.updateMany({
+                where: { id: { in: passos.slice(indice + 1).map(restante => restante.id) } },
+                data: { status: 'ignorado' },
+            });
+            return false;
+        }
+    }
+    return true;
+}
+
+// Os passos de cada comprador seguem a ordem do cenário; compradores diferentes andam em paralelo
+async function executarCenario(prisma, execucao, produtosPorSku) {
+    const passosPorComprador = new Map();
+    for (const passo of execucao.passos) {
+        passosPorComprador.set(passo.clienteId, [...(passosPorComprador.get(passo.clienteId) ?? []), passo]);
+    }
+
+    const resultados = await Promise.all([...passosPorComprador.values()]
+        .map(passos => executarPassosDoComprador(prisma, passos, produtosPorSku)));
+
+    await prisma.execucaoCenario.update({
+        where: { id: execucao.id },
+        data: { status: resultados.every(Boolean) ? 'concluida' : 'falhou', finalizadaEm: new Date() },
+    });
+}
+
+// Execução com os passos em ordem, como a API devolve
+const incluirPassos = { passos: { orderBy: { ordem: 'asc' } } };
+
+/**
+ * Começa a executar o cenário em segundo plano e retorna logo a execução com os passos pendentes;
+ * o andamento é acompanhado consultando a execução.
+ * Lança ErroNegocio 404 (cenário não existe), 400 (cita cliente ou produto inexistente) ou
+ * 409 se algum dos compradores já está em outra execução em andamento.
+ */
+async function iniciarExecucao(prisma, cenarioId) {
+    const cenario = await prisma.cenario.findUnique({ where: { id: cenarioId } });
+    if (!cenario) {
+        throw new ErroNegocio('Cenário não encontrado.', 404);
+    }
+    const { clientesPorEmail, produtosPorSku } = await resolverReferencias(prisma, cenario.passos);
+    const clienteIds = [...clientesPorEmail.values()].map(cliente => cliente.id);
+
+    // Serializable evita que duas execuções simultâneas ponham o mesmo cliente para andar duas vezes
+    const execucao = await prisma.$transaction(async (tx) => {
+        const emOutraExecucao = await tx.passoExecucao.findFirst({
+            where: { clienteId: { in: clienteIds }, execucao: { status: 'em_andamento' } },
+            include: { cliente: { select: { nome: true } } },
+        });
+        if (emOutraExecucao) {
+            throw new ErroNegocio(`${emOutraExecucao.cliente.nome} já está em outro cenário em andamento.`, 409, {
+                execucaoId: emOutraExecucao.execucaoId,
+            });
+        }
+
+        return tx.execucaoCenario.create({
+            data: {
+                cenarioId: cenario.id,
+                passos: {
+                    create: cenario.passos.map((passo, ordem) => ({
+                        ordem,
+                        clienteId: clientesPorEmail.get(passo.cliente).id,
+                        acao: passo.acao,
+                        passo,
+                    })),
+                },
+            },
+            include: incluirPassos,
+        });
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    executarCenario(prisma, execucao, produtosPorSku).catch(async (error) => {
+        console.error(`Erro na execução ${execucao.id} do cenário ${cenario.id}:`, error);
+        await prisma.execucaoCenario.update({
+            where: { id: execucao.id },
+            data: { status: 'falhou', finalizadaEm: new Date() },
+        }).catch(() => {});
+    });
+    return execucao;
+}
+
+// Execuções que o servidor deixou pela metade ao reiniciar não voltam a andar:
+// ficam como falhas, para não prenderem os clientes
+async function encerrarExecucoesInterrompidas(prisma) {
+    const interrompidas = await prisma.execucaoCenario.findMany({ where: { status: 'em_andamento' }, select: { id: true } });
+    if (interrompidas.length === 0) return;
+
+    const execucaoId = { in: interrompidas.map(execucao => execucao.id) };
+    await prisma.$transaction([
+        prisma.passoExecucao.updateMany({
+            where: { execucaoId, status: 'executando' },
+            data: { status: 'falhou', mensagem: 'O servidor reiniciou durante o passo.', concluidoEm: new Date() },
+        }),
+        prisma.passoExecucao.updateMany({ where: { execucaoId, status: 'pendente' }, data: { status: 'ignorado' } }),
+        prisma.execucaoCenario.updateMany({ where: { id: execucaoId }, data: { status: 'falhou', finalizadaEm: new Date() } }),
+    ]);
+}
+
+module.exports = {
+    ACOES_CENARIO,
+    validarDadosCenario,
+    resolverReferencias,
+    incluirPassos,
+    iniciarExecucao,
+    encerrarExecucoesInterrompidas,
+};
@@ -0,0 +1,315 @@
+const { exigirVisitaAberta } = require('./visitas');
+const { baixarEstoque } = require('./estoque');
+const { calcularResumoDaVisita, aplicarCupomNaVisita, resgatarCupom, desfazerResgate } = require('./cupons');
+const {
+    verificarResgate,
+    aplicarPontosNoResumo,
+    registrarResgate,
+    cancelarResgate,
+    creditarPontos,
+} = require('./pontos');
+const { obterProvedorPagamento, mensagemRecusa } = require('./pagamentos');
+const { escolherMeioDePagamento, referenciaNoProvedor, descreverMetodo } = require('./metodosPagamento');
+const { gerarCobrancaPix } = require('./pagamentos/pix');
+const { escolherPlano } = require('./parcelamento');
+const { assinarCompra } = require('./assinaturas');
+const { ErroNegocio } = require('../utils/erros');
+
+const FORMAS_PAGAMENTO = ['cartao', 'pix'];
+
+// Motivos de recusa que não vêm do emissor, mas de uma falha do provedor ou da loja no meio do checkout.
+// 'estorno_pendente' marca a compra cobrada cujo estorno falhou: a conciliação com o provedor resolve.
+const MOTIVOS_FALHA_NO_CHECKOUT = ['provedor_indisponivel', 'falha_ao_concluir', 'estorno_pendente'];
+
+// Etapa 1: registra a compra como pendente e a prende à visita.
+// A visita só aceita um checkout por vez, o que também congela o carrinho.
+async function registrarCompraPendente(prisma, clienteId, { formaPagamento, parcelas, pontos }) {
+    return prisma.$transaction(async (tx) => {
+        const visita = await exigirVisitaAberta(tx, clienteId);
+
+        const itensCarrinho = await tx.carrinhoItem.findMany({
+            where: { clienteId: clienteId },
+            include: { produto: true, variante: true },
+        });
+
+        // Carrinho vazio: o cliente apenas sai da loja, sem compra
+        if (itensCarrinho.length === 0) {
+            const visitaFinalizada = await tx.visita.update({
+                where: { id: visita.id },
+                data: { status: 'finalizada', dataSaida: new Date() },
+            });
+            return { visita: visitaFinalizada, compra: null };
+        }
+
+        // Aplica as promoções vigentes agora, o cupom da visita e os pontos resgatados;
+        // cada desconto vira uma linha dos itens comprados
+        let resumo = await calcularResumoDaVisita(tx, visita, itensCarrinho, { exigirCupomValido: true });
+        if (pontos) {
+            const descontoPontos = await verificarResgate(tx, clienteId, pontos, resumo.total);
+            resumo = aplicarPontosNoResumo(resumo, pontos, descontoPontos);
+        }
+        const { itens, promocoes, cupom, desconto, total: valorTotal } = resumo;
+        const itensComprados = [...itens, ...promocoes, ...(cupom ? [cupom] : []), ...(pontos ? [resumo.pontos] : [])];
+
+        // No cartão, o plano de parcelamento escolhido define o valor cobrado e o cronograma
+        const plano = formaPagamento === 'cartao' ? escolherPlano(valorTotal, parcelas) : null;
+
+        const compraCriada = await tx.compra.create({
+            data: {
+                clienteId: clienteId,
+                valorTotal: valorTotal,
+                valorDesconto: desconto,
+                itensComprados: itensComprados, // Prisma lida com a conversão para JSON
+                formaPagamento: formaPagamento,
+                parcelas: parcelas,
+                planoParcelamento: plano ?? undefined,
+                pontosResgatados: pontos || 0,
+            },
+        });
+
+        // A assinatura cobre id e data, que só existem depois de gravar
+        const compra = await tx.compra.update({
+            where: { id: compraCriada.id },
+            data: { assinatura: assinarCompra(compraCriada) },
+        });
+
+        if (cupom) {
+            await resgatarCupom(tx, { cupomId: cupom.cupomId, clienteId, compraId: compra.id, desconto: cupom.desconto });
+        }
+        if (pontos) {
+            await registrarResgate(tx, { clienteId, compraId: compra.id, pontos });
+        }
+
+        const { count } = await tx.visita.updateMany({
+            where: { id: visita.id, compraId: null },
+            data: { compraId: compra.id },
+        });
+        if (count === 0) {
+            throw new ErroNegocio('Já existe um pagamento em andamento para este cliente.', 409);
+        }
+
+        return { visita, compra, itensCarrinho };
+    });
+}
+
+// Etapa 3: baixa o estoque, limpa o carrinho e fecha a visita, gravando na compra
+// o resultado do pagamento (aprovado no cartão ou cobrança PIX aguardando o banco).
+// Compra aprovada já credita os pontos; no PIX, isso fica para a confirmação do banco.
+async function concluirCompra(prisma, { visita, compra, itensCarrinho, dadosPagamento }) {
+    return prisma.$transaction(async (tx) => {
+        for (const item of itensCarrinho) {
+            await baixarEstoque(tx, item.varianteId, item.quantidade);
+        }
+
+        await tx.carrinhoItem.deleteMany({
+            where: { clienteId: compra.clienteId },
+        });
+
+        await tx.visita.update({
+            where: { id: visita.id },
+            data: { status: 'finalizada', dataSaida: new Date() },
+        });
+
+        const compraAtualizada = await tx.compra.update({
+            where: { id: compra.id },
+            data: dadosPagamento,
+        });
+        return dadosPagamento.statusPagamento === 'aprovada'
+            ? creditarPontos(tx, compraAtualizada)
+            : compraAtualizada;
+    });
+}
+
+// Pagamento recusado: a compra fica registrada como recusada e a visita é
+// liberada para nova tentativa. Carrinho, estoque reservado e cupom ficam intactos
+// e os pontos usados voltam para o saldo. `transacaoPagamento` guarda a cobrança a conciliar, se houver.
+async function registrarRecusa(prisma, { visita, compra, motivo, transacaoPagamento }) {
+    await prisma.$transaction(async (tx) => {
+        await tx.compra.update({
+            where: { id: compra.id },
+            data: { statusPagamento: 'recusada', motivoRecusa: motivo, transacaoPagamento },
+        });
+        await tx.visita.update({
+            where: { id: visita.id },
+            data: { compraId: null },
+        });
+        await desfazerResgate(tx, compra.id);
+        await cancelarResgate(tx, compra);
+    });
+}
+
+// Recusa a compra, liberando a visita, e lança o erro do checkout
+async function recusarCompra(prisma, { visita, compra, motivo, transacaoPagamento }) {
+    await registrarRecusa(prisma, { visita, compra, motivo, transacaoPagamento });
+    throw new ErroNegocio(`Pagamento recusado: ${mensagemRecusa(motivo)}`, 402, {
+        codigo: 'PAGAMENTO_RECUSADO',
+        motivo: motivo,
+        compraId: compra.id,
+    });
+}
+
+// A pré-autorização da entrada já não é necessária. Com a compra fechada, uma falha aqui não a desfaz:
+// o bloqueio expira sozinho no emissor.
+async function liberarPreAutorizacao(provedor, visita) {
+    try {
+        await provedor.cancelar({ autorizacaoId: visita.autorizacaoPagamento });
+    } catch (error) {
+        console.error(`Erro ao liberar a pré-autorização da visita ${visita.id}:`, error);
+    }
+}
+
+// A captura passou, mas a compra não foi concluída: o valor volta para o cliente.
+// Retorna o motivo da recusa ('estorno_pendente' se nem o estorno deu certo).
+async function estornarCaptura(provedor, compra, transacaoId) {
+    try {
+        const estorno = await provedor.reembolsar({
+            transacaoId: transacaoId,
+            formaPagamento: compra.formaPagamento,
+            valor: compra.planoParcelamento.valorTotal,
+            referencia: `compra-${compra.id}`,
+            chaveIdempotencia: `estorno-compra-${compra.id}`,
+        });
+        return estorno.aprovado ? 'falha_ao_concluir' : 'estorno_pendente';
+    } catch (error) {
+        console.error(`Erro ao estornar a captura da compra ${compra.id}:`, error);
+        return 'estorno_pendente';
+    }
+}
+
+// PIX: o cliente sai com os produtos e a compra fica pendente até o banco confirmar
+// (ver POST /api/pix/webhook). A pré-autorização do cartão deixa de ser necessária.
+async function cobrarComPix(prisma, provedor, { visita, compra, itensCarrinho, metodo }) {
+    let cobranca;
+    let compraPendente;
+    try {
+        cobranca = await gerarCobrancaPix(compra);
+        compraPendente = await concluirCompra(prisma, {
+            visita,
+            compra,
+            itensCarrinho,
+            dadosPagamento: {
+                pixTxid: cobranca.txid,
+                pixCopiaECola: cobranca.copiaECola,
+                meioPagamento: metodo ? descreverMetodo(metodo) : 'PIX', // Chave salva aparece mascarada
+            },
+        });
+    } catch (error) {
+        console.error(`Erro ao gerar a cobrança PIX da compra ${compra.id}:`, error);
+        return recusarCompra(prisma, { visita, compra, motivo: 'falha_ao_concluir' });
+    }
+
+    if (visita.autorizacaoPagamento) {
+        await liberarPreAutorizacao(provedor, visita);
+    }
+
+    return { ...compraPendente, pixQrCode: cobranca.qrCode };
+}
+
+/**
+ * Fecha a passagem do cliente pela loja, cobrando o carrinho no meio de pagamento padrão do cliente,
+ * no método salvo indicado em `metodoPagamentoId` ou, com formaPagamento 'pix', numa cobrança PIX avulsa
+ * (ver escolherMeioDePagamento em services/metodosPagamento).
+ * No cartão, `parcelas` escolhe o plano de parcelamento (ver services/parcelamento).
+ * `cupom` aplica um código de cupom ao carrinho antes de fechar a compra.
+ * `pontos` resgata pontos do programa de fidelidade como desconto (ver services/pontos).
+ * Retorna { visita, compra } (compra é null se o carrinho estava vazio).
+ * Se a entrada foi sem pré-autorização (cliente só com chaves PIX), só aceita PIX: formaPagamento 'cartao'
+ * lança ErroNegocio 400 SOMENTE_PIX e, sem forma de pagamento, a cobrança é PIX.
+ * Lança ErroNegocio 402 com { codigo: 'PAGAMENTO_RECUSADO', motivo, compraId } se a captura falhar,
+ * inclusive por falha do provedor ou da loja (motivos em MOTIVOS_FALHA_NO_CHECKOUT): a visita nunca
+ * fica presa a um pagamento em andamento.
+ */
+async function finalizarCompra(prisma, clienteId, { formaPagamento, metodoPagamentoId, parcelas = 1, cupom, pontos } = {}) {
+    if (formaPagamento !== undefined && !FORMAS_PAGAMENTO.includes(formaPagamento)) {
+        throw new ErroNegocio(`Forma de pagamento inválida. Use: ${FORMAS_PAGAMENTO.join(', ')}.`, 400);
+    }
+
+    // Quem entrou só com chave PIX não tem valor bloqueado no cartão: a saída é paga com PIX
+    const { autorizacaoPagamento } = await exigirVisitaAberta(prisma, clienteId);
+    if (!autorizacaoPagamento) {
+        if (formaPagamento === 'cartao') {
+            throw new ErroNegocio('A entrada foi sem cartão: pague a saída com PIX.', 400, { codigo: 'SOMENTE_PIX' });
+        }
+        formaPagamento = 'pix';
+    }
+    const meio = await escolherMeioDePagamento(prisma, clienteId, { metodoPagamentoId, formaPagamento });
+    formaPagamento = meio.formaPagamento;
+
+    if (!Number.isInteger(parcelas) || parcelas < 1) {
+        throw new ErroNegocio('Número de parcelas inválido.', 400);
+    }
+    if (formaPagamento === 'pix' && parcelas > 1) {
+        throw new ErroNegocio('Pagamentos via PIX não podem ser parcelados.', 400);
+    }
+
+    if (cupom) {
+        await aplicarCupomNaVisita(prisma, clienteId, cupom);
+    }
+
+    const provedor = obterProvedorPagamento();
+    const { visita, compra, itensCarrinho } = await registrarCompraPendente(prisma, clienteId, {
+        formaPagamento,
+        parcelas,
+        pontos,
+    });
+
+    if (!compra) {
+        // Sem compra, a pré-autorização feita na entrada é liberada
+        if (visita.autorizacaoPagamento) {
+            await liberarPreAutorizacao(provedor, visita);
+        }
+        return { visita, compra: null };
+    }
+
+    if (formaPagamento === 'pix') {
+        return { visita, compra: await cobrarComPix(prisma, provedor, { visita, compra, itensCarrinho, metodo: meio.metodo }) };
+    }
+
+    // Etapa 2: captura fora da transação, para não segurar o banco esperando o provedor.
+    // Outro cartão que não o pré-autorizado na entrada é cobrado direto, sem a pré-autorização.
+    const cartaoDaEntrada = meio.metodo.id === visita.metodoPagamentoId;
+    let resultado;
+    try {
+        resultado = await provedor.capturar({
+            autorizacaoId: cartaoDaEntrada ? visita.autorizacaoPagamento : null,
+            metodoPagamento: referenciaNoProvedor(meio.metodo),
+            valor: compra.planoParcelamento.valorTotal, // Inclui os juros, se houver
+            parcelas: compra.parcelas,
+            referencia: `compra-${compra.id}`,
+        });
+    } catch (error) {
+        // Sem resposta não dá para saber se a cobrança passou: o motivo marca a compra para a conciliação
+        console.error(`Erro ao capturar o pagamento da compra ${compra.id}:`, error);
+        resultado = { aprovado: false, motivo: 'provedor_indisponivel' };
+    }
+
+    if (!resultado.aprovado) {
+        return recusarCompra(prisma, { visita, compra, motivo: resultado.motivo });
+    }
+
+    let compraAprovada;
+    try {
+        compraAprovada = await concluirCompra(prisma, {
+            visita,
+            compra,
+            itensCarrinho,
+            dadosPagamento: {
+                statusPagamento: 'aprovada',
+                transacaoPagamento: resultado.transacaoId,
+                meioPagamento: descreverMetodo(meio.metodo), // Recibos nunca mostram o cartão inteiro
+            },
+        });
+    } catch (error) {
+        console.error(`Erro ao concluir a compra ${compra.id} depois da captura:`, error);
+        const motivo = await estornarCaptura(provedor, compra, resultado.transacaoId);
+        return recusarCompra(prisma, { visita, compra, motivo, transacaoPagamento: resultado.transacaoId });
+    }
+
+    // Pago com outro cartão: o valor bloqueado no cartão da entrada é liberado
+    if (!cartaoDaEntrada && visita.autorizacaoPagamento) {
+        await liberarPreAutorizacao(provedor, visita);
+    }
+    return { visita, compra: compraAprovada };
+}
+
+module.exports = { MOTIVOS_FALHA_NO_CHECKOUT, finalizarCompra };
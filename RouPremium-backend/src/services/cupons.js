@@ -0,0 +1,225 @@
+const { Prisma } = require('@prisma/client');
+const { exigirCarrinhoEditavel } = require('./visitas');
+const { calcularCarrinho, ratearDesconto } = require('./promocoes');
+const { arredondar } = require('../utils/dinheiro');
+const { ErroNegocio } = require('../utils/erros');
+const {
+    textoPreenchido,
+    aceitaNulo,
+    validarDecimalPositivo,
+    validarData,
+    validarBooleano,
+    inteiroMinimo,
+    validarCampos,
+} = require('../utils/validacao');
+
+const TIPOS_CUPOM = ['percentual', 'valor_fixo'];
+const FORMATO_CODIGO = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+
+const normalizarCodigo = (codigo) => (typeof codigo === 'string' ? codigo.trim().toUpperCase() : '');
+
+const VALIDADORES = {
+    codigo: (valor) => {
+        const codigo = normalizarCodigo(valor);
+        return FORMATO_CODIGO.test(codigo)
+            ? { valor: codigo }
+            : { erro: 'O código deve ter de 3 a 32 letras, números, hífens ou sublinhados.' };
+    },
+    descricao: aceitaNulo((valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Descrição inválida.' })),
+    tipo: (valor) => (TIPOS_CUPOM.includes(valor)
+        ? { valor }
+        : { erro: `Tipo deve ser um de: ${TIPOS_CUPOM.join(', ')}.` }),
+    valor: validarDecimalPositivo,
+    valorMinimo: aceitaNulo(validarDecimalPositivo),
+    limiteUsos: aceitaNulo(inteiroMinimo(1)),
+    limitePorCliente: aceitaNulo(inteiroMinimo(1)),
+    validoAte: aceitaNulo(validarData),
+    ativo: validarBooleano,
+};
+
+/**
+ * Valida e normaliza os dados de cadastro/edição de um cupom.
+ * Na edição, passe o cupom `existente`: só os campos enviados são validados.
+ * Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosCupom(dados, existente) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES, ['codigo', 'tipo', 'valor'], Boolean(existente));
+
+    const cupom = { ...existente, ...resultado };
+    if (!campos.valor && cupom.tipo === 'percentual' && new Prisma.Decimal(cupom.valor).greaterThan(100)) {
+        campos.valor = 'O percentual não pode passar de 100.';
+    }
+
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do cupom inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// Texto curto exibido no carrinho e no recibo
+function descreverCupom(cupom) {
+    const valor = new Prisma.Decimal(cupom.valor);
+    return cupom.tipo === 'percentual'
+        ? `${valor.toString()}% de desconto`
+        : `R$ ${valor.toFixed(2)} de desconto`;
+}
+
+// Erro de cupom com um código estável, para o app decidir como exibir
+const erroCupom = (mensagem, codigo, status = 409, extras = {}) => new ErroNegocio(mensagem, status, { codigo, ...extras });
+
+async function buscarCupomPorCodigo(tx, codigo) {
+    const cupom = await tx.cupom.findUnique({ where: { codigo: normalizarCodigo(codigo) } });
+    if (!cupom) {
+        throw erroCupom('Cupom não encontrado. Confira o código digitado.', 'CUPOM_NAO_ENCONTRADO', 404);
+    }
+    return cupom;
+}
+
+/**
+ * Confere se o cliente pode usar o cupom em um carrinho com este `total` (já com as promoções).
+ * Lança ErroNegocio com { codigo: 'CUPOM_...' } explicando o motivo.
+ */
+async function verificarCupom(tx, cupom, { clienteId, total, data = new Date() }) {
+    if (!cupom.ativo) {
+        throw erroCupom('Este cupom não está mais disponível.', 'CUPOM_INATIVO');
+    }
+    if (cupom.validoAte && cupom.validoAte < data) {
+        throw erroCupom(
+            `Este cupom expirou em ${cupom.validoAte.toLocaleDateString('pt-BR')}.`,
+            'CUPOM_EXPIRADO',
+        );
+    }
+    if (cupom.limiteUsos !== null && cupom.usos >= cupom.limiteUsos) {
+        throw erroCupom('Este cupom esgotou.', 'CUPOM_ESGOTADO');
+    }
+    if (cupom.limitePorCliente !== null) {
+        const usosDoCliente = await tx.resgateCupom.count({ where: { cupomId: cupom.id, clienteId: clienteId } });
+        if (usosDoCliente >= cupom.limitePorCliente) {
+            throw erroCupom('Você já usou este cupom o máximo de vezes permitido.', 'CUPOM_LIMITE_CLIENTE');
+        }
+    }
+    if (cupom.valorMinimo !== null && total.lessThan(cupom.valorMinimo)) {
+        throw erroCupom(
+            `Este cupom vale para compras a partir de R$ ${cupom.valorMinimo.toFixed(2)}.`,
+            'CUPOM_VALOR_MINIMO',
+            409,
+            { valorMinimo: cupom.valorMinimo, faltam: cupom.valorMinimo.minus(total) },
+        );
+    }
+}
+
+// Acrescenta o cupom ao resumo calculado pelas promoções
+function aplicarCupomNoResumo(resumo, cupom) {
+    const desconto = cupom.tipo === 'percentual'
+        ? arredondar(resumo.total.times(cupom.valor).dividedBy(100))
+        : Prisma.Decimal.min(cupom.valor, resumo.total);
+
+    return {
+        ...resumo,
+        itens: ratearDesconto(resumo.itens, desconto),
+        cupom: {
+            tipo: 'cupom',
+            cupomId: cupom.id,
+            codigo: cupom.codigo,
+            descricao: descreverCupom(cupom),
+            desconto: desconto,
+        },
+        desconto: resumo.desconto.plus(desconto),
+        total: resumo.total.minus(desconto),
+    };
+}
+
+/**
+ * Resumo do carrinho da visita: promoções vigentes e, se a visita tem cupom, o desconto dele.
+ * No checkout (`exigirCupomValido`), um cupom que deixou de valer interrompe a compra;
+ * na prévia, o resumo volta sem o desconto e com `erroCupom` para o app mostrar.
+ */
+async function calcularResumoDaVisita(tx, visita, itensCarrinho, { exigirCupomValido = false } = {}) {
+    const resumo = { ...await calcularCarrinho(tx, itensCarrinho), cupom: null, erroCupom: null };
+    if (!visita?.cupomId || itensCarrinho.length === 0) {
+        return resumo;
+    }
+
+    const cupom = await tx.cupom.findUnique({ where: { id: visita.cupomId } });
+    try {
+        await verificarCupom(tx, cupom, { clienteId: visita.clienteId, total: resumo.total });
+    } catch (error) {
+        if (exigirCupomValido || !(error instanceof ErroNegocio)) {
+            throw error;
+        }
+        return { ...resumo, erroCupom: { error: error.message, ...error.detalhes } };
+    }
+    return aplicarCupomNoResumo(resumo, cupom);
+}
+
+/**
+ * Aplica o cupom ao carrinho aberto do cliente (substitui o anterior, se houver).
+ * Retorna o resumo do carrinho já com o desconto.
+ */
+async function aplicarCupomNaVisita(prisma, clienteId, codigo) {
+    return prisma.$transaction(async (tx) => {
+        const visita = await exigirCarrinhoEditavel(tx, clienteId);
+        const cupom = await buscarCupomPorCodigo(tx, codigo);
+
+        const itensCarrinho = await tx.carrinhoItem.findMany({
+            where: { clienteId: clienteId },
+            include: { produto: true, variante: true },
+        });
+        if (itensCarrinho.length === 0) {
+            throw erroCupom('Adicione produtos ao carrinho antes de usar um cupom.', 'CARRINHO_VAZIO');
+        }
+
+        const visitaComCupom = await tx.visita.update({
+            where: { id: visita.id },
+            data: { cupomId: cupom.id },
+        });
+        return calcularResumoDaVisita(tx, visitaComCupom, itensCarrinho, { exigirCupomValido: true });
+    });
+}
+
+// Tira o cupom do carrinho aberto do cliente
+async function removerCupomDaVisita(prisma, clienteId) {
+    return prisma.$transaction(async (tx) => {
+        const visita = await exigirCarrinhoEditavel(tx, clienteId);
+        await tx.visita.update({ where: { id: visita.id }, data: { cupomId: null } });
+    });
+}
+
+// Registra o uso do cupom na compra. O contador é incrementado de forma atômica
+// para que o limite global não seja ultrapassado por dois checkouts simultâneos.
+async function resgatarCupom(tx, { cupomId, clienteId, compraId, desconto }) {
+    const atualizados = await tx.$executeRaw`
+        UPDATE "cupons"
+        SET "usos" = "usos" + 1
+        WHERE "id" = ${cupomId}
+            AND ("limite_usos" IS NULL OR "usos" < "limite_usos")`;
+    if (atualizados === 0) {
+        throw erroCupom('Este cupom esgotou.', 'CUPOM_ESGOTADO');
+    }
+
+    return tx.resgateCupom.create({
+        data: { cupomId, clienteId, compraId, desconto },
+    });
+}
+
+// Compra recusada não consome o cupom: o resgate é desfeito e o cupom continua na visita
+async function desfazerResgate(tx, compraId) {
+    const resgate = await tx.resgateCupom.findUnique({ where: { compraId: compraId } });
+    if (!resgate) return;
+
+    await tx.resgateCupom.delete({ where: { id: resgate.id } });
+    await tx.cupom.update({
+        where: { id: resgate.cupomId },
+        data: { usos: { decrement: 1 } },
+    });
+}
+
+module.exports = {
+    validarDadosCupom,
+    descreverCupom,
+    calcularResumoDaVisita,
+    aplicarCupomNaVisita,
+    removerCupomDaVisita,
+    resgatarCupom,
+    desfazerResgate,
+};
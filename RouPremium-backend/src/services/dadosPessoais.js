@@ -0,0 +1,156 @@
+const { liberarReserva } = require('./estoque');
+const { buscarVisitaAberta } = require('./visitas');
+const { apresentarMetodoPagamento } = require('./metodosPagamento');
+const { registrarAuditoria } = require('./auditoria');
+const { ErroNegocio } = require('../utils/erros');
+
+// Nome que fica no lugar do nome real depois da eliminação
+const NOME_ANONIMIZADO = 'Cliente anonimizado';
+
+async function exigirCliente(tx, clienteId) {
+    const cliente = await tx.cliente.findUnique({ where: { id: clienteId }, omit: { senhaHash: true } });
+    if (!cliente) {
+        throw new ErroNegocio('Cliente não encontrado.', 404);
+    }
+    return cliente;
+}
+
+/**
+ * Reúne tudo o que a loja guarda sobre o cliente (LGPD, art. 18): perfil, meios de pagamento
+ * (mascarados), carrinho, visitas, compras com devoluções, pontos, cupons usados, decisões do portão
+ * de saída e o que os sensores da loja registraram dele (trilhas de câmera e detecções no carrinho).
+ * Senha e tokens de sessão não entram; das sessões vão só as datas.
+ */
+async function exportarDadosCliente(prisma, clienteId) {
+    const cliente = await exigirCliente(prisma, clienteId);
+    const porCliente = { where: { clienteId: clienteId } };
+
+    const [
+        metodosPagamento,
+        carrinho,
+        visitas,
+        compras,
+        pontos,
+        resgatesCupom,
+        sessoes,
+        decisoesPortao,
+        trilhasCamera,
+        deteccoesSensores,
+    ] = await Promise.all([
+        prisma.metodoPagamento.findMany({ ...porCliente, orderBy: { id: 'asc' } }),
+        prisma.carrinhoItem.findMany({
+            ...porCliente,
+            include: {
+                produto: { select: { nome: true, sku: true } },
+                variante: { select: { tamanho: true, cor: true } },
+            },
+        }),
+        prisma.visita.findMany({ ...porCliente, omit: { autorizacaoPagamento: true }, orderBy: { dataEntrada: 'asc' } }),
+        prisma.compra.findMany({
+            ...porCliente,
+            include: { devolucoes: true },
+            orderBy: { data: 'asc' },
+        }),
+        prisma.movimentoPontos.findMany({ ...porCliente, orderBy: { data: 'asc' } }),
+        prisma.resgateCupom.findMany({
+            ...porCliente,
+            include: { cupom: { select: { codigo: true } } },
+            orderBy: { data: 'asc' },
+        }),
+        prisma.sessaoCliente.findMany({ ...porCliente, select: { criadaEm: true, expiraEm: true } }),
+        prisma.decisaoPortao.findMany({ ...porCliente, omit: { funcionarioId: true }, orderBy: { id: 'asc' } }),
+        prisma.eventoSensor.findMany({ where: { clienteId: clienteId, tipo: 'camera' }, orderBy: { ocorridoEm: 'asc' } }),
+        prisma.deteccaoCarrinho.findMany({
+            ...porCliente,
+            omit: { candidatos: true, revisadaPorId: true }, // Os demais candidatos são outros clientes
+            orderBy: { ocorridaEm: 'asc' },
+        }),
+    ]);
+
+    return {
+        geradoEm: new Date(),
+        cliente,
+        metodosPagamento: metodosPagamento.map(apresentarMetodoPagamento),
+        carrinho,
+        visitas,
+        compras,
+        pontos,
+        resgatesCupom,
+        sessoes,
+        decisoesPortao,
+        trilhasCamera,
+        deteccoesSensores,
+    };
+}
+
+// Desliga o cliente do que os sensores registraram: as trilhas de câmera, a lista de candidatos das
+// detecções (inclusive as de outros clientes) e as detecções que não mudaram o carrinho. As aplicadas e
+// confirmadas continuam ligadas a ele, porque explicam os itens das compras.
+async function desligarDosSensores(tx, clienteId) {
+    await tx.eventoSensor.updateMany({ where: { clienteId: clienteId }, data: { clienteId: null } });
+    await tx.deteccaoCarrinho.updateMany({
+        where: { clienteId: clienteId, status: { in: ['em_revisao', 'rejeitada'] } },
+        data: { clienteId: null },
+    });
+
+    const comoCandidato = await tx.deteccaoCarrinho.findMany({
+        where: { candidatos: { array_contains: [{ clienteId: clienteId }] } },
+        select: { id: true, candidatos: true },
+    });
+    for (const deteccao of comoCandidato) {
+        await tx.deteccaoCarrinho.update({
+            where: { id: deteccao.id },
+            data: {
+                // A pontuação fica, para a confiança da detecção continuar explicada
+                candidatos: deteccao.candidatos.map(candidato => (candidato.clienteId === clienteId
+                    ? { ...candidato, clienteId: null }
+                    : candidato)),
+            },
+        });
+    }
+}
+
+/**
+ * Atende o pedido de eliminação: tira do cadastro nome, e-mail e senha, apaga meios de pagamento,
+ * sessões e carrinho e o desliga das trilhas dos sensores. Compras, devoluções, visitas e o extrato de
+ * pontos ficam (obrigação fiscal), ligados a um cliente que não identifica mais ninguém. O gerente que
+ * executou fica na auditoria.
+ * Lança ErroNegocio 409 se o cliente está na loja ou já foi anonimizado.
+ */
+async function anonimizarCliente(prisma, clienteId, { funcionario, motivo } = {}) {
+    return prisma.$transaction(async (tx) => {
+        const cliente = await exigirCliente(tx, clienteId);
+        if (cliente.anonimizadoEm) {
+            throw new ErroNegocio('Os dados deste cliente já foram eliminados.', 409);
+        }
+        if (await buscarVisitaAberta(tx, clienteId)) {
+            throw new ErroNegocio('O cliente está na loja. Aguarde a saída para eliminar os dados.', 409);
+        }
+
+        // Itens esquecidos no carrinho voltam para a arara
+        const itensCarrinho = await tx.carrinhoItem.findMany({ where: { clienteId: clienteId } });
+        for (const item of itensCarrinho) {
+            await liberarReserva(tx, item.varianteId, item.quantidade);
+        }
+        await tx.carrinhoItem.deleteMany({ where: { clienteId: clienteId } });
+        await tx.sessaoCliente.deleteMany({ where: { clienteId: clienteId } });
+        await tx.metodoPagamento.deleteMany({ where: { clienteId: clienteId } });
+        await desligarDosSensores(tx, clienteId);
+
+        const anonimizado = await tx.cliente.update({
+            where: { id: clienteId },
+            data: { nome: NOME_ANONIMIZADO, email: null, senhaHash: null, anonimizadoEm: new Date() },
+            omit: { senhaHash: true },
+        });
+
+        await registrarAuditoria(tx, funcionario, {
+            acao: 'cliente.anonimizado',
+            entidade: 'cliente',
+            entidadeId: clienteId,
+            detalhes: { motivo: motivo ?? null, itensLiberados: itensCarrinho.length },
+        });
+        return anonimizado;
+    });
+}
+
+module.exports = { exportarDadosCliente, anonimizarCliente };
@@ -0,0 +1,265 @@
+const { Prisma } = require('@prisma/client');
+const { reporEstoque } = require('./estoque');
+const { obterProvedorPagamento } = require('./pagamentos');
+const { ajustarPontosNaDevolucao } = require('./pontos');
+const { valorCobrado } = require('./parcelamento');
+const { registrarAuditoria } = require('./auditoria');
+const { arredondar } = require('../utils/dinheiro');
+const { ErroNegocio } = require('../utils/erros');
+
+// Linhas de desconto (promoções, cupom e pontos) não são devolvidas: o desconto já está rateado em cada produto
+const itensDeProduto = (compra) => compra.itensComprados.filter(item => !item.tipo);
+
+// Itens comprados antes das variantes só têm o id do produto
+const chaveItem = (item) => (item.varianteId ? `variante-${item.varianteId}` : `produto-${item.id}`);
+
+// Quantas unidades de cada item já foram devolvidas nas devoluções anteriores
+function somarDevolvidos(devolucoes) {
+    const devolvidos = {};
+    for (const devolucao of devolucoes) {
+        for (const item of devolucao.itensDevolvidos) {
+            devolvidos[chaveItem(item)] = (devolvidos[chaveItem(item)] || 0) + item.quantidade;
+        }
+    }
+    return devolvidos;
+}
+
+// Encontra o item comprado a que o pedido se refere (pela variante ou, em compras antigas, pelo produto)
+function encontrarComprado(compra, { varianteId, produtoId }) {
+    const comprado = varianteId !== undefined
+        ? itensDeProduto(compra).find(item => item.varianteId === varianteId)
+        : itensDeProduto(compra).find(item => item.id === produtoId && !item.varianteId);
+    if (!comprado) {
+        throw new ErroNegocio(`O item ${varianteId ?? produtoId} não faz parte desta compra.`, 400);
+    }
+    return comprado;
+}
+
+// Quanto cada real do total da compra custou ao cliente: acima de 1 quando o parcelamento teve juros
+function fatorCobrado(compra) {
+    return compra.valorTotal.isZero() ? new Prisma.Decimal(1) : valorCobrado(compra).dividedBy(compra.valorTotal);
+}
+
+// Monta os itens a devolver a partir do pedido do atendente.
+// Sem `itensPedidos`, devolve tudo o que ainda não foi devolvido.
+function montarItensDevolvidos(compra, devolvidos, itensPedidos) {
+    const pedidos = itensPedidos ?? itensDeProduto(compra).map(item => ({
+        varianteId: item.varianteId,
+        produtoId: item.id,
+        quantidade: item.quantidade - (devolvidos[chaveItem(item)] || 0),
+    })).filter(item => item.quantidade > 0);
+
+    if (pedidos.length === 0) {
+        throw new ErroNegocio('Todos os itens desta compra já foram devolvidos.', 409);
+    }
+
+    // Cada item vem numa linha só: o restante abaixo é conferido linha a linha
+    const repetidos = new Set();
+    const fator = fatorCobrado(compra);
+    return pedidos.map((pedido) => {
+        const comprado = encontrarComprado(compra, pedido);
+        if (repetidos.has(chaveItem(comprado))) {
+            throw new ErroNegocio(`${comprado.nome} aparece mais de uma vez no pedido: some as quantidades numa linha só.`, 400);
+        }
+        repetidos.add(chaveItem(comprado));
+        const { quantidade } = pedido;
+        if (!Number.isInteger(quantidade) || quantidade <= 0) {
+            throw new ErroNegocio(`Quantidade inválida para ${comprado.nome}.`, 400);
+        }
+
+        const restante = comprado.quantidade - (devolvidos[chaveItem(comprado)] || 0);
+        if (quantidade > restante) {
+            throw new ErroNegocio(
+                `Não é possível devolver ${quantidade} unidade(s) de ${comprado.nome}: restam ${restante} para devolução.`,
+                409,
+                { produtoId: comprado.id, varianteId: comprado.varianteId, restante },
+            );
+        }
+
+        // Reembolsa o que foi pago: a parte proporcional da linha, já com o desconto da promoção e com
+        // os juros do parcelamento rateados pelo valor
+        const preco = new Prisma.Decimal(comprado.preco);
+        const valorPagoLinha = preco.times(comprado.quantidade).minus(comprado.desconto ?? 0).times(fator);
+        return {
+            id: comprado.id,
+            varianteId: comprado.varianteId,
+            nome: comprado.nome,
+            tamanho: comprado.tamanho,
+            cor: comprado.cor,
+            preco: preco,
+            quantidade: quantidade,
+            subtotal: arredondar(valorPagoLinha.times(quantidade).dividedBy(comprado.quantidade)),
+        };
+    });
+}
+
+// Variante que recebe as unidades devolvidas. Compras anteriores às variantes
+// voltam para a primeira variante do produto (a variante única criada na migração).
+async function varianteDeReposicao(tx, item) {
+    if (item.varianteId) {
+        return item.varianteId;
+    }
+    const variante = await tx.variante.findFirst({ where: { produtoId: item.id }, orderBy: { id: 'asc' } });
+    return variante.id;
+}
+
+/**
+ * Registra a devolução (total ou parcial) de uma compra paga: reembolsa o cliente
+ * pelo provedor de pagamento, devolve os itens ao estoque e acerta os pontos de fidelidade.
+ * A devolução é gravada como pendente antes de o provedor ser chamado (ver reembolsarDevolucao).
+ * @param {object} dados - { itens: [{ varianteId, quantidade }], motivo, funcionario } (sem itens = devolução total).
+ *   O `funcionario` que autorizou o reembolso fica no registro de auditoria.
+ */
+async function registrarDevolucao(prisma, compraId, { itens, motivo, funcionario } = {}) {
+    // Serializable impede que duas devoluções simultâneas passem do que foi comprado; a pendente
+    // já conta como devolvida até o provedor responder
+    const devolucao = await prisma.$transaction(async (tx) => {
+        const compra = await tx.compra.findUnique({
+            where: { id: compraId },
+            include: { devolucoes: { where: { statusReembolso: { not: 'recusado' } } } },
+        });
+        if (!compra) {
+            throw new ErroNegocio('Compra não encontrada.', 404);
+        }
+        if (compra.statusPagamento !== 'aprovada') {
+            throw new ErroNegocio('Só é possível devolver itens de compras pagas.', 409);
+        }
+
+        const devolvidos = somarDevolvidos(compra.devolucoes);
+        const itensDevolvidos = montarItensDevolvidos(compra, devolvidos, itens);
+        let valorReembolsado = itensDevolvidos.reduce(
+            (total, item) => total.plus(item.subtotal),
+            new Prisma.Decimal(0),
+        );
+
+        // A devolução que completa a compra reembolsa o que falta do valor cobrado, com os centavos
+        // que o arredondamento de cada linha deixou para trás
+        for (const item of itensDevolvidos) {
+            devolvidos[chaveItem(item)] = (devolvidos[chaveItem(item)] || 0) + item.quantidade;
+        }
+        if (itensDeProduto(compra).every(item => devolvidos[chaveItem(item)] === item.quantidade)) {
+            valorReembolsado = compra.devolucoes.reduce(
+                (restante, anterior) => restante.minus(anterior.valorReembolsado),
+                valorCobrado(compra),
+            );
+        }
+
+        return tx.devolucao.create({
+            data: {
+                compraId: compra.id,
+                valorReembolsado: valorReembolsado,
+                itensDevolvidos: itensDevolvidos,
+                motivo: motivo,
+                statusReembolso: 'pendente',
+            },
+        });
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    return reembolsarDevolucao(prisma, devolucao, funcionario);
+}
+
+/**
+ * Pede ao provedor o reembolso de uma devolução pendente, fora de qualquer transação, e a conclui.
+ * A chave de idempotência é a da devolução: tentar de novo depois de uma falha nunca reembolsa duas vezes.
+ * Sem resposta do provedor, a devolução continua pendente (ErroNegocio 502 REEMBOLSO_PENDENTE);
+ * recusada, deixa de contar como devolvida (502 REEMBOLSO_RECUSADO).
+ */
+async function reembolsarDevolucao(prisma, devolucao, funcionario) {
+    const provedor = obterProvedorPagamento();
+    const compra = await prisma.compra.findUnique({ where: { id: devolucao.compraId } });
+
+    let reembolso;
+    try {
+        reembolso = await provedor.reembolsar({
+            transacaoId: compra.transacaoPagamento,
+            formaPagamento: compra.formaPagamento,
+            valor: devolucao.valorReembolsado,
+            referencia: `compra-${compra.id}`,
+            chaveIdempotencia: `devolucao-${devolucao.id}`,
+        });
+    } catch (error) {
+        throw new ErroNegocio('O provedor de pagamento não respondeu. A devolução ficou pendente: tente o reembolso de novo.', 502, {
+            codigo: 'REEMBOLSO_PENDENTE',
+            devolucaoId: devolucao.id,
+        });
+    }
+    if (!reembolso.aprovado) {
+        await prisma.devolucao.update({ where: { id: devolucao.id }, data: { statusReembolso: 'recusado' } });
+        throw new ErroNegocio('O provedor de pagamento recusou o reembolso.', 502, {
+            codigo: 'REEMBOLSO_RECUSADO',
+            motivo: reembolso.motivo,
+        });
+    }
+
+    return concluirDevolucao(prisma, devolucao.id, reembolso, funcionario);
+}
+
+// Com o dinheiro já devolvido: repõe o estoque, atualiza a compra e os pontos e registra a auditoria.
+// Se falhar, a devolução continua pendente e a nova tentativa reaproveita o mesmo reembolso.
+function concluirDevolucao(prisma, devolucaoId, reembolso, funcionario) {
+    return prisma.$transaction(async (tx) => {
+        // Só uma tentativa conclui a devolução, mesmo com duas ao mesmo tempo
+        const { count } = await tx.devolucao.updateMany({
+            where: { id: devolucaoId, statusReembolso: 'pendente' },
+            data: { statusReembolso: 'concluido', reembolsoId: reembolso.reembolsoId },
+        });
+        if (count === 0) {
+            throw new ErroNegocio('Esta devolução já foi concluída.', 409);
+        }
+
+        const devolucao = await tx.devolucao.findUnique({ where: { id: devolucaoId } });
+        const compra = await tx.compra.findUnique({
+            where: { id: devolucao.compraId },
+            include: { devolucoes: { where: { statusReembolso: 'concluido' } } },
+        });
+
+        for (const item of devolucao.itensDevolvidos) {
+            await reporEstoque(tx, await varianteDeReposicao(tx, item), item.quantidade);
+        }
+
+        const devolvidos = somarDevolvidos(compra.devolucoes);
+        const devolucaoTotal = itensDeProduto(compra).every(item => devolvidos[chaveItem(item)] === item.quantidade);
+
+        const compraAtualizada = await tx.compra.update({
+            where: { id: compra.id },
+            data: {
+                valorReembolsado: { increment: devolucao.valorReembolsado },
+                statusDevolucao: devolucaoTotal ? 'total' : 'parcial',
+            },
+            include: { devolucoes: true },
+        });
+
+        await ajustarPontosNaDevolucao(tx, compraAtualizada, devolucaoTotal);
+
+        await registrarAuditoria(tx, funcionario, {
+            acao: 'devolucao.registrada',
+            entidade: 'compra',
+            entidadeId: compra.id,
+            detalhes: {
+                devolucaoId: devolucao.id,
+                valorReembolsado: devolucao.valorReembolsado,
+                itens: devolucao.itensDevolvidos.map(({ nome, quantidade }) => ({ nome, quantidade })),
+                motivo: devolucao.motivo ?? null,
+            },
+        });
+
+        return { devolucao, compra: compraAtualizada };
+    });
+}
+
+/**
+ * Nova tentativa de reembolso de uma devolução que ficou pendente (provedor sem resposta ou falha ao concluir).
+ * Lança ErroNegocio 404 se a devolução não é desta compra e 409 se ela não está pendente.
+ */
+async function tentarReembolsoDeNovo(prisma, compraId, devolucaoId, funcionario) {
+    const devolucao = await prisma.devolucao.findUnique({ where: { id: devolucaoId } });
+    if (!devolucao || devolucao.compraId !== compraId) {
+        throw new ErroNegocio('Devolução não encontrada.', 404);
+    }
+    if (devolucao.statusReembolso !== 'pendente') {
+        throw new ErroNegocio('Esta devolução não está pendente de reembolso.', 409);
+    }
+    return reembolsarDevolucao(prisma, devolucao, funcionario);
+}
+
+module.exports = { registrarDevolucao, tentarReembolsoDeNovo };
@@ -0,0 +1,77 @@
+const { Prisma } = require('@prisma/client');
+const { buscarVisitaAberta } = require('./visitas');
+const { buscarCartaoPreferido, referenciaNoProvedor } = require('./metodosPagamento');
+const { obterProvedorPagamento, mensagemRecusa } = require('./pagamentos');
+const { ErroNegocio } = require('../utils/erros');
+
+// Valor bloqueado no cartão na entrada, como garantia do que for levado
+const VALOR_PRE_AUTORIZACAO = new Prisma.Decimal(process.env.VALOR_PRE_AUTORIZACAO || '100.00');
+
+// Abre a visita numa transação; se ela não abrir, o valor bloqueado na entrada (se houve) é devolvido
+async function abrirVisita(prisma, provedor, cliente, { autorizacao = null, cartao = null } = {}) {
+    // Serializable evita que duas entradas simultâneas abram duas visitas
+    try {
+        const visita = await prisma.$transaction(async (tx) => {
+            if (await buscarVisitaAberta(tx, cliente.id)) {
+                throw new ErroNegocio(`Cliente ${cliente.nome} já está na loja.`, 409);
+            }
+            return tx.visita.create({
+                data: {
+                    clienteId: cliente.id,
+                    autorizacaoPagamento: autorizacao?.autorizacaoId ?? null,
+                    metodoPagamentoId: cartao?.id ?? null,
+                },
+            });
+        }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+        return { cliente, visita };
+    } catch (error) {
+        if (autorizacao) {
+            await provedor.cancelar({ autorizacaoId: autorizacao.autorizacaoId });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Abre a visita do cliente à loja. Com cartão cadastrado, a entrada só é liberada com a pré-autorização
+ * aprovada no cartão preferido. Quem só tem chaves PIX entra sem valor bloqueado e paga a saída
+ * com PIX (ver finalizarCompra). Retorna { cliente, visita }.
+ * Lança ErroNegocio 404 (cliente não existe), 409 (já está na loja), 402 SEM_MEIO_PAGAMENTO (nem cartão
+ * nem chave PIX) ou 402 PRE_AUTORIZACAO_RECUSADA com o `motivo` do provedor.
+ */
+async function registrarEntrada(prisma, clienteId) {
+    const cliente = await prisma.cliente.findUnique({ where: { id: clienteId }, omit: { senhaHash: true } });
+    if (!cliente) {
+        throw new ErroNegocio('Cliente não encontrado.', 404);
+    }
+    if (await buscarVisitaAberta(prisma, cliente.id)) {
+        throw new ErroNegocio(`Cliente ${cliente.nome} já está na loja.`, 409);
+    }
+
+    const provedor = obterProvedorPagamento();
+    const cartao = await buscarCartaoPreferido(prisma, cliente.id);
+    if (!cartao) {
+        const chavesPix = await prisma.metodoPagamento.count({ where: { clienteId: cliente.id } });
+        if (chavesPix === 0) {
+            throw new ErroNegocio('Cadastre um cartão ou uma chave PIX para entrar na loja.', 402, {
+                codigo: 'SEM_MEIO_PAGAMENTO',
+            });
+        }
+        return abrirVisita(prisma, provedor, cliente);
+    }
+
+    const autorizacao = await provedor.autorizar({
+        metodoPagamento: referenciaNoProvedor(cartao),
+        valor: VALOR_PRE_AUTORIZACAO,
+        referencia: `entrada-cliente-${cliente.id}`,
+    });
+    if (!autorizacao.aprovado) {
+        throw new ErroNegocio(`Entrada não liberada: ${mensagemRecusa(autorizacao.motivo)}`, 402, {
+            codigo: 'PRE_AUTORIZACAO_RECUSADA',
+            motivo: autorizacao.motivo,
+        });
+    }
+    return abrirVisita(prisma, provedor, cliente, { autorizacao, cartao });
+}
+
+module.exports = { registrarEntrada };
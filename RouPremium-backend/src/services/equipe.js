@@ -0,0 +1,37 @@
+const { validarEmail, validarSenha } = require('./autenticacao');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, validarBooleano, validarCampos } = require('../utils/validacao');
+
+const PAPEIS_FUNCIONARIO = ['gerente', 'estoquista', 'caixa'];
+
+const VALIDADORES_FUNCIONARIO = {
+    nome: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o nome do funcionário.' }),
+    email: validarEmail,
+    senha: validarSenha,
+    papel: (valor) => (PAPEIS_FUNCIONARIO.includes(valor)
+        ? { valor }
+        : { erro: `Papel inválido. Use: ${PAPEIS_FUNCIONARIO.join(', ')}.` }),
+    ativo: validarBooleano,
+};
+
+/**
+ * Valida o cadastro/edição de um funcionário (na edição, só os campos enviados).
+ * Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosFuncionario(dados, { parcial = false } = {}) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES_FUNCIONARIO, ['nome', 'email', 'senha', 'papel'], parcial);
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do funcionário inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// O gerente não pode se desligar nem trocar o próprio papel: a loja poderia ficar sem gerente
+function impedirAutoRebaixamento(funcionarioLogado, funcionarioId, dados) {
+    if (funcionarioLogado.id !== funcionarioId) return;
+    if (dados.ativo === false || (dados.papel && dados.papel !== funcionarioLogado.papel)) {
+        throw new ErroNegocio('Você não pode desativar a própria conta nem mudar o próprio papel.', 409);
+    }
+}
+
+module.exports = { PAPEIS_FUNCIONARIO, validarDadosFuncionario, impedirAutoRebaixamento };
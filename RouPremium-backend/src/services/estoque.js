@@ -0,0 +1,76 @@
+const { ErroNegocio } = require('../utils/erros');
+
+// Estoque é controlado por variante (tamanho e cor) de cada produto.
+
+// Quantidade que ainda pode ser pega na arara (estoque menos o que já está em carrinhos)
+const quantidadeDisponivel = (variante) => variante.estoque - variante.estoqueReservado;
+
+// Nome usado nas mensagens: "Calça Jeans 42 Azul"
+const descreverVariante = (variante) => `${variante.produto.nome} ${variante.tamanho} ${variante.cor}`;
+
+// Reserva unidades para o carrinho de um cliente.
+// A condição no WHERE torna a reserva atômica: se outro cliente pegou a última
+// unidade no meio do caminho, nenhuma linha é atualizada. Produtos arquivados não saem da arara.
+async function reservarEstoque(tx, varianteId, quantidade = 1) {
+    const atualizados = await tx.$executeRaw`
+        UPDATE "variantes" AS v
+        SET "estoque_reservado" = v."estoque_reservado" + ${quantidade}
+        FROM "produtos" AS p
+        WHERE v."id" = ${varianteId}
+            AND p."id" = v."produtoId"
+            AND p."arquivado" = false
+            AND v."estoque" - v."estoque_reservado" >= ${quantidade}`;
+
+    if (atualizados === 0) {
+        const variante = await tx.variante.findUnique({ where: { id: varianteId }, include: { produto: true } });
+        if (!variante) {
+            throw new ErroNegocio('Variante não encontrada.', 404);
+        }
+        if (variante.produto.arquivado) {
+            throw new ErroNegocio(`Produto ${variante.produto.nome} não está mais à venda.`, 409, {
+                produtoId: variante.produtoId,
+            });
+        }
+        throw new ErroNegocio(`Produto ${descreverVariante(variante)} sem estoque disponível.`, 409, {
+            produtoId: variante.produtoId,
+            varianteId: variante.id,
+            disponivel: quantidadeDisponivel(variante),
+        });
+    }
+}
+
+// Devolve à arara unidades que estavam reservadas em um carrinho
+function liberarReserva(tx, varianteId, quantidade = 1) {
+    return tx.variante.update({
+        where: { id: varianteId },
+        data: { estoqueReservado: { decrement: quantidade } },
+    });
+}
+
+// Baixa definitiva na saída da loja: as unidades reservadas deixam o estoque
+function baixarEstoque(tx, varianteId, quantidade) {
+    return tx.variante.update({
+        where: { id: varianteId },
+        data: {
+            estoque: { decrement: quantidade },
+            estoqueReservado: { decrement: quantidade },
+        },
+    });
+}
+
+// Unidades que voltam para a loja (devolução de compra ou reabastecimento)
+function reporEstoque(tx, varianteId, quantidade) {
+    return tx.variante.update({
+        where: { id: varianteId },
+        data: { estoque: { increment: quantidade } },
+    });
+}
+
+module.exports = {
+    quantidadeDisponivel,
+    descreverVariante,
+    reservarEstoque,
+    liberarReserva,
+    baixarEstoque,
+    reporEstoque,
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Barramento interno dos eventos da loja.
+// Cada cliente tem o seu próprio canal (`cliente:<id>`), assim a rota de
+// stream só recebe os eventos do cliente que está acompanhando.
+const emissor = new EventEmitter();
+emissor.setMaxListeners(0); // Vários celulares podem acompanhar o mesmo cliente
+
+const canalDoCliente = (clienteId) => `cliente:${clienteId}`;
+
+// Publica um evento (ex.: 'item-adicionado') para quem acompanha o cliente
+function publicarEvento(clienteId, tipo, dados) {
+    emissor.emit(canalDoCliente(clienteId), { tipo, dados });
+}
+
+// Inscreve um callback nos eventos do cliente e retorna a função para cancelar
+function inscreverEventos(clienteId, callback) {
+    const canal = canalDoCliente(clienteId);
+    emissor.on(canal, callback);
+    return () => emissor.off(canal, callback);
+}
+
+// O EventSource não manda cabeçalhos: em vez do token da sessão na URL, o app pede um token de uso único,
+// que só abre o stream do cliente e vale por um minuto. Fica em memória, como os próprios inscritos.
+const VALIDADE_TOKEN_STREAM_MS = 60 * 1000;
+const tokensDoStream = new Map();
+
+function criarTokenDoStream(clienteId) {
+    const agora = Date.now();
+    for (const [token, { expiraEm }] of tokensDoStream) {
+        if (expiraEm <= agora) tokensDoStream.delete(token);
+    }
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiraEm = agora + VALIDADE_TOKEN_STREAM_MS;
+    tokensDoStream.set(token, { clienteId, expiraEm });
+    return { token, expiraEm: new Date(expiraEm) };
+}
+
+// Confere e descarta o token: true só se ainda vale e é do stream deste cliente
+function consumirTokenDoStream(token, clienteId) {
+    const registro = typeof token === 'string' ? tokensDoStream.get(token) : undefined;
+    if (!registro) return false;
+    tokensDoStream.delete(token);
+    return registro.clienteId === clienteId && registro.expiraEm > Date.now();
+}
+
+module.exports = { publicarEvento, inscreverEventos, criarTokenDoStream, consumirTokenDoStream };
@@ -0,0 +1,260 @@
+const { mascararMetodoPagamento } = require('./pagamentos');
+const { buscarVisitaAberta } = require('./visitas');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, aceitaNulo, validarBooleano, validarCampos } = require('../utils/validacao');
+
+const TIPOS_METODO = ['credito', 'debito', 'pix'];
+const TIPOS_CARTAO = ['credito', 'debito'];
+const TAMANHO_MAXIMO_APELIDO = 40;
+
+const ehCartao = (metodo) => TIPOS_CARTAO.includes(metodo.tipo);
+
+// Padrão primeiro, depois do mais antigo para o mais novo
+const ORDEM_METODOS = [{ padrao: 'desc' }, { id: 'asc' }];
+
+// Formatos de chave PIX aceitos, já normalizados (só dígitos em CPF/CNPJ, +55 no telefone)
+const FORMATOS_CHAVE_PIX = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    cpf: /^\d{11}$/,
+    cnpj: /^\d{14}$/,
+    telefone: /^\+55\d{10,11}$/,
+    aleatoria: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+};
+
+function normalizarChavePix(valor) {
+    const texto = valor.trim();
+    if (texto.includes('@')) return texto.toLowerCase();
+    if (texto.startsWith('+')) return `+${texto.replace(/\D/g, '')}`;
+    if (/^[\d.\-/\s]+$/.test(texto)) return texto.replace(/\D/g, '');
+    return texto.toLowerCase();
+}
+
+const tipoDaChavePix = (chave) => Object.keys(FORMATOS_CHAVE_PIX).find(tipo => FORMATOS_CHAVE_PIX[tipo].test(chave));
+
+// Chave PIX como a API mostra: o suficiente para o cliente reconhecer, nunca a chave inteira
+function mascararChavePix(chave) {
+    switch (tipoDaChavePix(chave)) {
+        case 'email': {
+            const [usuario, dominio] = chave.split('@');
+            return `${usuario.slice(0, 2)}***@${dominio}`;
+        }
+        case 'cpf':
+            return `***.${chave.slice(3, 6)}.${chave.slice(6, 9)}-**`;
+        case 'cnpj':
+            return `${chave.slice(0, 2)}.***.***/${chave.slice(8, 12)}-**`;
+        case 'telefone':
+            return `+55 (**) *****-${chave.slice(-4)}`;
+        default:
+            return `${chave.slice(0, 4)}…${chave.slice(-4)}`;
+    }
+}
+
+// Como o provedor de pagamento identifica o cartão (o mock aprova ou recusa pelo final)
+const referenciaNoProvedor = (metodo) => `${metodo.tipo}_final_${metodo.finalCartao}`;
+
+// Texto mostrado no app e gravado na compra: "Crédito •••• 4242" ou "PIX mo***@email.com"
+const descreverMetodo = (metodo) => (ehCartao(metodo)
+    ? mascararMetodoPagamento(referenciaNoProvedor(metodo))
+    : `PIX ${mascararChavePix(metodo.chavePix)}`);
+
+// O que a API devolve de um método salvo: a chave PIX só aparece mascarada
+function apresentarMetodoPagamento(metodo) {
+    const { chavePix, ...dados } = metodo;
+    return { ...dados, descricao: descreverMetodo(metodo) };
+}
+
+const VALIDADORES_METODO = {
+    tipo: (valor) => (TIPOS_METODO.includes(valor)
+        ? { valor }
+        : { erro: `Tipo inválido. Use: ${TIPOS_METODO.join(', ')}.` }),
+    finalCartao: (valor) => (typeof valor === 'string' && /^\d{4}$/.test(valor)
+        ? { valor }
+        : { erro: 'Informe os 4 últimos dígitos do cartão.' }),
+    chavePix: (valor) => {
+        const chave = typeof valor === 'string' ? normalizarChavePix(valor) : '';
+        return tipoDaChavePix(chave)
+            ? { valor: chave }
+            : { erro: 'Informe uma chave PIX válida (e-mail, CPF, CNPJ, telefone com +55 ou chave aleatória).' };
+    },
+    apelido: aceitaNulo((valor) => (textoPreenchido(valor) && valor.trim().length <= TAMANHO_MAXIMO_APELIDO
+        ? { valor: valor.trim() }
+        : { erro: `O apelido deve ter até ${TAMANHO_MAXIMO_APELIDO} caracteres.` })),
+    padrao: validarBooleano,
+};
+
+/**
+ * Valida um cartão ({ tipo: 'credito' | 'debito', finalCartao }) ou chave PIX ({ tipo: 'pix', chavePix }),
+ * com `apelido` e `padrao` opcionais. Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosMetodoPagamento(dados) {
+    if (!dados || typeof dados !== 'object') {
+        throw new ErroNegocio('Dados do meio de pagamento inválidos.', 400);
+    }
+    const cartao = TIPOS_CARTAO.includes(dados.tipo);
+    const obrigatorios = ['tipo', cartao ? 'finalCartao' : 'chavePix'];
+    const { resultado, campos } = validarCampos(
+        { ...dados, [cartao ? 'chavePix' : 'finalCartao']: undefined },
+        VALIDADORES_METODO,
+        obrigatorios,
+        false,
+    );
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do meio de pagamento inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// Na edição só mudam apelido e padrão; para trocar o cartão, cadastra-se outro
+function validarEdicaoMetodoPagamento(dados) {
+    const { resultado, campos } = validarCampos(
+        dados,
+        { apelido: VALIDADORES_METODO.apelido, padrao: VALIDADORES_METODO.padrao },
+        [],
+        true,
+    );
+    if (dados.padrao === false) {
+        campos.padrao = 'Para trocar o padrão, marque outro meio de pagamento como padrão.';
+    }
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do meio de pagamento inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+const listarMetodosPagamento = (prisma, clienteId) => prisma.metodoPagamento.findMany({
+    where: { clienteId: clienteId },
+    orderBy: ORDEM_METODOS,
+});
+
+async function buscarMetodoDoCliente(tx, clienteId, metodoId) {
+    const metodo = Number.isInteger(metodoId)
+        ? await tx.metodoPagamento.findFirst({ where: { id: metodoId, clienteId: clienteId } })
+        : null;
+    if (!metodo) {
+        throw new ErroNegocio('Meio de pagamento não encontrado.', 404);
+    }
+    return metodo;
+}
+
+// Só pode haver um padrão por cliente: marcar um desmarca os outros
+const desmarcarPadrao = (tx, clienteId) => tx.metodoPagamento.updateMany({
+    where: { clienteId: clienteId, padrao: true },
+    data: { padrao: false },
+});
+
+/**
+ * Salva um cartão ou chave PIX já validado. O primeiro método do cliente vira o padrão.
+ * Lança ErroNegocio 409 se o mesmo cartão (tipo e final) ou chave já estiver salvo.
+ */
+async function cadastrarMetodoPagamento(prisma, clienteId, dados) {
+    return prisma.$transaction(async (tx) => {
+        const existentes = await tx.metodoPagamento.findMany({ where: { clienteId: clienteId } });
+        const repetido = existentes.some(metodo => metodo.tipo === dados.tipo
+            && metodo.finalCartao === (dados.finalCartao ?? null)
+            && metodo.chavePix === (dados.chavePix ?? null));
+        if (repetido) {
+            throw new ErroNegocio('Este meio de pagamento já está cadastrado.', 409);
+        }
+
+        const padrao = dados.padrao === true || existentes.length === 0;
+        if (padrao) {
+            await desmarcarPadrao(tx, clienteId);
+        }
+        return tx.metodoPagamento.create({ data: { ...dados, clienteId, padrao } });
+    });
+}
+
+async function atualizarMetodoPagamento(prisma, clienteId, metodoId, dados) {
+    return prisma.$transaction(async (tx) => {
+        await buscarMetodoDoCliente(tx, clienteId, metodoId);
+        if (dados.padrao) {
+            await desmarcarPadrao(tx, clienteId);
+        }
+        return tx.metodoPagamento.update({ where: { id: metodoId }, data: dados });
+    });
+}
+
+/**
+ * Remove um método salvo. Se era o padrão, o mais recente dos que sobraram assume.
+ * O cartão que garante a visita em andamento (pré-autorizado na entrada) não pode sair.
+ */
+async function removerMetodoPagamento(prisma, clienteId, metodoId) {
+    return prisma.$transaction(async (tx) => {
+        const metodo = await buscarMetodoDoCliente(tx, clienteId, metodoId);
+        const visita = await buscarVisitaAberta(tx, clienteId);
+        if (visita?.metodoPagamentoId === metodo.id) {
+            throw new ErroNegocio('Este cartão garante a sua visita em andamento. Remova-o depois de sair da loja.', 409);
+        }
+
+        await tx.metodoPagamento.delete({ where: { id: metodo.id } });
+        if (metodo.padrao) {
+            const proximo = await tx.metodoPagamento.findFirst({ where: { clienteId: clienteId }, orderBy: { id: 'desc' } });
+            if (proximo) {
+                await tx.metodoPagamento.update({ where: { id: proximo.id }, data: { padrao: true } });
+            }
+        }
+    });
+}
+
+// Cartão do cliente para cobranças no cartão: o padrão, se for cartão, senão o mais recente (null sem cartão)
+function buscarCartaoPreferido(prisma, clienteId) {
+    return prisma.metodoPagamento.findFirst({
+        where: { clienteId: clienteId, tipo: { in: TIPOS_CARTAO } },
+        orderBy: [{ padrao: 'desc' }, { id: 'desc' }],
+    });
+}
+
+/**
+ * Cartão usado quando a cobrança precisa ser no cartão (ver buscarCartaoPreferido).
+ * Lança ErroNegocio 402 (SEM_CARTAO) se o cliente só tem chaves PIX.
+ */
+async function cartaoPreferido(prisma, clienteId) {
+    const cartao = await buscarCartaoPreferido(prisma, clienteId);
+    if (!cartao) {
+        throw new ErroNegocio('Cadastre um cartão de crédito ou débito para continuar.', 402, { codigo: 'SEM_CARTAO' });
+    }
+    return cartao;
+}
+
+/**
+ * Decide como a saída é cobrada. Retorna { formaPagamento, metodo }:
+ * - com `metodoPagamentoId`, o método escolhido (cartão -> 'cartao', chave PIX -> 'pix');
+ * - só com formaPagamento 'pix', uma cobrança PIX avulsa (metodo null);
+ * - sem nada, o método padrão do cliente; com formaPagamento 'cartao', o cartão preferido.
+ */
+async function escolherMeioDePagamento(prisma, clienteId, { metodoPagamentoId, formaPagamento }) {
+    if (metodoPagamentoId !== undefined && metodoPagamentoId !== null) {
+        const metodo = await buscarMetodoDoCliente(prisma, clienteId, metodoPagamentoId);
+        const forma = ehCartao(metodo) ? 'cartao' : 'pix';
+        if (formaPagamento !== undefined && formaPagamento !== forma) {
+            throw new ErroNegocio('O meio de pagamento escolhido não corresponde à forma de pagamento.', 400);
+        }
+        return { formaPagamento: forma, metodo };
+    }
+    if (formaPagamento === 'pix') {
+        return { formaPagamento: 'pix', metodo: null };
+    }
+
+    const padrao = await prisma.metodoPagamento.findFirst({ where: { clienteId: clienteId, padrao: true } });
+    if (formaPagamento === undefined && padrao && !ehCartao(padrao)) {
+        return { formaPagamento: 'pix', metodo: padrao };
+    }
+    return { formaPagamento: 'cartao', metodo: await cartaoPreferido(prisma, clienteId) };
+}
+
+module.exports = {
+    TIPOS_METODO,
+    ehCartao,
+    referenciaNoProvedor,
+    descreverMetodo,
+    apresentarMetodoPagamento,
+    validarDadosMetodoPagamento,
+    validarEdicaoMetodoPagamento,
+    listarMetodosPagamento,
+    cadastrarMetodoPagamento,
+    atualizarMetodoPagamento,
+    removerMetodoPagamento,
+    buscarCartaoPreferido,
+    cartaoPreferido,
+    escolherMeioDePagamento,
+};
@@ -0,0 +1,55 @@
+const { criarProvedorMock } = require('./mock');
+
+/**
+ * Provedores de pagamento disponíveis, escolhidos pela variável PROVEDOR_PAGAMENTO.
+ * Todo provedor expõe as mesmas operações (todas assíncronas):
+ *   autorizar({ metodoPagamento, valor, referencia }) -> { aprovado, autorizacaoId, motivo }
+ *   capturar({ autorizacaoId, metodoPagamento, valor, parcelas, referencia }) -> { aprovado, transacaoId, motivo }
+ *     (autorizacaoId null: cobrança direta, sem pré-autorização)
+ *   cancelar({ autorizacaoId }) -> { cancelado }
+ *   reembolsar({ transacaoId, formaPagamento, valor, referencia, chaveIdempotencia }) -> { aprovado, reembolsoId, motivo }
+ *     (a mesma chaveIdempotencia devolve o resultado do primeiro pedido, sem reembolsar de novo)
+ * `motivo` é um código (ex.: 'saldo_insuficiente') presente quando aprovado é false.
+ */
+const provedores = {
+    mock: criarProvedorMock,
+};
+
+// Mensagens exibidas ao cliente para cada motivo de recusa
+const MENSAGENS_RECUSA = {
+    cartao_recusado: 'Cartão recusado pelo emissor.',
+    saldo_insuficiente: 'Saldo insuficiente.',
+    cartao_expirado: 'Cartão expirado.',
+    provedor_indisponivel: 'O provedor de pagamento não respondeu. Tente de novo.',
+    falha_ao_concluir: 'Não foi possível concluir a compra; nada foi cobrado. Tente de novo.',
+    estorno_pendente: 'Não foi possível concluir a compra; o valor cobrado será estornado.',
+};
+
+const mensagemRecusa = (motivo) => MENSAGENS_RECUSA[motivo] || 'Pagamento não autorizado.';
+
+const TIPOS_CARTAO = { credito: 'Crédito', debito: 'Débito' };
+
+// Cartão como pode aparecer em recibos: só os 4 últimos dígitos ("credito_final_4242" -> "Crédito •••• 4242")
+function mascararMetodoPagamento(metodoPagamento) {
+    const texto = String(metodoPagamento ?? '');
+    const tipo = TIPOS_CARTAO[texto.split('_')[0]] ?? 'Cartão';
+    const digitos = texto.replace(/\D/g, '').slice(-4);
+    return digitos ? `${tipo} •••• ${digitos}` : tipo;
+}
+
+let provedorAtual = null;
+
+// Instancia (uma única vez) o provedor configurado
+function obterProvedorPagamento() {
+    if (!provedorAtual) {
+        const nome = process.env.PROVEDOR_PAGAMENTO || 'mock';
+        const criarProvedor = provedores[nome];
+        if (!criarProvedor) {
+            throw new Error(`Provedor de pagamento desconhecido: ${nome}`);
+        }
+        provedorAtual = criarProvedor();
+    }
+    return provedorAtual;
+}
+
+module.exports = { obterProvedorPagamento, mensagemRecusa, mascararMetodoPagamento };
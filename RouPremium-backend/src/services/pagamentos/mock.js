@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Recusas padrão por final de cartão: "<final>:<motivo>" separados por vírgula.
+// Podem ser trocadas pelas variáveis PAGAMENTO_MOCK_RECUSAS (na pré-autorização)
+// e PAGAMENTO_MOCK_RECUSAS_CAPTURA (só na captura, com a pré-autorização já aprovada).
+const RECUSAS_PADRAO = '0002:cartao_recusado,9995:saldo_insuficiente';
+const RECUSAS_CAPTURA_PADRAO = '0069:cartao_expirado';
+
+// Converte "0002:cartao_recusado,9995:saldo_insuficiente" em { '0002': 'cartao_recusado', ... }
+function lerRecusas(texto) {
+    return Object.fromEntries(
+        texto.split(',')
+            .map(regra => regra.trim().split(':'))
+            .filter(([final]) => final)
+            .map(([final, motivo]) => [final, motivo || 'cartao_recusado'])
+    );
+}
+
+// Últimos 4 dígitos de um método como "credito_final_4242"
+const finalDoCartao = (metodoPagamento) => String(metodoPagamento).slice(-4);
+
+const gerarId = (prefixo) => `${prefixo}_${crypto.randomUUID()}`;
+
+/**
+ * Provedor de pagamento simulado. Aprova ou recusa apenas pelo final do cartão,
+ * o que permite testar todos os caminhos do checkout sem falar com um adquirente
+ * de verdade. Só guarda (em memória) os reembolsos por chave de idempotência.
+ */
+function criarProvedorMock({
+    recusas = lerRecusas(process.env.PAGAMENTO_MOCK_RECUSAS ?? RECUSAS_PADRAO),
+    recusasCaptura = lerRecusas(process.env.PAGAMENTO_MOCK_RECUSAS_CAPTURA ?? RECUSAS_CAPTURA_PADRAO),
+} = {}) {
+    const reembolsos = new Map();
+
+    return {
+        nome: 'mock',
+
+        async autorizar({ metodoPagamento }) {
+            const motivo = recusas[finalDoCartao(metodoPagamento)];
+            if (motivo) {
+                return { aprovado: false, motivo };
+            }
+            return { aprovado: true, autorizacaoId: gerarId('aut') };
+        },
+
+        async capturar({ metodoPagamento }) {
+            const final = finalDoCartao(metodoPagamento);
+            const motivo = recusas[final] || recusasCaptura[final];
+            if (motivo) {
+                return { aprovado: false, motivo };
+            }
+            return { aprovado: true, transacaoId: gerarId('trx') };
+        },
+
+        async cancelar() {
+            return { cancelado: true };
+        },
+
+        async reembolsar({ chaveIdempotencia }) {
+            if (!reembolsos.has(chaveIdempotencia)) {
+                reembolsos.set(chaveIdempotencia, { aprovado: true, reembolsoId: gerarId('rmb') });
+            }
+            return reembolsos.get(chaveIdempotencia);
+        },
+    };
+}
+
+module.exports = { criarProvedorMock };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Dados do recebedor que vão no BR Code (o manual do BR Code recomenda texto sem acentos)
+const CHAVE_PIX = process.env.PIX_CHAVE || 'pix@roupremium.com.br';
+const NOME_RECEBEDOR = process.env.PIX_NOME_RECEBEDOR || 'RouPremium';
+const CIDADE_RECEBEDOR = process.env.PIX_CIDADE || 'Sao Paulo';
+
+// Segredo combinado com o banco: todo webhook de PIX vem com o cabeçalho X-Assinatura-Pix, o HMAC-SHA256
+// (em hex) do corpo com este segredo. Sem PIX_WEBHOOK_SEGREDO, nenhuma assinatura vale.
+const SEGREDO_WEBHOOK = process.env.PIX_WEBHOOK_SEGREDO || null;
+
+// Campo EMV no formato ID (2 dígitos) + tamanho (2 dígitos) + valor
+const campo = (id, valor) => `${id}${String(valor.length).padStart(2, '0')}${valor}`;
+
+// Remove acentos e caracteres fora do conjunto permitido, respeitando o tamanho máximo do campo
+const textoEmv = (texto, tamanhoMaximo) => texto
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .@_+-]/g, '')
+    .slice(0, tamanhoMaximo);
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), exigido no campo 63 do BR Code
+function crc16(payload) {
+    let crc = 0xFFFF;
+    for (const byte of Buffer.from(payload, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+            crc &= 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Identificador da cobrança: até 25 caracteres alfanuméricos
+const gerarTxid = (compraId) =>
+    `RP${String(compraId).padStart(8, '0')}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+/**
+ * Monta o payload "copia e cola" (BR Code / EMV-MPM) de um PIX com valor fixo.
+ * @param {object} cobranca - { valor (Decimal ou número), txid }
+ */
+function gerarPayloadPix({ valor, txid }) {
+    const contaRecebedor = campo('00', 'br.gov.bcb.pix') + campo('01', CHAVE_PIX);
+
+    const payloadSemCrc = [
+        campo('00', '01'),                         // Payload Format Indicator
+        campo('01', '12'),                         // QR de uso único
+        campo('26', contaRecebedor),               // Merchant Account Information - PIX
+        campo('52', '0000'),                       // Merchant Category Code
+        campo('53', '986'),                        // Moeda: BRL
+        campo('54', Number(valor).toFixed(2)),     // Valor da cobrança
+        campo('58', 'BR'),
+        campo('59', textoEmv(NOME_RECEBEDOR, 25)),
+        campo('60', textoEmv(CIDADE_RECEBEDOR, 15)),
+        campo('62', campo('05', txid)),            // Additional Data: txid
+        '6304',                                    // O CRC é calculado incluindo o próprio ID e tamanho
+    ].join('');
+
+    return payloadSemCrc + crc16(payloadSemCrc);
+}
+
+// Gera a cobrança PIX de uma compra: txid, payload copia e cola e o QR code em data URL (PNG)
+async function gerarCobrancaPix(compra) {
+    const txid = gerarTxid(compra.id);
+    const copiaECola = gerarPayloadPix({ valor: compra.valorTotal, txid });
+    const qrCode = await QRCode.toDataURL(copiaECola);
+    return { txid, copiaECola, qrCode };
+}
+
+// QR code de uma cobrança já registrada (o payload fica salvo na compra)
+const gerarQrCodePix = (copiaECola) => QRCode.toDataURL(copiaECola);
+
+// Confere a assinatura do webhook sobre o corpo exatamente como chegou (Buffer)
+function assinaturaWebhookValida(corpo, assinatura) {
+    if (!SEGREDO_WEBHOOK || !Buffer.isBuffer(corpo) || typeof assinatura !== 'string') return false;
+    const esperada = crypto.createHmac('sha256', SEGREDO_WEBHOOK).update(corpo).digest();
+    const recebida = Buffer.from(assinatura, 'hex');
+    return recebida.length === esperada.length && crypto.timingSafeEqual(recebida, esperada);
+}
+
+module.exports = { gerarCobrancaPix, gerarQrCodePix, gerarPayloadPix, crc16, assinaturaWebhookValida };
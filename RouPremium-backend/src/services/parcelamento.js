@@ -0,0 +1,102 @@
+const { Prisma } = require('@prisma/client');
+const { arredondar } = require('../utils/dinheiro');
+const { FUSO_LOJA } = require('../utils/datas');
+const { ErroNegocio } = require('../utils/erros');
+
+// Regras de parcelamento no cartão, configuráveis por variáveis de ambiente
+const REGRAS_PARCELAMENTO = {
+    maximoParcelas: parseInt(process.env.PARCELAS_MAXIMO) || 10,
+    parcelasSemJuros: parseInt(process.env.PARCELAS_SEM_JUROS) || 3,
+    valorMinimoParcela: new Prisma.Decimal(process.env.PARCELA_VALOR_MINIMO || '50.00'),
+    jurosMensal: new Prisma.Decimal(process.env.PARCELAMENTO_JUROS_MENSAL || '0.0199'), // 1,99% a.m.
+};
+
+// Parcela pela Tabela Price: PV * i / (1 - (1 + i)^-n)
+function parcelaComJuros(valor, juros, parcelas) {
+    const fator = juros.plus(1).pow(-parcelas);
+    return arredondar(valor.times(juros).dividedBy(new Prisma.Decimal(1).minus(fator)));
+}
+
+// Monta um plano de `parcelas` vezes para o valor, ou null se a parcela ficar abaixo do mínimo.
+// Com juros zerados na configuração, todo plano é sem juros (a Tabela Price dividiria por zero).
+function montarPlano(valor, parcelas, regras = REGRAS_PARCELAMENTO) {
+    const semJuros = parcelas <= regras.parcelasSemJuros || regras.jurosMensal.isZero();
+    const valorParcela = semJuros
+        ? arredondar(valor.dividedBy(parcelas))
+        : parcelaComJuros(valor, regras.jurosMensal, parcelas);
+
+    if (parcelas > 1 && valorParcela.lessThan(regras.valorMinimoParcela)) {
+        return null;
+    }
+
+    // Sem juros, a última parcela absorve os centavos do arredondamento
+    const valorTotal = semJuros ? valor : valorParcela.times(parcelas);
+    const ultimaParcela = valorTotal.minus(valorParcela.times(parcelas - 1));
+
+    return {
+        parcelas,
+        semJuros,
+        jurosMensal: semJuros ? new Prisma.Decimal(0) : regras.jurosMensal,
+        valorParcela,
+        ultimaParcela,
+        valorTotal,
+    };
+}
+
+// Todos os planos disponíveis para o valor, de 1x até o máximo permitido
+function calcularPlanos(valor, regras = REGRAS_PARCELAMENTO) {
+    const valorDecimal = new Prisma.Decimal(valor);
+    const planos = [];
+    for (let parcelas = 1; parcelas <= regras.maximoParcelas; parcelas++) {
+        const plano = montarPlano(valorDecimal, parcelas, regras);
+        if (plano) {
+            planos.push(plano);
+        }
+    }
+    return planos;
+}
+
+// Quanto a compra cobrou de fato: no cartão, o total do plano (com os juros, se houver); no PIX, o total
+const valorCobrado = (compra) => (compra.planoParcelamento
+    ? new Prisma.Decimal(compra.planoParcelamento.valorTotal)
+    : compra.valorTotal);
+
+// Vencimentos são dias do calendário da loja (ver utils/datas)
+const diaNoFusoDaLoja = new Intl.DateTimeFormat('en-CA', {
+    timeZone: FUSO_LOJA,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+});
+
+// Dia da loja `meses` depois de `data`, como "AAAA-MM-DD"; dias que não existem no mês caem no
+// último dia (31/01 + 1 -> 28/02)
+function somarMeses(data, meses) {
+    const [ano, mes, dia] = diaNoFusoDaLoja.format(data).split('-').map(Number);
+    const resultado = new Date(Date.UTC(ano, mes - 1 + meses, 1));
+    const ultimoDia = new Date(Date.UTC(resultado.getUTCFullYear(), resultado.getUTCMonth() + 1, 0)).getUTCDate();
+    resultado.setUTCDate(Math.min(dia, ultimoDia));
+    return resultado.toISOString().slice(0, 10);
+}
+
+// Valida a escolha do cliente e devolve o plano com o cronograma de vencimentos (mensais)
+function escolherPlano(valor, parcelas, dataCompra = new Date()) {
+    const plano = calcularPlanos(valor).find(opcao => opcao.parcelas === parcelas);
+    if (!plano) {
+        throw new ErroNegocio(`Parcelamento em ${parcelas}x não disponível para este valor.`, 400, {
+            codigo: 'PARCELAMENTO_INVALIDO',
+        });
+    }
+
+    const cronograma = Array.from({ length: plano.parcelas }, (_, indice) => {
+        return {
+            numero: indice + 1,
+            valor: indice === plano.parcelas - 1 ? plano.ultimaParcela : plano.valorParcela,
+            vencimento: somarMeses(dataCompra, indice + 1),
+        };
+    });
+
+    return { ...plano, cronograma };
+}
+
+module.exports = { REGRAS_PARCELAMENTO, calcularPlanos, escolherPlano, valorCobrado };
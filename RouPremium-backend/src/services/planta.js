@@ -0,0 +1,112 @@
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, inteiroEntre, validarCampos } = require('../utils/validacao');
+
+// Planta da loja: zonas (entrada, saída, salão...) e araras, cada uma com os produtos que expõe.
+// Posição e tamanho são em % da planta (0 a 100), a partir do canto superior esquerdo,
+// assim o simulador desenha a planta em qualquer tamanho de tela.
+
+const TIPOS_ZONA = ['entrada', 'saida', 'vendas', 'provador', 'caixa'];
+
+const VALIDADORES_RETANGULO = {
+    x: inteiroEntre(0, 99),
+    y: inteiroEntre(0, 99),
+    largura: inteiroEntre(1, 100),
+    altura: inteiroEntre(1, 100),
+};
+
+const validarNome = (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o nome.' });
+
+const VALIDADORES_ZONA = {
+    nome: validarNome,
+    tipo: (valor) => (TIPOS_ZONA.includes(valor)
+        ? { valor }
+        : { erro: `Tipo inválido. Use: ${TIPOS_ZONA.join(', ')}.` }),
+    ...VALIDADORES_RETANGULO,
+};
+
+const VALIDADORES_ARARA = {
+    nome: validarNome,
+    ...VALIDADORES_RETANGULO,
+};
+
+// Todos os campos são obrigatórios no cadastro; com `existente` (edição), só os enviados.
+// O retângulo, já somado ao que está salvo, precisa caber na planta.
+function validarRetangulo(dados, validadores, existente, mensagem) {
+    if (!dados || typeof dados !== 'object') {
+        throw new ErroNegocio(mensagem, 400);
+    }
+    const { resultado, campos } = validarCampos(dados, validadores, Object.keys(validadores), Boolean(existente));
+
+    const { x, y, largura, altura } = { ...existente, ...resultado };
+    if (!campos.x && !campos.largura && x + largura > 100) {
+        campos.largura = 'Passa da borda direita da planta.';
+    }
+    if (!campos.y && !campos.altura && y + altura > 100) {
+        campos.altura = 'Passa da borda de baixo da planta.';
+    }
+
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio(mensagem, 400, { campos });
+    }
+    return resultado;
+}
+
+const validarDadosZona = (dados, existente) => validarRetangulo(dados, VALIDADORES_ZONA, existente, 'Dados da zona inválidos.');
+
+const validarDadosArara = (dados, existente) => validarRetangulo(dados, VALIDADORES_ARARA, existente, 'Dados da arara inválidos.');
+
+// Produtos de uma arara como a planta mostra (arquivados saíram da loja)
+const incluirProdutos = {
+    produtos: {
+        where: { arquivado: false },
+        select: { id: true, nome: true, sku: true },
+        orderBy: { nome: 'asc' },
+    },
+};
+
+// Planta completa: { zonas, araras } com os produtos de cada arara
+async function carregarPlanta(prisma) {
+    const [zonas, araras] = await Promise.all([
+        prisma.zona.findMany({ orderBy: { id: 'asc' } }),
+        prisma.arara.findMany({ orderBy: { id: 'asc' }, include: incluirProdutos }),
+    ]);
+    return { zonas, araras };
+}
+
+/**
+ * Deixa na arara exatamente os produtos de `produtoIds`: os que estavam em outra arara mudam para esta
+ * e os que estavam nesta e ficaram de fora passam a não ter arara. Deve rodar numa transação.
+ * Retorna { entraram, sairam } com os ids dos produtos que mudaram (para a auditoria).
+ * Lança ErroNegocio 400 se a lista é inválida ou cita produto que não existe.
+ */
+async function definirProdutosDaArara(tx, araraId, produtoIds) {
+    if (!Array.isArray(produtoIds) || !produtoIds.every(Number.isInteger)) {
+        throw new ErroNegocio('Informe os produtos da arara como uma lista de ids.', 400, {
+            campos: { produtoIds: 'Lista de ids inválida.' },
+        });
+    }
+    const ids = [...new Set(produtoIds)];
+    const encontrados = await tx.produto.count({ where: { id: { in: ids } } });
+    if (encontrados !== ids.length) {
+        throw new ErroNegocio('Algum dos produtos informados não existe.', 400, {
+            campos: { produtoIds: 'Produto não encontrado.' },
+        });
+    }
+
+    const antes = (await tx.produto.findMany({ where: { araraId: araraId }, select: { id: true } })).map(p => p.id);
+    await tx.produto.updateMany({ where: { araraId: araraId, id: { notIn: ids } }, data: { araraId: null } });
+    await tx.produto.updateMany({ where: { id: { in: ids } }, data: { araraId: araraId } });
+    return {
+        entraram: ids.filter(id => !antes.includes(id)),
+        sairam: antes.filter(id => !ids.includes(id)),
+    };
+}
+
+module.exports = {
+    TIPOS_ZONA,
+    validarDadosZona,
+    validarDadosArara,
+    incluirProdutos,
+    carregarPlanta,
+    definirProdutosDaArara,
+};
@@ -0,0 +1,189 @@
+const { Prisma } = require('@prisma/client');
+const { ratearDesconto } = require('./promocoes');
+const { valorCobrado } = require('./parcelamento');
+const { ZERO, arredondar } = require('../utils/dinheiro');
+const { ErroNegocio } = require('../utils/erros');
+
+// Regras do programa de pontos, configuráveis por variáveis de ambiente
+const REGRAS_PONTOS = {
+    pontosPorReal: new Prisma.Decimal(process.env.PONTOS_POR_REAL || '1'),
+    bonusValorMinimo: new Prisma.Decimal(process.env.PONTOS_BONUS_VALOR_MINIMO || '1000.00'),
+    bonusPontos: parseInt(process.env.PONTOS_BONUS) || 100,
+    valorDoPonto: new Prisma.Decimal(process.env.PONTOS_VALOR_RESGATE || '0.05'), // R$ de desconto por ponto
+    resgateMinimo: parseInt(process.env.PONTOS_RESGATE_MINIMO) || 100,
+    percentualMaximoResgate: new Prisma.Decimal(process.env.PONTOS_RESGATE_MAXIMO_PERCENTUAL || '50'),
+};
+
+// Pontos de uma compra paga: `pontosPorReal` por real pago, mais o bônus das compras grandes
+function calcularPontosGanhos(valorPago, regras = REGRAS_PONTOS) {
+    const valor = new Prisma.Decimal(valorPago);
+    const pontos = valor.times(regras.pontosPorReal).floor().toNumber();
+    return valor.greaterThanOrEqualTo(regras.bonusValorMinimo) ? pontos + regras.bonusPontos : pontos;
+}
+
+const descontoDosPontos = (pontos, regras = REGRAS_PONTOS) => arredondar(regras.valorDoPonto.times(pontos));
+
+async function saldoDePontos(tx, clienteId) {
+    const { _sum } = await tx.movimentoPontos.aggregate({
+        where: { clienteId: clienteId },
+        _sum: { pontos: true },
+    });
+    return _sum.pontos ?? 0;
+}
+
+// Quantos pontos o cliente pode usar em uma compra deste total (0 se não alcança o mínimo de resgate)
+function calcularResgateMaximo(saldo, total, regras = REGRAS_PONTOS) {
+    const limite = new Prisma.Decimal(total).times(regras.percentualMaximoResgate).dividedBy(100);
+    const pontos = Math.min(saldo, limite.dividedBy(regras.valorDoPonto).floor().toNumber());
+    if (pontos < regras.resgateMinimo) {
+        return { pontos: 0, desconto: ZERO };
+    }
+    return { pontos, desconto: descontoDosPontos(pontos, regras) };
+}
+
+const erroPontos = (mensagem, codigo, extras = {}) => new ErroNegocio(mensagem, 400, { codigo, ...extras });
+
+/**
+ * Confere o resgate de `pontos` em uma compra deste `total` e devolve o desconto em reais.
+ * Lança ErroNegocio 400 com { codigo: 'PONTOS_...' } explicando o motivo.
+ */
+async function verificarResgate(tx, clienteId, pontos, total) {
+    if (!Number.isInteger(pontos) || pontos <= 0) {
+        throw erroPontos('Informe uma quantidade inteira de pontos.', 'PONTOS_INVALIDOS');
+    }
+    if (pontos < REGRAS_PONTOS.resgateMinimo) {
+        throw erroPontos(`O resgate mínimo é de ${REGRAS_PONTOS.resgateMinimo} pontos.`, 'PONTOS_ABAIXO_MINIMO');
+    }
+
+    const saldo = await saldoDePontos(tx, clienteId);
+    if (pontos > saldo) {
+        throw erroPontos(`Saldo insuficiente: você tem ${saldo} pontos.`, 'PONTOS_INSUFICIENTES', { saldo });
+    }
+
+    const maximo = calcularResgateMaximo(saldo, total);
+    if (pontos > maximo.pontos) {
+        throw erroPontos(
+            `Nesta compra você pode usar até ${maximo.pontos} pontos.`,
+            'PONTOS_ACIMA_DO_LIMITE',
+            { pontosMaximos: maximo.pontos },
+        );
+    }
+
+    return descontoDosPontos(pontos);
+}
+
+// Acrescenta o desconto dos pontos ao resumo do carrinho, como mais uma linha de desconto
+function aplicarPontosNoResumo(resumo, pontos, desconto) {
+    return {
+        ...resumo,
+        itens: ratearDesconto(resumo.itens, desconto),
+        pontos: { tipo: 'pontos', pontos: pontos, descricao: `${pontos} pontos resgatados`, desconto: desconto },
+        desconto: resumo.desconto.plus(desconto),
+        total: resumo.total.minus(desconto),
+    };
+}
+
+function registrarResgate(tx, { clienteId, compraId, pontos }) {
+    return tx.movimentoPontos.create({
+        data: {
+            clienteId,
+            compraId,
+            tipo: 'resgate',
+            pontos: -pontos,
+            descricao: `Resgate na compra #${compraId}`,
+        },
+    });
+}
+
+// Pagamento recusado: os pontos usados na tentativa voltam para o cliente
+async function cancelarResgate(tx, compra) {
+    if (compra.pontosResgatados <= 0) return;
+    await tx.movimentoPontos.create({
+        data: {
+            clienteId: compra.clienteId,
+            compraId: compra.id,
+            tipo: 'estorno_resgate',
+            pontos: compra.pontosResgatados,
+            descricao: `Pagamento recusado na compra #${compra.id}`,
+        },
+    });
+}
+
+// Pagamento aprovado: credita os pontos da compra e os grava nela. Retorna a compra atualizada.
+async function creditarPontos(tx, compra) {
+    const pontos = calcularPontosGanhos(compra.valorTotal);
+    if (pontos <= 0) return compra;
+
+    await tx.movimentoPontos.create({
+        data: {
+            clienteId: compra.clienteId,
+            compraId: compra.id,
+            tipo: 'credito',
+            pontos: pontos,
+            descricao: `Compra #${compra.id}`,
+        },
+    });
+    return tx.compra.update({ where: { id: compra.id }, data: { pontosGanhos: pontos } });
+}
+
+// Pontos de um tipo já movimentados para a compra (em valor absoluto)
+async function somarMovimentos(tx, compraId, tipo) {
+    const { _sum } = await tx.movimentoPontos.aggregate({
+        where: { compraId: compraId, tipo: tipo },
+        _sum: { pontos: true },
+    });
+    return Math.abs(_sum.pontos ?? 0);
+}
+
+/**
+ * Devolução de compra: retira os pontos ganhos e devolve os resgatados na proporção do valor reembolsado
+ * sobre o valor cobrado (com os juros do parcelamento, que também entram no reembolso).
+ * O saldo pode ficar negativo se o cliente já gastou os pontos da compra devolvida.
+ * @param {object} compra - compra com `valorReembolsado` já atualizado
+ */
+async function ajustarPontosNaDevolucao(tx, compra, devolucaoTotal) {
+    const cobrado = valorCobrado(compra);
+    const proporcao = devolucaoTotal || cobrado.isZero()
+        ? new Prisma.Decimal(1)
+        : compra.valorReembolsado.dividedBy(cobrado);
+    const devidos = (pontos) => (devolucaoTotal ? pontos : proporcao.times(pontos).floor().toNumber());
+
+    const estornarCredito = devidos(compra.pontosGanhos) - await somarMovimentos(tx, compra.id, 'estorno_credito');
+    if (estornarCredito > 0) {
+        await tx.movimentoPontos.create({
+            data: {
+                clienteId: compra.clienteId,
+                compraId: compra.id,
+                tipo: 'estorno_credito',
+                pontos: -estornarCredito,
+                descricao: `Devolução na compra #${compra.id}`,
+            },
+        });
+    }
+
+    const devolverResgate = devidos(compra.pontosResgatados) - await somarMovimentos(tx, compra.id, 'estorno_resgate');
+    if (devolverResgate > 0) {
+        await tx.movimentoPontos.create({
+            data: {
+                clienteId: compra.clienteId,
+                compraId: compra.id,
+                tipo: 'estorno_resgate',
+                pontos: devolverResgate,
+                descricao: `Devolução na compra #${compra.id}`,
+            },
+        });
+    }
+}
+
+module.exports = {
+    REGRAS_PONTOS,
+    calcularPontosGanhos,
+    saldoDePontos,
+    calcularResgateMaximo,
+    verificarResgate,
+    aplicarPontosNoResumo,
+    registrarResgate,
+    cancelarResgate,
+    creditarPontos,
+    ajustarPontosNaDevolucao,
+};
@@ -0,0 +1,243 @@
+const { finalizarCompra, MOTIVOS_FALHA_NO_CHECKOUT } = require('./checkout');
+const { buscarVisitaAberta, exigirVisitaAberta } = require('./visitas');
+const { registrarAuditoria } = require('./auditoria');
+const { formatarReais } = require('../utils/dinheiro');
+const { ErroNegocio } = require('../utils/erros');
+
+// Portão de saída. Quando o comprador tenta sair, o portão decide:
+//   abrir          pagamento aprovado (ou nada a pagar)
+//   segurar        pagamento recusado ou PIX ainda não pago: o comprador resolve o pagamento
+//   chamar_equipe  leituras de sensores do carrinho em revisão ou sinais de fraude; nada é cobrado
+// Toda decisão fica em DecisaoPortao, com o que pesou nela.
+
+// Pagamentos recusados na mesma visita a partir dos quais o portão chama a equipe
+const LIMITE_RECUSAS = 3;
+
+const incluirDecisao = { cliente: { select: { id: true, nome: true } } };
+
+function registrarDecisao(prisma, { clienteId, visitaId, compraId, acao, codigo, motivo, entradas, funcionarioId }) {
+    return prisma.decisaoPortao.create({
+        data: {
+            clienteId,
+            visitaId,
+            compraId,
+            acao,
+            codigo,
+            motivo,
+            // Ida e volta pelo JSON para os Decimals do pagamento virarem texto
+            entradas: JSON.parse(JSON.stringify(entradas)),
+            funcionarioId,
+        },
+        include: incluirDecisao,
+    });
+}
+
+// Detecções dos sensores desde a entrada, ainda em revisão, em que o comprador é o mais provável ou um dos candidatos
+function buscarRevisoesAbertas(prisma, visita) {
+    return prisma.deteccaoCarrinho.findMany({
+        where: {
+            status: 'em_revisao',
+            ocorridaEm: { gte: visita.dataEntrada },
+            OR: [
+                { clienteId: visita.clienteId },
+                { candidatos: { array_contains: [{ clienteId: visita.clienteId }] } },
+            ],
+        },
+        select: { id: true, acao: true, motivo: true },
+    });
+}
+
+// Sinais de fraude do comprador nesta visita: [{ codigo, descricao }].
+// Recusas por falha do provedor ou da loja não contam contra o comprador.
+async function buscarSinaisDeFraude(prisma, visita) {
+    const [recusas, pixEmAberto] = await Promise.all([
+        prisma.compra.count({
+            where: {
+                clienteId: visita.clienteId,
+                statusPagamento: 'recusada',
+                data: { gte: visita.dataEntrada },
+                OR: [{ motivoRecusa: null }, { motivoRecusa: { notIn: MOTIVOS_FALHA_NO_CHECKOUT } }],
+            },
+        }),
+        prisma.compra.count({
+            where: {
+                clienteId: visita.clienteId,
+                formaPagamento: 'pix',
+                statusPagamento: 'pendente',
+                data: { lt: visita.dataEntrada },
+            },
+        }),
+    ]);
+
+    const sinais = [];
+    if (recusas >= LIMITE_RECUSAS) {
+        sinais.push({ codigo: 'recusas_repetidas', descricao: `${recusas} pagamentos recusados nesta visita.` });
+    }
+    if (pixEmAberto > 0) {
+        sinais.push({ codigo: 'pix_em_aberto', descricao: `${pixEmAberto} PIX de visitas anteriores sem pagamento.` });
+    }
+    return sinais;
+}
+
+// A equipe já conferiu o comprador nesta visita: os sinais de fraude deixam de segurar a saída
+const liberadaPelaEquipe = (prisma, visita) => prisma.decisaoPortao.findFirst({
+    where: { visitaId: visita.id, codigo: 'liberada_pela_equipe' },
+});
+
+// Decisão depois da cobrança, pelo resultado do pagamento
+function decidirPeloPagamento(compra) {
+    if (!compra) {
+        return { acao: 'abrir', codigo: 'sem_compras', motivo: 'Saída sem compras.' };
+    }
+    if (compra.statusPagamento === 'pendente') {
+        return { acao: 'segurar', codigo: 'pix_pendente', motivo: `Aguardando o PIX de ${formatarReais(compra.valorTotal)}.` };
+    }
+    return { acao: 'abrir', codigo: 'pagamento_aprovado', motivo: `Pagamento de ${formatarReais(compra.valorTotal)} aprovado.` };
+}
+
+/**
+ * O comprador chega ao portão: antes de cobrar, confere as leituras de sensores em revisão e os sinais
+ * de fraude; depois cobra o carrinho (ver finalizarCompra) e decide pelo resultado do pagamento.
+ * Retorna { visita, compra, portao }, com `portao` a decisão registrada.
+ * Lança ErroNegocio 409 SAIDA_BLOQUEADA quando chama a equipe (sem cobrar) e repassa os erros de
+ * finalizarCompra; na recusa do pagamento (402), o erro leva a decisão em `portao`.
+ */
+async function passarPeloPortao(prisma, clienteId, opcoesPagamento) {
+    const visita = await exigirVisitaAberta(prisma, clienteId);
+    const [revisoes, sinais, liberada] = await Promise.all([
+        buscarRevisoesAbertas(prisma, visita),
+        buscarSinaisDeFraude(prisma, visita),
+        liberadaPelaEquipe(prisma, visita),
+    ]);
+    const entradas = { revisoesAbertas: revisoes, sinaisFraude: sinais, liberadaPelaEquipe: Boolean(liberada) };
+    const decidir = (decisao, compraId, pagamento) => registrarDecisao(prisma, {
+        clienteId,
+        visitaId: visita.id,
+        compraId,
+        ...decisao,
+        entradas: { ...entradas, pagamento },
+    });
+
+    if (revisoes.length > 0 || (sinais.length > 0 && !liberada)) {
+        const decisao = revisoes.length > 0
+            ? {
+                codigo: 'revisao_pendente',
+                motivo: `${revisoes.length} leitura(s) dos sensores do carrinho aguardando revisão da equipe.`,
+            }
+            : { codigo: 'suspeita_fraude', motivo: `Sinais de fraude: ${sinais.map(sinal => sinal.descricao).join(' ')}` };
+        const portao = await decidir({ acao: 'chamar_equipe', ...decisao }, undefined, null);
+        throw new ErroNegocio(`Saída bloqueada, aguarde a equipe. ${decisao.motivo}`, 409, {
+            codigo: 'SAIDA_BLOQUEADA',
+            portao,
+        });
+    }
+
+    let resultado;
+    try {
+        resultado = await finalizarCompra(prisma, clienteId, opcoesPagamento);
+    } catch (error) {
+        if (error.detalhes?.codigo !== 'PAGAMENTO_RECUSADO') throw error;
+        const portao = await decidir(
+            { acao: 'segurar', codigo: 'pagamento_recusado', motivo: `${error.message} Tente outro meio de pagamento.` },
+            error.detalhes.compraId,
+            { status: 'recusada', motivo: error.detalhes.motivo },
+        );
+        throw new ErroNegocio(error.message, error.status, { ...error.detalhes, portao });
+    }
+
+    const { compra } = resultado;
+    const portao = await decidir(
+        decidirPeloPagamento(compra),
+        compra?.id,
+        compra ? { status: compra.statusPagamento, forma: compra.formaPagamento, valor: compra.valorTotal } : null,
+    );
+    return { ...resultado, portao };
+}
+
+/**
+ * PIX confirmado pelo banco: se o portão segurava o comprador esperando este PIX, agora abre.
+ * Retorna a nova decisão ou null se o portão não esperava por ele.
+ */
+async function abrirAposPix(prisma, compra) {
+    const ultima = await prisma.decisaoPortao.findFirst({
+        where: { clienteId: compra.clienteId },
+        orderBy: { id: 'desc' },
+    });
+    if (!ultima || ultima.codigo !== 'pix_pendente' || ultima.compraId !== compra.id) {
+        return null;
+    }
+    return registrarDecisao(prisma, {
+        clienteId: compra.clienteId,
+        visitaId: ultima.visitaId,
+        compraId: compra.id,
+        acao: 'abrir',
+        codigo: 'pix_confirmado',
+        motivo: `PIX de ${formatarReais(compra.valorTotal)} confirmado pelo banco.`,
+        entradas: { pagamento: { status: compra.statusPagamento, forma: 'pix', valor: compra.valorTotal } },
+    });
+}
+
+/**
+ * A equipe libera o comprador segurado ou barrado pelo portão. Ainda na loja (sem pagar), os sinais de
+ * fraude deixam de barrar a saída nesta visita e ele pode pagar e sair; leituras em revisão continuam
+ * valendo até a fila ser resolvida. Já fora da visita (ex.: PIX não pago), o portão abre.
+ * Retorna a decisão registrada. Lança ErroNegocio 409 se o portão não está segurando o comprador.
+ */
+function liberarComprador(prisma, clienteId, motivo, funcionario) {
+    return prisma.$transaction(async (tx) => {
+        const ultima = await tx.decisaoPortao.findFirst({ where: { clienteId: clienteId }, orderBy: { id: 'desc' } });
+        if (!ultima || ultima.acao === 'abrir' || ultima.codigo === 'liberada_pela_equipe') {
+            throw new ErroNegocio('O portão não está segurando este cliente.', 409);
+        }
+
+        const visita = await buscarVisitaAberta(tx, clienteId);
+        const justificativa = typeof motivo === 'string' && motivo.trim() ? ` ${motivo.trim()}` : '';
+        const decisao = await registrarDecisao(tx, {
+            clienteId,
+            visitaId: visita?.id ?? ultima.visitaId,
+            compraId: visita ? undefined : ultima.compraId,
+            acao: visita ? 'segurar' : 'abrir',
+            codigo: 'liberada_pela_equipe',
+            motivo: visita
+                ? `Conferido por ${funcionario.nome}: o cliente pode pagar e sair.${justificativa}`
+                : `Liberado por ${funcionario.nome}.${justificativa}`,
+            entradas: { decisaoAnterior: { id: ultima.id, acao: ultima.acao, codigo: ultima.codigo } },
+            funcionarioId: funcionario.id,
+        });
+        await registrarAuditoria(tx, funcionario, {
+            acao: 'portao.cliente_liberado',
+            entidade: 'cliente',
+            entidadeId: clienteId,
+            detalhes: { decisaoAnterior: ultima.codigo, motivo: justificativa.trim() || null },
+        });
+        return decisao;
+    });
+}
+
+// Última decisão do portão para o cliente (null se ele nunca passou pelo portão)
+function buscarUltimaDecisao(prisma, clienteId) {
+    return prisma.decisaoPortao.findFirst({
+        where: { clienteId: clienteId },
+        include: incluirDecisao,
+        orderBy: { id: 'desc' },
+    });
+}
+
+// Histórico das decisões, das mais novas às mais antigas, com filtros opcionais por cliente e ação
+function listarDecisoes(prisma, { clienteId, acao, limite }) {
+    return prisma.decisaoPortao.findMany({
+        where: { clienteId, acao },
+        include: incluirDecisao,
+        orderBy: { id: 'desc' },
+        take: limite,
+    });
+}
+
+module.exports = {
+    LIMITE_RECUSAS,
+    passarPeloPortao,
+    abrirAposPix,
+    liberarComprador,
+    buscarUltimaDecisao,
+    listarDecisoes,
+};
@@ -0,0 +1,165 @@
+const { Prisma } = require('@prisma/client');
+const { quantidadeDisponivel } = require('./estoque');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, aceitaNulo, inteiroMinimo, validarCampos } = require('../utils/validacao');
+
+const PRECO_MAXIMO = new Prisma.Decimal('99999999.99'); // Limite da coluna DECIMAL(10, 2)
+const FORMATO_SKU = /^[A-Z0-9][A-Z0-9-]{2,31}$/;
+const TAMANHO_MAXIMO_ATRIBUTO = 30;
+
+// Produto cadastrado sem variantes ganha uma variante única com todo o estoque
+const VARIANTE_UNICA = { tamanho: 'Único', cor: 'Única' };
+
+function urlValida(valor) {
+    try {
+        return ['http:', 'https:'].includes(new URL(valor).protocol);
+    } catch {
+        return false;
+    }
+}
+
+const VALIDADORES = {
+    nome: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o nome do produto.' }),
+    sku: (valor) => {
+        const sku = typeof valor === 'string' ? valor.trim().toUpperCase() : '';
+        return FORMATO_SKU.test(sku)
+            ? { valor: sku }
+            : { erro: 'SKU deve ter de 3 a 32 letras, números ou hífens.' };
+    },
+    preco: (valor) => {
+        let preco;
+        try {
+            preco = new Prisma.Decimal(valor);
+        } catch {
+            return { erro: 'Preço inválido.' };
+        }
+        if (preco.lessThanOrEqualTo(0) || preco.greaterThan(PRECO_MAXIMO)) {
+            return { erro: 'O preço deve ser maior que zero.' };
+        }
+        if (preco.decimalPlaces() > 2) {
+            return { erro: 'O preço deve ter no máximo 2 casas decimais.' };
+        }
+        return { valor: preco };
+    },
+    categoria: (valor) => (valor === null || textoPreenchido(valor)
+        ? { valor: valor && valor.trim() }
+        : { erro: 'Categoria inválida.' }),
+    descricao: (valor) => (valor === null || typeof valor === 'string'
+        ? { valor: valor && valor.trim() }
+        : { erro: 'Descrição inválida.' }),
+    imagemUrl: (valor) => (valor === null || urlValida(valor)
+        ? { valor }
+        : { erro: 'A URL da imagem deve começar com http:// ou https://.' }),
+    // Peso de uma peça em gramas; sem ele, a balança da prateleira não reconhece o produto
+    pesoGramas: aceitaNulo(inteiroMinimo(1)),
+};
+
+const validarAtributo = (rotulo) => (valor) => (textoPreenchido(valor) && valor.trim().length <= TAMANHO_MAXIMO_ATRIBUTO
+    ? { valor: valor.trim() }
+    : { erro: `Informe ${rotulo} com até ${TAMANHO_MAXIMO_ATRIBUTO} caracteres.` });
+
+const VALIDADORES_VARIANTE = {
+    tamanho: validarAtributo('o tamanho'),
+    cor: validarAtributo('a cor'),
+    // `null` remove o preço próprio e a variante volta a usar o preço do produto
+    preco: (valor) => (valor === null ? { valor: null } : VALIDADORES.preco(valor)),
+    estoque: (valor) => (Number.isInteger(valor) && valor >= 0
+        ? { valor }
+        : { erro: 'O estoque deve ser um número inteiro maior ou igual a zero.' }),
+};
+
+/**
+ * Valida e normaliza os dados de cadastro/edição de um produto.
+ * Na edição (`parcial`), só os campos enviados são validados.
+ * Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosProduto(dados, { parcial = false } = {}) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES, ['nome', 'sku', 'preco'], parcial);
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados do produto inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// Mesmo contrato de validarDadosProduto, para tamanho, cor, preço próprio e estoque de uma variante
+function validarDadosVariante(dados, { parcial = false } = {}) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES_VARIANTE, ['tamanho', 'cor'], parcial);
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados da variante inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+/**
+ * Variantes criadas junto com o produto: as enviadas em `variantes` ou,
+ * sem elas, uma variante única com o `estoque` informado.
+ */
+function validarVariantesIniciais({ variantes, estoque = 0 }) {
+    if (variantes === undefined) {
+        return [{ ...VARIANTE_UNICA, ...validarDadosVariante({ estoque }, { parcial: true }) }];
+    }
+    if (!Array.isArray(variantes) || variantes.length === 0) {
+        throw new ErroNegocio('Informe ao menos uma variante do produto.', 400);
+    }
+
+    const combinacoes = new Set();
+    return variantes.map((variante) => {
+        const dados = validarDadosVariante(variante);
+        const combinacao = `${dados.tamanho}|${dados.cor}`.toLowerCase();
+        if (combinacoes.has(combinacao)) {
+            throw new ErroNegocio(`Variante ${dados.tamanho} ${dados.cor} repetida.`, 400);
+        }
+        combinacoes.add(combinacao);
+        return dados;
+    });
+}
+
+// Verifica nome e SKU únicos antes de gravar, para devolver uma mensagem por campo
+async function verificarDuplicados(tx, dados, idAtual) {
+    const campos = {};
+    for (const campo of ['nome', 'sku']) {
+        if (dados[campo] === undefined) continue;
+        const existente = await tx.produto.findFirst({
+            where: {
+                [campo]: { equals: dados[campo], mode: 'insensitive' },
+                id: idAtual ? { not: idAtual } : undefined,
+            },
+        });
+        if (existente) {
+            campos[campo] = `Já existe um produto com este ${campo === 'nome' ? 'nome' : 'SKU'}.`;
+        }
+    }
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Produto duplicado.', 409, { campos });
+    }
+}
+
+// Preço cobrado pela variante: o próprio, se houver, senão o do produto
+const precoDaVariante = (variante, produto) => variante.preco ?? produto.preco;
+
+// Variante como vista na loja: preço final e unidades disponíveis na arara
+const apresentarVariante = (variante, produto) => ({
+    ...variante,
+    precoFinal: precoDaVariante(variante, produto),
+    disponivel: quantidadeDisponivel(variante),
+});
+
+// Produto com as variantes apresentadas e o disponível somado de todas elas
+function apresentarProduto(produto) {
+    const variantes = (produto.variantes ?? []).map(variante => apresentarVariante(variante, produto));
+    return {
+        ...produto,
+        variantes,
+        disponivel: variantes.reduce((total, variante) => total + variante.disponivel, 0),
+    };
+}
+
+module.exports = {
+    validarDadosProduto,
+    validarDadosVariante,
+    validarVariantesIniciais,
+    verificarDuplicados,
+    precoDaVariante,
+    apresentarVariante,
+    apresentarProduto,
+};
@@ -0,0 +1,241 @@
+const { Prisma } = require('@prisma/client');
+const { precoDaVariante } = require('./produtos');
+const { ZERO, arredondar, somar } = require('../utils/dinheiro');
+const { ErroNegocio } = require('../utils/erros');
+const {
+    textoPreenchido,
+    aceitaNulo,
+    validarDecimalPositivo,
+    validarData,
+    validarBooleano,
+    inteiroMinimo,
+    validarCampos,
+} = require('../utils/validacao');
+
+const TIPOS_PROMOCAO = ['percentual', 'valor_fixo', 'leve_pague'];
+
+const VALIDADORES = {
+    nome: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Informe o nome da promoção.' }),
+    tipo: (valor) => (TIPOS_PROMOCAO.includes(valor)
+        ? { valor }
+        : { erro: `Tipo deve ser um de: ${TIPOS_PROMOCAO.join(', ')}.` }),
+    valor: aceitaNulo(validarDecimalPositivo),
+    leveQuantidade: aceitaNulo(inteiroMinimo(2)),
+    pagueQuantidade: aceitaNulo(inteiroMinimo(1)),
+    produtoId: aceitaNulo((valor) => (Number.isInteger(valor) ? { valor } : { erro: 'Produto inválido.' })),
+    categoria: aceitaNulo((valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Categoria inválida.' })),
+    inicio: aceitaNulo(validarData),
+    fim: aceitaNulo(validarData),
+    ativa: validarBooleano,
+};
+
+// Regras que envolvem mais de um campo, conferidas na promoção completa (na edição, já mesclada)
+function verificarConsistencia(promocao) {
+    const campos = {};
+
+    if (promocao.tipo === 'leve_pague') {
+        if (!promocao.leveQuantidade || !promocao.pagueQuantidade) {
+            campos.leveQuantidade = 'Informe quantas unidades o cliente leva e quantas paga.';
+        } else if (promocao.pagueQuantidade >= promocao.leveQuantidade) {
+            campos.pagueQuantidade = 'O cliente deve pagar menos unidades do que leva.';
+        }
+    } else if (!promocao.valor) {
+        campos.valor = 'Informe o valor do desconto.';
+    } else if (promocao.tipo === 'percentual' && new Prisma.Decimal(promocao.valor).greaterThan(100)) {
+        campos.valor = 'O percentual não pode passar de 100.';
+    }
+
+    // A promoção vale para um produto ou para uma categoria, nunca os dois
+    if ((promocao.produtoId == null) === (promocao.categoria == null)) {
+        campos.produtoId = 'Informe o produto ou a categoria da promoção (apenas um).';
+    }
+
+    if (promocao.inicio && promocao.fim && promocao.fim <= promocao.inicio) {
+        campos.fim = 'O fim da promoção deve ser depois do início.';
+    }
+
+    return campos;
+}
+
+/**
+ * Valida e normaliza os dados de cadastro/edição de uma promoção.
+ * Na edição, passe a promoção `existente`: só os campos enviados são validados,
+ * mas as regras entre campos valem para o resultado final.
+ * Lança ErroNegocio 400 com { campos: { campo: mensagem } }.
+ */
+function validarDadosPromocao(dados, existente) {
+    const { resultado, campos } = validarCampos(dados, VALIDADORES, ['nome', 'tipo'], Boolean(existente));
+    if (Object.keys(campos).length === 0) {
+        Object.assign(campos, verificarConsistencia({ ...existente, ...resultado }));
+    }
+    if (Object.keys(campos).length > 0) {
+        throw new ErroNegocio('Dados da promoção inválidos.', 400, { campos });
+    }
+    return resultado;
+}
+
+// Promoções ativas cujo período inclui `data` (sem início ou fim, vale desde sempre ou para sempre)
+function buscarPromocoesVigentes(tx, data = new Date()) {
+    return tx.promocao.findMany({
+        where: {
+            ativa: true,
+            AND: [
+                { OR: [{ inicio: null }, { inicio: { lte: data } }] },
+                { OR: [{ fim: null }, { fim: { gte: data } }] },
+            ],
+        },
+        orderBy: { id: 'asc' },
+    });
+}
+
+// Texto curto exibido no carrinho e no recibo
+function descreverPromocao(promocao) {
+    switch (promocao.tipo) {
+        case 'percentual':
+            return `${new Prisma.Decimal(promocao.valor).toString()}% de desconto`;
+        case 'valor_fixo':
+            return `R$ ${new Prisma.Decimal(promocao.valor).toFixed(2)} de desconto por unidade`;
+        default:
+            return `Leve ${promocao.leveQuantidade}, pague ${promocao.pagueQuantidade}`;
+    }
+}
+
+const seAplica = (promocao, item) => (promocao.produtoId !== null
+    ? item.id === promocao.produtoId
+    : (item.categoria ?? '').toLowerCase() === promocao.categoria.toLowerCase());
+
+// Desconto que a promoção daria em cada item, sem aplicá-la
+function descontosDaPromocao(promocao, itens) {
+    const descontos = new Map();
+
+    if (promocao.tipo === 'leve_pague') {
+        // Conta as unidades de todos os itens da promoção juntas; as mais baratas saem de graça
+        const unidades = itens
+            .flatMap(item => Array(item.quantidade).fill(item))
+            .sort((a, b) => a.preco.comparedTo(b.preco));
+        const gratis = Math.floor(unidades.length / promocao.leveQuantidade)
+            * (promocao.leveQuantidade - promocao.pagueQuantidade);
+        for (const item of unidades.slice(0, gratis)) {
+            descontos.set(item, (descontos.get(item) ?? ZERO).plus(item.preco));
+        }
+        return descontos;
+    }
+
+    for (const item of itens) {
+        const porUnidade = promocao.tipo === 'percentual'
+            ? item.preco.times(promocao.valor).dividedBy(100)
+            : Prisma.Decimal.min(promocao.valor, item.preco);
+        descontos.set(item, arredondar(porUnidade.times(item.quantidade)));
+    }
+    return descontos;
+}
+
+// Entre as promoções restantes, a que dá o maior desconto sobre os itens ainda livres
+function escolherMelhorPromocao(promocoes, itensLivres) {
+    let melhor = null;
+    for (const promocao of promocoes) {
+        const alvo = itensLivres.filter(item => seAplica(promocao, item));
+        const descontos = descontosDaPromocao(promocao, alvo);
+        const total = somar([...descontos.values()]);
+        if (total.greaterThan(0) && (!melhor || total.greaterThan(melhor.total))) {
+            melhor = { promocao, alvo, descontos, total };
+        }
+    }
+    return melhor;
+}
+
+/**
+ * Aplica as promoções aos itens. Promoções não se acumulam: cada item entra em no máximo uma,
+ * e a cada rodada vence a que dá o maior desconto sobre os itens que ainda não têm promoção.
+ * @param {Array} itens - [{ id (produto), categoria, preco (Decimal), quantidade, ... }]
+ * @returns {{ itens: Array, promocoesAplicadas: Array, desconto: Prisma.Decimal }}
+ *   itens com `desconto`; uma linha { tipo: 'promocao', promocaoId, nome, descricao, desconto } por promoção
+ */
+function aplicarPromocoes(itens, promocoes) {
+    const descontoPorItem = new Map();
+    const promocoesAplicadas = [];
+    let itensLivres = itens;
+    let restantes = promocoes;
+
+    let melhor = escolherMelhorPromocao(restantes, itensLivres);
+    while (melhor) {
+        const { promocao, alvo, descontos, total } = melhor;
+        for (const [item, desconto] of descontos) {
+            descontoPorItem.set(item, desconto);
+        }
+        promocoesAplicadas.push({
+            tipo: 'promocao',
+            promocaoId: promocao.id,
+            nome: promocao.nome,
+            descricao: descreverPromocao(promocao),
+            desconto: total,
+        });
+
+        itensLivres = itensLivres.filter(item => !alvo.includes(item));
+        restantes = restantes.filter(outra => outra !== promocao);
+        melhor = escolherMelhorPromocao(restantes, itensLivres);
+    }
+
+    return {
+        itens: itens.map(item => ({ ...item, desconto: descontoPorItem.get(item) ?? ZERO })),
+        promocoesAplicadas,
+        desconto: somar(promocoesAplicadas.map(linha => linha.desconto)),
+    };
+}
+
+// Distribui um desconto sobre o total (cupom, pontos) entre os itens na proporção do que cada um custa,
+// para que uma devolução reembolse só o que foi pago. O último item fica com a sobra do arredondamento.
+function ratearDesconto(itens, desconto) {
+    const valores = itens.map(item => item.preco.times(item.quantidade).minus(item.desconto));
+    const base = somar(valores);
+    let restante = desconto;
+
+    return itens.map((item, indice) => {
+        const parte = indice === itens.length - 1 || base.isZero()
+            ? restante
+            : arredondar(desconto.times(valores[indice]).dividedBy(base));
+        restante = restante.minus(parte);
+        return { ...item, desconto: item.desconto.plus(parte) };
+    });
+}
+
+/**
+ * Calcula o carrinho com as promoções vigentes: usado na prévia do app e no checkout.
+ * @param {Array} itensCarrinho - itens do carrinho com `produto` e `variante` incluídos
+ * @returns {{ itens, promocoes, subtotal, desconto, total }} valores em Prisma.Decimal
+ */
+async function calcularCarrinho(tx, itensCarrinho, data = new Date()) {
+    const promocoes = await buscarPromocoesVigentes(tx, data);
+
+    const itens = itensCarrinho.map(item => ({
+        id: item.produto.id,
+        varianteId: item.variante.id,
+        nome: item.produto.nome,
+        tamanho: item.variante.tamanho,
+        cor: item.variante.cor,
+        categoria: item.produto.categoria,
+        preco: precoDaVariante(item.variante, item.produto),
+        quantidade: item.quantidade,
+    }));
+
+    const resultado = aplicarPromocoes(itens, promocoes);
+    const subtotal = somar(itens.map(item => item.preco.times(item.quantidade)));
+
+    return {
+        itens: resultado.itens,
+        promocoes: resultado.promocoesAplicadas,
+        subtotal: subtotal,
+        desconto: resultado.desconto,
+        total: subtotal.minus(resultado.desconto),
+    };
+}
+
+module.exports = {
+    TIPOS_PROMOCAO,
+    validarDadosPromocao,
+    buscarPromocoesVigentes,
+    descreverPromocao,
+    aplicarPromocoes,
+    ratearDesconto,
+    calcularCarrinho,
+};
@@ -0,0 +1,276 @@
+const { Prisma } = require('@prisma/client');
+const PDFDocument = require('pdfkit');
+const { urlDeVerificacao, gerarQrCodeAssinatura } = require('./assinaturas');
+const { ZERO, somar, formatarReais } = require('../utils/dinheiro');
+const { FUSO_LOJA } = require('../utils/datas');
+
+// Cabeçalho impresso em todos os recibos
+const LOJA = {
+    nome: process.env.LOJA_NOME || 'RouPremium',
+    cnpj: process.env.LOJA_CNPJ || null,
+    endereco: process.env.LOJA_ENDERECO || null,
+};
+
+// Colunas da bobina da impressora térmica (48 na de 80 mm, 32 na de 58 mm)
+const LARGURA_TEXTO = parseInt(process.env.RECIBO_LARGURA_TEXTO) || 48;
+
+const ROTULOS_STATUS_PAGAMENTO = { pendente: 'Aguardando pagamento', aprovada: 'Pago', recusada: 'Recusado' };
+const ROTULOS_DEVOLUCAO = { parcial: 'Parcialmente reembolsado', total: 'Reembolsado' };
+
+const decimal = (valor) => new Prisma.Decimal(valor ?? 0);
+
+// Linha de desconto como aparece no recibo: promoção, cupom ou pontos
+function descreverDesconto(linha) {
+    if (linha.tipo === 'cupom') return `Cupom ${linha.codigo}`;
+    if (linha.tipo === 'pontos') return `${linha.pontos} pontos`;
+    return linha.nome;
+}
+
+function descreverPagamento(compra) {
+    if (compra.formaPagamento === 'pix') {
+        return { forma: 'pix', meio: 'PIX', parcelas: 1 };
+    }
+    // Compras anteriores ao registro do meio de pagamento não sabem qual cartão foi usado
+    const meio = compra.meioPagamento ?? 'Cartão';
+    const plano = compra.planoParcelamento;
+    return {
+        forma: 'cartao',
+        meio: meio,
+        parcelas: compra.parcelas,
+        valorParcela: plano ? decimal(plano.valorParcela) : undefined,
+        semJuros: plano ? plano.semJuros : undefined,
+    };
+}
+
+/**
+ * Monta o recibo de uma compra (com `cliente` incluído e já assinada) a partir dos itens comprados.
+ * Os totais são recalculados das linhas em Prisma.Decimal; `total` deve bater com `compra.valorTotal`.
+ * O QR code da assinatura leva ao GET /api/compras/:id/verificar.
+ */
+async function montarRecibo(compra) {
+    const linhas = Array.isArray(compra.itensComprados) ? compra.itensComprados : [];
+
+    const itens = linhas.filter(linha => !linha.tipo).map((linha) => {
+        const precoUnitario = decimal(linha.preco);
+        return {
+            descricao: [linha.nome, linha.tamanho, linha.cor].filter(Boolean).join(' '),
+            quantidade: linha.quantidade,
+            precoUnitario: precoUnitario,
+            subtotal: precoUnitario.times(linha.quantidade),
+        };
+    });
+    const descontos = linhas.filter(linha => linha.tipo).map(linha => ({
+        tipo: linha.tipo,
+        descricao: descreverDesconto(linha),
+        detalhe: linha.descricao,
+        valor: decimal(linha.desconto),
+    }));
+
+    const subtotal = somar(itens.map(item => item.subtotal));
+    const totalDescontos = somar(descontos.map(desconto => desconto.valor));
+    const total = subtotal.minus(totalDescontos);
+    // No cartão parcelado com juros, o cobrado passa do total da compra
+    const totalCobrado = compra.planoParcelamento ? decimal(compra.planoParcelamento.valorTotal) : total;
+
+    return {
+        loja: LOJA,
+        compra: {
+            id: compra.id,
+            data: compra.data,
+            statusPagamento: compra.statusPagamento,
+            statusDevolucao: compra.statusDevolucao,
+        },
+        cliente: compra.cliente ? { id: compra.cliente.id, nome: compra.cliente.nome } : null,
+        itens,
+        descontos,
+        pagamento: descreverPagamento(compra),
+        totais: {
+            subtotal,
+            descontos: totalDescontos,
+            total,
+            juros: totalCobrado.greaterThan(total) ? totalCobrado.minus(total) : ZERO,
+            totalCobrado,
+            reembolsado: decimal(compra.valorReembolsado),
+        },
+        pontos: { ganhos: compra.pontosGanhos ?? 0, resgatados: compra.pontosResgatados ?? 0 },
+        assinatura: {
+            valor: compra.assinatura,
+            urlVerificacao: urlDeVerificacao(compra),
+            qrCode: await gerarQrCodeAssinatura(compra),
+        },
+    };
+}
+
+// Texto dos parcelamentos, ex.: "3x de R$ 416,67 sem juros"
+function descreverParcelas(pagamento) {
+    if (pagamento.parcelas <= 1) return 'À vista';
+    const juros = pagamento.semJuros ? 'sem juros' : 'com juros';
+    return `${pagamento.parcelas}x de ${formatarReais(pagamento.valorParcela)} ${juros}`;
+}
+
+// Linhas "rótulo ..... valor" do rodapé, na ordem em que saem no recibo
+function linhasDeTotais(recibo) {
+    const { totais, pagamento, pontos, compra } = recibo;
+    const linhas = [['Subtotal', formatarReais(totais.subtotal)]];
+    if (totais.descontos.greaterThan(0)) linhas.push(['Descontos', `-${formatarReais(totais.descontos)}`]);
+    linhas.push(['TOTAL', formatarReais(totais.total)]);
+    if (totais.juros.greaterThan(0)) {
+        linhas.push(['Juros do parcelamento', formatarReais(totais.juros)]);
+        linhas.push(['Total cobrado', formatarReais(totais.totalCobrado)]);
+    }
+    linhas.push([`Pagamento: ${pagamento.meio}`, descreverParcelas(pagamento)]);
+    linhas.push(['Situação', ROTULOS_STATUS_PAGAMENTO[compra.statusPagamento] || compra.statusPagamento]);
+    if (totais.reembolsado.greaterThan(0)) {
+        linhas.push([ROTULOS_DEVOLUCAO[compra.statusDevolucao] || 'Reembolsado', `-${formatarReais(totais.reembolsado)}`]);
+    }
+    if (pontos.resgatados > 0) linhas.push(['Pontos usados', String(pontos.resgatados)]);
+    if (pontos.ganhos > 0) linhas.push(['Pontos ganhos', `+${pontos.ganhos}`]);
+    return linhas;
+}
+
+const formatarData = (data) => new Date(data).toLocaleString('pt-BR', { timeZone: FUSO_LOJA });
+
+// --- Texto para impressora térmica -------------------------------------------------------
+
+function centralizar(texto, largura) {
+    const cortado = texto.slice(0, largura);
+    return ' '.repeat(Math.floor((largura - cortado.length) / 2)) + cortado;
+}
+
+// "Rótulo        valor", quebrando o rótulo em linhas se não couber ao lado do valor
+function alinharPontas(esquerda, direita, largura) {
+    const espacoEsquerda = largura - direita.length - 1;
+    if (esquerda.length <= espacoEsquerda) {
+        return [esquerda + ' '.repeat(largura - esquerda.length - direita.length) + direita];
+    }
+    return [esquerda.slice(0, largura), ...alinharPontas('', direita, largura)];
+}
+
+/**
+ * Recibo em texto puro com `largura` colunas, pronto para a impressora térmica.
+ */
+function reciboEmTexto(recibo, largura = LARGURA_TEXTO) {
+    const separador = '-'.repeat(largura);
+    const linhas = [centralizar(recibo.loja.nome.toUpperCase(), largura)];
+    if (recibo.loja.cnpj) linhas.push(centralizar(`CNPJ ${recibo.loja.cnpj}`, largura));
+    if (recibo.loja.endereco) linhas.push(centralizar(recibo.loja.endereco, largura));
+
+    linhas.push(separador, `Pedido #${recibo.compra.id}`, formatarData(recibo.compra.data));
+    if (recibo.cliente) linhas.push(`Cliente: ${recibo.cliente.nome}`);
+    linhas.push(separador);
+
+    for (const item of recibo.itens) {
+        linhas.push(item.descricao.slice(0, largura));
+        linhas.push(...alinharPontas(
+            `  ${item.quantidade} x ${formatarReais(item.precoUnitario)}`,
+            formatarReais(item.subtotal),
+            largura,
+        ));
+    }
+
+    if (recibo.descontos.length > 0) {
+        linhas.push(separador);
+        for (const desconto of recibo.descontos) {
+            linhas.push(...alinharPontas(desconto.descricao, `-${formatarReais(desconto.valor)}`, largura));
+        }
+    }
+
+    linhas.push(separador);
+    for (const [rotulo, valor] of linhasDeTotais(recibo)) {
+        linhas.push(...alinharPontas(rotulo, valor, largura));
+    }
+    linhas.push(separador, 'Assinatura do recibo:');
+    for (let inicio = 0; inicio < recibo.assinatura.valor.length; inicio += largura) {
+        linhas.push(recibo.assinatura.valor.slice(inicio, inicio + largura));
+    }
+    linhas.push('Confira em:', `/api/compras/${recibo.compra.id}/verificar`);
+    linhas.push(separador, centralizar('Obrigado pela preferência!', largura));
+
+    return `${linhas.join('\n')}\n`;
+}
+
+// --- PDF ---------------------------------------------------------------------------------
+
+/**
+ * Recibo em PDF (A4). Resolve com o Buffer do arquivo.
+ */
+function reciboEmPdf(recibo) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Recibo #${recibo.compra.id}` } });
+        const partes = [];
+        doc.on('data', parte => partes.push(parte));
+        doc.on('end', () => resolve(Buffer.concat(partes)));
+        doc.on('error', reject);
+
+        const largura = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const esquerda = doc.page.margins.left;
+
+        // Texto à esquerda e valor à direita na mesma linha
+        const linhaComValor = (texto, valor, fonte = 'Helvetica') => {
+            const y = doc.y;
+            doc.font(fonte).text(texto, esquerda, y, { width: largura * 0.7 });
+            const fimTexto = doc.y;
+            doc.text(valor, esquerda, y, { width: largura, align: 'right' });
+            doc.y = Math.max(fimTexto, doc.y);
+        };
+        const separador = () => {
+            doc.moveDown(0.5);
+            doc.moveTo(esquerda, doc.y).lineTo(esquerda + largura, doc.y).strokeColor('#999999').stroke();
+            doc.moveDown(0.5);
+        };
+
+        doc.font('Helvetica-Bold').fontSize(18).text(recibo.loja.nome, { align: 'center' });
+        doc.font('Helvetica').fontSize(10);
+        if (recibo.loja.cnpj) doc.text(`CNPJ ${recibo.loja.cnpj}`, { align: 'center' });
+        if (recibo.loja.endereco) doc.text(recibo.loja.endereco, { align: 'center' });
+        separador();
+
+        doc.fontSize(11);
+        linhaComValor(`Pedido #${recibo.compra.id}`, formatarData(recibo.compra.data), 'Helvetica-Bold');
+        if (recibo.cliente) doc.font('Helvetica').text(`Cliente: ${recibo.cliente.nome}`, esquerda);
+        separador();
+
+        for (const item of recibo.itens) {
+            linhaComValor(
+                `${item.quantidade} x ${item.descricao} (${formatarReais(item.precoUnitario)})`,
+                formatarReais(item.subtotal),
+            );
+        }
+
+        if (recibo.descontos.length > 0) {
+            separador();
+            for (const desconto of recibo.descontos) {
+                const texto = desconto.detalhe ? `${desconto.descricao} - ${desconto.detalhe}` : desconto.descricao;
+                linhaComValor(texto, `-${formatarReais(desconto.valor)}`);
+            }
+        }
+
+        separador();
+        for (const [rotulo, valor] of linhasDeTotais(recibo)) {
+            linhaComValor(rotulo, valor, rotulo === 'TOTAL' ? 'Helvetica-Bold' : 'Helvetica');
+        }
+
+        // QR code com a assinatura, para conferir a autenticidade do recibo
+        separador();
+        const topoQrCode = doc.y;
+        const larguraLegenda = largura - 125;
+        doc.image(recibo.assinatura.qrCode, esquerda, topoQrCode, { width: 110 });
+        doc.font('Helvetica').fontSize(9).text(
+            'Recibo assinado pela loja. Aponte a câmera para o QR code para conferir.',
+            esquerda + 125,
+            topoQrCode + 20,
+            { width: larguraLegenda },
+        );
+        doc.moveDown(0.5).font('Courier').text(recibo.assinatura.valor, { width: larguraLegenda });
+        doc.y = Math.max(doc.y, topoQrCode + 110);
+
+        doc.moveDown(2);
+        doc.font('Helvetica-Oblique').fontSize(10).text('Obrigado pela preferência!', esquerda, doc.y, {
+            width: largura,
+            align: 'center',
+        });
+        doc.end();
+    });
+}
+
+module.exports = { montarRecibo, reciboEmTexto, reciboEmPdf };
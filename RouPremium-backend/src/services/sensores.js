@@ -0,0 +1,551 @@
+const { incluirNoCarrinho, devolverItem } = require('./carrinho');
+const { exigirCarrinhoEditavel } = require('./visitas');
+const { registrarAuditoria } = require('./auditoria');
+const { ErroNegocio } = require('../utils/erros');
+const { textoPreenchido, validarData, validarBooleano, inteiroMinimo, validarCampos } = require('../utils/validacao');
+
+// Fusão dos sensores da loja. Balança e RFID dizem qual peça saiu da arara (ou voltou a ela);
+// as câmeras dizem quem estava perto. Leituras de sensores diferentes da mesma retirada viram uma
+// só detecção, com o comprador mais provável e a confiança. Com confiança suficiente o carrinho
+// muda sozinho; senão, a detecção vai para a fila de revisão da equipe.
+
+const TIPOS_SENSOR = ['peso', 'rfid', 'camera'];
+const LIMITE_LOTE = 100;
+
+// Leituras de sensores diferentes, na mesma arara e com até este intervalo, são a mesma retirada ou devolução
+const JANELA_FUSAO_MS = 3000;
+// Trilhas de câmera consideradas: de pouco antes da peça sair da arara até logo depois. Uma trilha que
+// chega depois da leitura da peça reavalia a detecção que ficou em revisão (ver fundirTrilhaDeCamera).
+const JANELA_CAMERA_ANTES_MS = 5000;
+const JANELA_CAMERA_DEPOIS_MS = 2000;
+// Confiança mínima para mudar o carrinho sem a equipe revisar
+const LIMIAR_APLICACAO = 0.8;
+// Diferença aceita entre a variação da balança e o peso de uma peça, relativa ao peso da peça
+const TOLERANCIA_PESO = 0.15;
+// O leitor às vezes pega a etiqueta de uma peça na arara vizinha
+const CONFIANCA_RFID = 0.95;
+// Para trilhas enviadas sem a confiança do rastreamento
+const CONFIANCA_CAMERA_PADRAO = 0.9;
+// Quanto a trilha perde de pontuação na borda da janela das câmeras (no instante da retirada, nada)
+const PERDA_NA_BORDA_DA_JANELA = 0.2;
+// Balança e RFID apontando produtos diferentes: fica valendo o RFID, mas com esta penalidade
+const FATOR_CONFLITO = 0.5;
+
+const arredondarConfianca = (valor) => Math.round(valor * 1000) / 1000;
+
+const VALIDADORES_COMUNS = {
+    araraId: inteiroMinimo(1),
+    ocorridoEm: validarData,
+    sensor: (valor) => (textoPreenchido(valor) ? { valor: valor.trim() } : { erro: 'Identificação do sensor inválida.' }),
+};
+
+// Campos próprios de cada tipo de leitura
+const CAMPOS_POR_TIPO = {
+    peso: {
+        validadores: {
+            variacaoGramas: (valor) => (Number.isInteger(valor) && valor !== 0
+                ? { valor }
+                : { erro: 'Informe a variação em gramas (inteiro diferente de zero).' }),
+        },
+        obrigatorios: ['variacaoGramas'],
+    },
+    rfid: {
+        validadores: { varianteId: inteiroMinimo(1), presente: validarBooleano },
+        obrigatorios: ['varianteId', 'presente'],
+    },
+    camera: {
+        validadores: {
+            clienteId: inteiroMinimo(1),
+            confianca: (valor) => (typeof valor === 'number' && valor >= 0 && valor <= 1
+                ? { valor }
+                : { erro: 'Informe um número de 0 a 1.' }),
+        },
+        obrigatorios: ['clienteId'],
+    },
+};
+
+function validarLeitura(leitura) {
+    if (!leitura || typeof leitura !== 'object') {
+        return { campos: { leitura: 'Leitura inválida.' } };
+    }
+    if (!TIPOS_SENSOR.includes(leitura.tipo)) {
+        return { campos: { tipo: `Tipo inválido. Use: ${TIPOS_SENSOR.join(', ')}.` } };
+    }
+    const { validadores, obrigatorios } = CAMPOS_POR_TIPO[leitura.tipo];
+    const { resultado, campos } = validarCampos(
+        leitura,
+        { ...VALIDADORES_COMUNS, ...validadores },
+        ['araraId', ...obrigatorios],
+        false,
+    );
+    // Sem o horário do sensor, vale o de chegada
+    return { resultado: { tipo: leitura.tipo, ocorridoEm: new Date(), ...resultado }, campos };
+}
+
+/**
+ * Valida o corpo da ingestão: uma leitura ou { eventos: [...] }. Retorna as leituras na ordem em que
+ * aconteceram. Lança ErroNegocio 400 com os campos inválidos de cada leitura pelo índice no lote.
+ */
+function validarLeituras(corpo) {
+    const lote = Array.isArray(corpo?.eventos) ? corpo.eventos : [corpo];
+    if (lote.length === 0 || lote.length > LIMITE_LOTE) {
+        throw new ErroNegocio(`Envie de 1 a ${LIMITE_LOTE} leituras por vez.`, 400);
+    }
+
+    const erros = [];
+    const leituras = lote.map((leitura, indice) => {
+        const { resultado, campos } = validarLeitura(leitura);
+        if (Object.keys(campos).length > 0) {
+            erros.push({ indice, campos });
+        }
+        return resultado;
+    });
+    if (erros.length > 0) {
+        throw new ErroNegocio('Leituras de sensores inválidas.', 400, { eventos: erros });
+    }
+    return leituras.sort((a, b) => a.ocorridoEm - b.ocorridoEm);
+}
+
+// Lança ErroNegocio 400 listando as araras, variantes e clientes citados que não existem
+async function verificarReferencias(prisma, leituras) {
+    const citados = (campo) => [...new Set(leituras.map(leitura => leitura[campo]).filter(id => id !== undefined))];
+    const modelos = { araraId: 'arara', varianteId: 'variante', clienteId: 'cliente' };
+
+    const naoEncontrados = {};
+    for (const [campo, modelo] of Object.entries(modelos)) {
+        const ids = citados(campo);
+        const existentes = await prisma[modelo].findMany({ where: { id: { in: ids } }, select: { id: true } });
+        const encontrados = new Set(existentes.map(registro => registro.id));
+        const faltando = ids.filter(id => !encontrados.has(id));
+        if (faltando.length > 0) {
+            naoEncontrados[campo] = faltando;
+        }
+    }
+    if (Object.keys(naoEncontrados).length > 0) {
+        throw new ErroNegocio('As leituras citam registros que não existem.', 400, { naoEncontrados });
+    }
+}
+
+// Peça tirada da arara: peso negativo ou etiqueta que saiu do alcance do leitor
+const acaoDaLeitura = (leitura) => ((leitura.tipo === 'peso' ? leitura.variacaoGramas < 0 : !leitura.presente)
+    ? 'adicionar'
+    : 'remover');
+
+// Produtos da arara com o peso de uma peça parecido com a variação da balança, do mais próximo ao menos
+function produtosPeloPeso(produtos, variacaoGramas) {
+    const gramas = Math.abs(variacaoGramas);
+    return produtos
+        .filter(produto => produto.pesoGramas)
+        .map(produto => ({ produto, erro: Math.abs(gramas - produto.pesoGramas) / produto.pesoGramas }))
+        .filter(candidato => candidato.erro <= TOLERANCIA_PESO)
+        .sort((a, b) => a.erro - b.erro);
+}
+
+/**
+ * Peça indicada pelas leituras de balança e RFID de uma retirada ou devolução:
+ * { produtoId, varianteId, confianca, motivo?, conflito? }. O RFID identifica a variante; a balança,
+ * só o produto (e produtos de peso parecido dividem a confiança). Os dois concordando se reforçam.
+ */
+async function identificarPeca(tx, araraId, leituras) {
+    const rfid = leituras.find(leitura => leitura.tipo === 'rfid');
+    const peso = leituras.find(leitura => leitura.tipo === 'peso');
+    const candidatos = peso
+        ? produtosPeloPeso(
+            await tx.produto.findMany({ where: { araraId: araraId, arquivado: false }, include: { variantes: true } }),
+            peso.variacaoGramas,
+        )
+        : [];
+
+    if (rfid) {
+        const variante = await tx.variante.findUnique({ where: { id: rfid.varianteId } });
+        const peca = { produtoId: variante.produtoId, varianteId: variante.id };
+        if (!peso) {
+            return { ...peca, confianca: CONFIANCA_RFID };
+        }
+        const casamento = candidatos.find(candidato => candidato.produto.id === variante.produtoId);
+        if (!casamento) {
+            return {
+                ...peca,
+                confianca: CONFIANCA_RFID * FATOR_CONFLITO,
+                motivo: 'A balança e o RFID não indicam o mesmo produto.',
+                conflito: true,
+            };
+        }
+        // Sensores independentes: só erram juntos
+        return { ...peca, confianca: 1 - (1 - CONFIANCA_RFID) * casamento.erro };
+    }
+
+    if (candidatos.length === 0) {
+        return {
+            produtoId: null,
+            varianteId: null,
+            confianca: 0,
+            motivo: 'A variação de peso não corresponde a nenhum produto da arara.',
+        };
+    }
+    const [{ produto, erro }] = candidatos;
+    return {
+        produtoId: produto.id,
+        varianteId: produto.variantes.length === 1 ? produto.variantes[0].id : null,
+        confianca: (1 - erro) / candidatos.length,
+    };
+}
+
+/**
+ * Compradores na loja vistos pelas câmeras perto da arara no instante da retirada, do mais provável
+ * ao menos: [{ clienteId, pontuacao }]. A pontuação é a confiança da trilha, menor quanto mais longe do
+ * instante. Numa devolução, se algum deles tem a peça no carrinho, só esses continuam candidatos.
+ */
+async function pontuarCompradores(tx, araraId, instante, acao, peca) {
+    const avistamentos = await tx.eventoSensor.findMany({
+        where: {
+            tipo: 'camera',
+            araraId: araraId,
+            ocorridoEm: {
+                gte: new Date(instante.getTime() - JANELA_CAMERA_ANTES_MS),
+                lte: new Date(instante.getTime() + JANELA_CAMERA_DEPOIS_MS),
+            },
+            cliente: { visitas: { some: { status: 'aberta' } } },
+        },
+    });
+
+    const pontuacoes = new Map();
+    for (const avistamento of avistamentos) {
+        const janela = avistamento.ocorridoEm <= instante ? JANELA_CAMERA_ANTES_MS : JANELA_CAMERA_DEPOIS_MS;
+        const proximidade = 1 - PERDA_NA_BORDA_DA_JANELA * Math.abs(avistamento.ocorridoEm - instante) / janela;
+        const pontuacao = (avistamento.confianca ?? CONFIANCA_CAMERA_PADRAO) * proximidade;
+        pontuacoes.set(avistamento.clienteId, Math.max(pontuacoes.get(avistamento.clienteId) ?? 0, pontuacao));
+    }
+    let candidatos = [...pontuacoes].map(([clienteId, pontuacao]) => ({
+        clienteId,
+        pontuacao: arredondarConfianca(pontuacao),
+    }));
+
+    if (acao === 'remover' && peca.produtoId && candidatos.length > 1) {
+        const comAPeca = await tx.carrinhoItem.findMany({
+            where: {
+                clienteId: { in: candidatos.map(candidato => candidato.clienteId) },
+                produtoId: peca.produtoId,
+                varianteId: peca.varianteId ?? undefined,
+            },
+            select: { clienteId: true },
+        });
+        const ids = new Set(comAPeca.map(item => item.clienteId));
+        if (ids.size > 0) {
+            candidatos = candidatos.filter(candidato => ids.has(candidato.clienteId));
+        }
+    }
+    return candidatos.sort((a, b) => b.pontuacao - a.pontuacao);
+}
+
+/**
+ * Junta a peça e os compradores de uma retirada ou devolução: { produtoId, varianteId, clienteId,
+ * candidatos, confianca, motivo }. A confiança é a da peça vezes a do comprador mais provável, que cai
+ * quando há outros perto da arara. Com `motivo`, o carrinho não pode mudar sem a equipe revisar.
+ */
+async function avaliarDeteccao(tx, { araraId, acao, instante, peca }) {
+    const candidatos = await pontuarCompradores(tx, araraId, instante, acao, peca);
+    const [provavel] = candidatos;
+    const soma = candidatos.reduce((total, candidato) => total + candidato.pontuacao, 0);
+    const confiancaComprador = provavel ? provavel.pontuacao * (provavel.pontuacao / soma) : 0;
+
+    // Na devolução só pela balança, o tamanho/cor sai do carrinho de quem devolveu, se ele tiver um só
+    let { varianteId } = peca;
+    if (!varianteId && peca.produtoId && provavel && acao === 'remover') {
+        const itens = await tx.carrinhoItem.findMany({ where: { clienteId: provavel.clienteId, produtoId: peca.produtoId } });
+        if (itens.length === 1) {
+            varianteId = itens[0].varianteId;
+        }
+    }
+
+    const confianca = arredondarConfianca(peca.confianca * confiancaComprador);
+    let motivo = peca.motivo ?? null;
+    if (!motivo && !provavel) {
+        motivo = 'Nenhuma câmera viu comprador perto da arara.';
+    } else if (!motivo && !varianteId) {
+        motivo = 'A balança não distingue tamanho e cor: confirme a peça.';
+    } else if (!motivo && confianca < LIMIAR_APLICACAO) {
+        motivo = candidatos.length > 1
+            ? 'Mais de um comprador perto da arara.'
+            : `Confiança abaixo de ${LIMIAR_APLICACAO * 100}%.`;
+    }
+
+    return {
+        produtoId: peca.produtoId,
+        varianteId: varianteId,
+        clienteId: provavel?.clienteId ?? null,
+        candidatos,
+        confianca,
+        motivo,
+    };
+}
+
+// Muda o carrinho do comprador conforme a detecção; retorna a linha do carrinho como ficou
+async function aplicarNoCarrinho(tx, { acao, clienteId, varianteId }) {
+    if (acao === 'adicionar') {
+        return incluirNoCarrinho(tx, clienteId, { varianteId });
+    }
+    await exigirCarrinhoEditavel(tx, clienteId);
+    return devolverItem(tx, clienteId, varianteId, 1);
+}
+
+/**
+ * Detecção da mesma retirada ou devolução que a leitura: mesma arara e ação, há pouco tempo, ainda
+ * sem leitura deste tipo de sensor e com a mesma peça. Retorna { deteccao, peca } com a peça
+ * identificada pelas leituras juntas, ou { deteccao: null, peca } com a peça só desta leitura.
+ */
+async function agruparLeitura(tx, leitura, acao) {
+    const recentes = await tx.deteccaoCarrinho.findMany({
+        where: {
+            araraId: leitura.araraId,
+            acao: acao,
+            status: { in: ['aplicada', 'em_revisao'] },
+            ocorridaEm: {
+                gte: new Date(leitura.ocorridoEm.getTime() - JANELA_FUSAO_MS),
+                lte: new Date(leitura.ocorridoEm.getTime() + JANELA_FUSAO_MS),
+            },
+            eventos: { none: { tipo: leitura.tipo } },
+        },
+        include: { eventos: true },
+        orderBy: { ocorridaEm: 'desc' },
+    });
+
+    for (const deteccao of recentes) {
+        const peca = await identificarPeca(tx, leitura.araraId, [...deteccao.eventos, leitura]);
+        if (!peca.conflito) {
+            return { deteccao, peca };
+        }
+    }
+    return { deteccao: null, peca: await identificarPeca(tx, leitura.araraId, [leitura]) };
+}
+
+// Como as detecções aparecem nas respostas e na fila de revisão
+const incluirDeteccao = {
+    arara: { select: { id: true, nome: true } },
+    produto: { select: { id: true, nome: true, sku: true } },
+    variante: { select: { id: true, tamanho: true, cor: true } },
+    cliente: { select: { id: true, nome: true } },
+};
+
+// Uma fusão por arara de cada vez: duas leituras da mesma retirada não criam duas detecções
+const travarArara = (tx, araraId) => tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('sensores-arara'), ${araraId}::int)`;
+
+// Sem `motivo` na avaliação, tenta mudar o carrinho. Retorna { dados, item }: os dados da detecção
+// (aplicada ou em revisão) e a linha do carrinho, só quando ele mudou.
+async function aplicarAvaliacao(tx, acao, avaliacao) {
+    let { motivo } = avaliacao;
+    let item = null;
+    if (!motivo) {
+        try {
+            item = await aplicarNoCarrinho(tx, { acao, ...avaliacao });
+        } catch (error) {
+            // Sem estoque, sem a peça no carrinho, comprador já saindo... a equipe decide
+            if (!(error instanceof ErroNegocio)) throw error;
+            motivo = error.message;
+        }
+    }
+    return { dados: { ...avaliacao, motivo, status: motivo ? 'em_revisao' : 'aplicada' }, item };
+}
+
+/**
+ * Registra uma leitura de peça (balança ou RFID) e a funde: junta à detecção da mesma retirada ou cria
+ * uma nova e, com confiança suficiente, muda o carrinho. Deve rodar numa transação.
+ * Retorna { evento, deteccao, item }, com `item` (a linha do carrinho) só quando o carrinho mudou agora.
+ */
+async function fundirLeituraDePeca(tx, leitura) {
+    await travarArara(tx, leitura.araraId);
+
+    const acao = acaoDaLeitura(leitura);
+    const { deteccao, peca } = await agruparLeitura(tx, leitura, acao);
+    const instante = deteccao?.ocorridaEm ?? leitura.ocorridoEm;
+    const avaliacao = await avaliarDeteccao(tx, { araraId: leitura.araraId, acao, instante, peca });
+
+    let resultado;
+    let item = null;
+    if (deteccao?.status === 'aplicada') {
+        // O carrinho já mudou: a leitura nova só atualiza a confiança registrada
+        resultado = await tx.deteccaoCarrinho.update({
+            where: { id: deteccao.id },
+            data: { confianca: Math.max(deteccao.confianca, avaliacao.confianca) },
+            include: incluirDeteccao,
+        });
+    } else {
+        let dados;
+        ({ dados, item } = await aplicarAvaliacao(tx, acao, avaliacao));
+        resultado = deteccao
+            ? await tx.deteccaoCarrinho.update({ where: { id: deteccao.id }, data: dados, include: incluirDeteccao })
+            : await tx.deteccaoCarrinho.create({
+                data: { ...dados, acao, araraId: leitura.araraId, ocorridaEm: leitura.ocorridoEm },
+                include: incluirDeteccao,
+            });
+    }
+
+    const evento = await tx.eventoSensor.create({ data: { ...leitura, deteccaoId: resultado.id } });
+    return { evento, deteccao: resultado, item };
+}
+
+/**
+ * Registra uma trilha de câmera e reavalia as detecções da arara em revisão que ela alcança: a peça pode
+ * ter saído da arara antes de a câmera mandar a trilha (até JANELA_CAMERA_DEPOIS_MS depois da retirada).
+ * Deve rodar numa transação. Retorna [{ evento, deteccao, item }], um por detecção reavaliada, ou
+ * [{ evento, deteccao: null, item: null }] se a trilha não alcança nenhuma.
+ */
+async function fundirTrilhaDeCamera(tx, leitura) {
+    await travarArara(tx, leitura.araraId);
+
+    const evento = await tx.eventoSensor.create({ data: leitura });
+    const emRevisao = await tx.deteccaoCarrinho.findMany({
+        where: {
+            araraId: leitura.araraId,
+            status: 'em_revisao',
+            ocorridaEm: {
+                gte: new Date(leitura.ocorridoEm.getTime() - JANELA_CAMERA_DEPOIS_MS),
+                lte: new Date(leitura.ocorridoEm.getTime() + JANELA_CAMERA_ANTES_MS),
+            },
+        },
+        include: { eventos: true },
+        orderBy: { ocorridaEm: 'asc' },
+    });
+
+    const resultados = [];
+    for (const deteccao of emRevisao) {
+        const peca = await identificarPeca(tx, leitura.araraId, deteccao.eventos);
+        const avaliacao = await avaliarDeteccao(tx, {
+            araraId: leitura.araraId,
+            acao: deteccao.acao,
+            instante: deteccao.ocorridaEm,
+            peca,
+        });
+        const { dados, item } = await aplicarAvaliacao(tx, deteccao.acao, avaliacao);
+        const reavaliada = await tx.deteccaoCarrinho.update({ where: { id: deteccao.id }, data: dados, include: incluirDeteccao });
+        resultados.push({ evento, deteccao: reavaliada, item });
+    }
+    return resultados.length > 0 ? resultados : [{ evento, deteccao: null, item: null }];
+}
+
+/**
+ * Ingestão das leituras dos sensores: valida, grava e funde cada uma, na ordem em que aconteceram.
+ * As leituras de peça usam as trilhas de câmera já gravadas para achar o comprador; uma trilha que chega
+ * depois reavalia as detecções em revisão que ela alcança.
+ * Retorna [{ evento, deteccao, item }] na ordem processada: um por leitura de peça e, por trilha de câmera,
+ * um por detecção reavaliada (ou um com `deteccao` null).
+ * Lança ErroNegocio 400 se alguma leitura é inválida; nesse caso nenhuma é gravada.
+ */
+async function registrarLeituras(prisma, corpo) {
+    const leituras = validarLeituras(corpo);
+    await verificarReferencias(prisma, leituras);
+
+    const resultados = [];
+    // Uma transação por leitura: a fusão de cada uma já vê as anteriores
+    for (const leitura of leituras) {
+        if (leitura.tipo === 'camera') {
+            resultados.push(...await prisma.$transaction((tx) => fundirTrilhaDeCamera(tx, leitura)));
+        } else {
+            resultados.push(await prisma.$transaction((tx) => fundirLeituraDePeca(tx, leitura)));
+        }
+    }
+    return resultados;
+}
+
+// Fila de revisão: detecções que a fusão não pôde aplicar, das mais antigas às mais novas, com as leituras
+function listarRevisao(prisma) {
+    return prisma.deteccaoCarrinho.findMany({
+        where: { status: 'em_revisao' },
+        include: { ...incluirDeteccao, eventos: { orderBy: { ocorridoEm: 'asc' } } },
+        orderBy: { ocorridaEm: 'asc' },
+    });
+}
+
+async function exigirEmRevisao(tx, id) {
+    const deteccao = Number.isNaN(id) ? null : await tx.deteccaoCarrinho.findUnique({ where: { id } });
+    if (!deteccao) {
+        throw new ErroNegocio('Detecção não encontrada.', 404);
+    }
+    if (deteccao.status !== 'em_revisao') {
+        throw new ErroNegocio('Esta detecção já foi resolvida.', 409, { status: deteccao.status });
+    }
+    return deteccao;
+}
+
+/**
+ * A equipe confirma uma detecção da fila. `clienteId` e `varianteId` corrigem ou completam o que a
+ * fusão sugeriu. O carrinho muda na mesma transação da auditoria. Retorna { deteccao, item }.
+ * Lança ErroNegocio 400 sem comprador ou peça, 404/409 se a detecção não está na fila ou o carrinho não pode mudar.
+ */
+function confirmarDeteccao(prisma, id, { clienteId, varianteId }, funcionario) {
+    return prisma.$transaction(async (tx) => {
+        const deteccao = await exigirEmRevisao(tx, id);
+        const escolha = {
+            clienteId: clienteId ?? deteccao.clienteId,
+            varianteId: varianteId ?? deteccao.varianteId,
+        };
+
+        const campos = {};
+        if (!Number.isInteger(escolha.clienteId)) {
+            campos.clienteId = 'Informe o comprador.';
+        }
+        const variante = Number.isInteger(escolha.varianteId)
+            ? await tx.variante.findUnique({ where: { id: escolha.varianteId } })
+            : null;
+        if (!variante) {
+            campos.varianteId = 'Informe o tamanho/cor da peça.';
+        } else if (deteccao.produtoId && variante.produtoId !== deteccao.produtoId) {
+            campos.varianteId = 'A peça escolhida não é do produto detectado.';
+        }
+        if (Object.keys(campos).length > 0) {
+            throw new ErroNegocio('Escolha o comprador e a peça para confirmar.', 400, { campos });
+        }
+
+        const item = await aplicarNoCarrinho(tx, { acao: deteccao.acao, ...escolha });
+        const confirmada = await tx.deteccaoCarrinho.update({
+            where: { id: deteccao.id },
+            data: {
+                ...escolha,
+                produtoId: variante.produtoId,
+                status: 'confirmada',
+                revisadaEm: new Date(),
+                revisadaPorId: funcionario.id,
+            },
+            include: incluirDeteccao,
+        });
+        await registrarAuditoria(tx, funcionario, {
+            acao: 'sensores.deteccao_confirmada',
+            entidade: 'deteccao',
+            entidadeId: deteccao.id,
+            detalhes: {
+                acao: deteccao.acao,
+                ...escolha,
+                sugerido: { clienteId: deteccao.clienteId, varianteId: deteccao.varianteId, confianca: deteccao.confianca },
+            },
+        });
+        return { deteccao: confirmada, item };
+    });
+}
+
+// A equipe descarta uma detecção da fila (ex.: a peça só mudou de lugar); o carrinho não muda
+function rejeitarDeteccao(prisma, id, motivo, funcionario) {
+    return prisma.$transaction(async (tx) => {
+        const deteccao = await exigirEmRevisao(tx, id);
+        const rejeitada = await tx.deteccaoCarrinho.update({
+            where: { id: deteccao.id },
+            data: { status: 'rejeitada', revisadaEm: new Date(), revisadaPorId: funcionario.id },
+            include: incluirDeteccao,
+        });
+        await registrarAuditoria(tx, funcionario, {
+            acao: 'sensores.deteccao_rejeitada',
+            entidade: 'deteccao',
+            entidadeId: deteccao.id,
+            detalhes: { acao: deteccao.acao, motivo: textoPreenchido(motivo) ? motivo.trim() : null },
+        });
+        return rejeitada;
+    });
+}
+
+module.exports = {
+    TIPOS_SENSOR,
+    LIMIAR_APLICACAO,
+    registrarLeituras,
+    listarRevisao,
+    confirmarDeteccao,
+    rejeitarDeteccao,
+};
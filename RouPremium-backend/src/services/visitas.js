@@ -0,0 +1,28 @@
+const { ErroNegocio } = require('../utils/erros');
+
+// Busca a visita em andamento do cliente (ou null se ele não está na loja)
+function buscarVisitaAberta(tx, clienteId) {
+    return tx.visita.findFirst({
+        where: { clienteId: clienteId, status: 'aberta' },
+    });
+}
+
+// Igual a buscarVisitaAberta, mas falha quando o cliente não entrou na loja
+async function exigirVisitaAberta(tx, clienteId) {
+    const visita = await buscarVisitaAberta(tx, clienteId);
+    if (!visita) {
+        throw new ErroNegocio('O cliente não está na loja. Registre a entrada antes de continuar.', 409);
+    }
+    return visita;
+}
+
+// Visita aberta e sem pagamento em andamento: só assim o carrinho pode mudar
+async function exigirCarrinhoEditavel(tx, clienteId) {
+    const visita = await exigirVisitaAberta(tx, clienteId);
+    if (visita.compraId) {
+        throw new ErroNegocio('Pagamento em andamento. Aguarde para alterar o carrinho.', 409);
+    }
+    return visita;
+}
+
+module.exports = { buscarVisitaAberta, exigirVisitaAberta, exigirCarrinhoEditavel };
@@ -0,0 +1,52 @@
+// Datas "AAAA-MM-DD" são dias do calendário da loja: nem o fuso do servidor nem o UTC (depois das 21h em
+// São Paulo, o UTC já está no dia seguinte)
+
+const FUSO_LOJA = 'America/Sao_Paulo';
+
+const relogioDaLoja = new Intl.DateTimeFormat('en-US', {
+    timeZone: FUSO_LOJA,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+});
+
+// Quanto o relógio da loja está à frente do UTC no instante `instante` (ms; negativo em São Paulo)
+function diferencaDoUtc(instante) {
+    const partes = Object.fromEntries(relogioDaLoja.formatToParts(instante).map(({ type, value }) => [type, Number(value)]));
+    const horaDaLojaComoUtc = Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second);
+    return horaDaLojaComoUtc - Math.floor(instante / 1000) * 1000;
+}
+
+// Primeiro instante do dia `dia` ("AAAA-MM-DD") na loja; null se o dia não existe no calendário
+function inicioDoDiaNaLoja(dia) {
+    const [ano, mes, numero] = dia.split('-').map(Number);
+    const meiaNoiteUtc = Date.UTC(ano, mes - 1, numero);
+    if (Number.isNaN(meiaNoiteUtc) || new Date(meiaNoiteUtc).toISOString().slice(0, 10) !== dia) {
+        return null;
+    }
+    return new Date(meiaNoiteUtc - diferencaDoUtc(meiaNoiteUtc));
+}
+
+/**
+ * Data de um filtro da query. "2025-09-01" vale desde a meia-noite da loja ou, com `fimDoDia`, até o
+ * último milissegundo daquele dia na loja; data e hora completas (ISO 8601) valem como vieram.
+ * Retorna undefined sem texto e null se a data é inválida.
+ */
+function lerData(texto, fimDoDia = false) {
+    if (!texto) return undefined;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(texto)) {
+        const inicio = inicioDoDiaNaLoja(texto);
+        if (!inicio || !fimDoDia) return inicio;
+        const [ano, mes, dia] = texto.split('-').map(Number);
+        const diaSeguinte = new Date(Date.UTC(ano, mes - 1, dia + 1)).toISOString().slice(0, 10);
+        return new Date(inicioDoDiaNaLoja(diaSeguinte).getTime() - 1);
+    }
+    const data = new Date(texto);
+    return Number.isNaN(data.getTime()) ? null : data;
+}
+
+module.exports = { FUSO_LOJA, lerData };
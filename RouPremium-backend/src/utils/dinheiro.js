@@ -0,0 +1,19 @@
+const { Prisma } = require('@prisma/client');
+
+// Valores em reais sempre como Prisma.Decimal, arredondados para centavos só no fim das contas
+
+const ZERO = new Prisma.Decimal(0);
+
+const arredondar = (valor) => valor.toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+
+const somar = (valores) => valores.reduce((total, valor) => total.plus(valor), ZERO);
+
+// Valor no formato brasileiro, como "R$ 1.234,56"
+function formatarReais(valor) {
+    const arredondado = arredondar(new Prisma.Decimal(valor));
+    const [inteiros, centavos] = arredondado.abs().toFixed(2).split('.');
+    const sinal = arredondado.isNegative() && !arredondado.isZero() ? '-' : '';
+    return `${sinal}R$ ${inteiros.replace(/\B(?=(\d{3})+(?!\d))/g, '.')},${centavos}`;
+}
+
+module.exports = { ZERO, arredondar, somar, formatarReais };
@@ -0,0 +1,12 @@
+// Erro de regra de negócio: carrega o status HTTP que a rota deve responder
+// e, opcionalmente, detalhes extras para o front-end exibir.
+class ErroNegocio extends Error {
+    constructor(mensagem, status = 400, detalhes = {}) {
+        super(mensagem);
+        this.name = 'ErroNegocio';
+        this.status = status;
+        this.detalhes = detalhes;
+    }
+}
+
+module.exports = { ErroNegocio };
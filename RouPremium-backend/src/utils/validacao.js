@@ -0,0 +1,71 @@
+const { Prisma } = require('@prisma/client');
+
+// Validação de corpos de requisição por campo.
+// Cada validador recebe o valor enviado e devolve { valor } normalizado ou { erro } com a mensagem.
+
+const textoPreenchido = (valor) => typeof valor === 'string' && valor.trim().length > 0;
+
+// Envolve um validador para aceitar `null` (limpar o campo na edição)
+const aceitaNulo = (validar) => (valor) => (valor === null ? { valor: null } : validar(valor));
+
+function validarDecimalPositivo(valor) {
+    let decimal;
+    try {
+        decimal = new Prisma.Decimal(valor);
+    } catch {
+        return { erro: 'Valor inválido.' };
+    }
+    if (decimal.lessThanOrEqualTo(0) || decimal.decimalPlaces() > 2) {
+        return { erro: 'O valor deve ser maior que zero, com até 2 casas decimais.' };
+    }
+    return { valor: decimal };
+}
+
+function validarData(valor) {
+    const data = new Date(valor);
+    return Number.isNaN(data.getTime()) ? { erro: 'Data inválida.' } : { valor: data };
+}
+
+const validarBooleano = (valor) => (typeof valor === 'boolean' ? { valor } : { erro: 'Informe true ou false.' });
+
+const inteiroMinimo = (minimo) => (valor) => (Number.isInteger(valor) && valor >= minimo
+    ? { valor }
+    : { erro: `Informe um número inteiro maior ou igual a ${minimo}.` });
+
+const inteiroEntre = (minimo, maximo) => (valor) => (Number.isInteger(valor) && valor >= minimo && valor <= maximo
+    ? { valor }
+    : { erro: `Informe um número inteiro de ${minimo} a ${maximo}.` });
+
+// Aplica os validadores aos campos enviados, acumulando as mensagens por campo
+function validarCampos(dados, validadores, obrigatorios, parcial) {
+    const resultado = {};
+    const campos = {};
+
+    for (const [campo, validar] of Object.entries(validadores)) {
+        if (dados[campo] === undefined) {
+            if (!parcial && obrigatorios.includes(campo)) {
+                campos[campo] = 'Campo obrigatório.';
+            }
+            continue;
+        }
+        const { valor, erro } = validar(dados[campo]);
+        if (erro) {
+            campos[campo] = erro;
+        } else {
+            resultado[campo] = valor;
+        }
+    }
+
+    return { resultado, campos };
+}
+
+module.exports = {
+    textoPreenchido,
+    aceitaNulo,
+    validarDecimalPositivo,
+    validarData,
+    validarBooleano,
+    inteiroMinimo,
+    inteiroEntre,
+    validarCampos,
+};
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+
+process.env.RECIBO_CHAVE_ASSINATURA = 'chave-de-teste';
+
+const { assinarCompra, verificarAssinatura } = require('../src/services/assinaturas');
+
+const compra = {
+    id: 42,
+    data: new Date('2025-10-01T15:30:00Z'),
+    valorTotal: new Prisma.Decimal('189.90'),
+    itensComprados: [
+        { id: 1, nome: 'Camiseta', preco: new Prisma.Decimal('99.90'), quantidade: 1 },
+        { tipo: 'cupom', codigo: 'BEMVINDO', desconto: new Prisma.Decimal('10.00') },
+    ],
+};
+
+test('a assinatura é o HMAC-SHA256 do JSON canônico da compra', () => {
+    const canonico = '{"data":"2025-10-01T15:30:00.000Z","id":42,"itens":[{"id":1,"nome":"Camiseta","preco":"99.9","quantidade":1},'
+        + '{"codigo":"BEMVINDO","desconto":"10","tipo":"cupom"}],"valorTotal":"189.90"}';
+    const esperada = crypto.createHmac('sha256', 'chave-de-teste').update(canonico).digest('base64url');
+    assert.equal(assinarCompra(compra), esperada);
+});
+
+test('a ordem das chaves dos itens (o jsonb não a preserva) não muda a assinatura', () => {
+    const relida = {
+        ...compra,
+        data: '2025-10-01T15:30:00.000Z',
+        itensComprados: [
+            { quantidade: 1, preco: '99.9', nome: 'Camiseta', id: 1 },
+            { desconto: '10', codigo: 'BEMVINDO', tipo: 'cupom' },
+        ],
+    };
+    assert.equal(assinarCompra(relida), assinarCompra(compra));
+});
+
+test('verificarAssinatura aponta recibo sem assinatura, registro alterado e assinatura divergente', () => {
+    const assinada = { ...compra, assinatura: assinarCompra(compra) };
+
+    assert.deepEqual(verificarAssinatura(assinada, assinada.assinatura), { valido: true });
+    assert.deepEqual(verificarAssinatura(compra, 'qualquer'), { valido: false, motivo: 'SEM_ASSINATURA' });
+    assert.deepEqual(
+        verificarAssinatura({ ...assinada, valorTotal: new Prisma.Decimal('9.90') }, assinada.assinatura),
+        { valido: false, motivo: 'REGISTRO_ALTERADO' },
+    );
+    assert.deepEqual(verificarAssinatura(assinada, 'forjada'), { valido: false, motivo: 'ASSINATURA_DIVERGENTE' });
+});
+
+test('sem a chave no ambiente, nenhum recibo é assinado', () => {
+    const caminho = require.resolve('../src/services/assinaturas');
+    delete require.cache[caminho];
+    delete process.env.RECIBO_CHAVE_ASSINATURA;
+    const semChave = require('../src/services/assinaturas');
+
+    assert.equal(semChave.chaveDeAssinaturaConfigurada(), false);
+    assert.throws(() => semChave.assinarCompra(compra), /RECIBO_CHAVE_ASSINATURA/);
+});
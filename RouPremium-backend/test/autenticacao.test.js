@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exigirAcessoAoCliente } = require('../src/middlewares/autenticacao');
+
+const exigirClienteDoCorpo = exigirAcessoAoCliente(req => req.body?.clienteId);
+
+// Passa a requisição pelo middleware e conta o que aconteceu: a resposta (se houve) e se seguiu adiante
+function passar(req) {
+    const resultado = { status: null, corpo: null, seguiu: false };
+    const res = {
+        status(codigo) {
+            resultado.status = codigo;
+            return this;
+        },
+        json(corpo) {
+            resultado.corpo = corpo;
+            return this;
+        },
+    };
+    exigirClienteDoCorpo(req, res, () => {
+        resultado.seguiu = true;
+    });
+    return resultado;
+}
+
+test('o id do cliente chega às rotas já convertido em número', () => {
+    const req = { sistemaLoja: true, cliente: null, body: { clienteId: '7' } };
+    assert.equal(passar(req).seguiu, true);
+    assert.equal(req.clienteId, 7);
+});
+
+test('o sistema da loja não passa com um id que não é inteiro positivo', () => {
+    for (const clienteId of [undefined, 'abc', '7abc', 1.5, 0, -3]) {
+        const resultado = passar({ sistemaLoja: true, cliente: null, body: { clienteId } });
+        assert.deepEqual([resultado.status, resultado.seguiu], [400, false], `clienteId ${clienteId}`);
+    }
+});
+
+test('o cliente logado só passa com o próprio id', () => {
+    assert.equal(passar({ sistemaLoja: false, cliente: { id: 7 }, body: { clienteId: 7 } }).seguiu, true);
+    assert.equal(passar({ sistemaLoja: false, cliente: { id: 7 }, body: { clienteId: 8 } }).status, 403);
+    assert.equal(passar({ sistemaLoja: false, cliente: null }).status, 401);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const { calcularResumoDaVisita, resgatarCupom, validarDadosCupom } = require('../src/services/cupons');
+
+const D = (valor) => new Prisma.Decimal(valor);
+
+const cupom = (dados) => ({
+    id: 7, codigo: 'BEMVINDO', tipo: 'percentual', valor: D(10), valorMinimo: null,
+    limiteUsos: null, limitePorCliente: null, usos: 0, validoAte: null, ativo: true, ...dados,
+});
+
+const itemCarrinho = (id, preco, quantidade) => ({
+    quantidade,
+    produto: { id, nome: `Produto ${id}`, categoria: 'camisetas', preco: D(preco) },
+    variante: { id: id * 10, tamanho: 'M', cor: 'Preto', preco: null },
+});
+
+// Transação falsa: sem promoções vigentes, com o cupom e os usos que o cliente já fez
+const transacao = (dadosCupom, usosDoCliente = 0) => ({
+    promocao: { findMany: async () => [] },
+    cupom: { findUnique: async () => cupom(dadosCupom) },
+    resgateCupom: { count: async () => usosDoCliente },
+});
+
+const visita = { clienteId: 3, cupomId: 7 };
+const itens = [itemCarrinho(1, '100.00', 1), itemCarrinho(2, '50.00', 2)];
+
+test('o cupom percentual desconta do total e é rateado entre os itens', async () => {
+    const resumo = await calcularResumoDaVisita(transacao({}), visita, itens);
+
+    assert.equal(resumo.cupom.desconto.toFixed(2), '20.00');
+    assert.equal(resumo.total.toFixed(2), '180.00');
+    assert.deepEqual(resumo.itens.map(item => item.desconto.toFixed(2)), ['10.00', '10.00']);
+});
+
+test('o cupom de valor fixo nunca passa do total', async () => {
+    const resumo = await calcularResumoDaVisita(transacao({ tipo: 'valor_fixo', valor: D(500) }), visita, itens);
+    assert.equal(resumo.total.toFixed(2), '0.00');
+});
+
+const motivos = [
+    ['inativo', { ativo: false }, 0, 'CUPOM_INATIVO'],
+    ['expirado', { validoAte: new Date('2020-01-01') }, 0, 'CUPOM_EXPIRADO'],
+    ['esgotado', { limiteUsos: 5, usos: 5 }, 0, 'CUPOM_ESGOTADO'],
+    ['no limite do cliente', { limitePorCliente: 1 }, 1, 'CUPOM_LIMITE_CLIENTE'],
+    ['abaixo do valor mínimo', { valorMinimo: D('250.00') }, 0, 'CUPOM_VALOR_MINIMO'],
+];
+
+for (const [situacao, dadosCupom, usosDoCliente, codigo] of motivos) {
+    test(`cupom ${situacao}: a prévia mostra o motivo e o checkout é interrompido`, async () => {
+        const tx = transacao(dadosCupom, usosDoCliente);
+
+        const previa = await calcularResumoDaVisita(tx, visita, itens);
+        assert.equal(previa.cupom, null);
+        assert.equal(previa.erroCupom.codigo, codigo);
+        assert.equal(previa.total.toFixed(2), '200.00');
+
+        await assert.rejects(
+            calcularResumoDaVisita(tx, visita, itens, { exigirCupomValido: true }),
+            (erro) => erro.status === 409 && erro.detalhes.codigo === codigo,
+        );
+    });
+}
+
+test('o valor mínimo informa quanto falta', async () => {
+    const previa = await calcularResumoDaVisita(transacao({ valorMinimo: D('250.00') }), visita, itens);
+    assert.equal(previa.erroCupom.faltam.toFixed(2), '50.00');
+});
+
+test('resgatarCupom barra o uso quando o contador atômico já chegou ao limite', async () => {
+    let criado = false;
+    const tx = {
+        $executeRaw: async () => 0,
+        resgateCupom: { create: async () => { criado = true; } },
+    };
+
+    await assert.rejects(
+        resgatarCupom(tx, { cupomId: 7, clienteId: 3, compraId: 1, desconto: D(10) }),
+        { detalhes: { codigo: 'CUPOM_ESGOTADO' } },
+    );
+    assert.equal(criado, false);
+});
+
+test('validarDadosCupom normaliza o código e limita o percentual', () => {
+    assert.equal(validarDadosCupom({ codigo: ' natal-25 ', tipo: 'valor_fixo', valor: 25 }).codigo, 'NATAL-25');
+    assert.throws(
+        () => validarDadosCupom({ codigo: 'TUDO', tipo: 'percentual', valor: 150 }),
+        { detalhes: { campos: { valor: 'O percentual não pode passar de 100.' } } },
+    );
+});
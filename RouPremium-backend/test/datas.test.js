@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lerData } = require('../src/utils/datas');
+
+test('um dia do filtro vai da meia-noite às 23:59:59.999 de São Paulo', () => {
+    assert.equal(lerData('2025-09-01').toISOString(), '2025-09-01T03:00:00.000Z');
+    assert.equal(lerData('2025-09-30', true).toISOString(), '2025-10-01T02:59:59.999Z');
+    assert.equal(lerData('2025-12-31', true).toISOString(), '2026-01-01T02:59:59.999Z');
+});
+
+test('uma compra às 22h de São Paulo fica no dia da loja, não no dia seguinte do UTC', () => {
+    const compra = new Date('2025-09-01T22:30:00-03:00');
+    assert.ok(compra <= lerData('2025-09-01', true));
+    assert.ok(compra < lerData('2025-09-02'));
+});
+
+test('data e hora completas valem como vieram; datas inválidas viram null', () => {
+    assert.equal(lerData('2025-09-01T12:00:00Z').toISOString(), '2025-09-01T12:00:00.000Z');
+    assert.equal(lerData(undefined), undefined);
+    assert.equal(lerData('2025-02-30'), null);
+    assert.equal(lerData('2025-13-01', true), null);
+    assert.equal(lerData('ontem'), null);
+});
@@ -0,0 +1,134 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const pagamentos = require('../src/services/pagamentos');
+
+// O provedor aprova todo reembolso e guarda os valores pedidos
+const reembolsos = [];
+mock.method(pagamentos, 'obterProvedorPagamento', () => ({
+    reembolsar: async ({ valor }) => {
+        reembolsos.push(valor);
+        return { aprovado: true, reembolsoId: `reembolso-${reembolsos.length}` };
+    },
+}));
+const { registrarDevolucao } = require('../src/services/devolucoes');
+const { escolherPlano } = require('../src/services/parcelamento');
+
+const D = (valor) => new Prisma.Decimal(valor);
+const funcionario = { id: 1 };
+
+// Camisetas a R$ 50 e uma jaqueta a R$ 200: R$ 300 no total
+const itensComprados = [
+    { id: 10, varianteId: 11, nome: 'Camiseta', tamanho: 'M', cor: 'Preto', preco: '50.00', quantidade: 2 },
+    { id: 20, varianteId: 21, nome: 'Jaqueta', tamanho: 'G', cor: 'Azul', preco: '200.00', quantidade: 1 },
+];
+
+// Banco em memória com a compra, as devoluções e o pouco de estoque, pontos e auditoria que a devolução toca
+function lojaFalsa(dadosCompra) {
+    const compra = {
+        id: 7,
+        clienteId: 1,
+        statusPagamento: 'aprovada',
+        formaPagamento: 'cartao',
+        transacaoPagamento: 'tx-7',
+        valorTotal: D('300.00'),
+        valorReembolsado: D(0),
+        pontosGanhos: 300,
+        pontosResgatados: 0,
+        planoParcelamento: null,
+        itensComprados,
+        ...dadosCompra,
+    };
+    const devolucoes = [];
+    const movimentos = [];
+    const comDevolucoes = (include) => ({
+        ...compra,
+        devolucoes: devolucoes.filter(devolucao => !include?.devolucoes?.where?.statusReembolso
+            || (include.devolucoes.where.statusReembolso.not
+                ? devolucao.statusReembolso !== include.devolucoes.where.statusReembolso.not
+                : devolucao.statusReembolso === include.devolucoes.where.statusReembolso)),
+    });
+
+    const prisma = {
+        $transaction: (operacao) => operacao(prisma),
+        variante: { update: async () => ({}) },
+        registroAuditoria: { create: async () => ({}) },
+        movimentoPontos: {
+            create: async ({ data }) => movimentos.push(data),
+            aggregate: async ({ where }) => ({
+                _sum: { pontos: movimentos.filter(m => m.tipo === where.tipo).reduce((total, m) => total + m.pontos, 0) },
+            }),
+        },
+        devolucao: {
+            create: async ({ data }) => {
+                const devolucao = { id: devolucoes.length + 1, ...data };
+                devolucoes.push(devolucao);
+                return devolucao;
+            },
+            findUnique: async ({ where }) => devolucoes.find(devolucao => devolucao.id === where.id),
+            updateMany: async ({ where, data }) => {
+                const devolucao = devolucoes.find(d => d.id === where.id && d.statusReembolso === where.statusReembolso);
+                if (devolucao) Object.assign(devolucao, data);
+                return { count: devolucao ? 1 : 0 };
+            },
+        },
+        compra: {
+            findUnique: async ({ include }) => comDevolucoes(include),
+            update: async ({ data, include }) => {
+                compra.valorReembolsado = compra.valorReembolsado.plus(data.valorReembolsado.increment);
+                compra.statusDevolucao = data.statusDevolucao;
+                return comDevolucoes(include);
+            },
+        },
+    };
+    return { prisma, compra, movimentos };
+}
+
+// Plano como fica gravado na compra (coluna JSON: os Decimals viram texto)
+const planoGravado = (parcelas) => JSON.parse(JSON.stringify(escolherPlano(D('300.00'), parcelas)));
+
+beforeEach(() => {
+    reembolsos.length = 0;
+});
+
+test('devolução total de um parcelamento com juros reembolsa tudo o que foi cobrado', async () => {
+    const plano = planoGravado(6);
+    assert.equal(plano.semJuros, false);
+    const { prisma, compra, movimentos } = lojaFalsa({ planoParcelamento: plano });
+
+    const { devolucao } = await registrarDevolucao(prisma, compra.id, { funcionario });
+
+    assert.equal(devolucao.valorReembolsado.toFixed(2), D(plano.valorTotal).toFixed(2));
+    assert.equal(reembolsos[0].toFixed(2), D(plano.valorTotal).toFixed(2));
+    assert.equal(compra.statusDevolucao, 'total');
+    assert.deepEqual(movimentos.map(m => [m.tipo, m.pontos]), [['estorno_credito', -300]]);
+});
+
+test('devoluções parciais com juros somam exatamente o valor cobrado', async () => {
+    const plano = planoGravado(6);
+    const { prisma, compra, movimentos } = lojaFalsa({ planoParcelamento: plano });
+    const fator = D(plano.valorTotal).dividedBy('300.00');
+
+    const primeira = await registrarDevolucao(prisma, compra.id, { itens: [{ varianteId: 11, quantidade: 1 }], funcionario });
+    assert.equal(primeira.devolucao.valorReembolsado.toFixed(2), fator.times(50).toFixed(2));
+    // 1/6 do valor cobrado: 1/6 dos pontos
+    assert.deepEqual(movimentos.map(m => [m.tipo, m.pontos]), [['estorno_credito', -50]]);
+
+    const segunda = await registrarDevolucao(prisma, compra.id, { itens: [{ varianteId: 11, quantidade: 1 }], funcionario });
+    const ultima = await registrarDevolucao(prisma, compra.id, { funcionario });
+
+    const total = [primeira, segunda, ultima].reduce((soma, { devolucao }) => soma.plus(devolucao.valorReembolsado), D(0));
+    assert.equal(total.toFixed(2), D(plano.valorTotal).toFixed(2));
+    assert.equal(compra.valorReembolsado.toFixed(2), D(plano.valorTotal).toFixed(2));
+    assert.equal(ultima.compra.statusDevolucao, 'total');
+});
+
+test('sem juros (PIX ou parcelas sem juros), a devolução reembolsa o preço pago', async () => {
+    const { prisma, compra } = lojaFalsa({ formaPagamento: 'pix' });
+    const { devolucao } = await registrarDevolucao(prisma, compra.id, { itens: [{ varianteId: 21, quantidade: 1 }], funcionario });
+    assert.equal(devolucao.valorReembolsado.toFixed(2), '200.00');
+
+    const semJuros = lojaFalsa({ planoParcelamento: planoGravado(3) });
+    const total = await registrarDevolucao(semJuros.prisma, compra.id, { funcionario });
+    assert.equal(total.devolucao.valorReembolsado.toFixed(2), '300.00');
+});
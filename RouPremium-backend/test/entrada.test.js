@@ -0,0 +1,53 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const pagamentos = require('../src/services/pagamentos');
+
+// O provedor aprova toda pré-autorização
+const provedor = { autorizar: mock.fn(async () => ({ aprovado: true, autorizacaoId: 'aut-1' })), cancelar: mock.fn() };
+mock.method(pagamentos, 'obterProvedorPagamento', () => provedor);
+const { registrarEntrada } = require('../src/services/entrada');
+
+// Cliente sem visita aberta, com os métodos de pagamento indicados
+function lojaFalsa(metodos) {
+    const visitas = [];
+    const prisma = {
+        cliente: { findUnique: async () => ({ id: 1, nome: 'Ana' }) },
+        visita: {
+            findFirst: async () => null,
+            create: async ({ data }) => {
+                visitas.push(data);
+                return { id: visitas.length, ...data };
+            },
+        },
+        metodoPagamento: {
+            findFirst: async ({ where }) => metodos.find(metodo => where.tipo.in.includes(metodo.tipo)) ?? null,
+            count: async () => metodos.length,
+        },
+        $transaction: (operacao) => operacao(prisma),
+    };
+    return prisma;
+}
+
+test('com cartão, a entrada bloqueia o valor da pré-autorização', async () => {
+    provedor.autorizar.mock.resetCalls();
+    const prisma = lojaFalsa([{ id: 3, tipo: 'pix', padrao: true }, { id: 4, tipo: 'credito' }]);
+
+    const { visita } = await registrarEntrada(prisma, 1);
+    assert.equal(provedor.autorizar.mock.callCount(), 1);
+    assert.equal(visita.autorizacaoPagamento, 'aut-1');
+    assert.equal(visita.metodoPagamentoId, 4);
+});
+
+test('quem só tem chave PIX entra sem valor bloqueado', async () => {
+    provedor.autorizar.mock.resetCalls();
+    const prisma = lojaFalsa([{ id: 3, tipo: 'pix', padrao: true }]);
+
+    const { visita } = await registrarEntrada(prisma, 1);
+    assert.equal(provedor.autorizar.mock.callCount(), 0);
+    assert.equal(visita.autorizacaoPagamento, null);
+    assert.equal(visita.metodoPagamentoId, null);
+});
+
+test('sem cartão nem chave PIX, a entrada não é liberada', async () => {
+    await assert.rejects(registrarEntrada(lojaFalsa([]), 1), { status: 402, detalhes: { codigo: 'SEM_MEIO_PAGAMENTO' } });
+});
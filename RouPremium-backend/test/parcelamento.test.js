@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const { calcularPlanos, escolherPlano } = require('../src/services/parcelamento');
+
+const REGRAS = {
+    maximoParcelas: 10,
+    parcelasSemJuros: 3,
+    valorMinimoParcela: new Prisma.Decimal('50.00'),
+    jurosMensal: new Prisma.Decimal('0.0199'),
+};
+
+const resumo = (plano) => ({
+    parcelas: plano.parcelas,
+    semJuros: plano.semJuros,
+    valorParcela: plano.valorParcela.toFixed(2),
+    ultimaParcela: plano.ultimaParcela.toFixed(2),
+    valorTotal: plano.valorTotal.toFixed(2),
+});
+
+test('até o limite sem juros, a última parcela absorve os centavos e o total é o valor da compra', () => {
+    const plano = calcularPlanos('1000.00', REGRAS).find(opcao => opcao.parcelas === 3);
+    assert.deepEqual(resumo(plano), {
+        parcelas: 3, semJuros: true, valorParcela: '333.33', ultimaParcela: '333.34', valorTotal: '1000.00',
+    });
+});
+
+test('acima do limite sem juros, a parcela segue a Tabela Price e o total inclui os juros', () => {
+    const planos = calcularPlanos('1000.00', REGRAS);
+    assert.deepEqual(resumo(planos.find(opcao => opcao.parcelas === 4)), {
+        parcelas: 4, semJuros: false, valorParcela: '262.56', ultimaParcela: '262.56', valorTotal: '1050.24',
+    });
+    assert.deepEqual(resumo(planos.find(opcao => opcao.parcelas === 10)), {
+        parcelas: 10, semJuros: false, valorParcela: '111.27', ultimaParcela: '111.27', valorTotal: '1112.70',
+    });
+});
+
+test('planos com parcela abaixo do mínimo ficam de fora', () => {
+    assert.deepEqual(calcularPlanos('100.00', REGRAS).map(plano => plano.parcelas), [1, 2]);
+});
+
+test('com juros zerados na configuração, todos os planos são sem juros', () => {
+    const planos = calcularPlanos('1000.00', { ...REGRAS, jurosMensal: new Prisma.Decimal(0) });
+    assert.equal(planos.length, 10);
+    for (const plano of planos) {
+        assert.equal(plano.semJuros, true);
+        assert.equal(plano.valorTotal.toFixed(2), '1000.00');
+        assert.ok(plano.valorParcela.isFinite());
+    }
+});
+
+test('vencimentos que não existem no mês caem no último dia', () => {
+    const { cronograma } = escolherPlano('1000.00', 3, new Date('2025-01-31T15:00:00Z'));
+    assert.deepEqual(cronograma.map(parcela => parcela.vencimento), ['2025-02-28', '2025-03-31', '2025-04-30']);
+    assert.deepEqual(cronograma.map(parcela => parcela.valor.toFixed(2)), ['333.33', '333.33', '333.34']);
+});
+
+test('os vencimentos contam a partir do dia da compra em São Paulo, não em UTC', () => {
+    // 31/12 às 23h30 em São Paulo já é 01/01 em UTC
+    const { cronograma } = escolherPlano('1000.00', 2, new Date('2025-12-31T23:30:00-03:00'));
+    assert.deepEqual(cronograma.map(parcela => parcela.vencimento), ['2026-01-31', '2026-02-28']);
+});
+
+test('escolherPlano recusa um número de parcelas indisponível', () => {
+    assert.throws(() => escolherPlano('100.00', 5), { status: 400, detalhes: { codigo: 'PARCELAMENTO_INVALIDO' } });
+});
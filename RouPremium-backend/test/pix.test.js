@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.PIX_WEBHOOK_SEGREDO = 'segredo-de-teste';
+process.env.PIX_NOME_RECEBEDOR = 'Loja Ação & Cia';
+
+const { gerarPayloadPix, crc16, assinaturaWebhookValida } = require('../src/services/pagamentos/pix');
+
+// Separa o payload EMV em { id: valor } (só o primeiro nível)
+function lerCampos(payload) {
+    const campos = {};
+    for (let i = 0; i < payload.length;) {
+        const id = payload.slice(i, i + 2);
+        const tamanho = parseInt(payload.slice(i + 2, i + 4));
+        campos[id] = payload.slice(i + 4, i + 4 + tamanho);
+        i += 4 + tamanho;
+    }
+    return campos;
+}
+
+test('crc16 segue o CRC16-CCITT com valor inicial 0xFFFF', () => {
+    assert.equal(crc16('123456789'), '29B1');
+    assert.equal(crc16(''), 'FFFF');
+});
+
+test('gerarPayloadPix monta o BR Code com valor, txid e CRC do próprio payload', () => {
+    const payload = gerarPayloadPix({ valor: 149.9, txid: 'RP00000042ABCDEF1234' });
+    const campos = lerCampos(payload);
+
+    assert.equal(campos['00'], '01');
+    assert.equal(campos['53'], '986');
+    assert.equal(campos['54'], '149.90');
+    assert.equal(campos['62'], '0520RP00000042ABCDEF1234');
+    assert.match(campos['26'], /^0014br\.gov\.bcb\.pix01/);
+    assert.equal(campos['63'], crc16(payload.slice(0, -4)));
+});
+
+test('gerarPayloadPix tira acentos e caracteres fora do EMV do nome do recebedor', () => {
+    const campos = lerCampos(gerarPayloadPix({ valor: 10, txid: 'RP1' }));
+    assert.equal(campos['59'], 'Loja Acao  Cia');
+});
+
+test('assinaturaWebhookValida aceita só o HMAC-SHA256 do corpo exato', () => {
+    const corpo = Buffer.from('{"txid":"RP1","valor":"10.00"}');
+    const assinatura = crypto.createHmac('sha256', 'segredo-de-teste').update(corpo).digest('hex');
+
+    assert.equal(assinaturaWebhookValida(corpo, assinatura), true);
+    assert.equal(assinaturaWebhookValida(Buffer.from('{"txid":"RP1","valor":"99.00"}'), assinatura), false);
+    assert.equal(assinaturaWebhookValida(corpo, assinatura.slice(0, 10)), false);
+    assert.equal(assinaturaWebhookValida(corpo, undefined), false);
+    assert.equal(assinaturaWebhookValida(corpo.toString(), assinatura), false);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const {
+    REGRAS_PONTOS,
+    calcularPontosGanhos,
+    calcularResgateMaximo,
+    verificarResgate,
+    cancelarResgate,
+    creditarPontos,
+    ajustarPontosNaDevolucao,
+} = require('../src/services/pontos');
+
+const D = (valor) => new Prisma.Decimal(valor);
+
+// Extrato de pontos em memória, com o create e o aggregate que o serviço usa
+function extratoFalso(movimentos = []) {
+    const filtrar = (where) => movimentos.filter(movimento => Object.entries(where).every(([campo, valor]) => movimento[campo] === valor));
+    return {
+        movimentos,
+        movimentoPontos: {
+            create: async ({ data }) => movimentos.push(data),
+            aggregate: async ({ where }) => {
+                const encontrados = filtrar(where);
+                return { _sum: { pontos: encontrados.length ? encontrados.reduce((total, m) => total + m.pontos, 0) : null } };
+            },
+        },
+        compra: { update: async ({ data }) => data },
+    };
+}
+
+const saldo = (tx) => tx.movimentos.reduce((total, movimento) => total + movimento.pontos, 0);
+
+test('um ponto por real pago, com bônus a partir do valor mínimo', () => {
+    assert.equal(calcularPontosGanhos('999.99'), 999);
+    assert.equal(calcularPontosGanhos('1000.00'), 1000 + REGRAS_PONTOS.bonusPontos);
+});
+
+test('o resgate máximo respeita o saldo, o percentual da compra e o mínimo', () => {
+    // 50% de R$ 100 = R$ 50 = 1000 pontos de R$ 0,05
+    const { pontos, desconto } = calcularResgateMaximo(5000, '100.00');
+    assert.equal(pontos, 1000);
+    assert.equal(desconto.toFixed(2), '50.00');
+    assert.equal(calcularResgateMaximo(300, '100.00').pontos, 300);
+    assert.equal(calcularResgateMaximo(5000, '8.00').pontos, 0);
+});
+
+test('verificarResgate explica por que o resgate não vale', async () => {
+    const tx = extratoFalso([{ clienteId: 1, pontos: 400 }]);
+    const codigo = (esperado) => (erro) => erro.status === 400 && erro.detalhes.codigo === esperado;
+
+    await assert.rejects(verificarResgate(tx, 1, 1.5, D(100)), codigo('PONTOS_INVALIDOS'));
+    await assert.rejects(verificarResgate(tx, 1, 50, D(100)), codigo('PONTOS_ABAIXO_MINIMO'));
+    await assert.rejects(verificarResgate(tx, 1, 500, D(100)), codigo('PONTOS_INSUFICIENTES'));
+    await assert.rejects(verificarResgate(tx, 1, 400, D(10)), codigo('PONTOS_ACIMA_DO_LIMITE'));
+    assert.equal((await verificarResgate(tx, 1, 400, D(100))).toFixed(2), '20.00');
+});
+
+test('pagamento recusado devolve os pontos resgatados', async () => {
+    const tx = extratoFalso([{ clienteId: 1, pontos: 500 }, { clienteId: 1, compraId: 9, tipo: 'resgate', pontos: -200 }]);
+    await cancelarResgate(tx, { id: 9, clienteId: 1, pontosResgatados: 200 });
+    assert.equal(saldo(tx), 500);
+});
+
+const compraPaga = { id: 9, clienteId: 1, valorTotal: D('200.00'), pontosResgatados: 100 };
+
+test('devoluções parciais estornam os pontos aos poucos, sem passar do total da compra', async () => {
+    const tx = extratoFalso([{ clienteId: 1, compraId: 9, tipo: 'resgate', pontos: -100 }]);
+    const { pontosGanhos } = await creditarPontos(tx, compraPaga);
+    assert.equal(pontosGanhos, 200);
+
+    const compra = { ...compraPaga, pontosGanhos };
+    await ajustarPontosNaDevolucao(tx, { ...compra, valorReembolsado: D('50.00') }, false);
+    assert.deepEqual(tx.movimentos.slice(2).map(m => [m.tipo, m.pontos]), [['estorno_credito', -50], ['estorno_resgate', 25]]);
+
+    // A segunda devolução completa a compra: só o que falta é estornado
+    await ajustarPontosNaDevolucao(tx, { ...compra, valorReembolsado: D('200.00') }, true);
+    assert.deepEqual(tx.movimentos.slice(4).map(m => [m.tipo, m.pontos]), [['estorno_credito', -150], ['estorno_resgate', 75]]);
+    assert.equal(saldo(tx), 0);
+
+    // Repetir o ajuste não movimenta mais nada
+    await ajustarPontosNaDevolucao(tx, { ...compra, valorReembolsado: D('200.00') }, true);
+    assert.equal(tx.movimentos.length, 6);
+});
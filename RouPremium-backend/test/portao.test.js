@@ -0,0 +1,116 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const checkout = require('../src/services/checkout');
+
+// O portão decide a partir do resultado do checkout, que aqui é simulado
+const finalizarCompra = mock.method(checkout, 'finalizarCompra', async () => ({ compra: null }));
+const { LIMITE_RECUSAS, passarPeloPortao, abrirAposPix } = require('../src/services/portao');
+const { ErroNegocio } = require('../src/utils/erros');
+
+const visita = { id: 5, clienteId: 1, status: 'aberta', dataEntrada: new Date('2025-10-01T15:00:00Z') };
+
+// Banco falso: o que o portão consulta vem das opções; as decisões gravadas ficam em `decisoes`
+function lojaFalsa({ revisoes = [], recusas = 0, pixEmAberto = 0, liberada = false } = {}) {
+    const decisoes = liberada ? [{ id: 1, clienteId: 1, visitaId: visita.id, codigo: 'liberada_pela_equipe', acao: 'segurar' }] : [];
+    const consultasDeRecusa = [];
+    return {
+        decisoes,
+        consultasDeRecusa,
+        visita: { findFirst: async () => visita },
+        deteccaoCarrinho: { findMany: async () => revisoes },
+        compra: {
+            count: async ({ where }) => {
+                if (where.statusPagamento === 'recusada') {
+                    consultasDeRecusa.push(where);
+                    return recusas;
+                }
+                return pixEmAberto;
+            },
+        },
+        decisaoPortao: {
+            findFirst: async ({ where }) => [...decisoes].reverse()
+                .find(decisao => decisao.clienteId === (where.clienteId ?? visita.clienteId)
+                    && (!where.codigo || decisao.codigo === where.codigo)) ?? null,
+            create: async ({ data }) => {
+                const decisao = { id: decisoes.length + 1, ...data };
+                decisoes.push(decisao);
+                return decisao;
+            },
+        },
+    };
+}
+
+const compraPaga = (dados) => ({ id: 30, clienteId: 1, valorTotal: new Prisma.Decimal('150.00'), formaPagamento: 'cartao', ...dados });
+
+beforeEach(() => {
+    finalizarCompra.mock.resetCalls();
+    finalizarCompra.mock.mockImplementation(async () => ({ compra: null }));
+});
+
+test('leituras dos sensores em revisão chamam a equipe sem cobrar', async () => {
+    const prisma = lojaFalsa({ revisoes: [{ id: 8, acao: 'adicionar', motivo: 'Mais de um comprador perto da arara.' }] });
+
+    await assert.rejects(passarPeloPortao(prisma, 1, {}), (erro) => erro.status === 409
+        && erro.detalhes.codigo === 'SAIDA_BLOQUEADA'
+        && erro.detalhes.portao.acao === 'chamar_equipe'
+        && erro.detalhes.portao.codigo === 'revisao_pendente');
+    assert.equal(finalizarCompra.mock.callCount(), 0);
+    assert.deepEqual(prisma.decisoes[0].entradas.revisoesAbertas.map(revisao => revisao.id), [8]);
+});
+
+test(`${LIMITE_RECUSAS} recusas na visita são suspeita de fraude`, async () => {
+    const prisma = lojaFalsa({ recusas: LIMITE_RECUSAS });
+
+    await assert.rejects(passarPeloPortao(prisma, 1, {}), (erro) => erro.detalhes.portao.codigo === 'suspeita_fraude');
+    assert.equal(finalizarCompra.mock.callCount(), 0);
+});
+
+test('recusas por falha do provedor ou da loja não contam contra o comprador', async () => {
+    const prisma = lojaFalsa();
+    await passarPeloPortao(prisma, 1, {});
+
+    const [{ OR }] = prisma.consultasDeRecusa;
+    assert.deepEqual(OR, [{ motivoRecusa: null }, { motivoRecusa: { notIn: checkout.MOTIVOS_FALHA_NO_CHECKOUT } }]);
+});
+
+test('PIX de visitas anteriores em aberto não seguram quem a equipe já liberou', async () => {
+    const prisma = lojaFalsa({ pixEmAberto: 1, liberada: true });
+    finalizarCompra.mock.mockImplementation(async () => ({ compra: compraPaga({ statusPagamento: 'aprovada' }) }));
+
+    const { portao } = await passarPeloPortao(prisma, 1, {});
+    assert.equal(portao.acao, 'abrir');
+    assert.equal(portao.codigo, 'pagamento_aprovado');
+    assert.equal(portao.motivo, 'Pagamento de R$ 150,00 aprovado.');
+    assert.equal(portao.entradas.sinaisFraude[0].codigo, 'pix_em_aberto');
+});
+
+test('sem compras, o portão abre', async () => {
+    const { portao } = await passarPeloPortao(lojaFalsa(), 1, {});
+    assert.deepEqual([portao.acao, portao.codigo], ['abrir', 'sem_compras']);
+});
+
+test('pagamento recusado segura o comprador e a decisão vai junto com o erro', async () => {
+    finalizarCompra.mock.mockImplementation(async () => {
+        throw new ErroNegocio('Cartão recusado pelo emissor.', 402, { codigo: 'PAGAMENTO_RECUSADO', compraId: 30, motivo: 'saldo_insuficiente' });
+    });
+
+    await assert.rejects(passarPeloPortao(lojaFalsa(), 1, {}), (erro) => erro.status === 402
+        && erro.detalhes.codigo === 'PAGAMENTO_RECUSADO'
+        && erro.detalhes.portao.acao === 'segurar'
+        && erro.detalhes.portao.codigo === 'pagamento_recusado'
+        && erro.detalhes.portao.compraId === 30);
+});
+
+test('PIX pendente segura o comprador até o banco confirmar', async () => {
+    const prisma = lojaFalsa();
+    const compra = compraPaga({ formaPagamento: 'pix', statusPagamento: 'pendente' });
+    finalizarCompra.mock.mockImplementation(async () => ({ compra }));
+
+    const { portao } = await passarPeloPortao(prisma, 1, { formaPagamento: 'pix' });
+    assert.deepEqual([portao.acao, portao.codigo], ['segurar', 'pix_pendente']);
+
+    const aberto = await abrirAposPix(prisma, { ...compra, statusPagamento: 'aprovada' });
+    assert.deepEqual([aberto.acao, aberto.codigo], ['abrir', 'pix_confirmado']);
+    assert.equal(await abrirAposPix(prisma, { ...compra, id: 31 }), null);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const { aplicarPromocoes, ratearDesconto, validarDadosPromocao } = require('../src/services/promocoes');
+
+const D = (valor) => new Prisma.Decimal(valor);
+
+const item = (id, preco, quantidade, categoria = 'camisetas') => ({ id, nome: `Produto ${id}`, categoria, preco: D(preco), quantidade });
+
+const promocao = (dados) => ({
+    id: 1, nome: 'Promoção', tipo: 'percentual', valor: null, leveQuantidade: null, pagueQuantidade: null,
+    produtoId: null, categoria: null, ...dados,
+});
+
+const descontos = (resultado) => resultado.itens.map(linha => linha.desconto.toFixed(2));
+
+test('percentual e valor fixo descontam por unidade, sem passar do preço', () => {
+    const itens = [item(1, '100.00', 2), item(2, '30.00', 1, 'bermudas')];
+    const resultado = aplicarPromocoes(itens, [
+        promocao({ id: 1, tipo: 'percentual', valor: D(15), produtoId: 1 }),
+        promocao({ id: 2, tipo: 'valor_fixo', valor: D(50), categoria: 'Bermudas' }),
+    ]);
+
+    assert.deepEqual(descontos(resultado), ['30.00', '30.00']);
+    assert.equal(resultado.desconto.toFixed(2), '60.00');
+    assert.deepEqual(resultado.promocoesAplicadas.map(linha => linha.promocaoId), [1, 2]);
+});
+
+test('promoções não se acumulam: o item fica com a que dá o maior desconto', () => {
+    const itens = [item(1, '100.00', 1)];
+    const resultado = aplicarPromocoes(itens, [
+        promocao({ id: 1, tipo: 'percentual', valor: D(10), categoria: 'camisetas' }),
+        promocao({ id: 2, tipo: 'valor_fixo', valor: D(25), produtoId: 1 }),
+    ]);
+
+    assert.deepEqual(descontos(resultado), ['25.00']);
+    assert.deepEqual(resultado.promocoesAplicadas.map(linha => linha.promocaoId), [2]);
+});
+
+test('a promoção que perde ainda vale para os itens que a vencedora não pegou', () => {
+    const itens = [item(1, '100.00', 1), item(2, '80.00', 1)];
+    const resultado = aplicarPromocoes(itens, [
+        promocao({ id: 1, tipo: 'percentual', valor: D(10), categoria: 'camisetas' }),
+        promocao({ id: 2, tipo: 'valor_fixo', valor: D(25), produtoId: 1 }),
+    ]);
+
+    assert.deepEqual(descontos(resultado), ['25.00', '8.00']);
+    assert.equal(resultado.desconto.toFixed(2), '33.00');
+});
+
+test('leve 3, pague 2 conta as unidades juntas e dá de graça as mais baratas', () => {
+    const itens = [item(1, '50.00', 2), item(2, '40.00', 2), item(3, '90.00', 2)];
+    const resultado = aplicarPromocoes(itens, [
+        promocao({ tipo: 'leve_pague', leveQuantidade: 3, pagueQuantidade: 2, categoria: 'camisetas' }),
+    ]);
+
+    // 6 unidades: 2 de graça, as duas de R$ 40
+    assert.deepEqual(descontos(resultado), ['0.00', '80.00', '0.00']);
+    assert.equal(resultado.promocoesAplicadas[0].descricao, 'Leve 3, pague 2');
+});
+
+test('ratearDesconto divide na proporção do que cada item custa e o último fica com a sobra', () => {
+    const itens = [
+        { ...item(1, '100.00', 1), desconto: D(0) },
+        { ...item(2, '50.00', 2), desconto: D(10) },
+        { ...item(3, '10.00', 1), desconto: D(0) },
+    ];
+    const rateados = ratearDesconto(itens, D('10.00'));
+
+    // Base: 100 + 90 + 10 = 200
+    assert.deepEqual(rateados.map(linha => linha.desconto.toFixed(2)), ['5.00', '14.50', '0.50']);
+    assert.equal(rateados.reduce((total, linha) => total.plus(linha.desconto), D(0)).toFixed(2), '20.00');
+});
+
+test('ratearDesconto não perde centavos no arredondamento', () => {
+    const itens = [1, 2, 3].map(id => ({ ...item(id, '10.00', 1), desconto: D(0) }));
+    const rateados = ratearDesconto(itens, D('10.00'));
+    assert.deepEqual(rateados.map(linha => linha.desconto.toFixed(2)), ['3.33', '3.33', '3.34']);
+});
+
+test('validarDadosPromocao confere as regras entre campos', () => {
+    assert.throws(
+        () => validarDadosPromocao({ nome: 'Leve mais', tipo: 'leve_pague', leveQuantidade: 2, pagueQuantidade: 2, categoria: 'camisetas' }),
+        { status: 400, detalhes: { campos: { pagueQuantidade: 'O cliente deve pagar menos unidades do que leva.' } } },
+    );
+    assert.throws(
+        () => validarDadosPromocao({ nome: 'Dupla', tipo: 'percentual', valor: 10, produtoId: 1, categoria: 'camisetas' }),
+        { detalhes: { campos: { produtoId: 'Informe o produto ou a categoria da promoção (apenas um).' } } },
+    );
+    assert.throws(
+        () => validarDadosPromocao({ nome: 'Demais', tipo: 'percentual', valor: 120, produtoId: 1 }),
+        { detalhes: { campos: { valor: 'O percentual não pode passar de 100.' } } },
+    );
+});
+
+test('na edição, as regras valem para a promoção já mesclada com a existente', () => {
+    const existente = promocao({ tipo: 'percentual', valor: D(10), produtoId: 1, inicio: new Date('2025-10-01') });
+    assert.throws(
+        () => validarDadosPromocao({ fim: '2025-09-01' }, existente),
+        { detalhes: { campos: { fim: 'O fim da promoção deve ser depois do início.' } } },
+    );
+    assert.deepEqual(validarDadosPromocao({ nome: ' Outubro ' }, existente), { nome: 'Outubro' });
+});
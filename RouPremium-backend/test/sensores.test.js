@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { registrarLeituras } = require('../src/services/sensores');
+
+// Banco em memória com o pouco do Prisma que a fusão usa: filtros de igualdade, { in }, { gte, lte },
+// as relações `eventos` (detecção) e `cliente.visitas` (trilha de câmera) e os UPDATE crus do estoque.
+function lojaFalsa() {
+    const tabelas = {
+        arara: [{ id: 1, nome: 'Arara 1' }],
+        cliente: [{ id: 1, nome: 'Ana' }, { id: 2, nome: 'Bia' }],
+        visita: [{ id: 1, clienteId: 1, status: 'aberta', compraId: null }, { id: 2, clienteId: 2, status: 'aberta', compraId: null }],
+        produto: [
+            { id: 10, nome: 'Camiseta', sku: 'CAM', araraId: 1, arquivado: false, pesoGramas: 200, preco: 50 },
+            { id: 20, nome: 'Jaqueta', sku: 'JAQ', araraId: 1, arquivado: false, pesoGramas: 900, preco: 300 },
+        ],
+        variante: [
+            { id: 11, produtoId: 10, tamanho: 'M', cor: 'Preto', preco: null, estoque: 5, estoqueReservado: 0 },
+            { id: 21, produtoId: 20, tamanho: 'G', cor: 'Azul', preco: null, estoque: 5, estoqueReservado: 0 },
+        ],
+        carrinhoItem: [],
+        eventoSensor: [],
+        deteccaoCarrinho: [],
+    };
+
+    function combina(registro, where = {}) {
+        return Object.entries(where).every(([campo, condicao]) => {
+            if (condicao === undefined) return true;
+            if (campo === 'eventos') {
+                return !tabelas.eventoSensor.some(evento => evento.deteccaoId === registro.id && combina(evento, condicao.none));
+            }
+            if (campo === 'cliente') {
+                return tabelas.visita.some(visita => visita.clienteId === registro.clienteId && combina(visita, condicao.visitas.some));
+            }
+            if (condicao !== null && typeof condicao === 'object' && !(condicao instanceof Date)) {
+                const valor = registro[campo];
+                return (condicao.in === undefined || condicao.in.includes(valor))
+                    && (condicao.gte === undefined || valor >= condicao.gte)
+                    && (condicao.lte === undefined || valor <= condicao.lte);
+            }
+            return registro[campo] === condicao;
+        });
+    }
+
+    const chave = (where) => where.clienteId_varianteId ?? where;
+
+    function incluir(registro, include) {
+        if (!include || !registro) return registro;
+        const completo = { ...registro };
+        if (include.eventos) completo.eventos = tabelas.eventoSensor.filter(evento => evento.deteccaoId === registro.id);
+        if (include.variantes) completo.variantes = tabelas.variante.filter(variante => variante.produtoId === registro.id);
+        if (include.produto) completo.produto = tabelas.produto.find(produto => produto.id === registro.produtoId);
+        if (include.variante) completo.variante = tabelas.variante.find(variante => variante.id === registro.varianteId);
+        if (include.cliente) completo.cliente = tabelas.cliente.find(cliente => cliente.id === registro.clienteId) ?? null;
+        return completo;
+    }
+
+    function modelo(nome) {
+        const linhas = tabelas[nome];
+        let proximoId = 1000;
+        return {
+            findMany: async ({ where, include } = {}) => linhas.filter(linha => combina(linha, where)).map(linha => incluir(linha, include)),
+            findFirst: async ({ where }) => linhas.find(linha => combina(linha, where)) ?? null,
+            findUnique: async ({ where, include }) => incluir(linhas.find(linha => combina(linha, chave(where))) ?? null, include),
+            create: async ({ data, include }) => {
+                const linha = { id: proximoId++, ...data };
+                linhas.push(linha);
+                return incluir(linha, include);
+            },
+            update: async ({ where, data, include }) => {
+                const linha = linhas.find(registro => combina(registro, chave(where)));
+                for (const [campo, valor] of Object.entries(data)) {
+                    linha[campo] = valor?.decrement !== undefined ? linha[campo] - valor.decrement : valor;
+                }
+                return incluir(linha, include);
+            },
+            delete: async ({ where }) => linhas.splice(linhas.findIndex(registro => combina(registro, chave(where))), 1),
+        };
+    }
+
+    const prisma = Object.fromEntries(Object.keys(tabelas).map(nome => [nome, modelo(nome)]));
+    // Trava da arara e reserva do estoque (sempre com unidades livres aqui)
+    prisma.$executeRaw = async (partes, ...valores) => {
+        if (partes.join('').includes('estoque_reservado')) {
+            tabelas.variante.find(variante => variante.id === valores[1]).estoqueReservado += valores[0];
+        }
+        return 1;
+    };
+    prisma.$transaction = (operacao) => operacao(prisma);
+    return { prisma, tabelas };
+}
+
+const BASE = Date.parse('2025-10-01T15:00:00Z');
+const em = (deslocamento, leitura) => ({ araraId: 1, ...leitura, ocorridoEm: new Date(BASE + deslocamento).toISOString() });
+
+const carrinhoDe = (tabelas, clienteId) => tabelas.carrinhoItem
+    .filter(item => item.clienteId === clienteId)
+    .map(item => [item.varianteId, item.quantidade]);
+
+test('câmera, RFID e balança juntos põem a peça no carrinho de quem estava na arara', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    const resultados = await registrarLeituras(prisma, { eventos: [
+        em(-1500, { tipo: 'camera', clienteId: 1, confianca: 0.95 }),
+        em(0, { tipo: 'rfid', varianteId: 11, presente: false }),
+        em(400, { tipo: 'peso', variacaoGramas: -205 }),
+    ] });
+
+    const { deteccao } = resultados.at(-1);
+    assert.equal(tabelas.deteccaoCarrinho.length, 1);
+    assert.equal(deteccao.status, 'aplicada');
+    assert.equal(deteccao.clienteId, 1);
+    assert.ok(deteccao.confianca >= 0.8);
+    assert.deepEqual(carrinhoDe(tabelas, 1), [[11, 1]]);
+});
+
+test('dois compradores na arara mandam a retirada para a revisão', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    const resultados = await registrarLeituras(prisma, { eventos: [
+        em(-1200, { tipo: 'camera', clienteId: 1, confianca: 0.9 }),
+        em(-800, { tipo: 'camera', clienteId: 2, confianca: 0.9 }),
+        em(0, { tipo: 'rfid', varianteId: 11, presente: false }),
+    ] });
+
+    const { deteccao } = resultados.at(-1);
+    assert.equal(deteccao.status, 'em_revisao');
+    assert.equal(deteccao.motivo, 'Mais de um comprador perto da arara.');
+    assert.equal(deteccao.candidatos.length, 2);
+    assert.equal(tabelas.carrinhoItem.length, 0);
+});
+
+test('a trilha da câmera enviada depois da retirada, no mesmo lote, ainda acha o comprador', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    const resultados = await registrarLeituras(prisma, { eventos: [
+        em(1200, { tipo: 'camera', clienteId: 1, confianca: 0.95 }),
+        em(0, { tipo: 'rfid', varianteId: 11, presente: false }),
+        em(300, { tipo: 'peso', variacaoGramas: -198 }),
+    ] });
+
+    const { evento, deteccao } = resultados.at(-1);
+    assert.equal(evento.tipo, 'camera');
+    assert.equal(deteccao.status, 'aplicada');
+    assert.equal(deteccao.motivo, null);
+    assert.deepEqual(carrinhoDe(tabelas, 1), [[11, 1]]);
+});
+
+test('a trilha que chega em outro lote tira a retirada da fila de revisão', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    const [{ deteccao: semCamera }] = await registrarLeituras(prisma, em(0, { tipo: 'rfid', varianteId: 21, presente: false }));
+    assert.equal(semCamera.status, 'em_revisao');
+    assert.equal(semCamera.motivo, 'Nenhuma câmera viu comprador perto da arara.');
+
+    const [{ deteccao, item }] = await registrarLeituras(prisma, em(500, { tipo: 'camera', clienteId: 2, confianca: 0.95 }));
+    assert.equal(deteccao.id, semCamera.id);
+    assert.equal(deteccao.status, 'aplicada');
+    assert.equal(item.varianteId, 21);
+    assert.deepEqual(carrinhoDe(tabelas, 2), [[21, 1]]);
+});
+
+test('a trilha fora da janela das câmeras não muda a detecção em revisão', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    await registrarLeituras(prisma, em(0, { tipo: 'rfid', varianteId: 11, presente: false }));
+    const [{ deteccao }] = await registrarLeituras(prisma, em(2500, { tipo: 'camera', clienteId: 1 }));
+
+    assert.equal(deteccao, null);
+    assert.equal(tabelas.deteccaoCarrinho[0].status, 'em_revisao');
+    assert.equal(tabelas.carrinhoItem.length, 0);
+});
+
+test('na devolução, entre os compradores na arara fica quem tem a peça no carrinho', async () => {
+    const { prisma, tabelas } = lojaFalsa();
+    tabelas.carrinhoItem.push({ id: 1, clienteId: 1, produtoId: 10, varianteId: 11, quantidade: 1 });
+    tabelas.variante[0].estoqueReservado = 1;
+
+    const resultados = await registrarLeituras(prisma, { eventos: [
+        em(-1000, { tipo: 'camera', clienteId: 1, confianca: 0.95 }),
+        em(-1000, { tipo: 'camera', clienteId: 2, confianca: 0.95 }),
+        em(0, { tipo: 'rfid', varianteId: 11, presente: true }),
+    ] });
+
+    const { deteccao } = resultados.at(-1);
+    assert.equal(deteccao.acao, 'remover');
+    assert.equal(deteccao.status, 'aplicada');
+    assert.deepEqual(deteccao.candidatos.map(candidato => candidato.clienteId), [1]);
+    assert.deepEqual(carrinhoDe(tabelas, 1), []);
+    assert.equal(tabelas.variante[0].estoqueReservado, 0);
+});
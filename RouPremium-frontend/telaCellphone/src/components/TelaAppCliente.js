@@ -3,10 +3,61 @@ import './TelaAppCliente.css';
 
 const API_URL = 'http://localhost:3000/api';
 
+// ========================================================================================
+// SESSÃO DO CLIENTE
+// ========================================================================================
+
+// Token da sessão aberta no login, guardado no aparelho para sobreviver a recarregamentos
+const CHAVE_SESSAO = 'roupremium-sessao';
+let tokenSessao = null;
+
+const lerSessaoSalva = () => {
+  try {
+    const sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    tokenSessao = sessao?.token || null;
+    return sessao;
+  } catch {
+    return null;
+  }
+};
+
+const salvarSessao = (sessao) => {
+  tokenSessao = sessao?.token || null;
+  if (sessao) {
+    localStorage.setItem(CHAVE_SESSAO, JSON.stringify(sessao));
+  } else {
+    localStorage.removeItem(CHAVE_SESSAO);
+  }
+};
+
+// fetch com o token da sessão no cabeçalho Authorization
+const fetchComSessao = (url, options = {}) => fetch(url, {
+  ...options,
+  headers: {
+    ...(tokenSessao ? { Authorization: `Bearer ${tokenSessao}` } : {}),
+    ...options.headers
+  }
+});
+
+// Baixa um arquivo com o token no cabeçalho (um link comum levaria o token na URL) e entrega ao navegador
+const baixarComSessao = async (url, nomeArquivo) => {
+  const response = await fetchComSessao(url);
+  if (!response.ok) {
+    throw new Error('Não foi possível baixar o arquivo.');
+  }
+  const arquivo = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = arquivo;
+  link.download = nomeArquivo;
+  link.click();
+  URL.revokeObjectURL(arquivo);
+};
+
 /**
  * COMPONENTE PRINCIPAL - TELA APP CLIENTE
  * 
  * Este é o componente principal que simula a tela do app do cliente.
+ * Antes de tudo, o cliente entra na conta (Login, ver ExemploUso).
  * Gerencia 3 estados principais:
  * 1. Boas-vindas - Quando cliente entra na loja
  * 2. Carrinho - Exibe itens adicionados e subtotal
@@ -22,7 +73,10 @@ const API_URL = 'http://localhost:3000/api';
  * Permite que a tela principal "escute" eventos externos como:
  * - cliente-entrou-loja
  * - item-adicionado
- * - cliente-pagou
+ * - item-removido / carrinho-limpo (cliente devolveu produtos à arara)
+ * - cliente-pagou / pix-gerado / pagamento-recusado
+ * - compra-reembolsada (devolução registrada pela loja)
+ * Os eventos chegam do back-end pelo stream de /api/eventos (ver useEventosDaLoja)
  */
 class EventBus {
   constructor() {
@@ -68,6 +122,72 @@ const useEvent = (eventName, callback) => {
   }, [eventName, callback]);
 };
 
+// Eventos publicados pelo back-end que são repassados para o EventBus
+const EVENTOS_DA_LOJA = [
+  'cliente-entrou-loja',
+  'item-adicionado',
+  'item-removido',
+  'carrinho-limpo',
+  'cliente-pagou',
+  'pix-gerado',
+  'pagamento-recusado',
+  'compra-reembolsada'
+];
+
+// Espera antes de reabrir o stream de eventos que caiu
+const INTERVALO_RECONEXAO_EVENTOS = 3000;
+
+/**
+ * Hook useEventosDaLoja - Conecta no stream de eventos (SSE) do cliente
+ * e repassa cada evento recebido para o EventBus
+ * @param {number} clienteId - Cliente acompanhado pelo app
+ */
+const useEventosDaLoja = (clienteId) => {
+  useEffect(() => {
+    if (!clienteId) return;
+
+    let stream = null;
+    let reconexao = null;
+    let encerrado = false;
+
+    // O EventSource não manda cabeçalhos: cada conexão usa um token de uso único pedido com a sessão
+    const conectar = async () => {
+      try {
+        const response = await fetchComSessao(`${API_URL}/eventos/${clienteId}/token`, { method: 'POST' });
+        if (!response.ok) throw new Error('Token do stream recusado');
+        const { token } = await response.json();
+        if (encerrado) return;
+
+        stream = new EventSource(`${API_URL}/eventos/${clienteId}?token=${encodeURIComponent(token)}`);
+        EVENTOS_DA_LOJA.forEach(eventName => {
+          stream.addEventListener(eventName, (event) => {
+            eventBus.emit(eventName, JSON.parse(event.data));
+          });
+        });
+        // A reconexão automática do EventSource reusaria o token já gasto: reconecta com um novo
+        stream.onerror = () => {
+          stream.close();
+          agendarReconexao();
+        };
+      } catch {
+        agendarReconexao();
+      }
+    };
+
+    const agendarReconexao = () => {
+      if (!encerrado) reconexao = setTimeout(conectar, INTERVALO_RECONEXAO_EVENTOS);
+    };
+
+    conectar();
+
+    return () => {
+      encerrado = true;
+      clearTimeout(reconexao);
+      stream?.close();
+    };
+  }, [clienteId]);
+};
+
 // ========================================================================================
 // HOOK CUSTOMIZADO PARA CHAMADAS DE API
 // ========================================================================================
@@ -84,17 +204,20 @@ const useApiCall = () => {
     setError(null);
     
     try {
-      const response = await fetch(url, {
+      const response = await fetchComSessao(url, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
           ...options.headers
-        },
-        ...options
+        }
       });
       
       // Se não conseguiu fazer a requisição, retorna dados simulados
       if (!response.ok) {
-        throw new Error('API não disponível');
+        // Erros de negócio (ex.: pagamento recusado) vêm em JSON e seguem para quem chamou
+        const erroApi = new Error('API não disponível');
+        erroApi.dados = await response.json().catch(() => null);
+        throw erroApi;
       }
       
       const text = await response.text();
@@ -110,6 +233,10 @@ const useApiCall = () => {
       
     } catch (err) {
       setLoading(false);
+      // Resposta de erro da API: repassa os detalhes para a tela exibir
+      if (err.dados) {
+        throw err;
+      }
       // NÃO define erro, apenas lança para ser capturado pela função que chamou
       throw new Error('API não disponível');
     }
@@ -190,13 +317,134 @@ const EmptyState = ({ title, message, action }) => (
 // COMPONENTES DOS ESTADOS ESPECÍFICOS
 // ========================================================================================
 
+/**
+ * Login - Tela de entrada do app, antes das boas-vindas. Também cria a conta de quem ainda não tem.
+ * @param {function} onEntrar - Recebe a sessão aberta pelo servidor ({ token, expiraEm, cliente })
+ */
+const Login = ({ onEntrar }) => {
+  // 'entrar' com e-mail e senha ou 'criar-conta'
+  const [modo, setModo] = useState('entrar');
+  const [campos, setCampos] = useState({ nome: '', email: '', senha: '', finalCartao: '' });
+  const [erro, setErro] = useState(null);
+  const [enviando, setEnviando] = useState(false);
+
+  const criandoConta = modo === 'criar-conta';
+
+  const alterarCampo = (campo) => (event) => {
+    const { value } = event.target;
+    setCampos(prev => ({ ...prev, [campo]: value }));
+  };
+
+  const trocarModo = () => {
+    setModo(criandoConta ? 'entrar' : 'criar-conta');
+    setErro(null);
+  };
+
+  const enviar = async (event) => {
+    event.preventDefault();
+    setEnviando(true);
+    setErro(null);
+
+    const corpo = criandoConta
+      ? {
+        nome: campos.nome,
+        email: campos.email,
+        senha: campos.senha,
+        metodoPagamento: { tipo: 'credito', finalCartao: campos.finalCartao }
+      }
+      : { email: campos.email, senha: campos.senha };
+
+    try {
+      const response = await fetch(`${API_URL}/${criandoConta ? 'clientes' : 'auth/login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(corpo)
+      });
+      const dados = await response.json();
+      if (!response.ok) {
+        // O cadastro devolve uma mensagem por campo em `campos`
+        setErro(dados.campos ? Object.values(dados.campos).join(' ') : dados.error);
+        return;
+      }
+      onEntrar(dados);
+    } catch {
+      setErro('Não foi possível conectar. Tente novamente.');
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  return (
+    <ScreenContainer className="login">
+      <ScreenHeader title={criandoConta ? 'Criar Conta' : 'Entrar'} />
+
+      <form className="login-formulario" onSubmit={enviar}>
+        <div className="welcome-icon">🛍️</div>
+        <h2>RouPremium</h2>
+
+        {criandoConta && (
+          <input
+            type="text"
+            placeholder="Nome"
+            autoComplete="name"
+            value={campos.nome}
+            onChange={alterarCampo('nome')}
+          />
+        )}
+        <input
+          type="email"
+          placeholder="E-mail"
+          autoComplete="email"
+          value={campos.email}
+          onChange={alterarCampo('email')}
+        />
+        <input
+          type="password"
+          placeholder="Senha"
+          autoComplete={criandoConta ? 'new-password' : 'current-password'}
+          value={campos.senha}
+          onChange={alterarCampo('senha')}
+        />
+        {criandoConta && (
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={4}
+            placeholder="Últimos 4 dígitos do cartão"
+            value={campos.finalCartao}
+            onChange={alterarCampo('finalCartao')}
+          />
+        )}
+
+        {erro && <p className="erro-login" role="alert">{erro}</p>}
+
+        <button type="submit" className="primary-button" disabled={enviando}>
+          {enviando ? 'Aguarde...' : (criandoConta ? 'Criar Conta' : 'Entrar')}
+        </button>
+        <button type="button" className="link-button" onClick={trocarModo}>
+          {criandoConta ? 'Já tenho conta' : 'Ainda não tenho conta'}
+        </button>
+      </form>
+    </ScreenContainer>
+  );
+};
+
 /**
  * BoasVindas - Primeiro estado, exibe mensagem de boas-vindas
  * @param {object} cliente - Dados do cliente (nome, id, etc)
  * @param {function} onContinuar - Callback para avançar para próximo estado
+ * @param {function} onVerPedidos - Callback para abrir o histórico de pedidos
+ * @param {number} saldoPontos - Pontos do programa de fidelidade (null enquanto não carregou)
  */
-const BoasVindas = ({ cliente, onContinuar }) => {
+const BoasVindas = ({ cliente, onContinuar, onVerPedidos, saldoPontos }) => {
   const nomeCliente = cliente?.nome || 'Cliente';
+  const [erroDownload, setErroDownload] = useState(null);
+
+  const baixarMeusDados = () => {
+    setErroDownload(null);
+    baixarComSessao(`${API_URL}/clientes/${cliente.id}/dados-pessoais`, 'roupremium-meus-dados.json')
+      .catch(err => setErroDownload(err.message));
+  };
   
   return (
     <ScreenContainer className="boas-vindas">
@@ -210,6 +458,13 @@ const BoasVindas = ({ cliente, onContinuar }) => {
         <h2>Olá, {nomeCliente}!</h2>
         <p>Bem-vindo(a) à RouPremium!</p>
         <p>Comece a adicionar produtos ao seu carrinho para fazer suas compras.</p>
+
+        {saldoPontos !== null && saldoPontos !== undefined && (
+          <div className="saldo-pontos">
+            <span>Seus pontos</span>
+            <strong>{saldoPontos}</strong>
+          </div>
+        )}
         
         {onContinuar && (
           <button 
@@ -219,18 +474,196 @@ const BoasVindas = ({ cliente, onContinuar }) => {
             Começar Compras
           </button>
         )}
+
+        {onVerPedidos && (
+          <button 
+            className="secondary-button meus-pedidos-button"
+            onClick={onVerPedidos}
+          >
+            Meus Pedidos
+          </button>
+        )}
+
+        {cliente?.id && (
+          <button
+            className="link-button"
+            onClick={baixarMeusDados}
+          >
+            Baixar meus dados (LGPD)
+          </button>
+        )}
+        {erroDownload && <p className="erro-download" role="alert">{erroDownload}</p>}
       </div>
     </ScreenContainer>
   );
 };
 
+/**
+ * Tamanho e cor escolhidos, como "42 · Azul" (vazio para itens sem variante)
+ */
+const rotuloVariante = ({ tamanho, cor } = {}) => [tamanho, cor].filter(Boolean).join(' · ');
+
+/**
+ * formatarPlano - Texto de um plano de parcelamento, ex.: "3x de R$ 416.67 sem juros"
+ */
+
+const formatarPlano = (plano) => {
+  const valorParcela = parseFloat(plano.valorParcela).toFixed(2);
+  if (plano.parcelas === 1) {
+    return `À vista - R$ ${valorParcela}`;
+  }
+  const juros = plano.semJuros
+    ? 'sem juros'
+    : `com juros (total R$ ${parseFloat(plano.valorTotal).toFixed(2)})`;
+  return `${plano.parcelas}x de R$ ${valorParcela} ${juros}`;
+};
+
 /**
  * CarrinhoCompras - Segundo estado, exibe itens do carrinho
+ * @param {number} clienteId - Id do cliente, para a prévia de promoções
  * @param {object} carrinho - Objeto contendo itens e total
  * @param {boolean} loading - Se está carregando dados do carrinho
- * @param {function} onFinalizarCompra - Callback para finalizar compra
+ * @param {function} onFinalizarCompra - Callback para finalizar compra, recebe o pagamento ({ metodoPagamentoId } ou { formaPagamento: 'pix' }), as parcelas e os pontos a usar
+ * @param {object} erroPagamento - Erro da última tentativa de pagamento ({ error, motivo })
  */
-const CarrinhoCompras = ({ carrinho, loading, onFinalizarCompra, onVoltar }) => {
+const CarrinhoCompras = ({ clienteId, carrinho, loading, onFinalizarCompra, onVoltar, erroPagamento }) => {
+  // Cartões e chaves PIX salvos; a saída cobra o escolhido (o padrão, de início) ou gera um PIX avulso ('pix')
+  const [metodosPagamento, setMetodosPagamento] = useState([]);
+  const [meioEscolhido, setMeioEscolhido] = useState(null);
+
+  useEffect(() => {
+    if (!clienteId) return;
+    fetchComSessao(`${API_URL}/clientes/${clienteId}/metodos-pagamento`)
+      .then(response => response.json())
+      .then(metodos => {
+        setMetodosPagamento(metodos);
+        setMeioEscolhido(atual => atual ?? metodos.find(metodo => metodo.padrao)?.id ?? 'pix');
+      })
+      .catch(() => setMetodosPagamento([]));
+  }, [clienteId]);
+
+  const metodoEscolhido = metodosPagamento.find(metodo => metodo.id === meioEscolhido);
+  const formaPagamento = meioEscolhido === 'pix' || metodoEscolhido?.tipo === 'pix' ? 'pix' : 'cartao';
+  const pagamento = meioEscolhido === 'pix' ? { formaPagamento: 'pix' } : { metodoPagamentoId: meioEscolhido ?? undefined };
+
+  // Planos de parcelamento no cartão oferecidos pela loja para o total atual
+  const [planosParcelamento, setPlanosParcelamento] = useState([]);
+  const [parcelas, setParcelas] = useState(1);
+
+  // Calcula total baseado nos itens
+  const calcularTotal = () => {
+    if (!carrinho?.itens) return 0;
+    return carrinho.itens.reduce((total, item) => {
+      const preco = parseFloat(item.precoUnitario || item.produto?.preco || 0);
+      const quantidade = item.quantidade || 1;
+      return total + (preco * quantidade);
+    }, 0);
+  };
+
+  // Prévia do checkout calculada pelo servidor, com as promoções vigentes
+  const [resumo, setResumo] = useState(null);
+
+  // Muda sempre que um item entra, sai ou muda de quantidade
+  const assinaturaCarrinho = (carrinho?.itens || [])
+    .map(item => `${item.varianteId}:${item.quantidade}`)
+    .join(',');
+
+  useEffect(() => {
+    if (!clienteId || !assinaturaCarrinho) {
+      setResumo(null);
+      return;
+    }
+    fetchComSessao(`${API_URL}/carrinho/${clienteId}/resumo`)
+      .then(response => response.json())
+      .then(setResumo)
+      .catch(() => setResumo(null));
+  }, [clienteId, assinaturaCarrinho]);
+
+  // Cupom digitado pelo cliente e o erro da última tentativa de aplicá-lo
+  const [codigoCupom, setCodigoCupom] = useState('');
+  const [erroCupom, setErroCupom] = useState(null);
+  const [aplicandoCupom, setAplicandoCupom] = useState(false);
+
+  const aplicarCupom = async (event) => {
+    event.preventDefault();
+    if (!codigoCupom.trim()) return;
+
+    setAplicandoCupom(true);
+    setErroCupom(null);
+    try {
+      const response = await fetchComSessao(`${API_URL}/carrinho/${clienteId}/cupom`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ codigo: codigoCupom.trim() })
+      });
+      const dados = await response.json();
+      if (!response.ok) {
+        setErroCupom(dados.error || 'Não foi possível aplicar o cupom.');
+        return;
+      }
+      setResumo(dados);
+      setCodigoCupom('');
+    } catch {
+      setErroCupom('Não foi possível aplicar o cupom. Tente novamente.');
+    } finally {
+      setAplicandoCupom(false);
+    }
+  };
+
+  const removerCupom = async () => {
+    setErroCupom(null);
+    try {
+      await fetchComSessao(`${API_URL}/carrinho/${clienteId}/cupom`, { method: 'DELETE' });
+      const response = await fetchComSessao(`${API_URL}/carrinho/${clienteId}/resumo`);
+      setResumo(await response.json());
+    } catch {
+      setErroCupom('Não foi possível remover o cupom.');
+    }
+  };
+
+  // O cupom pode deixar de valer depois de aplicado (ex.: itens devolvidos abaixo do valor mínimo)
+  const mensagemCupom = erroCupom || resumo?.erroCupom?.error;
+
+  const subtotal = calcularTotal();
+  const descontoCarrinho = parseFloat(resumo?.desconto || 0);
+  const totalCarrinho = subtotal - descontoCarrinho;
+
+  // Pontos que o cliente pode usar nesta compra (o limite depende do total)
+  const [resgatePontos, setResgatePontos] = useState(null);
+  const [usarPontos, setUsarPontos] = useState(false);
+
+  useEffect(() => {
+    if (!clienteId || totalCarrinho <= 0) return;
+    fetchComSessao(`${API_URL}/clientes/${clienteId}/pontos?valorCompra=${totalCarrinho.toFixed(2)}`)
+      .then(response => response.json())
+      .then(dados => setResgatePontos(dados.resgateMaximo || null))
+      .catch(() => setResgatePontos(null));
+  }, [clienteId, totalCarrinho]);
+
+  const pontosUsados = usarPontos && resgatePontos?.pontos > 0 ? resgatePontos.pontos : 0;
+  const descontoPontos = pontosUsados > 0 ? parseFloat(resgatePontos.desconto) : 0;
+  const desconto = descontoCarrinho + descontoPontos;
+  const total = totalCarrinho - descontoPontos;
+
+  // Desconto de promoção em cada item, vindo da prévia
+  const descontoDoItem = (item) => {
+    const itemResumo = resumo?.itens?.find(linha => linha.varianteId === item.varianteId);
+    return parseFloat(itemResumo?.desconto || 0);
+  };
+
+  // Busca os planos sempre que o total muda (a regra de parcelamento fica no servidor)
+  useEffect(() => {
+    if (total <= 0) return;
+    fetch(`${API_URL}/parcelamento?valor=${total.toFixed(2)}`)
+      .then(response => response.json())
+      .then(planos => {
+        setPlanosParcelamento(planos);
+        // Se o plano escolhido deixou de existir, volta para à vista
+        setParcelas(atual => (planos.some(plano => plano.parcelas === atual) ? atual : 1));
+      })
+      .catch(() => setPlanosParcelamento([]));
+  }, [total]);
+
   // Se não há itens, mostra estado vazio
   if (!loading && (!carrinho?.itens || carrinho.itens.length === 0)) {
     return (
@@ -248,18 +681,6 @@ const CarrinhoCompras = ({ carrinho, loading, onFinalizarCompra, onVoltar }) =>
     );
   }
 
-  // Calcula total baseado nos itens
-  const calcularTotal = () => {
-    if (!carrinho?.itens) return 0;
-    return carrinho.itens.reduce((total, item) => {
-      const preco = parseFloat(item.produto?.preco || 0);
-      const quantidade = item.quantidade || 1;
-      return total + (preco * quantidade);
-    }, 0);
-  };
-
-  const total = calcularTotal();
-
   return (
     <ScreenContainer className="carrinho-compras">
       <ScreenHeader 
@@ -278,16 +699,22 @@ const CarrinhoCompras = ({ carrinho, loading, onFinalizarCompra, onVoltar }) =>
               <h3>Itens ({carrinho.itens.length})</h3>
               
               {carrinho.itens.map((item, index) => (
-                <div key={`item-${index}-${item.produto?.id || index}`} className="item-carrinho">
+                <div key={`item-${index}-${item.varianteId || index}`} className="item-carrinho">
                   <div className="item-info">
                     <h4>{item.produto?.nome || 'Produto'}</h4>
-                    <p className="item-preco">R$ {item.produto?.preco || '0.00'}</p>
+                    {rotuloVariante(item.variante) && (
+                      <p className="item-variante">{rotuloVariante(item.variante)}</p>
+                    )}
+                    <p className="item-preco">R$ {item.precoUnitario || item.produto?.preco || '0.00'}</p>
                   </div>
                   <div className="item-quantidade">
                     <span>Qtd: {item.quantidade || 1}</span>
                   </div>
                   <div className="item-subtotal">
-                    <strong>R$ {((parseFloat(item.produto?.preco || 0) * (item.quantidade || 1))).toFixed(2)}</strong>
+                    <strong>R$ {((parseFloat(item.precoUnitario || item.produto?.preco || 0) * (item.quantidade || 1))).toFixed(2)}</strong>
+                    {descontoDoItem(item) > 0 && (
+                      <span className="item-desconto">- R$ {descontoDoItem(item).toFixed(2)}</span>
+                    )}
                   </div>
                 </div>
               ))}
@@ -295,14 +722,127 @@ const CarrinhoCompras = ({ carrinho, loading, onFinalizarCompra, onVoltar }) =>
 
             {/* Resumo do pedido */}
             <div className="resumo-carrinho">
+              {erroPagamento && (
+                <div className="alerta-erro" role="alert">
+                  <strong>{erroPagamento.error}</strong>
+                  <p>Seus itens continuam no carrinho. Tente novamente ou fale com um atendente.</p>
+                </div>
+              )}
+
+              {desconto > 0 && (
+                <div className="promocoes-aplicadas">
+                  <div className="promocao-linha">
+                    <span>Subtotal</span>
+                    <span>R$ {subtotal.toFixed(2)}</span>
+                  </div>
+                  {resumo.promocoes.map(promocao => (
+                    <div key={promocao.promocaoId} className="promocao-linha desconto">
+                      <span>
+                        {promocao.nome}
+                        <small>{promocao.descricao}</small>
+                      </span>
+                      <span>- R$ {parseFloat(promocao.desconto).toFixed(2)}</span>
+                    </div>
+                  ))}
+                  {resumo.cupom && (
+                    <div className="promocao-linha desconto">
+                      <span>
+                        Cupom {resumo.cupom.codigo}
+                        <small>{resumo.cupom.descricao}</small>
+                      </span>
+                      <span>- R$ {parseFloat(resumo.cupom.desconto).toFixed(2)}</span>
+                    </div>
+                  )}
+                  {pontosUsados > 0 && (
+                    <div className="promocao-linha desconto">
+                      <span>{pontosUsados} pontos</span>
+                      <span>- R$ {descontoPontos.toFixed(2)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Cupom de desconto */}
+              <div className="cupom-carrinho">
+                {resumo?.cupom ? (
+                  <div className="cupom-aplicado">
+                    <span>Cupom <strong>{resumo.cupom.codigo}</strong> aplicado</span>
+                    <button className="secondary-button" onClick={removerCupom}>Remover</button>
+                  </div>
+                ) : (
+                  <form className="cupom-formulario" onSubmit={aplicarCupom}>
+                    <input
+                      type="text"
+                      placeholder="Cupom de desconto"
+                      value={codigoCupom}
+                      onChange={(event) => setCodigoCupom(event.target.value.toUpperCase())}
+                    />
+                    <button type="submit" className="secondary-button" disabled={aplicandoCupom || !codigoCupom.trim()}>
+                      {aplicandoCupom ? 'Aplicando...' : 'Aplicar'}
+                    </button>
+                  </form>
+                )}
+                {mensagemCupom && <p className="erro-cupom" role="alert">{mensagemCupom}</p>}
+              </div>
+
+              {/* Resgate de pontos do programa de fidelidade */}
+              {resgatePontos?.pontos > 0 && (
+                <label className="usar-pontos">
+                  <input
+                    type="checkbox"
+                    checked={usarPontos}
+                    onChange={(event) => setUsarPontos(event.target.checked)}
+                  />
+                  Usar {resgatePontos.pontos} pontos (- R$ {parseFloat(resgatePontos.desconto).toFixed(2)})
+                </label>
+              )}
+
               <div className="linha-total">
-                <span>Subtotal:</span>
+                <span>{desconto > 0 ? 'Total com descontos:' : 'Subtotal:'}</span>
                 <strong>R$ {total.toFixed(2)}</strong>
               </div>
+
+              <div className="formas-pagamento">
+                {metodosPagamento.map(metodo => (
+                  <label key={metodo.id}>
+                    <input
+                      type="radio"
+                      name="forma-pagamento"
+                      checked={meioEscolhido === metodo.id}
+                      onChange={() => setMeioEscolhido(metodo.id)}
+                    />
+                    {metodo.apelido || metodo.descricao}
+                    {metodo.padrao && <span className="meio-padrao"> (padrão)</span>}
+                  </label>
+                ))}
+                <label>
+                  <input
+                    type="radio"
+                    name="forma-pagamento"
+                    checked={meioEscolhido === 'pix'}
+                    onChange={() => setMeioEscolhido('pix')}
+                  />
+                  PIX (QR code)
+                </label>
+              </div>
+
+              {formaPagamento === 'cartao' && planosParcelamento.length > 1 && (
+                <select
+                  className="seletor-parcelas"
+                  value={parcelas}
+                  onChange={(event) => setParcelas(parseInt(event.target.value))}
+                >
+                  {planosParcelamento.map(plano => (
+                    <option key={plano.parcelas} value={plano.parcelas}>
+                      {formatarPlano(plano)}
+                    </option>
+                  ))}
+                </select>
+              )}
               
               <button 
                 className="primary-button finalizar-button"
-                onClick={onFinalizarCompra}
+                onClick={() => onFinalizarCompra(pagamento, formaPagamento === 'cartao' ? parcelas : 1, pontosUsados || undefined)}
                 disabled={loading}
               >
                 {loading ? 'Processando...' : 'Finalizar Compra'}
@@ -315,12 +855,26 @@ const CarrinhoCompras = ({ carrinho, loading, onFinalizarCompra, onVoltar }) =>
   );
 };
 
+// Como o status de devolução aparece no recibo e no histórico
+const ROTULOS_STATUS_DEVOLUCAO = {
+  parcial: 'Parcialmente reembolsado',
+  total: 'Reembolsado'
+};
+
+// Tipo de cada linha de desconto do recibo
+const ROTULOS_DESCONTO = {
+  promocao: 'Promoção',
+  cupom: 'Cupom',
+  pontos: 'Pontos'
+};
+
 /**
  * Recibo - Terceiro estado, exibe recibo da compra finalizada
  * @param {object} dadosCompra - Dados da compra (id, data, valor, itens)
  * @param {function} onNovaCompra - Callback para iniciar nova compra
+ * @param {function} onVoltar - Se informado (recibo aberto pelo histórico), mostra o botão voltar
  */
-const Recibo = ({ dadosCompra, onNovaCompra }) => {
+const Recibo = ({ dadosCompra, onNovaCompra, onVoltar }) => {
   // Formata data para exibição
   const formatarData = (dataString) => {
     try {
@@ -331,19 +885,77 @@ const Recibo = ({ dadosCompra, onNovaCompra }) => {
     }
   };
 
+  // PIX gerado na saída e ainda não confirmado pelo banco
+  const aguardandoPix = dadosCompra?.formaPagamento === 'pix' && dadosCompra?.statusPagamento === 'pendente';
+
+  // No cartão parcelado com juros, o cobrado é o total do plano, como o "Total cobrado" do recibo
+  const totalCobrado = dadosCompra?.planoParcelamento?.valorTotal ?? dadosCompra?.valorTotal;
+
+  const copiarCodigoPix = () => {
+    navigator.clipboard?.writeText(dadosCompra.pixCopiaECola);
+  };
+
+  // Assinatura da loja (com o QR code de verificação), vinda do recibo gerado pelo servidor
+  const [assinatura, setAssinatura] = useState(null);
+  const compraId = dadosCompra?.id;
+
+  useEffect(() => {
+    setAssinatura(null);
+    if (!compraId) return;
+    fetchComSessao(`${API_URL}/compras/${compraId}/recibo`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(recibo => setAssinatura(recibo?.assinatura || null))
+      .catch(() => setAssinatura(null));
+  }, [compraId]);
+
+  // Recibo para guardar ou imprimir, no `formato` do servidor (pdf ou texto)
+  const [erroDownload, setErroDownload] = useState(null);
+  const baixarRecibo = (formato, extensao) => {
+    setErroDownload(null);
+    baixarComSessao(`${API_URL}/compras/${compraId}/recibo?formato=${formato}`, `recibo-${compraId}.${extensao}`)
+      .catch(err => setErroDownload(err.message));
+  };
+
+  // Os itens comprados trazem também uma linha por desconto (promoção, cupom ou pontos)
+  const itens = dadosCompra?.itensComprados || [];
+  const produtosComprados = itens.filter(item => !item.tipo);
+  const descontosAplicados = itens.filter(item => item.tipo);
+
+  const nomeDoDesconto = (desconto) => {
+    if (desconto.tipo === 'cupom') return `Cupom ${desconto.codigo}`;
+    if (desconto.tipo === 'pontos') return 'Resgate de pontos';
+    return desconto.nome;
+  };
+
   return (
     <ScreenContainer className="recibo">
       <ScreenHeader 
         title="Recibo da Compra"
-        showBackButton={false}
+        showBackButton={Boolean(onVoltar)}
+        onBack={onVoltar}
       />
       
       <div className="recibo-content">
-        <div className="recibo-header">
-          <div className="sucesso-icon">✅</div>
-          <h2>Compra Realizada!</h2>
-          <p>Obrigado por comprar na RouPremium</p>
-        </div>
+        {aguardandoPix ? (
+          <div className="recibo-header pix-pendente">
+            <h2>Pague com PIX</h2>
+            <p>Escaneie o QR code ou use o código copia e cola no app do seu banco</p>
+            {dadosCompra.pixQrCode && (
+              <img className="pix-qrcode" src={dadosCompra.pixQrCode} alt="QR code do PIX" />
+            )}
+            <textarea className="pix-copia-e-cola" readOnly value={dadosCompra.pixCopiaECola || ''} />
+            <button className="secondary-button" onClick={copiarCodigoPix}>
+              Copiar código
+            </button>
+            <p className="pix-aguardando">Aguardando confirmação do pagamento...</p>
+          </div>
+        ) : (
+          <div className="recibo-header">
+            <div className="sucesso-icon">✅</div>
+            <h2>Compra Realizada!</h2>
+            <p>Obrigado por comprar na RouPremium</p>
+          </div>
+        )}
 
         {/* Detalhes da compra */}
         <div className="detalhes-compra">
@@ -357,26 +969,118 @@ const Recibo = ({ dadosCompra, onNovaCompra }) => {
             <strong>{formatarData(dadosCompra?.data)}</strong>
           </div>
           
+          {parseFloat(dadosCompra?.valorDesconto || 0) > 0 && (
+            <div className="detalhe-linha desconto-linha">
+              <span>Descontos:</span>
+              <strong>- R$ {parseFloat(dadosCompra.valorDesconto).toFixed(2)}</strong>
+            </div>
+          )}
+
           <div className="detalhe-linha total-linha">
-            <span>Total Pago:</span>
-            <strong>R$ {dadosCompra?.valorTotal || '0.00'}</strong>
+            <span>{aguardandoPix ? 'Total a Pagar:' : 'Total Pago:'}</span>
+            <strong>R$ {totalCobrado ? parseFloat(totalCobrado).toFixed(2) : '0.00'}</strong>
           </div>
+
+          {/* Programa de pontos: no PIX, os pontos só entram quando o banco confirmar */}
+          {dadosCompra?.pontosGanhos > 0 && (
+            <div className="detalhe-linha pontos-linha">
+              <span>Pontos ganhos:</span>
+              <strong>+{dadosCompra.pontosGanhos}</strong>
+            </div>
+          )}
+          {aguardandoPix && (
+            <div className="detalhe-linha pontos-linha">
+              <span>Pontos:</span>
+              <strong>creditados após o pagamento</strong>
+            </div>
+          )}
+          {dadosCompra?.pontosResgatados > 0 && (
+            <div className="detalhe-linha pontos-linha">
+              <span>Pontos usados:</span>
+              <strong>{dadosCompra.pontosResgatados}</strong>
+            </div>
+          )}
+
+          {/* Devoluções feitas na loja depois da compra */}
+          {dadosCompra?.statusDevolucao && dadosCompra.statusDevolucao !== 'nenhuma' && (
+            <div className="detalhe-linha reembolso-linha">
+              <span>{ROTULOS_STATUS_DEVOLUCAO[dadosCompra.statusDevolucao]}:</span>
+              <strong>- R$ {parseFloat(dadosCompra.valorReembolsado).toFixed(2)}</strong>
+            </div>
+          )}
         </div>
 
+        {/* Parcelamento no cartão */}
+        {dadosCompra?.planoParcelamento?.parcelas > 1 && (
+          <div className="parcelamento-compra">
+            <h3>{formatarPlano(dadosCompra.planoParcelamento)}</h3>
+            {dadosCompra.planoParcelamento.cronograma.map(parcela => (
+              <div key={`parcela-${parcela.numero}`} className="parcela-linha">
+                <span>{parcela.numero}ª parcela</span>
+                <span>{new Date(`${parcela.vencimento}T12:00:00`).toLocaleDateString('pt-BR')}</span>
+                <span>R$ {parseFloat(parcela.valor).toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Itens comprados */}
-        {dadosCompra?.itensComprados && dadosCompra.itensComprados.length > 0 && (
+        {produtosComprados.length > 0 && (
           <div className="itens-comprados">
             <h3>Itens Comprados</h3>
-            {dadosCompra.itensComprados.map((item, index) => (
+            {produtosComprados.map((item, index) => (
               <div key={`comprado-${index}`} className="item-comprado">
-                <span>{item.produto?.nome || 'Produto'}</span>
+                <span>
+                  {item.nome || 'Produto'}
+                  {rotuloVariante(item) && <small className="item-variante">{rotuloVariante(item)}</small>}
+                </span>
                 <span>Qtd: {item.quantidade || 1}</span>
-                <span>R$ {item.produto?.preco || '0.00'}</span>
+                <span>R$ {parseFloat(item.preco || 0).toFixed(2)}</span>
+              </div>
+            ))}
+            {descontosAplicados.map((desconto, index) => (
+              <div key={`desconto-${index}`} className="item-comprado promocao">
+                <span>
+                  {nomeDoDesconto(desconto)}
+                  <small className="item-variante">{desconto.descricao}</small>
+                </span>
+                <span>{ROTULOS_DESCONTO[desconto.tipo]}</span>
+                <span>- R$ {parseFloat(desconto.desconto).toFixed(2)}</span>
               </div>
             ))}
           </div>
         )}
 
+        {/* Assinatura da loja: o QR code confere o recibo em /compras/:id/verificar */}
+        {assinatura && (
+          <div className="recibo-assinatura">
+            <img src={assinatura.qrCode} alt="QR code de verificação do recibo" />
+            <div>
+              <p>Recibo assinado pela RouPremium. Aponte a câmera para conferir a autenticidade.</p>
+              <code>{assinatura.valor}</code>
+            </div>
+          </div>
+        )}
+
+        {/* Recibo para guardar ou imprimir, gerado pelo servidor */}
+        {dadosCompra?.id && (
+          <div className="recibo-download">
+            <button
+              className="secondary-button"
+              onClick={() => baixarRecibo('pdf', 'pdf')}
+            >
+              Baixar recibo (PDF)
+            </button>
+            <button
+              className="secondary-button"
+              onClick={() => baixarRecibo('texto', 'txt')}
+            >
+              Texto
+            </button>
+          </div>
+        )}
+        {erroDownload && <p className="erro-download" role="alert">{erroDownload}</p>}
+
         {/* Botão para nova compra */}
         <div className="recibo-acoes">
           <button 
@@ -391,20 +1095,96 @@ const Recibo = ({ dadosCompra, onNovaCompra }) => {
   );
 };
 
+// Como cada status de pagamento aparece para o cliente
+const ROTULOS_STATUS_PAGAMENTO = {
+  aprovada: 'Pago',
+  pendente: 'Aguardando pagamento',
+  recusada: 'Recusado'
+};
+
+/**
+ * MeusPedidos - Histórico de compras do cliente, cada pedido abre como recibo
+ * @param {object} historico - { compras, pagina, totalPaginas } já carregados
+ * @param {boolean} loading - Se está carregando uma página
+ * @param {function} onCarregarMais - Busca a próxima página
+ * @param {function} onAbrirPedido - Abre o recibo de uma compra
+ * @param {function} onVoltar - Volta para a tela anterior
+ */
+const MeusPedidos = ({ historico, loading, onCarregarMais, onAbrirPedido, onVoltar }) => {
+  const { compras, pagina, totalPaginas } = historico;
+
+  return (
+    <ScreenContainer className="meus-pedidos">
+      <ScreenHeader 
+        title="Meus Pedidos" 
+        showBackButton={true}
+        onBack={onVoltar}
+      />
+
+      <div className="pedidos-content">
+        {compras.length === 0 && loading && <LoadingState message="Carregando pedidos..." />}
+
+        {compras.length === 0 && !loading && (
+          <EmptyState 
+            title="Nenhum pedido ainda"
+            message="Suas compras na RouPremium aparecerão aqui."
+          />
+        )}
+
+        {compras.map(compra => (
+          <button 
+            key={compra.id}
+            className="pedido-item"
+            onClick={() => onAbrirPedido(compra)}
+          >
+            <div className="pedido-info">
+              <h4>Pedido #{compra.id}</h4>
+              <p>{new Date(compra.data).toLocaleString('pt-BR')}</p>
+            </div>
+            <div className="pedido-resumo">
+              <strong>R$ {parseFloat(compra.valorTotal).toFixed(2)}</strong>
+              <span className={`pedido-status status-${compra.statusPagamento}`}>
+                {ROTULOS_STATUS_PAGAMENTO[compra.statusPagamento] || compra.statusPagamento}
+              </span>
+              {ROTULOS_STATUS_DEVOLUCAO[compra.statusDevolucao] && (
+                <span className="pedido-status status-reembolso">
+                  {ROTULOS_STATUS_DEVOLUCAO[compra.statusDevolucao]}
+                </span>
+              )}
+            </div>
+          </button>
+        ))}
+
+        {pagina < totalPaginas && (
+          <button 
+            className="secondary-button carregar-mais"
+            onClick={onCarregarMais}
+            disabled={loading}
+          >
+            {loading ? 'Carregando...' : 'Carregar mais'}
+          </button>
+        )}
+      </div>
+    </ScreenContainer>
+  );
+};
+
 // ========================================================================================
 // COMPONENTE PRINCIPAL
 // ========================================================================================
 
 /**
  * TelaAppCliente - Componente principal que gerencia todos os estados
+ * @param {number} clienteId - Cliente cujos eventos da loja o app acompanha
  * 
  * Estados gerenciados:
- * - estadoAtual: 'boas-vindas' | 'carrinho' | 'recibo'
+ * - estadoAtual: 'boas-vindas' | 'carrinho' | 'recibo' | 'pedidos'
  * - dadosCliente: informações do cliente que entrou na loja
  * - carrinho: itens adicionados e totais
- * - dadosCompra: resultado da compra finalizada
+ * - dadosCompra: resultado da compra finalizada (ou pedido aberto pelo histórico)
+ * - historico: compras anteriores já carregadas na tela de pedidos
  */
-const TelaAppCliente = () => {
+const TelaAppCliente = ({ clienteId }) => {
   // ========================================================================================
   // ESTADOS DO COMPONENTE
   // ========================================================================================
@@ -416,6 +1196,10 @@ const TelaAppCliente = () => {
   const [dadosCliente, setDadosCliente] = useState(null);
   const [carrinho, setCarrinho] = useState({ itens: [] });
   const [dadosCompra, setDadosCompra] = useState(null);
+  const [erroPagamento, setErroPagamento] = useState(null);
+  const [historico, setHistorico] = useState({ compras: [], pagina: 0, totalPaginas: 0 });
+  const [reciboDoHistorico, setReciboDoHistorico] = useState(false);
+  const [saldoPontos, setSaldoPontos] = useState(null);
   
   // Estados de interface para controle de loading/erro
   const [interfaceState, setInterfaceState] = useState({
@@ -444,6 +1228,53 @@ const TelaAppCliente = () => {
     setEstadoAtual('boas-vindas');
   }, []);
 
+  /**
+   * buscarPedidos - Carrega uma página do histórico (a página 1 recomeça a lista)
+   * Tentativas de pagamento recusadas não aparecem para o cliente
+   */
+  const buscarPedidos = useCallback(async (pagina) => {
+    if (!clienteId) return;
+
+    try {
+      const resposta = await makeRequest(
+        `${API_URL}/clientes/${clienteId}/compras?pagina=${pagina}&status=aprovada,pendente`
+      );
+      setHistorico(prev => ({
+        compras: pagina === 1 ? resposta.compras : [...prev.compras, ...resposta.compras],
+        pagina: resposta.pagina,
+        totalPaginas: resposta.totalPaginas
+      }));
+    } catch (error) {
+      console.error('Erro ao carregar pedidos:', error);
+    }
+  }, [clienteId, makeRequest]);
+
+  /**
+   * irParaPedidos - Abre o histórico de pedidos
+   */
+  const irParaPedidos = useCallback(() => {
+    setEstadoAtual('pedidos');
+    buscarPedidos(1);
+  }, [buscarPedidos]);
+
+  /**
+   * abrirPedido - Mostra um pedido do histórico como recibo
+   */
+  const abrirPedido = useCallback((compra) => {
+    setDadosCompra(compra);
+    setReciboDoHistorico(true);
+    setEstadoAtual('recibo');
+  }, []);
+
+  /**
+   * voltarParaPedidos - Fecha o recibo aberto pelo histórico
+   */
+  const voltarParaPedidos = useCallback(() => {
+    setReciboDoHistorico(false);
+    setDadosCompra(null);
+    setEstadoAtual('pedidos');
+  }, []);
+
 /**
  * buscarCarrinho - Faz chamada para API para obter itens do carrinho
  */
@@ -451,7 +1282,7 @@ const buscarCarrinho = useCallback(async (clienteId) => {
   if (!clienteId) return;
   
   try {
-    const dadosCarrinho = await makeRequest(`/api/carrinho/${clienteId}`);
+    const dadosCarrinho = await makeRequest(`${API_URL}/carrinho/${clienteId}`);
     setCarrinho({ itens: dadosCarrinho || [] });
   } catch (error) {
     console.log('🔧 API não existe, usando dados simulados');
@@ -460,10 +1291,14 @@ const buscarCarrinho = useCallback(async (clienteId) => {
     const dadosSimulados = [
       {
         produto: { nome: 'Camisa de Seda', preco: '799.90' },
+        variante: { tamanho: 'M', cor: 'Branca' },
+        precoUnitario: '799.90',
         quantidade: 1
       },
       {
         produto: { nome: 'Calça Social', preco: '459.90' },
+        variante: { tamanho: '42', cor: 'Preta' },
+        precoUnitario: '459.90',
         quantidade: 2
       }
     ];
@@ -472,19 +1307,27 @@ const buscarCarrinho = useCallback(async (clienteId) => {
   }
 }, [makeRequest]);
 
-const finalizarCompra = useCallback(async () => {
+const finalizarCompra = useCallback(async (pagamento = {}, parcelas = 1, pontos) => {
   if (!dadosCliente?.id) return;
 
+  setErroPagamento(null);
   try {
-    const resultado = await makeRequest('/api/simulacao/sair', {
+    const resultado = await makeRequest(`${API_URL}/simulacao/sair`, {
       method: 'POST',
-      body: JSON.stringify({ clienteId: dadosCliente.id })
+      body: JSON.stringify({ clienteId: dadosCliente.id, ...pagamento, parcelas, pontos })
     });
 
     setDadosCompra(resultado);
+    setReciboDoHistorico(false);
     setCarrinho({ itens: [] });
     setEstadoAtual('recibo');
   } catch (error) {
+    // Pagamento recusado: o carrinho continua intacto e o motivo é exibido
+    if (error.dados?.error) {
+      setErroPagamento(error.dados);
+      return;
+    }
+
     console.log('🔧 API não existe, usando dados simulados');
     
     // DADOS SIMULADOS da compra
@@ -494,7 +1337,10 @@ const finalizarCompra = useCallback(async () => {
       valorTotal: '1259.80',
       itensComprados: [
         {
-          produto: { nome: 'Camisa de Seda', preco: '799.90' },
+          nome: 'Camisa de Seda',
+          tamanho: 'M',
+          cor: 'Branca',
+          preco: '799.90',
           quantidade: 1
         }
       ]
@@ -512,6 +1358,8 @@ const finalizarCompra = useCallback(async () => {
   const iniciarNovaCompra = useCallback(() => {
     setCarrinho({ itens: [] });
     setDadosCompra(null);
+    setErroPagamento(null);
+    setReciboDoHistorico(false);
     setInterfaceState({ loading: false, error: null });
     setEstadoAtual('boas-vindas');
   }, []);
@@ -520,6 +1368,9 @@ const finalizarCompra = useCallback(async () => {
   // EVENT LISTENERS - ESCUTA EVENTOS EXTERNOS
   // ========================================================================================
 
+  // Recebe os eventos do cliente publicados pelo back-end
+  useEventosDaLoja(clienteId);
+
   // Escuta evento de cliente entrando na loja
   useEvent('cliente-entrou-loja', useCallback((cliente) => {
     setDadosCliente(cliente);
@@ -545,10 +1396,65 @@ const finalizarCompra = useCallback(async () => {
     }
   }, [estadoAtual, dadosCliente?.id, buscarCarrinho]));
 
+  // Escuta evento de item devolvido à arara - o servidor tem a quantidade correta
+  useEvent('item-removido', useCallback(() => {
+    if (dadosCliente?.id) {
+      buscarCarrinho(dadosCliente.id);
+    }
+  }, [dadosCliente?.id, buscarCarrinho]));
+
+  // Escuta evento de carrinho esvaziado
+  useEvent('carrinho-limpo', useCallback(() => {
+    setCarrinho({ itens: [] });
+  }, []));
+
+  // Escuta evento de compra finalizada (inclusive quando feita pelo simulador web)
+  useEvent('cliente-pagou', useCallback((compra) => {
+    setErroPagamento(null);
+    setReciboDoHistorico(false);
+    setDadosCompra(compra);
+    setCarrinho({ itens: [] });
+    setEstadoAtual('recibo');
+  }, []));
+
+  // Escuta evento de cobrança PIX gerada na saída - recibo mostra o QR até o banco confirmar
+  useEvent('pix-gerado', useCallback((compra) => {
+    setErroPagamento(null);
+    setReciboDoHistorico(false);
+    setDadosCompra(compra);
+    setCarrinho({ itens: [] });
+    setEstadoAtual('recibo');
+  }, []));
+
+  // Escuta evento de devolução registrada pela loja - atualiza o recibo e o histórico abertos
+  useEvent('compra-reembolsada', useCallback((compra) => {
+    setDadosCompra(prev => (prev?.id === compra.id ? { ...prev, ...compra } : prev));
+    setHistorico(prev => ({
+      ...prev,
+      compras: prev.compras.map(item => (item.id === compra.id ? compra : item))
+    }));
+  }, []));
+
+  // Escuta evento de pagamento recusado na saída - volta ao carrinho mostrando o motivo
+  useEvent('pagamento-recusado', useCallback((erro) => {
+    setErroPagamento(erro);
+    setEstadoAtual('carrinho');
+  }, []));
+
   // ========================================================================================
   // EFEITOS DE SINCRONIZAÇÃO
   // ========================================================================================
 
+  // Atualiza o saldo de pontos sempre que o cliente volta às boas-vindas (na entrada e depois de cada compra).
+  // Usa fetch direto: sem o saldo, a tela continua funcionando e não deve ir para o estado de erro.
+  useEffect(() => {
+    if (estadoAtual !== 'boas-vindas' || !dadosCliente?.id) return;
+    fetchComSessao(`${API_URL}/clientes/${dadosCliente.id}/pontos`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(dados => setSaldoPontos(dados ? dados.saldo : null))
+      .catch(() => setSaldoPontos(null));
+  }, [estadoAtual, dadosCliente?.id]);
+
   // Busca carrinho quando muda para estado carrinho
   useEffect(() => {
     if (estadoAtual === 'carrinho' && dadosCliente?.id) {
@@ -579,16 +1485,20 @@ const finalizarCompra = useCallback(async () => {
         <BoasVindas 
           cliente={dadosCliente}
           onContinuar={irParaCarrinho}
+          onVerPedidos={irParaPedidos}
+          saldoPontos={saldoPontos}
         />
       );
       
     case 'carrinho':
       return (
         <CarrinhoCompras 
+          clienteId={dadosCliente?.id}
           carrinho={carrinho}
           loading={apiLoading}
           onFinalizarCompra={finalizarCompra}
           onVoltar={voltarParaBoasVindas}
+          erroPagamento={erroPagamento}
         />
       );
       
@@ -597,6 +1507,18 @@ const finalizarCompra = useCallback(async () => {
         <Recibo 
           dadosCompra={dadosCompra}
           onNovaCompra={iniciarNovaCompra}
+          onVoltar={reciboDoHistorico ? voltarParaPedidos : undefined}
+        />
+      );
+
+    case 'pedidos':
+      return (
+        <MeusPedidos 
+          historico={historico}
+          loading={apiLoading}
+          onCarregarMais={() => buscarPedidos(historico.pagina + 1)}
+          onAbrirPedido={abrirPedido}
+          onVoltar={voltarParaBoasVindas}
         />
       );
       
@@ -613,52 +1535,57 @@ const finalizarCompra = useCallback(async () => {
 };
 
 // ========================================================================================
-// EXPORTAÇÃO E SIMULAÇÃO DE EVENTOS EXTERNOS
+// EXPORTAÇÃO E SELEÇÃO DO CLIENTE ACOMPANHADO
 // ========================================================================================
 
-// Função para simular eventos externos (para teste)
-// IMPORTANTE: Esta função seria chamada pela tela principal da simulação
-window.simularEventoExterno = {
-  clienteEntrou: (cliente) => eventBus.emit('cliente-entrou-loja', cliente),
-  itemAdicionado: (item) => eventBus.emit('item-adicionado', item),
-  clientePagou: (dados) => eventBus.emit('cliente-pagou', dados)
-};
-
-// Componente de exemplo/teste
+/**
+ * ExemploUso - Envolve o app em um "telefone". Sem sessão, mostra o login;
+ * com ela, o app acompanha o cliente logado
+ */
 const ExemploUso = () => {
-  const testarEventos = () => {
-    // Simula cliente entrando
-    window.simularEventoExterno.clienteEntrou({
-      id: 1,
-      nome: 'João Silva'
-    });
-    
-    // Simula adição de item após 2 segundos
-    setTimeout(() => {
-      window.simularEventoExterno.itemAdicionado({
-        produto: {
-          id: 101,
-          nome: 'Camisa de Seda',
-          preco: '799.90'
-        },
-        quantidade: 1
-      });
-    }, 2000);
-  };
+  const [sessao, setSessao] = useState(lerSessaoSalva);
+
+  const entrar = useCallback((novaSessao) => {
+    salvarSessao(novaSessao);
+    setSessao(novaSessao);
+  }, []);
+
+  const sair = useCallback(async () => {
+    await fetchComSessao(`${API_URL}/auth/logout`, { method: 'POST' }).catch(() => null);
+    salvarSessao(null);
+    setSessao(null);
+  }, []);
+
+  // A sessão salva no aparelho pode ter expirado: confere com o servidor ao abrir o app
+  useEffect(() => {
+    if (!tokenSessao) return;
+    fetchComSessao(`${API_URL}/auth/eu`)
+      .then(response => {
+        if (response.status === 401) {
+          salvarSessao(null);
+          setSessao(null);
+        }
+      })
+      .catch(() => null);
+  }, []);
 
   return (
     <div className="app-completo">
-      <div className="controles-teste">
-        <button onClick={testarEventos}>
-          🧪 Testar Eventos
-        </button>
-      </div>
+      {sessao && (
+        <div className="controles-teste">
+          <span>Conectado como <strong>{sessao.cliente.nome}</strong> </span>
+          <button onClick={sair}>Sair</button>
+        </div>
+      )}
       
       <div className="simulacao-telefone">
-        <TelaAppCliente />
+        {/* A key reinicia o app ao trocar de conta */}
+        {sessao
+          ? <TelaAppCliente key={sessao.cliente.id} clienteId={sessao.cliente.id} />
+          : <Login onEntrar={entrar} />}
       </div>
     </div>
   );
 };
 
-export default ExemploUso;
\ No newline at end of file
+export default ExemploUso;
@@ -1,140 +1,480 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import PainelComprador from './components/PainelComprador';
+import PlantaLoja from './components/PlantaLoja';
+import EditorArara from './components/EditorArara';
+import LoginSimulador from './components/LoginSimulador';
+import { styles, CORES_COMPRADORES, SINAIS_PORTAO } from './estilos';
 
 const API_URL = 'http://localhost:3000/api';
 
-const carrinhosPredefinidos = {
-  1: [2, 2, 5], // Cliente 1 (Moisés) pega os produtos calça e jaqueta
-  2: [3, 5], // Cliente 2 (Gabi) pega os produtos bermuda cargo e jaqueta
-  3: [1, 2], // Cliente 3 (Liliana) pega os produtos camisa de seda e calça
-  4: [2, 4], // Cliente 4 (Luis) pega os produtos calça e camisa polo
-  5: [1, 1, 3], // Cliente 5 (Pedro) pega os produtos camisa de seda e bermuda cargo
+// Sem cenário, o cliente pega produtos ao acaso entre os que ainda estão na arara
+const sortear = (lista) => lista[Math.floor(Math.random() * lista.length)];
+
+const escolherProduto = (produtos) => {
+  const comEstoque = produtos.filter(p => p.variantes.some(v => v.disponivel > 0));
+  return sortear(comEstoque.length > 0 ? comEstoque : produtos);
+};
+
+// O cliente pega um tamanho/cor ao acaso entre os que ainda estão na arara
+const escolherVariante = (produto) => {
+  const comEstoque = produto.variantes.filter(v => v.disponivel > 0);
+  const opcoes = comEstoque.length > 0 ? comEstoque : produto.variantes;
+  return sortear(opcoes);
 };
 
+// "Calça Jeans 42 Azul"
+const descreverItem = (produto, variante) => `${produto.nome} ${variante.tamanho} ${variante.cor}`;
+
+// Mensagens guardadas por comprador; as mais antigas saem do log
+const LIMITE_LOG = 50;
+// Pausa entre as etapas da jornada automática, para dar tempo de ver o comprador andar
+const PAUSA_JORNADA = 800;
+// Produtos que o comprador pega na jornada automática
+const PRODUTOS_JORNADA = 2;
+// De quanto em quanto tempo o simulador consulta o andamento de um cenário no servidor
+const INTERVALO_ACOMPANHAMENTO = 500;
+// Onde o comprador aparece no mapa enquanto faz cada passo do cenário
+const POSICAO_DO_PASSO = { entrar: 'entry', pegar: 'rack', devolver: 'rack' };
+// Tempo para o marcador chegar à arara antes de pegar o produto (a transição do marcador leva 0.8s)
+const PAUSA_CAMINHADA = 800;
+// Arara criada pelo botão "Nova arara", no meio da planta
+const NOVA_ARARA = { x: 40, y: 40, largura: 15, altura: 12 };
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const mensagemDeErro = (error, mensagemPadrao) => error.response?.data?.error || mensagemPadrao;
+
 export default function App() {
   // --- Estados do Componente ---
 
+  // Sessão curta do gerente que abriu o simulador; com ela, o simulador age pelos clientes como o
+  // sistema da loja. Só fica na memória: recarregar a página pede o login de novo.
+  const [sessao, setSessao] = useState(null);
+
   const [clientesApi, setClientesApi] = useState([]);
   const [produtosApi, setProdutosApi] = useState([]);
-  const [clienteSelecionadoId, setClienteSelecionadoId] = useState('');
-
-  const [logMessages, setLogMessages] = useState([]);
-  const [clientPosition, setClientPosition] = useState(null);
+  const [clienteParaAdicionar, setClienteParaAdicionar] = useState('');
+  const [cenarios, setCenarios] = useState([]);
+  const [cenarioSelecionadoId, setCenarioSelecionadoId] = useState('');
+  const [logGeral, setLogGeral] = useState([]);
   const [tooltip, setTooltip] = useState({ visible: false, content: '', x: 0, y: 0 });
 
+  // Planta da loja (zonas e araras) e o modo de edição, em que as araras podem ser arrastadas
+  const [planta, setPlanta] = useState({ zonas: [], araras: [] });
+  const [editandoPlanta, setEditandoPlanta] = useState(false);
+  const [araraSelecionadaId, setAraraSelecionadaId] = useState(null);
+  const [salvandoArara, setSalvandoArara] = useState(false);
+
+  // Última decisão do portão de saída (abrir, segurar ou chamar a equipe), mostrada ao lado da "Saída"
+  const [portao, setPortao] = useState(null);
+
+  // Compradores na simulação, por id do cliente. Cada um tem a sua posição no mapa, o seu log e o
+  // seu pagamento na saída: meioPagamento '' cobra o meio padrão, 'pix' gera uma cobrança PIX avulsa
+  // (pendente até o banco confirmar) e o id de um método salvo cobra aquele cartão ou chave
+  const [compradores, setCompradores] = useState({});
+
+  // Clientes com uma chamada em andamento: as ações de um mesmo comprador não se atropelam,
+  // mas compradores diferentes andam em paralelo
+  const emAndamento = useRef(new Set());
+
+  // Sessão expirada ou encerrada: volta para o login
+  useEffect(() => {
+    const interceptador = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401) {
+        delete axios.defaults.headers.common.Authorization;
+        setSessao(null);
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptador);
+  }, []);
+
   useEffect(() => {
+    if (!sessao) return;
+
     const fetchData = async () => {
       try {
-        // Busca clientes e produtos em paralelo para otimizar
-        const [clientesResponse, produtosResponse] = await Promise.all([
+        // Busca clientes, produtos, cenários e a planta em paralelo para otimizar
+        const [clientesResponse, produtosResponse, cenariosResponse, plantaResponse] = await Promise.all([
           axios.get(`${API_URL}/clientes`),
-          axios.get(`${API_URL}/produtos`)
+          axios.get(`${API_URL}/produtos`),
+          axios.get(`${API_URL}/cenarios`),
+          axios.get(`${API_URL}/planta`)
         ]);
         
         setClientesApi(clientesResponse.data);
         setProdutosApi(produtosResponse.data);
+        setCenarios(cenariosResponse.data);
+        setPlanta(plantaResponse.data);
 
         if (clientesResponse.data.length > 0) {
-          setClienteSelecionadoId(clientesResponse.data[0].id);
+          setClienteParaAdicionar(clientesResponse.data[0].id);
+        }
+        if (cenariosResponse.data.length > 0) {
+          setCenarioSelecionadoId(cenariosResponse.data[0].id);
         }
       } catch (error) {
         const errorMsg = "Erro ao carregar dados iniciais da API.";
-        setLogMessages(prev => [errorMsg, ...prev]);
+        setLogGeral(prev => [errorMsg, ...prev]);
         console.error(errorMsg, error);
       }
     };
 
     fetchData();
-  }, []);
+  }, [sessao]);
 
-  // --- Funções de Evento (Handlers) ---
+  const entrarNoSimulador = (novaSessao) => {
+    axios.defaults.headers.common.Authorization = `Bearer ${novaSessao.token}`;
+    setSessao(novaSessao);
+  };
+
+  const sairDoSimulador = async () => {
+    await axios.post(`${API_URL}/equipe/logout`).catch(() => {});
+    delete axios.defaults.headers.common.Authorization;
+    setCompradores({});
+    setSessao(null);
+  };
+
+  // --- Estado de cada comprador ---
+
+  // Mudanças de um comprador que saiu da simulação no meio de uma chamada são descartadas
+  const atualizarComprador = (clienteId, mudancas) => {
+    setCompradores(prev => {
+      if (!prev[clienteId]) return prev;
+      const atual = prev[clienteId];
+      const novo = typeof mudancas === 'function' ? mudancas(atual) : mudancas;
+      return { ...prev, [clienteId]: { ...atual, ...novo } };
+    });
+  };
+
+  const registrarLog = (clienteId, mensagem) => {
+    atualizarComprador(clienteId, atual => ({ log: [mensagem, ...atual.log].slice(0, LIMITE_LOG) }));
+  };
+
+  const registrarErro = (clienteId, error, mensagemPadrao) => {
+    const errorMsg = mensagemDeErro(error, mensagemPadrao);
+    registrarLog(clienteId, errorMsg);
+    console.error(errorMsg, error);
+  };
 
-  const handleEnter = async () => {
-    if (!clienteSelecionadoId) return;
+  const executar = async (clienteId, acao) => {
+    if (emAndamento.current.has(clienteId)) return;
+    emAndamento.current.add(clienteId);
+    atualizarComprador(clienteId, { ocupado: true });
     try {
-      const response = await axios.post(`${API_URL}/simulacao/entrar`, {
-        clienteId: parseInt(clienteSelecionadoId),
-      });
-      setLogMessages(prev => [response.data.mensagem, ...prev]);
-      setClientPosition('entry');
+      await acao();
+    } finally {
+      emAndamento.current.delete(clienteId);
+      atualizarComprador(clienteId, { ocupado: false });
+    }
+  };
+
+  const adicionarComprador = (clienteId) => {
+    const indice = clientesApi.findIndex(c => c.id === clienteId);
+    if (indice === -1) return;
+    setCompradores(prev => (prev[clienteId] ? prev : {
+      ...prev,
+      [clienteId]: {
+        clienteId,
+        nome: clientesApi[indice].nome,
+        cor: CORES_COMPRADORES[indice % CORES_COMPRADORES.length],
+        posicao: null,
+        ocupado: false,
+        meioPagamento: '',
+        metodosPagamento: [],
+        pixPendente: null,
+        log: [],
+      },
+    }));
+
+    // Cartões e chaves PIX salvos do cliente, para escolher o pagamento na saída
+    axios.get(`${API_URL}/clientes/${clienteId}/metodos-pagamento`)
+      .then(response => atualizarComprador(clienteId, { metodosPagamento: response.data }))
+      .catch(() => atualizarComprador(clienteId, { metodosPagamento: [] }));
+  };
+
+  const removerComprador = (clienteId) => {
+    if (emAndamento.current.has(clienteId)) return;
+    setCompradores(prev => {
+      const { [clienteId]: _removido, ...restantes } = prev;
+      return restantes;
+    });
+    setTooltip(prev => ({ ...prev, visible: false }));
+  };
+
+  // --- Ações na API (cada uma de um comprador) ---
+
+  const entrar = async (clienteId) => {
+    try {
+      const response = await axios.post(`${API_URL}/simulacao/entrar`, { clienteId });
+      registrarLog(clienteId, response.data.mensagem);
+      atualizarComprador(clienteId, { posicao: 'entry' });
+      return true;
+    } catch (error) {
+      registrarErro(clienteId, error, 'Erro ao entrar na loja.');
+      return false;
+    }
+  };
+
+  // O comprador vai até a arara de cada produto antes de pegá-lo
+  const pegarProdutos = async (clienteId, quantidade = 1) => {
+    try {
+      // Estoque atualizado para escolher variantes que ainda estão disponíveis
+      const produtosResponse = await axios.get(`${API_URL}/produtos`);
+      const produtos = produtosResponse.data;
+      setProdutosApi(produtos);
+      if (produtos.length === 0) {
+        registrarLog(clienteId, `Não há produtos na arara.`);
+        return false;
+      }
+
+      for (let i = 0; i < quantidade; i++) {
+        const produto = escolherProduto(produtos);
+        const variante = escolherVariante(produto);
+        atualizarComprador(clienteId, { posicao: 'rack', araraId: produto.araraId });
+        await esperar(PAUSA_CAMINHADA);
+        await axios.post(`${API_URL}/carrinho/adicionar`, { clienteId, varianteId: variante.id });
+        registrarLog(clienteId, `Pegou ${descreverItem(produto, variante)}.`);
+      }
+      return true;
+    } catch (error) {
+      registrarErro(clienteId, error, 'Erro ao adicionar produtos.');
+      return false;
+    }
+  };
+
+  // Cliente muda de ideia: devolve à arara uma unidade do último produto do carrinho
+  const devolverProduto = async (clienteId) => {
+    try {
+      const carrinhoResponse = await axios.get(`${API_URL}/carrinho/${clienteId}`);
+      const carrinhoItens = carrinhoResponse.data;
+      if (carrinhoItens.length === 0) {
+        registrarLog(clienteId, `O carrinho está vazio, não há o que devolver.`);
+        return;
+      }
+
+      const item = carrinhoItens[carrinhoItens.length - 1];
+      atualizarComprador(clienteId, { posicao: 'rack', araraId: item.produto.araraId });
+      await axios.post(`${API_URL}/carrinho/remover`, { clienteId, varianteId: item.varianteId });
+      registrarLog(clienteId, `${descreverItem(item.produto, item.variante)} devolvido(a) à arara.`);
     } catch (error) {
-      const errorMsg = error.response?.data?.error || 'Erro ao entrar na loja.';
-      setLogMessages(prev => [errorMsg, ...prev]);
-      console.error(errorMsg, error);
+      registrarErro(clienteId, error, 'Erro ao devolver produto.');
+    }
+  };
+
+  // O marcador passa pela saída e some do mapa
+  const mostrarSaida = (clienteId) => {
+    atualizarComprador(clienteId, { posicao: 'exit' });
+
+    // Se o comprador já voltou a entrar nesse meio tempo, continua onde está
+    setTimeout(() => {
+      atualizarComprador(clienteId, atual => (atual.posicao === 'exit' ? { posicao: null } : {}));
+      setTooltip(prev => ({ ...prev, visible: false }));
+    }, 1600);
+  };
+
+  // Mostra a decisão do portão no mapa. Só com o portão aberto o comprador passa pela saída;
+  // segurado ou esperando a equipe, ele fica parado no portão.
+  const mostrarPortao = (clienteId, decisao) => {
+    setPortao(decisao);
+    registrarLog(clienteId, `Portão: ${SINAIS_PORTAO[decisao.acao].rotulo}. ${decisao.motivo}`);
+    if (decisao.acao === 'abrir') {
+      mostrarSaida(clienteId);
+    } else {
+      atualizarComprador(clienteId, { posicao: 'exit' });
     }
   };
 
-  const handlePickup = async () => {
-    if (!clienteSelecionadoId) return;
-    const produtosParaAdicionar = carrinhosPredefinidos[clienteSelecionadoId];
-    if (!produtosParaAdicionar || produtosParaAdicionar.length === 0) {
-      setLogMessages(prev => [`Não há produtos predefinidos para este cliente.`, ...prev]);
-      return;
+  // Busca a decisão do portão tomada a partir de `desde` (ex.: no passo 'sair' de um cenário ou na
+  // confirmação de um PIX). Sem decisão nova, o comprador nem chegou ao portão e nada muda no mapa.
+  const atualizarPortao = async (clienteId, desde) => {
+    try {
+      const response = await axios.get(`${API_URL}/portao/${clienteId}`);
+      if (new Date(response.data.criadaEm) >= new Date(desde)) {
+        mostrarPortao(clienteId, response.data);
+      }
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        registrarErro(clienteId, error, 'Erro ao consultar o portão.');
+      }
     }
-    setClientPosition('rack');
-    setLogMessages(prev => [`Cliente ${clienteSelecionadoId} está pegando ${produtosParaAdicionar.length} produtos...`, ...prev]);
+  };
+
+  const sair = async (clienteId, meioPagamento) => {
     try {
-      for (const produtoId of produtosParaAdicionar) {
-        await axios.post(`${API_URL}/carrinho/adicionar`, {
-          clienteId: parseInt(clienteSelecionadoId),
-          produtoId: produtoId,
-        });
+      const pagamento = meioPagamento === 'pix'
+        ? { formaPagamento: 'pix' }
+        : { metodoPagamentoId: meioPagamento ? parseInt(meioPagamento) : undefined };
+      const response = await axios.post(`${API_URL}/simulacao/sair`, { clienteId, ...pagamento });
+      const { portao: decisao, ...compra } = response.data;
+      // Sem itens no carrinho o cliente apenas sai, e a API responde só com a mensagem
+      let mensagem = compra.id
+        ? `Compra finalizada! Valor total: R$ ${compra.valorTotal}. Recibo ID: ${compra.id}.`
+        : compra.mensagem;
+      if (compra.statusPagamento === 'pendente') {
+        mensagem = `PIX gerado para a compra ${compra.id} (R$ ${compra.valorTotal}). Aguardando pagamento.`;
+        atualizarComprador(clienteId, { pixPendente: compra });
       }
-      setLogMessages(prev => [`Produtos adicionados ao carrinho com sucesso!`, ...prev]);
+      registrarLog(clienteId, mensagem);
+      mostrarPortao(clienteId, decisao);
+      return true;
     } catch (error) {
-      const errorMsg = error.response?.data?.error || 'Erro ao adicionar produtos.';
-      setLogMessages(prev => [errorMsg, ...prev]);
-      console.error(errorMsg, error);
+      registrarErro(clienteId, error, 'Erro ao sair da loja.');
+      // Pagamento recusado ou equipe chamada: o portão decidiu e o comprador fica nele
+      const decisao = error.response?.data?.portao;
+      if (decisao) mostrarPortao(clienteId, decisao);
+      return false;
     }
   };
 
-  const handleExit = async () => {
-    if (!clienteSelecionadoId) return;
+  // Simula o banco avisando (webhook) que o PIX pendente foi pago; o portão que esperava por ele abre
+  const confirmarPix = async (clienteId, pixPendente) => {
+    const inicio = new Date();
     try {
-      const response = await axios.post(`${API_URL}/simulacao/sair`, {
-        clienteId: parseInt(clienteSelecionadoId),
+      const response = await axios.post(`${API_URL}/pix/webhook`, {
+        pix: [{ txid: pixPendente.pixTxid, valor: pixPendente.valorTotal, horario: new Date().toISOString() }],
       });
-      const compra = response.data;
-      const mensagem = `Compra finalizada! Valor total: R$ ${compra.valorTotal}. Recibo ID: ${compra.id}.`;
-      setLogMessages(prev => [mensagem, ...prev]);
-      setClientPosition('exit');
-      
-      setTimeout(() => {
-        setClientPosition(null);
-        setTooltip(prev => ({ ...prev, visible: false }));
-      }, 1600);
+      const [resultado] = response.data.resultados;
+      registrarLog(clienteId, `PIX da compra ${pixPendente.id}: ${resultado.status}.`);
+      atualizarComprador(clienteId, { pixPendente: null });
+      await atualizarPortao(clienteId, inicio);
     } catch (error) {
-      const errorMsg = error.response?.data?.error || 'Erro ao sair da loja.';
-      setLogMessages(prev => [errorMsg, ...prev]);
-      console.error(errorMsg, error);
+      registrarErro(clienteId, error, 'Erro ao confirmar o PIX.');
     }
   };
-  
-  const handleClienteChange = (event) => {
-    setLogMessages([]);
-    setClientPosition(null);
-    setTooltip(prev => ({ ...prev, visible: false }));
-    setClienteSelecionadoId(event.target.value);
+
+  // Entra, pega os produtos e sai, parando no primeiro passo que falhar
+  const jornadaCompleta = async (clienteId, meioPagamento) => {
+    if (!await entrar(clienteId)) return;
+    await esperar(PAUSA_JORNADA);
+    if (!await pegarProdutos(clienteId, PRODUTOS_JORNADA)) return;
+    await esperar(PAUSA_JORNADA);
+    await sair(clienteId, meioPagamento);
   };
 
-  const handleClientMouseEnter = async (event) => {
-    if (!clienteSelecionadoId) return;
+  // --- Cenários executados no servidor ---
+
+  // Mostra no mapa e nos logs o que mudou nos passos desde a última consulta.
+  // `vistos` guarda o último status mostrado de cada passo (pela ordem no cenário).
+  const mostrarAndamento = (passos, vistos) => {
+    for (const passo of passos) {
+      if (vistos.get(passo.ordem) === passo.status) continue;
+      vistos.set(passo.ordem, passo.status);
+      const { clienteId, acao } = passo;
+
+      if (passo.status === 'executando' || (passo.status === 'concluido' && acao !== 'sair')) {
+        if (POSICAO_DO_PASSO[acao]) {
+          // Pegando ou devolvendo um produto, o comprador vai até a arara dele
+          const produto = passo.passo.sku && produtosApi.find(p => p.sku === passo.passo.sku);
+          atualizarComprador(clienteId, { posicao: POSICAO_DO_PASSO[acao], ...(produto ? { araraId: produto.araraId } : {}) });
+        }
+        if (acao === 'esperar' && passo.status === 'executando') {
+          registrarLog(clienteId, `Esperando ${passo.passo.segundos} s...`);
+        }
+      }
+      if (passo.status === 'concluido') {
+        if (acao !== 'esperar') registrarLog(clienteId, passo.mensagem);
+      }
+      if (passo.status === 'falhou') {
+        registrarLog(clienteId, `Falhou (${acao}): ${passo.mensagem}`);
+      }
+      // O passo só traz a mensagem; a decisão do portão (e se o comprador passa) vem da API
+      if (acao === 'sair' && (passo.status === 'concluido' || passo.status === 'falhou')) {
+        atualizarPortao(clienteId, passo.iniciadoEm);
+      }
+      if (passo.status === 'ignorado') {
+        registrarLog(clienteId, `Passo ignorado: ${acao}.`);
+      }
+    }
+  };
+
+  // Consulta a execução até o servidor terminar. Enquanto isso, os botões dos compradores
+  // do cenário ficam travados para não disputarem com o servidor.
+  const acompanharExecucao = async (cenario, execucao) => {
+    const clienteIds = [...new Set(execucao.passos.map(passo => passo.clienteId))];
+    clienteIds.forEach(clienteId => {
+      emAndamento.current.add(clienteId);
+      atualizarComprador(clienteId, { ocupado: true });
+    });
+
+    const vistos = new Map();
+    let atual = execucao;
+    try {
+      mostrarAndamento(atual.passos, vistos);
+      while (atual.status === 'em_andamento') {
+        await esperar(INTERVALO_ACOMPANHAMENTO);
+        const response = await axios.get(`${API_URL}/cenarios/${cenario.id}/execucoes/${execucao.id}`);
+        atual = response.data;
+        mostrarAndamento(atual.passos, vistos);
+      }
+      const resultado = atual.status === 'concluida' ? 'concluído' : 'terminou com falhas';
+      setLogGeral(prev => [`Cenário "${cenario.nome}" ${resultado}.`, ...prev]);
+    } catch (error) {
+      setLogGeral(prev => [mensagemDeErro(error, 'Erro ao acompanhar o cenário.'), ...prev]);
+      console.error('Erro ao acompanhar o cenário:', error);
+    } finally {
+      clienteIds.forEach(clienteId => {
+        emAndamento.current.delete(clienteId);
+        atualizarComprador(clienteId, { ocupado: false });
+      });
+    }
+  };
+
+  // --- Funções de Evento (Handlers) ---
+
+  const handleAdicionar = () => {
+    if (!clienteParaAdicionar) return;
+    adicionarComprador(parseInt(clienteParaAdicionar));
+  };
+
+  const handleAdicionarTodos = () => {
+    clientesApi.forEach(cliente => adicionarComprador(cliente.id));
+  };
+
+  // Todos os compradores fora da loja fazem a jornada ao mesmo tempo
+  const handleRodarTodos = () => {
+    const foraDaLoja = Object.values(compradores).filter(c => !c.posicao);
+    Promise.all(foraDaLoja.map(comprador => executar(
+      comprador.clienteId,
+      () => jornadaCompleta(comprador.clienteId, comprador.meioPagamento),
+    )));
+  };
+
+  // O servidor executa o cenário; aqui os compradores entram no mapa e o andamento é acompanhado
+  const handleRodarCenario = async () => {
+    const cenario = cenarios.find(c => c.id === parseInt(cenarioSelecionadoId));
+    if (!cenario) return;
+    try {
+      const response = await axios.post(`${API_URL}/cenarios/${cenario.id}/execucoes`);
+      const execucao = response.data;
+      setLogGeral(prev => [`Cenário "${cenario.nome}" iniciado (execução ${execucao.id}).`, ...prev]);
+      new Set(execucao.passos.map(passo => passo.clienteId)).forEach(adicionarComprador);
+      acompanharExecucao(cenario, execucao);
+    } catch (error) {
+      setLogGeral(prev => [mensagemDeErro(error, 'Erro ao executar o cenário.'), ...prev]);
+      console.error('Erro ao executar o cenário:', error);
+    }
+  };
+
+  const handleClientMouseEnter = async (event, comprador) => {
+    const element = event.target;
+    const rect = element.getBoundingClientRect();
     try {
-      const response = await axios.get(`${API_URL}/carrinho/${clienteSelecionadoId}`);
+      const response = await axios.get(`${API_URL}/carrinho/${comprador.clienteId}`);
       const carrinhoItens = response.data;
       let produtoList = 'Nenhum produto pego.';
       if (carrinhoItens.length > 0) {
-        produtoList = carrinhoItens.map(item => `${item.produto.nome} (Qtd: ${item.quantidade})`).join('\n');
+        produtoList = carrinhoItens
+          .map(item => `${descreverItem(item.produto, item.variante)} (Qtd: ${item.quantidade})`)
+          .join('\n');
       }
       
-      const clienteAtual = clientesApi.find(c => c.id == clienteSelecionadoId);
-      const content = `Cliente: ${clienteAtual?.nome}\n---\nProdutos no Carrinho:\n${produtoList}`;
+      const content = `Cliente: ${comprador.nome}\n---\nProdutos no Carrinho:\n${produtoList}`;
       
-      const element = event.target;
-      const rect = element.getBoundingClientRect();
       let tooltipX;
       
-      if (clientPosition === 'exit') {
+      if (comprador.posicao === 'exit') {
         tooltipX = rect.left + window.scrollX - 170;
       } else {
         tooltipX = rect.right + window.scrollX + 10;
@@ -146,15 +486,9 @@ export default function App() {
     }
   };
 
-  // NOVO: Função para quando o mouse entra na arara de produtos
-  const handleRackMouseEnter = (event) => {
-    let content = 'Carregando produtos...';
-    if (produtosApi.length > 0) {
-      // Formata a lista de produtos para exibição
-      const productList = produtosApi.map(p => `${p.nome} - R$ ${p.preco}`).join('\n');
-      content = `Produtos Disponíveis:\n---\n${productList}`;
-    }
-
+  // Tooltip com os produtos (e o estoque de cada tamanho/cor) da arara
+  const handleRackMouseEnter = async (event, arara) => {
+    // Captura a posição antes do await, o evento pode ser reaproveitado pelo React
     const element = event.target;
     const rect = element.getBoundingClientRect();
 
@@ -162,6 +496,29 @@ export default function App() {
     const tooltipX = rect.left + (rect.width / 2) + window.scrollX;
     const tooltipY = rect.top + window.scrollY - 10;
 
+    let produtos = produtosApi;
+    try {
+      // Recarrega para mostrar o estoque atualizado pelas compras
+      const response = await axios.get(`${API_URL}/produtos`);
+      produtos = response.data;
+      setProdutosApi(produtos);
+    } catch (error) {
+      console.error("Erro ao atualizar produtos para o tooltip:", error);
+    }
+
+    const produtosDaArara = produtos.filter(p => p.araraId === arara.id);
+    let content = `${arara.nome}\n---\nNenhum produto nesta arara.`;
+    if (produtosDaArara.length > 0) {
+      // Formata a lista de produtos para exibição, com cada tamanho/cor abaixo do produto
+      const productList = produtosDaArara.map(p => {
+        const variantes = p.variantes
+          .map(v => `  ${v.tamanho} ${v.cor} - R$ ${v.precoFinal} (${v.disponivel} disp.)`)
+          .join('\n');
+        return `${p.nome}\n${variantes}`;
+      }).join('\n');
+      content = `${arara.nome}\n---\n${productList}`;
+    }
+
     setTooltip({ visible: true, content, x: tooltipX, y: tooltipY });
   };
 
@@ -169,37 +526,110 @@ export default function App() {
     setTooltip(prev => ({ ...prev, visible: false }));
   };
 
-  const getBallPositionStyle = () => {
-    switch (clientPosition) {
-      case 'entry': return styles.ballEntry;
-      case 'rack': return styles.ballRack;
-      case 'exit': return styles.ballExit;
-      default: return {};
+  // --- Editor da planta ---
+
+  // Recarrega a planta e os produtos (a arara de cada produto vem neles)
+  const recarregarPlanta = async () => {
+    const [plantaResponse, produtosResponse] = await Promise.all([
+      axios.get(`${API_URL}/planta`),
+      axios.get(`${API_URL}/produtos`)
+    ]);
+    setPlanta(plantaResponse.data);
+    setProdutosApi(produtosResponse.data);
+  };
+
+  // Alterações da planta salvas na API; se falharem, a planta volta ao que está salvo
+  const salvarNaPlanta = async (requisicao, mensagemPadrao) => {
+    setSalvandoArara(true);
+    try {
+      return (await requisicao()).data;
+    } catch (error) {
+      setLogGeral(prev => [mensagemDeErro(error, mensagemPadrao), ...prev]);
+      console.error(mensagemPadrao, error);
+      await recarregarPlanta().catch(() => {});
+      return null;
+    } finally {
+      setSalvandoArara(false);
+    }
+  };
+
+  // Enquanto arrasta, a arara só muda na tela
+  const handleMoverArara = (araraId, posicao) => {
+    setPlanta(prev => ({
+      ...prev,
+      araras: prev.araras.map(a => (a.id === araraId ? { ...a, ...posicao } : a)),
+    }));
+  };
+
+  const handleSoltarArara = (araraId, posicao) => {
+    salvarNaPlanta(() => axios.patch(`${API_URL}/planta/araras/${araraId}`, posicao), 'Erro ao mover a arara.');
+  };
+
+  const handleSalvarArara = async (dados) => {
+    const arara = await salvarNaPlanta(
+      () => axios.patch(`${API_URL}/planta/araras/${araraSelecionadaId}`, dados),
+      'Erro ao salvar a arara.',
+    );
+    if (arara) {
+      setLogGeral(prev => [`Arara "${arara.nome}" salva.`, ...prev]);
+      await recarregarPlanta();
+    }
+  };
+
+  const handleRemoverArara = async () => {
+    const removida = await salvarNaPlanta(
+      () => axios.delete(`${API_URL}/planta/araras/${araraSelecionadaId}`),
+      'Erro ao remover a arara.',
+    );
+    if (removida) {
+      setAraraSelecionadaId(null);
+      await recarregarPlanta();
     }
   };
 
+  const handleNovaArara = async () => {
+    const arara = await salvarNaPlanta(
+      () => axios.post(`${API_URL}/planta/araras`, { nome: `Arara ${planta.araras.length + 1}`, ...NOVA_ARARA }),
+      'Erro ao criar a arara.',
+    );
+    if (arara) {
+      setPlanta(prev => ({ ...prev, araras: [...prev.araras, arara] }));
+      setAraraSelecionadaId(arara.id);
+    }
+  };
+
+  const handleEditarPlanta = () => {
+    setEditandoPlanta(prev => !prev);
+    setAraraSelecionadaId(null);
+    setTooltip(prev => ({ ...prev, visible: false }));
+  };
+
+  const listaCompradores = Object.values(compradores);
+  const araraSelecionada = planta.araras.find(a => a.id === araraSelecionadaId);
+  const cenarioSelecionado = cenarios.find(c => c.id === parseInt(cenarioSelecionadoId));
+  const foraDaSimulacao = clientesApi.filter(c => !compradores[c.id]);
+
   // --- Renderização do Componente (JSX) ---
+  if (!sessao) {
+    return <LoginSimulador apiUrl={API_URL} onEntrar={entrarNoSimulador} />;
+  }
+
   return (
     <div style={styles.container}>
       <div style={styles.mapArea}>
-        <div style={styles.mapContent}>
-          <div style={styles.entryExit}>Entrada</div>
-          {clientPosition && 
-            <div 
-              style={{...styles.ball, ...getBallPositionStyle()}}
-              onMouseEnter={handleClientMouseEnter}
-              onMouseLeave={handleMouseLeave}
-            ></div>
-          }
-          {/* MODIFICADO: Adicionado os eventos de mouse na div da arara */}
-          <div 
-            style={styles.productRack}
-            onMouseEnter={handleRackMouseEnter}
-            onMouseLeave={handleMouseLeave}
-          >
-            Arara de produtos
-          </div>
-          <div style={styles.entryExit}>Saída</div>
+        <PlantaLoja
+          planta={planta}
+          compradores={listaCompradores}
+          editando={editandoPlanta}
+          araraSelecionadaId={araraSelecionadaId}
+          portao={portao}
+          onSelecionarArara={setAraraSelecionadaId}
+          onMoverArara={handleMoverArara}
+          onSoltarArara={handleSoltarArara}
+          onRackMouseEnter={handleRackMouseEnter}
+          onClientMouseEnter={handleClientMouseEnter}
+          onMouseLeave={handleMouseLeave}
+        >
           {tooltip.visible && (
             <div style={{ ...styles.tooltip, top: tooltip.y, left: tooltip.x }}>
               {tooltip.content.split('\n').map((line, index) => (
@@ -207,22 +637,60 @@ export default function App() {
               ))}
             </div>
           )}
-        </div>
+        </PlantaLoja>
       </div>
       <div style={styles.sidebar}>
-        <div style={styles.buttonGroup}>
-          <button style={styles.buttonPrimary} onClick={handleEnter}>1. Entrar na loja</button>
+        <div style={{ ...styles.buttonGroup, alignItems: "center" }}>
+          <span style={{ flex: 1, fontSize: "12px", color: "#aaa" }}>{sessao.funcionario.nome}</span>
+          <button style={styles.button} onClick={sairDoSimulador}>Sair</button>
         </div>
         <div style={styles.buttonGroup}>
-          <button style={styles.button} onClick={handlePickup}>2. Pegar produtos (Auto)</button>
+          <button style={styles.button} onClick={handleEditarPlanta}>
+            {editandoPlanta ? 'Concluir edição da planta' : 'Editar planta'}
+          </button>
+          {editandoPlanta && (
+            <button style={styles.button} onClick={handleNovaArara} disabled={salvandoArara}>Nova arara</button>
+          )}
+        </div>
+        {editandoPlanta && !araraSelecionada && (
+          <p style={{ fontSize: "12px", color: "#aaa", marginBottom: "15px" }}>
+            Arraste as araras no mapa para reposicioná-las; clique numa arara para editar o nome, o tamanho e os produtos.
+          </p>
+        )}
+        {editandoPlanta && araraSelecionada && (
+          <EditorArara
+            key={araraSelecionada.id}
+            arara={araraSelecionada}
+            produtos={produtosApi}
+            salvando={salvandoArara}
+            onSalvar={handleSalvarArara}
+            onRemover={handleRemoverArara}
+          />
+        )}
+
+        <div style={{ marginBottom: "15px" }}>
+          <label style={{ display: "block", marginBottom: "5px" }}>Cenário</label>
+          <select style={styles.select} value={cenarioSelecionadoId} onChange={(event) => setCenarioSelecionadoId(event.target.value)}>
+            {cenarios.length === 0 && <option value="">Nenhum cenário cadastrado</option>}
+            {cenarios.map((cenario) => (
+              <option key={cenario.id} value={cenario.id}>
+                {cenario.nome}
+              </option>
+            ))}
+          </select>
+          {cenarioSelecionado?.descricao && (
+            <p style={{ fontSize: "12px", color: "#aaa", marginTop: "5px" }}>{cenarioSelecionado.descricao}</p>
+          )}
         </div>
         <div style={styles.buttonGroup}>
-          <button style={styles.buttonPrimary} onClick={handleExit}>3. Sair da loja</button>
+          <button style={styles.buttonPrimary} onClick={handleRodarCenario} disabled={!cenarioSelecionado}>
+            Rodar cenário
+          </button>
         </div>
 
-        <div style={{ margin: "20px 0" }}>
-          <label style={{ display: "block", marginBottom: "5px" }}>Selecione um cliente</label>
-          <select style={styles.select} value={clienteSelecionadoId} onChange={handleClienteChange}>
+        <div style={{ marginBottom: "15px" }}>
+          <label style={{ display: "block", marginBottom: "5px" }}>Colocar um cliente na simulação</label>
+          <select style={styles.select} value={clienteParaAdicionar} onChange={(event) => setClienteParaAdicionar(event.target.value)}>
             {clientesApi.length === 0 && <option>Carregando clientes...</option>}
             {clientesApi.map((cliente) => (
               <option key={cliente.id} value={cliente.id}>
@@ -231,157 +699,45 @@ export default function App() {
             ))}
           </select>
         </div>
-
-        <div style={styles.infoBox}>
-          <h3 style={{ marginBottom: "10px" }}>Log de Eventos</h3>
-          {logMessages.map((message, index) => (
-            <p key={index}>{message}</p>
-          ))}
+        <div style={styles.buttonGroup}>
+          <button style={styles.button} onClick={handleAdicionar}>Adicionar</button>
+          <button style={styles.button} onClick={handleAdicionarTodos} disabled={foraDaSimulacao.length === 0}>
+            Adicionar todos
+          </button>
+        </div>
+        <div style={styles.buttonGroup}>
+          <button style={styles.buttonPrimary} onClick={handleRodarTodos} disabled={listaCompradores.length === 0}>
+            Rodar todos em paralelo
+          </button>
         </div>
+
+        {listaCompradores.map(comprador => {
+          const { clienteId } = comprador;
+          return (
+            <PainelComprador
+              key={clienteId}
+              comprador={comprador}
+              onEntrar={() => executar(clienteId, () => entrar(clienteId))}
+              onPegar={() => executar(clienteId, () => pegarProdutos(clienteId))}
+              onDevolver={() => executar(clienteId, () => devolverProduto(clienteId))}
+              onSair={() => executar(clienteId, () => sair(clienteId, comprador.meioPagamento))}
+              onConfirmarPix={() => executar(clienteId, () => confirmarPix(clienteId, comprador.pixPendente))}
+              onRodar={() => executar(clienteId, () => jornadaCompleta(clienteId, comprador.meioPagamento))}
+              onRemover={() => removerComprador(clienteId)}
+              onMeioPagamentoChange={(meioPagamento) => atualizarComprador(clienteId, { meioPagamento })}
+            />
+          );
+        })}
+
+        {logGeral.length > 0 && (
+          <div style={styles.infoBox}>
+            <h3 style={{ marginBottom: "10px" }}>Log de Eventos</h3>
+            {logGeral.map((message, index) => (
+              <p key={index}>{message}</p>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
-
-// Estilos
-const styles = {
-  container: {
-    display: "flex",
-    flexDirection: "row",
-    width: "100vw",
-    height: "100vh",
-    overflow: "hidden",
-    fontFamily: "Arial, sans-serif",
-    backgroundColor: "#1e1e2f",
-    color: "#fff",
-    gap: "20px",
-    padding: "20px",
-    boxSizing: "border-box",
-  },
-  mapArea: {
-    flex: 3,
-    backgroundColor: "#fff",
-    borderRadius: "10px",
-    margin: "25px",
-    padding: "20px",
-    display: "flex",
-    flexDirection: "column",
-    alignItems: "center",
-    justifyContent: "center",
-  },
-  mapContent: {
-    position: 'relative',
-    display: "flex",
-    width: "100%",
-    justifyContent: "space-between",
-    alignItems: "center",
-    flex: 1,
-    padding: "0 50px",
-    boxSizing: "border-box",
-  },
-  entryExit: {
-    fontSize: "24px",
-    fontWeight: "bold",
-    color: "#555",
-    alignSelf: "flex-start",
-  },
-  productRack: {
-    width: "200px",
-    height: "100px",
-    backgroundColor: "#ccc",
-    borderRadius: "10px",
-    display: "flex",
-    justifyContent: "center",
-    alignItems: "center",
-    color: "#000",
-    fontWeight: "bold",
-    textAlign: "center",
-    padding: "10px",
-    boxSizing: "border-box",
-    cursor: 'pointer'
-  },
-  sidebar: {
-    flex: 1,
-    backgroundColor: "#2b2b3d",
-    borderRadius: "10px",
-    margin: "10px",
-    padding: "20px",
-    display: "flex",
-    flexDirection: "column",
-  },
-  buttonGroup: {
-    display: "flex",
-    gap: "10px",
-    marginBottom: "15px",
-  },
-  button: {
-    flex: 1,
-    padding: "10px",
-    border: "none",
-    borderRadius: "8px",
-    backgroundColor: "#3a3a4f",
-    color: "#fff",
-    cursor: "pointer",
-    fontWeight: "bold",
-  },
-  buttonPrimary: {
-    flex: 1,
-    padding: "10px",
-    border: "none",
-    borderRadius: "8px",
-    backgroundColor: "#c4362fff",
-    color: "#fff",
-    cursor: "pointer",
-    fontWeight: "bold",
-  },
-  select: {
-    width: "100%",
-    padding: "8px",
-    borderRadius: "6px",
-    border: "none",
-    backgroundColor: "#3a3a4f",
-    color: "#fff",
-  },
-  infoBox: {
-    marginTop: "20px",
-    padding: "15px",
-    backgroundColor: "#1e1e2f",
-    borderRadius: "8px",
-    fontSize: "14px",
-    maxHeight: '400px',
-    overflowY: 'auto'
-  },
-  ball: {
-    position: 'absolute',
-    width: '15px',
-    height: '15px',
-    backgroundColor: '#ff4d4d',
-    borderRadius: '50%',
-    top: '75px',
-  },
-  ballEntry: {
-    left: '50px',
-  },
-  ballRack: {
-    top: '190px',
-    left: 'calc(50% - 7.5px)',
-  },
-  ballExit: {
-    right: '50px',
-  },
-  tooltip: {
-    position: 'absolute',
-    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-    color: '#fff',
-    padding: '8px',
-    borderRadius: '5px',
-    zIndex: 1000,
-    whiteSpace: 'pre-wrap',
-    pointerEvents: 'none',
-    boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
-    fontSize: '12px',
-    transform: 'translate(-50%, -100%)',
-    maxWidth: '250px',
-    overflowY: 'auto'
-  },
-};
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { styles } from '../estilos';
+
+// Formulário da arara selecionada no modo de edição da planta: nome, tamanho e produtos expostos.
+// A posição muda arrastando a arara no mapa.
+export default function EditorArara({ arara, produtos, salvando, onSalvar, onRemover }) {
+  const [nome, setNome] = useState(arara.nome);
+  const [largura, setLargura] = useState(arara.largura);
+  const [altura, setAltura] = useState(arara.altura);
+  const [produtoIds, setProdutoIds] = useState(arara.produtos.map(p => p.id));
+
+  const alternarProduto = (produtoId) => {
+    setProdutoIds(prev => (prev.includes(produtoId) ? prev.filter(id => id !== produtoId) : [...prev, produtoId]));
+  };
+
+  const handleSalvar = () => {
+    onSalvar({ nome, largura: parseInt(largura), altura: parseInt(altura), produtoIds });
+  };
+
+  return (
+    <div style={{ ...styles.comprador, borderLeftColor: '#c4362f' }}>
+      <div style={styles.compradorCabecalho}>
+        <strong>Arara selecionada</strong>
+        <span style={styles.compradorStatus}>x {arara.x}% · y {arara.y}%</span>
+      </div>
+
+      <label style={{ display: "block", marginBottom: "5px" }}>Nome</label>
+      <input style={styles.input} value={nome} onChange={(event) => setNome(event.target.value)} />
+
+      <div style={{ ...styles.buttonGroup, marginTop: "10px" }}>
+        <label style={{ flex: 1 }}>
+          Largura (%)
+          <input style={styles.input} type="number" min="1" max="100" value={largura} onChange={(event) => setLargura(event.target.value)} />
+        </label>
+        <label style={{ flex: 1 }}>
+          Altura (%)
+          <input style={styles.input} type="number" min="1" max="100" value={altura} onChange={(event) => setAltura(event.target.value)} />
+        </label>
+      </div>
+
+      <label style={{ display: "block", marginBottom: "5px" }}>Produtos nesta arara</label>
+      <div style={{ ...styles.compradorLog, marginTop: 0, marginBottom: "10px" }}>
+        {produtos.map(produto => (
+          <label key={produto.id} style={{ display: "block" }}>
+            <input type="checkbox" checked={produtoIds.includes(produto.id)} onChange={() => alternarProduto(produto.id)} />
+            {' '}{produto.nome}
+            {produto.araraId && produto.araraId !== arara.id && !produtoIds.includes(produto.id) ? ' (em outra arara)' : ''}
+          </label>
+        ))}
+      </div>
+
+      <div style={styles.buttonGroup}>
+        <button style={styles.buttonPrimary} onClick={handleSalvar} disabled={salvando}>Salvar arara</button>
+        <button style={styles.button} onClick={onRemover} disabled={salvando}>Remover</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { styles } from '../estilos';
+
+// Login do simulador: um gerente entra e recebe uma sessão curta, que age pelos clientes como o
+// sistema da loja. Nenhuma chave fica no código do simulador.
+export default function LoginSimulador({ apiUrl, onEntrar }) {
+  const [email, setEmail] = useState('');
+  const [senha, setSenha] = useState('');
+  const [erro, setErro] = useState('');
+  const [entrando, setEntrando] = useState(false);
+
+  const handleEntrar = async (event) => {
+    event.preventDefault();
+    setEntrando(true);
+    setErro('');
+    try {
+      const response = await axios.post(`${apiUrl}/equipe/login-sistema`, { email, senha });
+      onEntrar(response.data);
+    } catch (error) {
+      setErro(error.response?.data?.error || 'Erro ao entrar no simulador.');
+    } finally {
+      setEntrando(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <form style={styles.login} onSubmit={handleEntrar}>
+        <h2>Simulador da loja</h2>
+        <p style={{ fontSize: "12px", color: "#aaa" }}>Entre com uma conta de gerente da equipe.</p>
+        <label>
+          E-mail
+          <input style={styles.input} type="email" value={email} onChange={(event) => setEmail(event.target.value)} />
+        </label>
+        <label>
+          Senha
+          <input style={styles.input} type="password" value={senha} onChange={(event) => setSenha(event.target.value)} />
+        </label>
+        {erro && <p style={{ color: "#ff8a80", fontSize: "13px" }}>{erro}</p>}
+        <button style={styles.buttonPrimary} type="submit" disabled={entrando}>
+          {entrando ? 'Entrando...' : 'Entrar'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+import { styles } from '../estilos';
+
+const ROTULOS_POSICAO = {
+  entry: 'Na entrada',
+  rack: 'Na arara',
+  exit: 'Saindo',
+};
+
+// Cartão de um comprador na barra lateral: controles, pagamento na saída e o log só dele
+export default function PainelComprador({ comprador, onEntrar, onPegar, onDevolver, onSair, onConfirmarPix, onRodar, onRemover, onMeioPagamentoChange }) {
+  const { ocupado, posicao } = comprador;
+  const naLoja = posicao === 'entry' || posicao === 'rack';
+
+  const botao = (estilo, rotulo, onClick, habilitado = true) => (
+    <button
+      style={{ ...estilo, ...(ocupado || !habilitado ? styles.buttonDisabled : {}) }}
+      disabled={ocupado || !habilitado}
+      onClick={onClick}
+    >
+      {rotulo}
+    </button>
+  );
+
+  return (
+    <div style={{ ...styles.comprador, borderLeftColor: comprador.cor }}>
+      <div style={styles.compradorCabecalho}>
+        <span style={{ ...styles.compradorCor, backgroundColor: comprador.cor }}></span>
+        <strong>{comprador.nome}</strong>
+        <span style={styles.compradorStatus}>
+          {ocupado ? 'Aguardando a API...' : ROTULOS_POSICAO[posicao] || 'Fora da loja'}
+        </span>
+      </div>
+
+      <div style={styles.buttonGroup}>
+        {botao(styles.buttonPrimary, 'Entrar', onEntrar, !naLoja)}
+        {botao(styles.button, 'Pegar', onPegar, naLoja)}
+        {botao(styles.button, 'Devolver', onDevolver, naLoja)}
+        {botao(styles.buttonPrimary, 'Sair', onSair, naLoja)}
+      </div>
+      <div style={styles.buttonGroup}>
+        {botao(styles.button, 'Jornada completa', onRodar, !naLoja)}
+        {comprador.pixPendente && botao(styles.button, 'Confirmar PIX (banco)', onConfirmarPix)}
+        {botao(styles.button, 'Remover', onRemover, !naLoja)}
+      </div>
+
+      <select
+        style={styles.select}
+        value={comprador.meioPagamento}
+        onChange={(event) => onMeioPagamentoChange(event.target.value)}
+      >
+        <option value="">Meio padrão do cliente</option>
+        {comprador.metodosPagamento.map(metodo => (
+          <option key={metodo.id} value={metodo.id}>
+            {metodo.descricao}{metodo.padrao ? ' (padrão)' : ''}
+          </option>
+        ))}
+        <option value="pix">PIX (cobrança avulsa)</option>
+      </select>
+
+      <div style={styles.compradorLog}>
+        {comprador.log.length === 0 && <p>Nenhum evento ainda.</p>}
+        {comprador.log.map((message, index) => (
+          <p key={index}>{message}</p>
+        ))}
+      </div>
+    </div>
+  );
+}
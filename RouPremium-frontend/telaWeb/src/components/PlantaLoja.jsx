@@ -0,0 +1,158 @@
+import React, { useRef } from 'react';
+import { styles, CORES_ZONA, SINAIS_PORTAO } from '../estilos';
+
+// Pontos usados quando a planta não tem zona de entrada ou de saída (em % da planta)
+const ENTRADA_PADRAO = { x: 5, y: 10 };
+const SAIDA_PADRAO = { x: 95, y: 10 };
+
+const centroDe = (retangulo) => ({ x: retangulo.x + retangulo.largura / 2, y: retangulo.y + retangulo.altura / 2 });
+
+const limitar = (valor, minimo, maximo) => Math.min(Math.max(valor, minimo), maximo);
+
+// Onde o marcador do comprador fica: no meio da entrada ou da saída, ou logo abaixo da arara em que está
+function pontoDoComprador(planta, comprador) {
+  if (comprador.posicao === 'entry' || comprador.posicao === 'exit') {
+    const tipo = comprador.posicao === 'entry' ? 'entrada' : 'saida';
+    const zona = planta.zonas.find(z => z.tipo === tipo);
+    if (zona) return centroDe(zona);
+    return comprador.posicao === 'entry' ? ENTRADA_PADRAO : SAIDA_PADRAO;
+  }
+  const arara = planta.araras.find(a => a.id === comprador.araraId);
+  if (!arara) return { x: 50, y: 50 };
+  return { x: arara.x + arara.largura / 2, y: Math.min(arara.y + arara.altura + 3, 97) };
+}
+
+// Luz do portão ao lado da "Saída", com a última decisão e o motivo
+function IndicadorPortao({ portao }) {
+  const sinal = SINAIS_PORTAO[portao?.acao ?? 'fechado'];
+  return (
+    <div style={styles.portao}>
+      <span style={{ ...styles.portaoLuz, backgroundColor: sinal.cor }}></span>
+      <div>
+        <strong>Portão: {sinal.rotulo}</strong>
+        {portao && <div>{portao.cliente?.nome}: {portao.motivo}</div>}
+      </div>
+    </div>
+  );
+}
+
+// Planta da loja desenhada a partir da API, com um marcador por comprador na loja.
+// O portão de saída mostra a última decisão (`portao`, como a API registra).
+// No modo de edição as araras podem ser arrastadas; a nova posição só é salva ao soltar.
+export default function PlantaLoja({
+  planta,
+  compradores,
+  editando,
+  araraSelecionadaId,
+  portao,
+  onSelecionarArara,
+  onMoverArara,
+  onSoltarArara,
+  onRackMouseEnter,
+  onClientMouseEnter,
+  onMouseLeave,
+  children,
+}) {
+  const areaRef = useRef(null);
+  const arrasto = useRef(null);
+
+  const iniciarArrasto = (event, arara) => {
+    if (!editando) return;
+    event.preventDefault();
+    onSelecionarArara(arara.id);
+    arrasto.current = {
+      id: arara.id,
+      inicioX: event.clientX,
+      inicioY: event.clientY,
+      origem: { x: arara.x, y: arara.y },
+      posicao: { x: arara.x, y: arara.y },
+      largura: arara.largura,
+      altura: arara.altura,
+    };
+  };
+
+  const arrastar = (event) => {
+    const atual = arrasto.current;
+    if (!atual) return;
+    const area = areaRef.current.getBoundingClientRect();
+    const x = limitar(Math.round(atual.origem.x + (event.clientX - atual.inicioX) / area.width * 100), 0, 100 - atual.largura);
+    const y = limitar(Math.round(atual.origem.y + (event.clientY - atual.inicioY) / area.height * 100), 0, 100 - atual.altura);
+    if (x === atual.posicao.x && y === atual.posicao.y) return;
+    atual.posicao = { x, y };
+    onMoverArara(atual.id, atual.posicao);
+  };
+
+  const soltar = () => {
+    const atual = arrasto.current;
+    if (!atual) return;
+    arrasto.current = null;
+    if (atual.posicao.x !== atual.origem.x || atual.posicao.y !== atual.origem.y) {
+      onSoltarArara(atual.id, atual.posicao);
+    }
+  };
+
+  const emPorcentagem = (retangulo) => ({
+    left: `${retangulo.x}%`,
+    top: `${retangulo.y}%`,
+    width: `${retangulo.largura}%`,
+    height: `${retangulo.altura}%`,
+  });
+
+  return (
+    <div ref={areaRef} style={styles.mapContent} onMouseMove={arrastar} onMouseUp={soltar} onMouseLeave={soltar}>
+      {planta.zonas.map(zona => (
+        <div key={`zona-${zona.id}`} style={{ ...styles.zona, ...emPorcentagem(zona), backgroundColor: CORES_ZONA[zona.tipo] }}>
+          {zona.nome}
+          {zona.tipo === 'saida' && <IndicadorPortao portao={portao} />}
+        </div>
+      ))}
+
+      {/* Planta sem zona de saída: o portão fica no canto onde o comprador sai */}
+      {!planta.zonas.some(zona => zona.tipo === 'saida') && (
+        <div style={{ ...styles.zona, right: 0, top: 0, border: 'none' }}>
+          <IndicadorPortao portao={portao} />
+        </div>
+      )}
+
+      {planta.araras.map(arara => (
+        <div
+          key={`arara-${arara.id}`}
+          style={{
+            ...styles.productRack,
+            ...emPorcentagem(arara),
+            ...(editando ? styles.productRackEditing : {}),
+            ...(editando && arara.id === araraSelecionadaId ? styles.productRackSelected : {}),
+          }}
+          onMouseDown={(event) => iniciarArrasto(event, arara)}
+          onMouseEnter={(event) => !editando && onRackMouseEnter(event, arara)}
+          onMouseLeave={onMouseLeave}
+        >
+          {arara.nome}
+        </div>
+      ))}
+
+      {/* Um marcador por comprador na loja; cada um numa "faixa" para não ficarem sobrepostos */}
+      {compradores.map((comprador, indice) => {
+        if (!comprador.posicao) return null;
+        const ponto = pontoDoComprador(planta, comprador);
+        return (
+          <div
+            key={comprador.clienteId}
+            style={{
+              ...styles.ball,
+              left: `calc(${ponto.x}% - 7.5px)`,
+              top: `calc(${ponto.y}% - 7.5px)`,
+              backgroundColor: comprador.cor,
+              marginTop: `${indice * 18}px`,
+            }}
+            title={comprador.nome}
+            onMouseEnter={(event) => onClientMouseEnter(event, comprador)}
+            onMouseLeave={onMouseLeave}
+          ></div>
+        );
+      })}
+
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+// Estilos do simulador (App e painéis dos compradores)
+export const styles = {
+  container: {
+    display: "flex",
+    flexDirection: "row",
+    width: "100vw",
+    height: "100vh",
+    overflow: "hidden",
+    fontFamily: "Arial, sans-serif",
+    backgroundColor: "#1e1e2f",
+    color: "#fff",
+    gap: "20px",
+    padding: "20px",
+    boxSizing: "border-box",
+  },
+  mapArea: {
+    flex: 3,
+    backgroundColor: "#fff",
+    borderRadius: "10px",
+    margin: "25px",
+    padding: "20px",
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  mapContent: {
+    position: 'relative',
+    width: "100%",
+    flex: 1,
+    boxSizing: "border-box",
+    userSelect: "none",
+  },
+  zona: {
+    position: "absolute",
+    border: "1px dashed #bbb",
+    borderRadius: "6px",
+    padding: "6px",
+    boxSizing: "border-box",
+    fontSize: "14px",
+    fontWeight: "bold",
+    color: "#555",
+  },
+  portao: {
+    display: "flex",
+    alignItems: "flex-start",
+    gap: "6px",
+    marginTop: "6px",
+    fontSize: "11px",
+    fontWeight: "normal",
+    color: "#333",
+  },
+  portaoLuz: {
+    width: "12px",
+    height: "12px",
+    borderRadius: "50%",
+    flexShrink: 0,
+    marginTop: "1px",
+    boxShadow: "0 0 4px rgba(0,0,0,0.3)",
+  },
+  productRack: {
+    position: "absolute",
+    backgroundColor: "#ccc",
+    borderRadius: "10px",
+    display: "flex",
+    justifyContent: "center",
+    alignItems: "center",
+    color: "#000",
+    fontWeight: "bold",
+    textAlign: "center",
+    padding: "10px",
+    boxSizing: "border-box",
+    cursor: 'pointer'
+  },
+  productRackEditing: {
+    cursor: "move",
+    border: "2px dashed #888",
+  },
+  productRackSelected: {
+    outline: "3px solid #c4362f",
+  },
+  sidebar: {
+    flex: 1,
+    backgroundColor: "#2b2b3d",
+    borderRadius: "10px",
+    margin: "10px",
+    padding: "20px",
+    display: "flex",
+    flexDirection: "column",
+    overflowY: "auto",
+  },
+  buttonGroup: {
+    display: "flex",
+    gap: "10px",
+    marginBottom: "15px",
+  },
+  button: {
+    flex: 1,
+    padding: "10px",
+    border: "none",
+    borderRadius: "8px",
+    backgroundColor: "#3a3a4f",
+    color: "#fff",
+    cursor: "pointer",
+    fontWeight: "bold",
+  },
+  buttonPrimary: {
+    flex: 1,
+    padding: "10px",
+    border: "none",
+    borderRadius: "8px",
+    backgroundColor: "#c4362fff",
+    color: "#fff",
+    cursor: "pointer",
+    fontWeight: "bold",
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+    cursor: "not-allowed",
+  },
+  select: {
+    width: "100%",
+    padding: "8px",
+    borderRadius: "6px",
+    border: "none",
+    backgroundColor: "#3a3a4f",
+    color: "#fff",
+  },
+  login: {
+    width: "320px",
+    margin: "auto",
+    padding: "25px",
+    backgroundColor: "#2b2b3d",
+    borderRadius: "10px",
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+  },
+  infoBox: {
+    marginTop: "20px",
+    padding: "15px",
+    backgroundColor: "#1e1e2f",
+    borderRadius: "8px",
+    fontSize: "14px",
+    maxHeight: '400px',
+    overflowY: 'auto'
+  },
+  comprador: {
+    marginBottom: "15px",
+    padding: "12px",
+    backgroundColor: "#1e1e2f",
+    borderRadius: "8px",
+    borderLeft: "4px solid",
+  },
+  compradorCabecalho: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    marginBottom: "10px",
+  },
+  compradorCor: {
+    width: "12px",
+    height: "12px",
+    borderRadius: "50%",
+  },
+  compradorStatus: {
+    marginLeft: "auto",
+    fontSize: "12px",
+    color: "#aaa",
+  },
+  compradorLog: {
+    marginTop: "10px",
+    fontSize: "12px",
+    maxHeight: "120px",
+    overflowY: "auto",
+    color: "#ddd",
+  },
+  ball: {
+    position: 'absolute',
+    width: '15px',
+    height: '15px',
+    backgroundColor: '#ff4d4d',
+    borderRadius: '50%',
+    transition: 'left 0.8s ease, top 0.8s ease',
+    zIndex: 10,
+  },
+  input: {
+    width: "100%",
+    padding: "8px",
+    borderRadius: "6px",
+    border: "none",
+    backgroundColor: "#3a3a4f",
+    color: "#fff",
+    boxSizing: "border-box",
+  },
+  tooltip: {
+    position: 'absolute',
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    color: '#fff',
+    padding: '8px',
+    borderRadius: '5px',
+    zIndex: 1000,
+    whiteSpace: 'pre-wrap',
+    pointerEvents: 'none',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+    fontSize: '12px',
+    transform: 'translate(-50%, -100%)',
+    maxWidth: '250px',
+    overflowY: 'auto'
+  },
+};
+
+// Uma cor por comprador no mapa; a ordem segue a lista de clientes da API, então cada um mantém a sua
+export const CORES_COMPRADORES = ['#ff4d4d', '#4d79ff', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e84393', '#7f8c8d'];
+
+// Fundo de cada tipo de zona na planta
+// Luz e rótulo do portão de saída para cada decisão; `fechado` é antes de alguém tentar sair
+export const SINAIS_PORTAO = {
+  fechado: { rotulo: 'Fechado', cor: '#999' },
+  abrir: { rotulo: 'Aberto', cor: '#2e9e44' },
+  segurar: { rotulo: 'Segurando', cor: '#e0a100' },
+  chamar_equipe: { rotulo: 'Chamando a equipe', cor: '#c4362f' },
+};
+
+export const CORES_ZONA = {
+  entrada: '#e6f4e4',
+  saida: '#fbe4e3',
+  vendas: '#f7f7f7',
+  provador: '#ece6f6',
+  caixa: '#fff5d9',
+};